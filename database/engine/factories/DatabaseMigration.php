@@ -6,6 +6,7 @@ require_once dirname(__DIR__) . '/migration/DatabaseMigrator.php';
 require_once dirname(__DIR__, 2) . '/engine/schema/core/SchemaExtractor.php';
 require_once dirname(__DIR__) . '/migration/MigrationValidator.php';
 require_once dirname(__DIR__) . '/migration/DataMigrator.php';
+require_once dirname(__DIR__) . '/migration/IncrementalMigrator.php';
 
 /**
  * Database Migration Factory - Factory for Enhanced Model migration system
@@ -131,6 +132,20 @@ class DatabaseMigrationFactory
         return $dataMigrator;
     }
 
+    /**
+     * Create incremental (ALTER-based) migrator
+     */
+    public function createIncrementalMigrator($targetModel, array $options = []): IncrementalMigrator
+    {
+        $migrator = new IncrementalMigrator($targetModel, $options);
+        
+        if ($this->debugCallback) {
+            $migrator->setDebugCallback($this->debugCallback);
+        }
+        
+        return $migrator;
+    }
+
     /**
      * Quick migration - simplified interface for common scenarios
      */
@@ -177,6 +192,20 @@ class DatabaseMigrationFactory
         return $dataMigrator->migrateAllTables($sourceSchema, $options);
     }
 
+    /**
+     * Incremental migration - ALTER statements that bring the target in line with a SQL dump
+     */
+    public function generateIncrementalMigration($targetModel, string $sql, array $options = []): array
+    {
+        $migrator = $this->createIncrementalMigrator($targetModel, $options);
+        
+        $this->debug("Generating incremental migration", [
+            'target' => $this->getModelInfo($targetModel)
+        ]);
+        
+        return $migrator->generateFromSQL($sql);
+    }
+
     /**
      * Validate migration compatibility
      */
@@ -47,6 +47,7 @@ class SQLDumpTranslator
 {
     private Model $model;
     private array $defaultOptions;
+    private $progressCallback = null;
 
     /**
      * Initialize with Enhanced Model integration
@@ -157,6 +158,14 @@ class SQLDumpTranslator
         }
     }
 
+    /**
+     * Report translation progress to a callback (see SchemaTranslator::setProgressCallback)
+     */
+    public function setProgressCallback(?callable $callback): void
+    {
+        $this->progressCallback = $callback;
+    }
+
     /**
      * Translate SQL content directly
      *
@@ -198,6 +207,7 @@ class SQLDumpTranslator
             $translator->setDebugCallback(function($message, $context = []) {
                 $this->debugLog("SchemaTranslator: $message", DebugLevel::VERBOSE, $context);
             });
+            $translator->setProgressCallback($this->progressCallback);
 
             // Perform the actual translation (includes dependency sorting)
             $this->debugLog("Executing schema translation", DebugLevel::DETAILED);
@@ -0,0 +1,657 @@
+<?php
+
+require_once dirname(__DIR__, 2) . '/engine/schema/core/SchemaExtractor.php';
+require_once dirname(__DIR__, 2) . '/engine/schema/core/SchemaDumpExtractor.php';
+require_once dirname(__DIR__, 2) . '/engine/schema/core/SchemaRenderer.php';
+require_once dirname(__DIR__, 2) . '/engine/schema/platforms/MySQLPlatform.php';
+require_once dirname(__DIR__, 2) . '/engine/schema/platforms/PostgreSQLPlatform.php';
+require_once dirname(__DIR__, 2) . '/engine/schema/platforms/SQLitePlatform.php';
+
+/**
+ * Incremental Migrator - ALTER-based migrations from a schema dump
+ *
+ * Compares the tables of a SQL dump with the live target database and
+ * generates the statements that bring the existing tables in line with the
+ * dump (new tables, added columns, type and nullability changes, added and
+ * dropped indexes, new foreign keys) instead of recreating them. Changes that
+ * cannot be made safely are written as commented-out statements, and so are
+ * drops of indexes missing from the dump unless drop_extra_indexes is set.
+ *
+ * @package Database\Migration
+ * @author Enhanced Model System
+ * @version 1.0.0
+ */
+class IncrementalMigrator
+{
+    private $targetModel;
+    private array $options;
+    private string $databaseType;
+    private $platform;
+    private $renderer;
+    private array $warnings = [];
+    private $debugCallback = null;
+
+    /**
+     * Kinds of change, in the order they are counted in the summary
+     */
+    private const CHANGE_KINDS = [
+        'create_table',
+        'add_column',
+        'modify_column',
+        'add_index',
+        'drop_index',
+        'add_foreign_key',
+        'manual'
+    ];
+
+    /**
+     * Initialize migrator for the database of the target model
+     */
+    public function __construct($targetModel, array $options = [])
+    {
+        $this->targetModel = $targetModel;
+        $this->options = array_merge([
+            'drop_extra_indexes' => false,
+            'add_header_comments' => true
+        ], $options);
+
+        $this->databaseType = $this->detectDatabaseType($targetModel);
+
+        switch ($this->databaseType) {
+            case 'postgresql':
+                $this->platform = new PostgreSQLPlatform();
+                break;
+            case 'sqlite':
+                $this->platform = new SQLitePlatform();
+                break;
+            default:
+                $this->platform = new MySQLPlatform();
+        }
+
+        $this->renderer = new SchemaRenderer($this->platform);
+    }
+
+    /**
+     * Set debug callback
+     */
+    public function setDebugCallback(?callable $callback): void
+    {
+        $this->debugCallback = $callback;
+        $this->renderer->setDebugCallback($callback);
+    }
+
+    /**
+     * Generate the migration for SQL written for the target database
+     *
+     * Only the schema of the SQL is used; its INSERT statements are ignored.
+     */
+    public function generateFromSQL(string $sql): array
+    {
+        $extractor = new SchemaDumpExtractor(['process_insert_statements' => false]);
+        $tables = $extractor->convertStatementsToSchema($sql, $this->databaseType);
+
+        $schemaExtractor = new SchemaExtractor();
+        if ($this->debugCallback) {
+            $schemaExtractor->setDebugCallback($this->debugCallback);
+        }
+
+        return $this->generate($tables, $schemaExtractor->extractFullSchema($this->targetModel));
+    }
+
+    /**
+     * Generate the migration from Table objects and a SchemaExtractor schema
+     *
+     * Returns the script, the list of changes it is made of, counts per kind
+     * of change and the warnings raised while generating it.
+     */
+    public function generate(array $tables, array $liveSchema): array
+    {
+        $this->warnings = [];
+
+        // Table names are matched case-insensitively
+        $live = [];
+        foreach ($liveSchema as $table) {
+            if (is_array($table)) {
+                $live[strtolower($table['name'])] = $table;
+            }
+        }
+
+        $changes = [];
+        foreach ($tables as $table) {
+            $current = $live[strtolower($table->getName())] ?? null;
+
+            if ($current === null) {
+                $changes = array_merge($changes, $this->createTable($table));
+            } else {
+                $changes = array_merge($changes, $this->diffColumns($table, $current), $this->diffIndexes($table, $current));
+            }
+        }
+
+        // Foreign keys go last, once every table they reference exists
+        foreach ($tables as $table) {
+            $changes = array_merge($changes, $this->diffForeignKeys($table, $live[strtolower($table->getName())] ?? null));
+        }
+
+        foreach ($this->renderer->getWarnings() as $warning) {
+            $this->addWarning($warning);
+        }
+
+        $summary = array_fill_keys(self::CHANGE_KINDS, 0);
+        foreach ($changes as $change) {
+            $summary[$change['kind']]++;
+        }
+
+        $this->debug("Generated " . count($changes) . " change(s) for {$this->databaseType}");
+
+        return [
+            'target_type' => $this->databaseType,
+            'sql' => $this->buildScript($changes),
+            'changes' => $changes,
+            'summary' => $summary,
+            'warnings' => $this->warnings
+        ];
+    }
+
+    /**
+     * Get warnings raised by the last generation
+     */
+    public function getWarnings(): array
+    {
+        return $this->warnings;
+    }
+
+    /**
+     * Spelling-independent form of a column type
+     *
+     * Integer display widths and the aliases databases report for the same
+     * type are ignored, so a dump and its own database compare as identical.
+     */
+    public static function normalizeType(string $type): string
+    {
+        $type = preg_replace('/\s+/', ' ', strtolower(trim($type)));
+        $type = preg_replace(['/\s*\(\s*/', '/\s*,\s*/', '/\s*\)/'], ['(', ',', ')'], $type);
+        $type = preg_replace('/^(tinyint|smallint|mediumint|int|integer|bigint)\(\d+\)/', '$1', $type);
+
+        $aliases = [
+            'integer' => 'int',
+            'int4' => 'int',
+            'serial' => 'int',
+            'int8' => 'bigint',
+            'bigserial' => 'bigint',
+            'int2' => 'smallint',
+            'smallserial' => 'smallint',
+            'bool' => 'boolean',
+            'character varying' => 'varchar',
+            'character' => 'char',
+            'double precision' => 'double',
+            'float8' => 'double',
+            'timestamp without time zone' => 'timestamp',
+            'timestamp with time zone' => 'timestamptz'
+        ];
+
+        return preg_replace_callback(
+            '/^(' . implode('|', array_map('preg_quote', array_keys($aliases))) . ')(?=\(|\s|$)/',
+            fn($matches) => $aliases[$matches[1]],
+            $type
+        );
+    }
+
+    /**
+     * CREATE TABLE and CREATE INDEX statements for a table the database lacks
+     */
+    private function createTable(Table $table): array
+    {
+        $statements = array_merge([$this->renderer->renderTable($table)], $this->renderer->renderIndexes($table));
+
+        return [$this->change($table->getName(), 'create_table', "Create table {$table->getName()}", implode("\n", $statements))];
+    }
+
+    /**
+     * Added, changed and left-over columns of an existing table
+     */
+    private function diffColumns(Table $table, array $live): array
+    {
+        $changes = [];
+        $tableName = $table->getName();
+        $rowCount = (int) ($live['row_count'] ?? 0);
+        $primaryKey = $table->getPrimaryKey();
+        $primaryColumns = $primaryKey ? $primaryKey->getColumnNames() : [];
+
+        $liveColumns = [];
+        foreach ($live['columns'] as $column) {
+            $liveColumns[strtolower($column['name'])] = $column;
+        }
+
+        $seen = [];
+        $previous = null;
+        foreach ($table->getOrderedColumns() as $column) {
+            $key = strtolower($column->getName());
+            $seen[$key] = true;
+            $isPrimary = in_array($column->getName(), $primaryColumns, true);
+
+            if (!isset($liveColumns[$key])) {
+                $changes[] = $this->addColumn($table, $column, $previous, $isPrimary, $rowCount);
+            } elseif ($change = $this->modifyColumn($table, $column, $liveColumns[$key], $isPrimary, $rowCount)) {
+                $changes[] = $change;
+            }
+
+            $previous = $column->getName();
+        }
+
+        // Columns the dump no longer has are kept: dropping them loses data
+        foreach ($live['columns'] as $column) {
+            if (!isset($seen[strtolower($column['name'])])) {
+                $changes[] = $this->change(
+                    $tableName,
+                    'manual',
+                    "Column {$column['name']} is not in the dump and is kept",
+                    'ALTER TABLE ' . $this->quote($tableName) . ' DROP COLUMN ' . $this->quote($column['name']),
+                    true
+                );
+            }
+        }
+
+        $liveKey = array_map('strtolower', array_column(array_filter($live['columns'], fn($column) => !empty($column['primary_key'])), 'name'));
+        $incomingKey = array_map('strtolower', $primaryColumns);
+        sort($liveKey);
+        sort($incomingKey);
+
+        if ($liveKey !== $incomingKey) {
+            $this->addWarning("Primary key of {$tableName} differs from the dump and has to be changed by hand");
+            $changes[] = $this->change(
+                $tableName,
+                'manual',
+                'Primary key differs from the dump (' . (implode(', ', $primaryColumns) ?: 'none') . '); change it by hand',
+                '',
+                true
+            );
+        }
+
+        return $changes;
+    }
+
+    /**
+     * ADD COLUMN for a column the existing table lacks
+     */
+    private function addColumn(Table $table, Column $column, ?string $previous, bool $isPrimary, int $rowCount): array
+    {
+        $tableName = $table->getName();
+        $columnName = $column->getName();
+        $sql = 'ALTER TABLE ' . $this->quote($tableName) . ' ADD COLUMN ' . $this->platform->getColumnSQL($column, $table);
+
+        if ($this->databaseType === 'mysql') {
+            $sql .= $previous === null ? ' FIRST' : ' AFTER ' . $this->quote($previous);
+        }
+
+        $requiresValue = !$column->isNullable() && $column->getDefault() === null && !$column->isAutoIncrement();
+
+        if ($isPrimary) {
+            $this->addWarning("Column {$tableName}.{$columnName} belongs to the primary key and has to be added by hand");
+            return $this->change($tableName, 'manual', "Add primary key column {$columnName}", $sql, true);
+        }
+
+        if ($this->databaseType === 'sqlite' && $requiresValue) {
+            $this->addWarning("SQLite cannot add NOT NULL column {$tableName}.{$columnName} without a default; rebuild the table instead");
+            return $this->change($tableName, 'manual', "Add column {$columnName}", $sql, true);
+        }
+
+        if ($this->databaseType === 'postgresql' && $requiresValue && $rowCount > 0) {
+            $this->addWarning("Column {$tableName}.{$columnName} is NOT NULL without a default; adding it fails while {$tableName} has rows");
+        }
+
+        return $this->change($tableName, 'add_column', "Add column {$columnName}", $sql);
+    }
+
+    /**
+     * Type and nullability changes of a column both sides have, or null if it is unchanged
+     */
+    private function modifyColumn(Table $table, Column $column, array $live, bool $isPrimary, int $rowCount): ?array
+    {
+        $tableName = $table->getName();
+        $columnName = $column->getName();
+        $incomingType = $this->platform->getColumnTypeSQL($column);
+        $liveType = $this->getLiveType($live);
+        $nullable = $column->isNullable() && !$column->isAutoIncrement() && !$isPrimary;
+
+        // The type as written in the dump counts too, since the database keeps what it was given
+        $liveNormalized = self::normalizeType($liveType);
+        $typeChanged = self::normalizeType($incomingType) !== $liveNormalized
+            && self::normalizeType($this->getDeclaredType($column)) !== $liveNormalized;
+        // SQLite reports INTEGER PRIMARY KEY columns as nullable
+        $nullChanged = $nullable !== ((bool) $live['null'] && empty($live['primary_key']));
+
+        if (!$typeChanged && !$nullChanged) {
+            return null;
+        }
+
+        $details = [];
+        if ($typeChanged) {
+            $details[] = "type {$liveType} to {$incomingType}";
+            if ($rowCount > 0) {
+                $this->addWarning("Changing {$tableName}.{$columnName} from {$liveType} to {$incomingType} may truncate or reject existing values");
+            }
+        }
+        if ($nullChanged) {
+            $details[] = $nullable ? 'NOT NULL to NULL' : 'NULL to NOT NULL';
+            if (!$nullable && $rowCount > 0) {
+                $this->addWarning("Making {$tableName}.{$columnName} NOT NULL fails if existing rows hold NULL");
+            }
+        }
+        $description = "Change column {$columnName}: " . implode(', ', $details);
+        $quotedTable = $this->quote($tableName);
+
+        switch ($this->databaseType) {
+            case 'mysql':
+                return $this->change($tableName, 'modify_column', $description, "ALTER TABLE {$quotedTable} MODIFY COLUMN " . $this->platform->getColumnSQL($column, $table));
+
+            case 'postgresql':
+                $quotedColumn = $this->quote($columnName);
+                $statements = [];
+                if ($typeChanged) {
+                    // SERIAL is only valid in CREATE TABLE
+                    $baseTypes = ['SERIAL' => 'INTEGER', 'BIGSERIAL' => 'BIGINT', 'SMALLSERIAL' => 'SMALLINT'];
+                    $type = $baseTypes[$incomingType] ?? $incomingType;
+                    $statements[] = "ALTER TABLE {$quotedTable} ALTER COLUMN {$quotedColumn} TYPE {$type} USING {$quotedColumn}::{$type};";
+                }
+                if ($nullChanged) {
+                    $statements[] = "ALTER TABLE {$quotedTable} ALTER COLUMN {$quotedColumn} " . ($nullable ? 'DROP' : 'SET') . ' NOT NULL;';
+                }
+                return $this->change($tableName, 'modify_column', $description, implode("\n", $statements));
+
+            default:
+                $this->addWarning("SQLite cannot change column {$tableName}.{$columnName} ({$description}); rebuild the table instead");
+                return $this->change($tableName, 'manual', $description . ' (SQLite needs the table rebuilt)', '', true);
+        }
+    }
+
+    /**
+     * Indexes to create, recreate and drop on an existing table
+     *
+     * Indexes match by name, or by columns and uniqueness when the database
+     * named them differently.
+     */
+    private function diffIndexes(Table $table, array $live): array
+    {
+        $tableName = $table->getName();
+        $liveIndexes = $live['indexes'];
+        $matched = [];
+        $drops = [];
+        $creates = [];
+
+        foreach ($table->getIndexes() as $index) {
+            if ($index->isPrimary() || !$index->isSupportedBy($this->databaseType)) {
+                continue;
+            }
+
+            $columns = array_map('strtolower', $index->getColumnNames());
+            $byName = null;
+            $byShape = null;
+
+            foreach ($liveIndexes as $i => $liveIndex) {
+                if (isset($matched[$i])) {
+                    continue;
+                }
+                $sameShape = array_map('strtolower', array_column($liveIndex['columns'], 'name')) === $columns
+                    && (bool) $liveIndex['unique'] === $index->isUnique();
+
+                if (strtolower($liveIndex['name']) === strtolower($index->getName())) {
+                    $byName = [$i, $sameShape];
+                } elseif ($sameShape && $byShape === null) {
+                    $byShape = $i;
+                }
+            }
+
+            if ($byName !== null) {
+                $matched[$byName[0]] = true;
+                if ($byName[1]) {
+                    continue;
+                }
+                $drops[] = $this->dropIndex($tableName, $index->getName(), "Drop index {$index->getName()} to recreate it as in the dump");
+            } elseif ($byShape !== null) {
+                $matched[$byShape] = true;
+                continue;
+            }
+
+            $creates[] = $this->change($tableName, 'add_index', "Add index {$index->getName()}", $this->createIndexSQL($tableName, $index));
+        }
+
+        // Indexes added to the database by hand are often wanted, so they are only dropped when asked to
+        foreach ($liveIndexes as $i => $liveIndex) {
+            if (!isset($matched[$i]) && !$this->isImplicitIndex($liveIndex, $live)) {
+                $drops[] = $this->dropIndex(
+                    $tableName,
+                    $liveIndex['name'],
+                    "Drop index {$liveIndex['name']}, which is not in the dump",
+                    !$this->options['drop_extra_indexes']
+                );
+            }
+        }
+
+        return array_merge($drops, $creates);
+    }
+
+    /**
+     * Foreign keys of the dump the table does not have yet
+     */
+    private function diffForeignKeys(Table $table, ?array $live): array
+    {
+        $changes = [];
+        $tableName = $table->getName();
+
+        foreach ($table->getForeignKeys() as $constraint) {
+            if ($live !== null && $this->hasForeignKey($live, $constraint)) {
+                continue;
+            }
+
+            $description = "Add foreign key {$constraint->getName()} to {$constraint->getReferencedTable()}";
+            $sql = $this->renderer->renderAlterTableConstraint($table, $constraint);
+            if ($sql === '') {
+                continue;
+            }
+
+            if ($this->databaseType === 'sqlite') {
+                $this->addWarning("SQLite only creates foreign keys with the table; {$constraint->getName()} on {$tableName} is not added");
+                $changes[] = $this->change($tableName, 'manual', $description, $sql, true);
+            } else {
+                $changes[] = $this->change($tableName, 'add_foreign_key', $description, $sql);
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Whether the live table has a foreign key on the same columns to the same table
+     */
+    private function hasForeignKey(array $live, Constraint $constraint): bool
+    {
+        // The extractor returns one row per foreign key column
+        $foreignKeys = [];
+        foreach ($live['constraints'] as $row) {
+            if (($row['type'] ?? '') === 'foreign_key') {
+                $foreignKeys[$row['name']]['table'] = strtolower($row['references_table']);
+                $foreignKeys[$row['name']]['columns'][] = strtolower($row['column']);
+            }
+        }
+
+        $columns = array_map('strtolower', array_values($constraint->getColumns()));
+        foreach ($foreignKeys as $foreignKey) {
+            if ($foreignKey['table'] === strtolower($constraint->getReferencedTable()) && $foreignKey['columns'] === $columns) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Indexes the database maintains itself and that must not be dropped
+     */
+    private function isImplicitIndex(array $index, array $live): bool
+    {
+        if (stripos($index['name'], 'sqlite_autoindex_') === 0) {
+            return true;
+        }
+
+        // Indexes backing a foreign key
+        $columns = array_map('strtolower', array_column($index['columns'], 'name'));
+        foreach ($live['constraints'] as $constraint) {
+            if (($constraint['type'] ?? '') !== 'foreign_key') {
+                continue;
+            }
+            if (strtolower($constraint['name']) === strtolower($index['name'])
+                || ($this->databaseType === 'mysql' && ($columns[0] ?? null) === strtolower($constraint['column']))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private function createIndexSQL(string $tableName, Index $index): string
+    {
+        $kind = '';
+        if ($index->isUnique()) {
+            $kind = 'UNIQUE ';
+        } elseif ($index->isFulltext()) {
+            $kind = 'FULLTEXT ';
+        }
+
+        $columns = implode(', ', array_map([$this->platform, 'quoteIdentifier'], $index->getColumnNames()));
+
+        return "CREATE {$kind}INDEX " . $this->quote($index->getName()) . ' ON ' . $this->quote($tableName) . " ({$columns})";
+    }
+
+    private function dropIndex(string $tableName, string $indexName, string $description, bool $manual = false): array
+    {
+        $sql = 'DROP INDEX ' . $this->quote($indexName);
+        if ($this->databaseType === 'mysql') {
+            $sql .= ' ON ' . $this->quote($tableName);
+        }
+
+        return $this->change($tableName, $manual ? 'manual' : 'drop_index', $description, $sql, $manual);
+    }
+
+    /**
+     * Change entry; manual changes are commented out in the script and may
+     * have no statement at all
+     */
+    private function change(string $table, string $kind, string $description, string $sql, bool $manual = false): array
+    {
+        $sql = $sql === '' ? '' : rtrim($sql, "; \n") . ';';
+        if ($manual && $sql !== '') {
+            $sql = '-- ' . str_replace("\n", "\n-- ", $sql);
+        }
+
+        return [
+            'table' => $table,
+            'kind' => $kind,
+            'description' => $description,
+            'sql' => $sql,
+            'manual' => $manual
+        ];
+    }
+
+    /**
+     * The migration script, grouped by table
+     */
+    private function buildScript(array $changes): string
+    {
+        $lines = [];
+
+        if ($this->options['add_header_comments']) {
+            $lines[] = '-- Incremental migration for ' . $this->databaseType;
+            $lines[] = '-- Generated: ' . date('Y-m-d H:i:s');
+            $lines[] = '-- Brings the existing tables in line with the dump without recreating them.';
+            $lines[] = '-- Data from the dump is not included; commented-out statements need a manual decision.';
+        }
+
+        if (empty($changes)) {
+            $lines[] = '-- The database already matches the dump; there is nothing to migrate.';
+            return implode("\n", $lines) . "\n";
+        }
+
+        $currentTable = null;
+        foreach ($changes as $change) {
+            if ($change['table'] !== $currentTable) {
+                $currentTable = $change['table'];
+                $lines[] = '';
+                $lines[] = '-- Table: ' . $currentTable;
+            }
+            $lines[] = '-- ' . $change['description'];
+            if ($change['sql'] !== '') {
+                $lines[] = $change['sql'];
+            }
+        }
+
+        return implode("\n", $lines) . "\n";
+    }
+
+    /**
+     * Column type as reported by SchemaExtractor
+     */
+    private function getLiveType(array $column): string
+    {
+        if (isset($column['full_type'])) {
+            return (string) $column['full_type'];
+        }
+
+        $type = (string) $column['type'];
+        if (!empty($column['max_length'])) {
+            $type .= '(' . $column['max_length'] . ')';
+        } elseif (in_array(strtolower($type), ['numeric', 'decimal'], true) && !empty($column['precision'])) {
+            $type .= '(' . $column['precision'] . ',' . (int) $column['scale'] . ')';
+        }
+
+        return $type;
+    }
+
+    /**
+     * Column type as written in the dump
+     */
+    private function getDeclaredType(Column $column): string
+    {
+        $type = $column->getType();
+
+        if ($column->getLength() !== null) {
+            $type .= '(' . $column->getLength() . ')';
+        } elseif ($column->getPrecision() !== null) {
+            $type .= '(' . $column->getPrecision() . ($column->getScale() !== null ? ',' . $column->getScale() : '') . ')';
+        } elseif ($column->getEnumValues()) {
+            $type .= "('" . implode("','", $column->getEnumValues()) . "')";
+        }
+
+        return $column->isUnsigned() ? $type . ' unsigned' : $type;
+    }
+
+    private function quote(string $identifier): string
+    {
+        return $this->platform->quoteIdentifier($identifier);
+    }
+
+    /**
+     * Detect database type from model
+     */
+    private function detectDatabaseType($model): string
+    {
+        $driver = $model->getPDO()->getAttribute(PDO::ATTR_DRIVER_NAME);
+
+        return $driver === 'pgsql' ? 'postgresql' : $driver;
+    }
+
+    private function addWarning(string $warning): void
+    {
+        $this->warnings[] = $warning;
+        $this->debug("Warning: $warning");
+    }
+
+    /**
+     * Debug logging
+     */
+    private function debug(string $message, array $context = []): void
+    {
+        if ($this->debugCallback) {
+            call_user_func($this->debugCallback, "[IncrementalMigrator] $message", $context);
+        }
+    }
+}
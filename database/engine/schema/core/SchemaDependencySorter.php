@@ -19,6 +19,7 @@
  * - Sorts tables for dependency-safe DROP operations.
  * - Implements a topological sort (Kahn's algorithm).
  * - Detects and throws an exception for circular dependencies.
+ * - Lists the tables involved in circular dependencies.
  *
  * @package Database\Schema\Core
  * @author Enhanced Model System
@@ -39,23 +40,8 @@ class SchemaDependencySorter
             $byName[$table->getName()] = $table;
         }
 
-        // Build dependency graph: $deps[table] = [table names it depends on]
-        $deps = [];
-        foreach ($tables as $table) {
-            $name = $table->getName();
-            $deps[$name] = [];
-            foreach ($table->getConstraints() as $constraint) {
-                if ($constraint->isForeignKey()) {
-                    $depTable = $constraint->getReferencedTable();
-                    if ($depTable && $depTable !== $name && isset($byName[$depTable])) {
-                        $deps[$name][] = $depTable;
-                    }
-                }
-            }
-        }
-
         // Topological sort
-        $orderedNames = $this->topoSort($deps);
+        $orderedNames = $this->topoSort($this->buildDependencies($tables));
 
         // Return ordered Table objects
         $ordered = [];
@@ -75,6 +61,89 @@ class SchemaDependencySorter
         return array_reverse($this->sortForCreate($tables));
     }
 
+    /**
+     * Find the circular dependencies that make a dependency-safe order impossible.
+     * Self-references are not cycles here, since sorting ignores them.
+     * @param Table[] $tables
+     * @return array Lists of table names, one list per group of tables depending on each other
+     */
+    public function findCycles(array $tables): array
+    {
+        $deps = $this->buildDependencies($tables);
+        $index = [];
+        $lowLink = [];
+        $stack = [];
+        $onStack = [];
+        $cycles = [];
+        $counter = 0;
+
+        // Tarjan's strongly connected components; groups of two or more tables are cycles
+        $visit = function (string $table) use (&$visit, &$deps, &$index, &$lowLink, &$stack, &$onStack, &$cycles, &$counter): void {
+            $index[$table] = $lowLink[$table] = $counter++;
+            $stack[] = $table;
+            $onStack[$table] = true;
+
+            foreach ($deps[$table] as $dep) {
+                if (!isset($index[$dep])) {
+                    $visit($dep);
+                    $lowLink[$table] = min($lowLink[$table], $lowLink[$dep]);
+                } elseif (!empty($onStack[$dep])) {
+                    $lowLink[$table] = min($lowLink[$table], $index[$dep]);
+                }
+            }
+
+            if ($lowLink[$table] === $index[$table]) {
+                $component = [];
+                do {
+                    $member = array_pop($stack);
+                    $onStack[$member] = false;
+                    $component[] = $member;
+                } while ($member !== $table);
+
+                if (count($component) > 1) {
+                    $cycles[] = array_reverse($component);
+                }
+            }
+        };
+
+        foreach (array_keys($deps) as $table) {
+            if (!isset($index[$table])) {
+                $visit($table);
+            }
+        }
+
+        return $cycles;
+    }
+
+    /**
+     * Build the dependency graph: $deps[table] = [table names it references]
+     * @param Table[] $tables
+     * @return array
+     */
+    private function buildDependencies(array $tables): array
+    {
+        $names = [];
+        foreach ($tables as $table) {
+            $names[$table->getName()] = true;
+        }
+
+        $deps = [];
+        foreach ($tables as $table) {
+            $name = $table->getName();
+            $deps[$name] = [];
+            foreach ($table->getConstraints() as $constraint) {
+                if ($constraint->isForeignKey()) {
+                    $depTable = $constraint->getReferencedTable();
+                    if ($depTable && $depTable !== $name && isset($names[$depTable])) {
+                        $deps[$name][] = $depTable;
+                    }
+                }
+            }
+        }
+
+        return $deps;
+    }
+
     /**
      * Topological sort utility (Kahn’s algorithm)
      * @param array $deps [table => array of dependencies]
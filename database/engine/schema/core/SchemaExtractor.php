@@ -46,7 +46,7 @@ class SchemaExtractor
     public function extractFullSchema($model): array
     {
         $pdo = $model->getPDO();
-        $databaseType = strtolower($pdo->getAttribute(PDO::ATTR_DRIVER_NAME));
+        $databaseType = $this->getDatabaseType($pdo);
 
         $this->debug("Extracting full schema", ['database_type' => $databaseType]);
 
@@ -68,7 +68,7 @@ class SchemaExtractor
     public function extractTable($model, string $tableName): ?array
     {
         $pdo = $model->getPDO();
-        $databaseType = strtolower($pdo->getAttribute(PDO::ATTR_DRIVER_NAME));
+        $databaseType = $this->getDatabaseType($pdo);
 
         $cacheKey = $databaseType . '_' . $tableName;
         if (isset($this->extractionCache[$cacheKey])) {
@@ -99,6 +99,15 @@ class SchemaExtractor
         }
     }
 
+    /**
+     * Database type of a connection; the PDO driver of PostgreSQL is named pgsql
+     */
+    private function getDatabaseType(PDO $pdo): string
+    {
+        $driver = strtolower($pdo->getAttribute(PDO::ATTR_DRIVER_NAME));
+        return $driver === 'pgsql' ? 'postgresql' : $driver;
+    }
+
     /**
      * Get table names using proven methods from backup strategies
      */
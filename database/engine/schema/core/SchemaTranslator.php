@@ -52,6 +52,7 @@ class SchemaTranslator
 
     private array $options = [];
     private $debugCallback = null;
+    private $progressCallback = null;
     private ?SchemaDependencySorter $dependencySorter = null;
     private SchemaDumpExtractor $dumpExtractor;
 
@@ -128,6 +129,18 @@ class SchemaTranslator
         $this->dumpExtractor->setDebugCallback($callback); // Pass down to extractor
     }
 
+    /**
+     * Set progress callback, called as fn(string $phase, int $done, int $total, ?string $table)
+     *
+     * Phases: 'parse' once the dump is parsed (done = tables found),
+     * 'translate' after each table is transformed, 'render' after each
+     * table's SQL is rendered.
+     */
+    public function setProgressCallback(?callable $callback): void
+    {
+        $this->progressCallback = $callback;
+    }
+
     /**
      * Register a platform
      */
@@ -186,6 +199,7 @@ class SchemaTranslator
             'table_count' => count($tables),
             'table_names' => array_keys($tables)
         ]);
+        $this->progress('parse', count($tables), count($tables));
 
         // Transform schema objects for target database
         $transformedTables = $this->transformSchema($tables, $sourceDB, $targetDB);
@@ -232,9 +246,12 @@ class SchemaTranslator
         }
 
         $transformed = [];
+        $tableCount = count($tables);
+        $tablesDone = 0;
 
         foreach ($tables as $tableName => $table) {
             $this->debug("Transforming table: $tableName");
+            $this->progress('translate', $tablesDone++, $tableCount, $tableName);
 
             try {
                 $transformedTable = $transformer->transformTable($table, $sourceDB, $targetDB);
@@ -287,6 +304,8 @@ class SchemaTranslator
             }
         }
 
+        $this->progress('translate', $tableCount, $tableCount);
+
         return $transformed;
     }
 
@@ -480,8 +499,12 @@ class SchemaTranslator
      */
     private function renderTablesSequentially(array $tables, SchemaRenderer $renderer, array &$sql): void
     {
+        $tableCount = count($tables);
+        $tablesDone = 0;
+
         foreach ($tables as $table) {
             $this->debug("Rendering table: " . $table->getName());
+            $this->progress('render', $tablesDone++, $tableCount, $table->getName());
 
             $sql[] = '-- Table structure for table: ' . $table->getName();
             $tableSQL = $renderer->renderTable($table);
@@ -521,6 +544,8 @@ class SchemaTranslator
     {
         // Group tables by dependency level for clearer output
         $dependencyLevels = $this->analyzeDependencyLevels($tables);
+        $tableCount = count($tables);
+        $tablesDone = 0;
 
         foreach ($dependencyLevels as $level => $levelTables) {
             if ($this->options['add_dependency_comments']) {
@@ -529,6 +554,7 @@ class SchemaTranslator
 
             foreach ($levelTables as $table) {
                 $this->debug("Rendering table: " . $table->getName() . " (level $level)");
+                $this->progress('render', $tablesDone++, $tableCount, $table->getName());
 
                 $sql[] = '-- Table structure for table: ' . $table->getName();
                 $tableSQL = $renderer->renderTable($table);
@@ -844,6 +870,13 @@ class SchemaTranslator
         }
     }
 
+    private function progress(string $phase, int $done, int $total, ?string $table = null): void
+    {
+        if ($this->progressCallback) {
+            call_user_func($this->progressCallback, $phase, $done, $total, $table);
+        }
+    }
+
     /**
      * Check if dependency sorting is enabled
      */
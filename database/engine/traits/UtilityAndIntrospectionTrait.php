@@ -772,7 +772,7 @@ trait UtilityAndIntrospectionTrait {
     public function migration(): DatabaseMigrationFactory
     {
         if ($this->migrationFactory === null) {
-            require_once dirname(__FILE__) . '/factories/DatabaseMigration.php';
+            require_once dirname(__DIR__) . '/factories/DatabaseMigration.php';
 
             $this->migrationFactory = new DatabaseMigrationFactory($this, [
                 'default_chunk_size' => 1000,
@@ -1115,6 +1115,20 @@ trait UtilityAndIntrospectionTrait {
         return $this->lastError;
     }
 
+    /**
+     * Get the number of rows affected by the last statement run through exec()
+     * 
+     * @return int Affected rows, or 0 if nothing has been executed yet
+     * 
+     * @example
+     * $model->exec("UPDATE users SET active = 1 WHERE active IS NULL");
+     * echo $model->getAffectedRows() . " users activated";
+     */
+    public function getAffectedRows(): int
+    {
+        return isset($this->stmt) ? $this->stmt->rowCount() : 0;
+    }
+
     /**
      * Format bytes to human-readable string
      * 
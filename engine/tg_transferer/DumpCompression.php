@@ -0,0 +1,240 @@
+<?php
+
+/**
+ * Dump Compression
+ *
+ * Reads SQL dumps stored as plain .sql, gzipped .sql.gz or single-entry .zip
+ * files, so every transferer action sees the same SQL text whatever the
+ * dump arrived as.
+ *
+ * @package Trongate\TgTransferer
+ * @version 1.0.0
+ */
+class DumpCompression
+{
+    /**
+     * Largest decompressed dump in bytes; guards against decompression bombs
+     */
+    public const MAX_UNCOMPRESSED_SIZE = 104857600;
+
+    /**
+     * Supported file name suffixes and the compression each one means
+     */
+    private static function getSuffixes(): array
+    {
+        return [
+            '.sql.gz' => 'gzip',
+            '.zip' => 'zip',
+            '.sql' => null
+        ];
+    }
+
+    /**
+     * Split a file name into its stem and supported suffix, null when unsupported
+     */
+    public static function splitName(string $name): ?array
+    {
+        foreach (array_keys(self::getSuffixes()) as $suffix) {
+            if (strlen($name) > strlen($suffix) && strcasecmp(substr($name, -strlen($suffix)), $suffix) === 0) {
+                return [substr($name, 0, -strlen($suffix)), strtolower($suffix)];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compression of a dump ('gzip' or 'zip'), null for plain SQL
+     */
+    public static function getCompression(string $path): ?string
+    {
+        $parts = self::splitName(basename($path));
+        return $parts ? self::getSuffixes()[$parts[1]] : null;
+    }
+
+    /**
+     * Name of the SQL inside a dump: the zip entry, or the file name without .gz
+     */
+    public static function getSqlName(string $path): string
+    {
+        $compression = self::getCompression($path);
+
+        if ($compression === 'zip' && is_file($path)) {
+            try {
+                [$zip, $index] = self::openZip($path);
+                $name = basename($zip->getNameIndex($index));
+                $zip->close();
+                return $name;
+            } catch (Exception $e) {
+                // Fall back to the archive name
+            }
+        }
+
+        $parts = self::splitName(basename($path));
+        return $parts && $compression !== null ? $parts[0] . '.sql' : basename($path);
+    }
+
+    /**
+     * Size of the SQL once decompressed, without decompressing it
+     *
+     * Gzip stores the size modulo 4 GB in its trailer, which is exact for
+     * every dump below the decompression limit.
+     */
+    public static function getUncompressedSize(string $path): int
+    {
+        switch (self::getCompression($path)) {
+            case 'gzip':
+                $handle = fopen($path, 'rb');
+                if ($handle === false || fseek($handle, -4, SEEK_END) !== 0) {
+                    throw new RuntimeException('Could not read the gzip file: ' . basename($path));
+                }
+                $size = unpack('V', fread($handle, 4))[1];
+                fclose($handle);
+                return $size;
+
+            case 'zip':
+                [$zip, $index] = self::openZip($path);
+                $size = $zip->statIndex($index)['size'];
+                $zip->close();
+                return $size;
+        }
+
+        return filesize($path);
+    }
+
+    /**
+     * Read the SQL text of a dump, decompressing it when needed
+     */
+    public static function read(string $path): string
+    {
+        switch (self::getCompression($path)) {
+            case 'gzip':
+                return self::readGzip($path);
+
+            case 'zip':
+                return self::readZip($path);
+        }
+
+        $sql = file_get_contents($path);
+        if ($sql === false) {
+            throw new RuntimeException('Could not read the SQL file: ' . basename($path));
+        }
+
+        return $sql;
+    }
+
+    private static function readGzip(string $path): string
+    {
+        // gzread would pass data without a gzip header through unchanged
+        if (strncmp((string) file_get_contents($path, false, null, 0, 2), "\x1f\x8b", 2) !== 0) {
+            throw new RuntimeException('Not a gzip file: ' . basename($path));
+        }
+
+        $handle = gzopen($path, 'rb');
+        if ($handle === false) {
+            throw new RuntimeException('Could not open the gzip file: ' . basename($path));
+        }
+
+        $sql = '';
+        while (!gzeof($handle)) {
+            $block = gzread($handle, 1048576);
+            if ($block === false) {
+                gzclose($handle);
+                throw new RuntimeException('The gzip file is corrupt: ' . basename($path));
+            }
+
+            $sql .= $block;
+            if (strlen($sql) > self::MAX_UNCOMPRESSED_SIZE) {
+                gzclose($handle);
+                throw new RuntimeException(self::getTooLargeMessage($path));
+            }
+        }
+        gzclose($handle);
+
+        return $sql;
+    }
+
+    private static function readZip(string $path): string
+    {
+        [$zip, $index] = self::openZip($path);
+
+        // The declared size rejects most oversized dumps early, but the archive
+        // can lie about it, so the limit is enforced on the bytes read as well
+        if ($zip->statIndex($index)['size'] > self::MAX_UNCOMPRESSED_SIZE) {
+            $zip->close();
+            throw new RuntimeException(self::getTooLargeMessage($path));
+        }
+
+        $handle = $zip->getStream($zip->getNameIndex($index));
+        if ($handle === false) {
+            $zip->close();
+            throw new RuntimeException('The zip file is corrupt: ' . basename($path));
+        }
+
+        $sql = '';
+        while (!feof($handle)) {
+            $block = fread($handle, 1048576);
+            if ($block === false) {
+                fclose($handle);
+                $zip->close();
+                throw new RuntimeException('The zip file is corrupt: ' . basename($path));
+            }
+
+            $sql .= $block;
+            if (strlen($sql) > self::MAX_UNCOMPRESSED_SIZE) {
+                fclose($handle);
+                $zip->close();
+                throw new RuntimeException(self::getTooLargeMessage($path));
+            }
+        }
+        fclose($handle);
+        $zip->close();
+
+        return $sql;
+    }
+
+    /**
+     * Open a zip archive and find its only SQL entry
+     *
+     * Directory entries and macOS resource forks do not count as entries.
+     */
+    private static function openZip(string $path): array
+    {
+        if (!class_exists('ZipArchive')) {
+            throw new RuntimeException('Reading .zip dumps requires the PHP zip extension');
+        }
+
+        $zip = new ZipArchive();
+        if ($zip->open($path) !== true) {
+            throw new RuntimeException('Could not open the zip file: ' . basename($path));
+        }
+
+        $entries = [];
+        for ($i = 0; $i < $zip->numFiles; $i++) {
+            $name = $zip->getNameIndex($i);
+            if (substr($name, -1) !== '/' && strpos($name, '__MACOSX/') !== 0) {
+                $entries[] = $i;
+            }
+        }
+
+        if (count($entries) !== 1) {
+            $zip->close();
+            throw new RuntimeException(sprintf(
+                'The zip file must contain exactly one SQL file, found %d: %s',
+                count($entries),
+                basename($path)
+            ));
+        }
+
+        return [$zip, $entries[0]];
+    }
+
+    private static function getTooLargeMessage(string $path): string
+    {
+        return sprintf(
+            'The decompressed dump is larger than %d MB: %s',
+            self::MAX_UNCOMPRESSED_SIZE / 1048576,
+            basename($path)
+        );
+    }
+}
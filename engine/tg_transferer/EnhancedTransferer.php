@@ -2,6 +2,8 @@
 
 require_once 'Transferer.php';
 require_once 'TransfererDetection.php';
+require_once 'DumpCompression.php';
+require_once 'TranslationWarnings.php';
 
 /**
  * Enhanced Transferer - SQL Import with Cross-Database Translation
@@ -21,9 +23,21 @@ require_once 'TransfererDetection.php';
  */
 class EnhancedTransferer extends Transferer
 {
+    // Seconds before cleanup() removes the cancellation flag of another operation
+    private const CANCEL_FLAG_LIFETIME = 86400;
+
+    // Bytes the history log may reach before it is rotated to transferer_history.1.jsonl
+    private const HISTORY_MAX_SIZE = 5242880;
+
     private $enhancedModelAvailable = false;
     private $sqlTranslator = null;
     private $currentAnalysis = null;
+    private $streamStartedAt = 0.0;
+    private $lastProgressAt = 0.0;
+    private $lastProgressPhase = '';
+    private $operationId = '';
+    private $historyContext = [];
+    private $lastCancelCheckAt = 0.0;
 
     public function __construct()
     {
@@ -74,12 +88,31 @@ class EnhancedTransferer extends Transferer
             die();
         }
 
+        // Long-running requests carry an id the client can cancel them by
+        $this->operationId = preg_replace('/[^A-Za-z0-9_]/', '', (string) ($data->operationId ?? ''));
+
         // Handle enhanced actions
         switch ($data->action) {
+            case 'uploadSql':
+                $this->upload_sql($data);
+                die();
+
+            case 'viewSql':
+                $this->view_sql($data->controllerPath ?? '');
+                die();
+
             case 'analyzeSql':
                 $this->analyze_sql($data->controllerPath);
                 die();
 
+            case 'analysisReport':
+                $this->analysis_report($data);
+                die();
+
+            case 'schemaSummary':
+                $this->schema_summary($data);
+                die();
+
             case 'translateSql':
                 $this->translate_sql($data);
                 die();
@@ -88,10 +121,60 @@ class EnhancedTransferer extends Transferer
                 $this->preview_translation($data);
                 die();
 
+            case 'validateSql':
+                $this->validate_sql($data);
+                die();
+
             case 'runSql':
                 require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
                 $safePath = DatabaseSecurity::validateRestorePath($data->targetFile);
-                $this->run_sql(file_get_contents($safePath));
+
+                // Translated runs execute a temporary file; the history names the file it came from
+                $this->historyContext = [
+                    'file' => !empty($data->originalFile) ? $data->originalFile : $safePath,
+                    'source_type' => $data->sourceType ?? null,
+                    'target_type' => $data->targetType ?? null,
+                    'edited' => !empty($data->edited)
+                ];
+
+                // Numbered parts of a split file carry their own SQL
+                if (isset($data->partIndex, $data->totalParts, $data->sqlCode)) {
+                    // Files over the size limit are not screened when listed, so each part is checked here
+                    if (!$this->check_sql($data->sqlCode) && empty($data->allowDangerous)) {
+                        http_response_code(409);
+                        header('Content-Type: application/json');
+                        echo json_encode([
+                            'success' => false,
+                            'dangerous' => true,
+                            'error' => 'Part ' . ((int) $data->partIndex + 1) . ' contains potentially dangerous SQL (DROP, UPDATE, TRUNCATE or DELETE)'
+                        ]);
+                        die();
+                    }
+
+                    $this->historyContext['part'] = ((int) $data->partIndex + 1) . '/' . (int) $data->totalParts;
+                    $this->run_sql($data->sqlCode);
+                    die();
+                }
+
+                $stream = !empty($data->stream);
+                if ($stream) {
+                    $this->startProgressStream();
+                }
+
+                // A statement selection runs only the chosen SQL and leaves the original file in place
+                if (!empty($data->selection) && isset($data->sqlCode)) {
+                    $this->historyContext['selection'] = (string) $data->selection;
+                    $this->run_sql((string) $data->sqlCode, $stream);
+                    $this->cleanup();
+                    die();
+                }
+
+                // SQL edited in the preview replaces the file (or the stored translation)
+                $sql = !empty($data->edited) && isset($data->sqlCode)
+                    ? (string) $data->sqlCode
+                    : DumpCompression::read($safePath);
+
+                $this->run_sql($sql, $stream);
                 if (isset($data->originalFile) && !empty($data->originalFile)) {
                     $originalSafePath = DatabaseSecurity::validateRestorePath($data->originalFile);
                     $this->delete_file($originalSafePath);
@@ -99,6 +182,52 @@ class EnhancedTransferer extends Transferer
                 $this->cleanup();
                 die();
 
+            case 'runSqlChunk':
+                $this->run_sql_chunk($data);
+                die();
+
+            case 'getImportStatus':
+                $this->get_import_status($data);
+                die();
+
+            case 'cancelOperation':
+                $this->cancel_operation();
+                die();
+
+            case 'dryRunSql':
+                $this->dry_run_sql($data);
+                die();
+
+            case 'compareSchema':
+                $this->compare_schema($data);
+                die();
+
+            case 'generateMigration':
+                $this->generate_migration($data);
+                die();
+
+            case 'createBackup':
+                $this->create_backup();
+                die();
+
+            case 'restoreBackup':
+                $this->restore_backup($data);
+                die();
+
+            case 'getHistory':
+                $this->get_history();
+                die();
+
+            case 'deleteFile':
+                // Same check the parent uses to decide whether the delete succeeds
+                $deletable = isset($data->targetFile) && file_exists($data->targetFile) && is_writable($data->targetFile);
+                $this->recordHistory('delete', $deletable ? 'success' : 'error', [
+                    'file' => $data->targetFile ?? null,
+                    'error' => $deletable ? null : 'File not found or not writable'
+                ]);
+                parent::process_post();
+                break;
+
             default:
                 // Fall back to parent implementation for standard actions
                 parent::process_post();
@@ -106,6 +235,203 @@ class EnhancedTransferer extends Transferer
         }
     }
 
+    /**
+     * Save a SQL dump uploaded from the browser
+     *
+     * The file goes to the upload directory under its own (sanitized) name and
+     * is then processed like the SQL files found in module directories.
+     * Compressed dumps arrive base64-encoded and are stored as they are.
+     */
+    private function upload_sql($data): void
+    {
+        header('Content-Type: application/json');
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+
+        $name = basename(str_replace('\\', '/', (string) ($data->fileName ?? '')));
+        $path = null;
+
+        try {
+            $nameParts = DumpCompression::splitName($name);
+            if ($nameParts === null) {
+                throw new InvalidArgumentException('Only .sql, .sql.gz and .zip files can be uploaded');
+            }
+
+            if ($nameParts[1] === '.sql') {
+                $content = isset($data->sqlCode) && is_string($data->sqlCode) ? $data->sqlCode : '';
+            } else {
+                $content = base64_decode((string) ($data->content ?? ''), true);
+                if ($content === false) {
+                    throw new InvalidArgumentException('The compressed upload is not valid base64');
+                }
+            }
+
+            $size = strlen($content);
+            if ($size === 0 || trim($content) === '') {
+                throw new InvalidArgumentException('The uploaded file is empty');
+            }
+
+            if ($size > $this->getMaxUploadSize()) {
+                throw new InvalidArgumentException(sprintf(
+                    'The uploaded file is %s MB; uploads are limited to %s MB',
+                    round($size / 1048576, 2),
+                    round($this->getMaxUploadSize() / 1048576, 2)
+                ));
+            }
+
+            $path = DatabaseSecurity::validateRestorePath($this->getUploadPath($name));
+
+            if (file_put_contents($path, $content, LOCK_EX) !== $size) {
+                throw new RuntimeException('Could not save the uploaded file');
+            }
+
+            // Compressed dumps are only kept when they decompress to SQL text
+            try {
+                $sql = DumpCompression::read($path);
+                if (trim($sql) === '' || strpos($sql, "\0") !== false) {
+                    throw new InvalidArgumentException('The uploaded file is not a text SQL dump');
+                }
+            } catch (Exception $e) {
+                unlink($path);
+                throw new InvalidArgumentException($e->getMessage());
+            }
+
+            $this->recordHistory('upload', 'success', ['file' => $path]);
+
+            echo json_encode([
+                'success' => true,
+                'file' => $path,
+                'name' => basename($path),
+                'size' => strlen($sql),
+                'compressed_size' => $nameParts[1] === '.sql' ? null : $size,
+                'compression' => DumpCompression::getCompression($path),
+                'too_big' => strlen($sql) > 1000000,
+                'warning' => !$this->check_sql($sql)
+            ]);
+        } catch (Exception $e) {
+            $this->recordHistory('upload', 'error', ['file' => $path ?? $name, 'error' => $e->getMessage()]);
+
+            http_response_code($e instanceof InvalidArgumentException ? 400 : 500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Return the SQL text of a dump, decompressed when it is a .sql.gz or .zip file
+     */
+    private function view_sql(string $filepath): void
+    {
+        try {
+            $sql = DumpCompression::read($filepath);
+        } catch (RuntimeException $e) {
+            http_response_code(422);
+            echo $e->getMessage();
+            return;
+        }
+
+        echo $sql;
+    }
+
+    /**
+     * Largest accepted upload in bytes
+     *
+     * The dump travels JSON-encoded, so only half of PHP's post_max_size is
+     * counted on to leave room for escaping.
+     */
+    public function getMaxUploadSize(): int
+    {
+        $limit = 50 * 1048576;
+        $postMax = trim((string) ini_get('post_max_size'));
+
+        if ($postMax !== '' && (int) $postMax > 0) {
+            $units = ['k' => 1024, 'm' => 1048576, 'g' => 1073741824];
+            $bytes = (int) $postMax * ($units[strtolower(substr($postMax, -1))] ?? 1);
+            $limit = min($limit, intdiv($bytes, 2));
+        }
+
+        return $limit;
+    }
+
+    /**
+     * Directory holding uploaded dumps, created in database/storage on first use
+     *
+     * There is no fallback to the system temp directory: DatabaseSecurity
+     * refuses to read files from there, so uploads could never be run.
+     *
+     * @throws RuntimeException If database/storage is missing or not writable
+     */
+    private function getUploadDirectory(): string
+    {
+        if (!defined('APPPATH')) {
+            throw new RuntimeException('APPPATH is not defined, so the upload directory cannot be located');
+        }
+
+        $storage = APPPATH . 'database/storage';
+        $directory = $storage . DIRECTORY_SEPARATOR . 'transferer_uploads';
+
+        if (is_dir($directory)) {
+            if (!is_writable($directory)) {
+                throw new RuntimeException('The upload directory is not writable: ' . $directory);
+            }
+            return $directory;
+        }
+
+        if (!is_dir($storage) || !is_writable($storage)) {
+            throw new RuntimeException('Uploads are kept in ' . $storage . ', which is missing or not writable - create it and make it writable by the web server');
+        }
+
+        if (!mkdir($directory, 0700, true) && !is_dir($directory)) {
+            throw new RuntimeException('Could not create the upload directory: ' . $directory);
+        }
+
+        return $directory;
+    }
+
+    /**
+     * Free path for an uploaded file, numbering the name when it is taken
+     */
+    private function getUploadPath(string $name): string
+    {
+        [$stem, $suffix] = DumpCompression::splitName($name);
+        $stem = trim(preg_replace('/[^A-Za-z0-9_-]+/', '_', $stem), '_') ?: 'upload';
+        $directory = $this->getUploadDirectory();
+
+        $path = $directory . DIRECTORY_SEPARATOR . $stem . $suffix;
+        for ($i = 2; file_exists($path); $i++) {
+            $path = $directory . DIRECTORY_SEPARATOR . $stem . '_' . $i . $suffix;
+        }
+
+        return $path;
+    }
+
+    /**
+     * Module directories may also ship gzipped and zipped dumps
+     */
+    public function get_dump_patterns(): array
+    {
+        return ['*.sql', '*.sql.gz', '*.zip'];
+    }
+
+    /**
+     * SQL dumps uploaded earlier and not yet imported or deleted
+     */
+    public function getUploadedFiles(): array
+    {
+        try {
+            $directory = $this->getUploadDirectory();
+        } catch (RuntimeException $e) {
+            return [];
+        }
+
+        $files = [];
+        foreach ($this->get_dump_patterns() as $pattern) {
+            $files = array_merge($files, glob($directory . DIRECTORY_SEPARATOR . $pattern) ?: []);
+        }
+        sort($files);
+
+        return $files;
+    }
+
     /**
      * Analyze SQL file for database type and translation requirements
      */
@@ -116,11 +442,150 @@ class EnhancedTransferer extends Transferer
         // Store analysis for later use
         $this->currentAnalysis = $analysis;
 
+        $this->recordHistory('analyze', $analysis['exists'] ? 'success' : 'error', [
+            'file' => $filepath,
+            'source_type' => $analysis['source_type'] ?? null,
+            'target_type' => $analysis['target_type'] ?? null,
+            'error' => $analysis['error'] ?? null
+        ]);
+
         // Return analysis as JSON
         header('Content-Type: application/json');
         echo json_encode($analysis);
     }
 
+    /**
+     * Re-validate edited SQL before it is executed
+     *
+     * Parses the statements the way run_sql does and repeats the content,
+     * security and compatibility checks of EnhancedValidation.
+     */
+    private function validate_sql($data): void
+    {
+        header('Content-Type: application/json');
+
+        $sql = isset($data->sqlCode) && is_string($data->sqlCode) ? $data->sqlCode : '';
+        $targetType = $data->targetType ?? null;
+
+        require_once __DIR__ . '/EnhancedValidation.php';
+        $validator = new EnhancedValidation($targetType ? ['target_database' => $targetType] : []);
+        $validation = $validator->validateSQL($sql);
+
+        $statements = 0;
+        $parseError = null;
+        try {
+            require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
+            $parser = new DatabaseSQLParser();
+            $statements = count(array_filter(
+                $parser->parseStatements($sql),
+                fn($statement) => !empty(trim($statement))
+            ));
+        } catch (Exception $e) {
+            $parseError = $e->getMessage();
+        }
+
+        echo json_encode([
+            'success' => true,
+            'valid' => $validation['valid'] && $parseError === null,
+            'statements' => $statements,
+            'parse_error' => $parseError,
+            'dangerous' => !$this->check_sql($sql),
+            'errors' => $validation['errors'],
+            'warnings' => $validation['warnings'],
+            'security' => $validation['security_assessment'],
+            'compatibility' => $validation['compatibility'] ?? null
+        ]);
+    }
+
+    /**
+     * Findings of a SQL file for the downloadable analysis report
+     *
+     * Adds the statistics, security assessment and compatibility checks of
+     * EnhancedValidation and, when the file needs translating, the warnings
+     * and statistics of a translation that is not stored.
+     */
+    private function analysis_report($data): void
+    {
+        header('Content-Type: application/json');
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+        require_once __DIR__ . '/EnhancedValidation.php';
+
+        try {
+            $safePath = DatabaseSecurity::validateRestorePath($data->targetFile ?? '');
+            $sql = DumpCompression::read($safePath);
+            $sourceType = $data->sourceType ?? 'mysql';
+            $targetType = $data->targetType ?? 'mysql';
+
+            $validator = new EnhancedValidation(['target_database' => $targetType]);
+            $validation = $validator->validateSQL($sql);
+
+            $translation = null;
+            if (TransfererDetection::isTranslationRequired($sourceType, $targetType) && $this->sqlTranslator) {
+                $this->sqlTranslator->setProgressCallback(function () {
+                    $this->throwIfCancelled();
+                });
+                $result = $this->sqlTranslator->translateSQL($sql, $sourceType, $targetType, $this->getTranslationOptions($data->options ?? null));
+                $this->sqlTranslator->setProgressCallback(null);
+
+                $translation = [
+                    'success' => (bool) $result['success'],
+                    'warnings' => $result['success'] ? TranslationWarnings::describe($result['warnings'] ?? [], $sql, $result['sql']) : [],
+                    'statistics' => $result['statistics'] ?? [],
+                    'error' => $result['success'] ? null : ($result['error'] ?? 'Translation failed')
+                ];
+            }
+
+            echo json_encode([
+                'success' => true,
+                'statistics' => $validation['sql_analysis'],
+                'security' => $validation['security_assessment'] + ['dangerous' => !$this->check_sql($sql)],
+                'compatibility' => $validation['compatibility'] ?? null,
+                'errors' => $validation['errors'],
+                'warnings' => $validation['warnings'],
+                'translation' => $translation
+            ]);
+        } catch (Exception $e) {
+            if ($this->sqlTranslator) {
+                $this->sqlTranslator->setProgressCallback(null);
+            }
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Tables, keys and foreign keys of a dump for the schema explorer and ER diagram
+     *
+     * Parsing the whole dump is slow on large files, so the explorer asks for
+     * it when opened instead of every analysis including it.
+     */
+    private function schema_summary($data): void
+    {
+        header('Content-Type: application/json');
+
+        if (!$this->enhancedModelAvailable) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => 'The schema explorer requires the Enhanced Model']);
+            return;
+        }
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+        require_once __DIR__ . '/SchemaSummary.php';
+
+        try {
+            $safePath = DatabaseSecurity::validateRestorePath($data->targetFile ?? '');
+            $sql = DumpCompression::read($safePath);
+
+            echo json_encode([
+                'success' => true,
+                'schema' => SchemaSummary::fromSql($sql, $data->sourceType ?? 'mysql')
+            ]);
+        } catch (Exception $e) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
+
     /**
      * Translate SQL dump using Enhanced Model
      */
@@ -135,6 +600,11 @@ class EnhancedTransferer extends Transferer
             return;
         }
 
+        $stream = !empty($data->stream);
+        if ($stream) {
+            $this->startProgressStream();
+        }
+
         try {
             $filepath = $data->filepath ?? '';
             $sourceType = $data->sourceType ?? 'mysql';
@@ -144,45 +614,47 @@ class EnhancedTransferer extends Transferer
                 throw new Exception('SQL file not found');
             }
 
-            // Read SQL content
-            $sqlContent = file_get_contents($filepath);
+            // Read SQL content; a statement selection from the SQL page replaces the file contents
+            $sqlContent = !empty($data->selection) && isset($data->sqlCode)
+                ? (string) $data->sqlCode
+                : DumpCompression::read($filepath);
+
+            // The callback doubles as the cancellation checkpoint between tables
+            $this->sqlTranslator->setProgressCallback(function ($phase, $done, $total, $table) use ($stream) {
+                $this->throwIfCancelled();
+                if ($stream) {
+                    $this->sendProgress($phase, $done, $total, $table);
+                }
+            });
+
+            // Warning resolutions chosen in the translation preview
+            $resolutions = $this->getWarningResolutions($data->resolutions ?? []);
 
             // Perform translation
             $result = $this->sqlTranslator->translateSQL(
                 $sqlContent,
                 $sourceType,
                 $targetType,
-                [
-                    'strict' => false,
-                    'preserve_indexes' => true,
-                    'preserve_constraints' => true,
-                    'handle_unsupported' => 'warn',
-                    'enum_conversion' => 'text_with_check',
-                    'auto_increment_conversion' => 'native',
-                    'dependency_sort' => true,        // Always enabled, handled by SchemaTranslator
-                    'add_header_comments' => true,
-                    'add_statistics' => true,
-
-                    // INSERT/Data options
-                    'include_data' => true,             // Whether to process INSERT statements
-                    'conflict_handling' => 'skip',     // 'error', 'update', 'skip'
-                    'batch_size' => 1000,               // INSERT batch size
-                    'validate_data' => true,            // Validate INSERT data
-                    'normalize_data' => true,           // Normalize data types
-                    'separate_data_section' => false,    // Separate DDL and DML sections
-                    'data_section_header' => false
-                ]
+                TranslationWarnings::applyToOptions($this->getTranslationOptions($data->options ?? null), $resolutions)
             );
+            $this->sqlTranslator->setProgressCallback(null);
 
             if ($result['success']) {
+                $resolved = TranslationWarnings::applyToSql($result['sql'], $sqlContent, $resolutions);
+
                 // Store translated SQL temporarily for preview/execution
-                $tempFile = $this->createTempTranslatedFile($result['sql'], $filepath);
+                $tempFile = $this->createTempTranslatedFile($resolved['sql'], $filepath);
 
                 $response = [
                     'success' => true,
-                    'translated_sql' => $result['sql'],
+                    'translated_sql' => $resolved['sql'],
                     'temp_file' => $tempFile,
-                    'warnings' => $result['warnings'] ?? [],
+                    'warnings' => TranslationWarnings::describe(
+                        $result['warnings'] ?? [],
+                        $sqlContent,
+                        $resolved['sql'],
+                        $resolved['applied']
+                    ),
                     'statistics' => $result['statistics'] ?? [],
                     'source_type' => $sourceType,
                     'target_type' => $targetType
@@ -194,9 +666,38 @@ class EnhancedTransferer extends Transferer
                 ];
             }
 
+            $this->recordHistory('translate', $response['success'] ? 'success' : 'error', [
+                'file' => $filepath,
+                'selection' => $data->selection ?? null,
+                'source_type' => $sourceType,
+                'target_type' => $targetType,
+                'warnings' => array_column($response['warnings'] ?? [], 'message'),
+                'error' => $response['error'] ?? null
+            ]);
+
+            if ($stream) {
+                $this->sendStreamEvent(['type' => 'result', 'data' => $response]);
+                return;
+            }
+
             header('Content-Type: application/json');
             echo json_encode($response);
         } catch (Exception $e) {
+            $this->sqlTranslator->setProgressCallback(null);
+
+            $this->recordHistory('translate', $this->getHistoryOutcome($e), [
+                'file' => $data->filepath ?? null,
+                'selection' => $data->selection ?? null,
+                'source_type' => $data->sourceType ?? null,
+                'target_type' => $data->targetType ?? null,
+                'error' => $e->getMessage()
+            ]);
+
+            if ($stream) {
+                $this->sendStreamEvent(['type' => 'error', 'message' => $e->getMessage()]);
+                return;
+            }
+
             http_response_code(500);
             echo json_encode([
                 'success' => false,
@@ -206,79 +707,1224 @@ class EnhancedTransferer extends Transferer
     }
 
     /**
-     * Preview translation results
+     * Switch the response to newline-delimited JSON progress events
+     *
+     * Every line is one event: {"type":"progress",...}, then a final
+     * {"type":"result",...} or {"type":"error","message":...}.
      */
-    private function preview_translation($data): void
+    private function startProgressStream(): void
     {
-        $filepath = $data->filepath ?? '';
-        $tempFile = $data->tempFile ?? '';
+        header('Content-Type: application/x-ndjson');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no'); // Disable proxy buffering (nginx)
 
-        if (!file_exists($tempFile)) {
-            http_response_code(404);
-            echo json_encode([
-                'success' => false,
-                'error' => 'Translation preview not available'
-            ]);
-            return;
+        while (ob_get_level() > 0) {
+            ob_end_flush();
         }
+        ob_implicit_flush(true);
+        set_time_limit(0);
+        ignore_user_abort(true); // Notice disconnects in throwIfCancelled() and roll back cleanly
 
-        $translatedContent = file_get_contents($tempFile);
+        $this->streamStartedAt = microtime(true);
+        $this->lastProgressAt = 0.0;
+        $this->lastProgressPhase = '';
+    }
 
-        // Return preview data
-        header('Content-Type: application/json');
-        echo json_encode([
-            'success' => true,
-            'translated_sql' => $translatedContent,
-            'original_file' => $filepath,
-            'temp_file' => $tempFile
-        ]);
+    private function sendStreamEvent(array $event): void
+    {
+        echo json_encode($event) . "\n";
+        flush();
     }
 
     /**
-     * Create temporary file for translated SQL
+     * Send a progress event, throttled to a few per second per phase
      */
-    private function createTempTranslatedFile(string $translatedSQL, string $originalPath): string
+    private function sendProgress(string $phase, int $done, int $total, ?string $table = null, string $unit = 'tables'): void
     {
-        $tempDir = sys_get_temp_dir();
-        $originalFilename = basename($originalPath);
-        $tempFilename = 'translated_' . time() . '_' . $originalFilename;
-        $tempPath = $tempDir . DIRECTORY_SEPARATOR . $tempFilename;
+        $now = microtime(true);
 
-        file_put_contents($tempPath, $translatedSQL);
+        if ($phase === $this->lastProgressPhase && $done < $total && $now - $this->lastProgressAt < 0.2) {
+            return;
+        }
 
-        return $tempPath;
+        $this->lastProgressAt = $now;
+        $this->lastProgressPhase = $phase;
+
+        $this->sendStreamEvent([
+            'type' => 'progress',
+            'phase' => $phase,
+            'done' => $done,
+            'total' => $total,
+            'table' => $table,
+            'unit' => $unit,
+            'elapsed' => round($now - $this->streamStartedAt, 2)
+        ]);
     }
 
     /**
-     * Enhanced run_sql with translation support
+     * Flag the client's operation as cancelled
+     *
+     * The running request polls for the flag between statements or tables,
+     * then stops and rolls back whatever it had not committed.
      */
-    protected function run_sql(string $sql): void
+    private function cancel_operation(): void
     {
-        try {
-            require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
-            $parser = new DatabaseSQLParser();
+        header('Content-Type: application/json');
+
+        if ($this->operationId === '') {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => 'No operation specified']);
+            return;
+        }
+
+        touch($this->getCancelFlagPath($this->operationId));
+        echo json_encode(['success' => true, 'operation_id' => $this->operationId]);
+    }
+
+    private function getCancelFlagPath(string $operationId): string
+    {
+        return sys_get_temp_dir() . DIRECTORY_SEPARATOR . 'transferer_cancel_' . $operationId;
+    }
+
+    /**
+     * Stop the current operation if the client cancelled it or disconnected
+     *
+     * @throws RuntimeException When the operation has been cancelled
+     */
+    private function throwIfCancelled(): void
+    {
+        if ($this->operationId === '') {
+            return;
+        }
+
+        // Polled between statements, so limit the filesystem checks
+        $now = microtime(true);
+        if ($now - $this->lastCancelCheckAt < 0.25) {
+            return;
+        }
+        $this->lastCancelCheckAt = $now;
+
+        $flagPath = $this->getCancelFlagPath($this->operationId);
+        clearstatcache(true, $flagPath);
+
+        if (connection_aborted() || file_exists($flagPath)) {
+            throw new RuntimeException('Operation cancelled by user');
+        }
+    }
+
+    /**
+     * Table a statement works on, for progress reporting
+     */
+    private function getStatementTable(string $statement): ?string
+    {
+        $pattern = '/^\s*(?:INSERT\s+(?:IGNORE\s+)?INTO|REPLACE\s+INTO|CREATE\s+(?:TEMPORARY\s+)?TABLE(?:\s+IF\s+NOT\s+EXISTS)?|'
+            . 'ALTER\s+TABLE(?:\s+ONLY)?|DROP\s+TABLE(?:\s+IF\s+EXISTS)?|CREATE\s+(?:UNIQUE\s+)?INDEX\s+\S+\s+ON|'
+            . 'UPDATE|DELETE\s+FROM|TRUNCATE(?:\s+TABLE)?|COPY)\s+[`"\[]?([\w.$]+)/i';
+
+        return preg_match($pattern, $statement, $matches) ? $matches[1] : null;
+    }
+
+    /**
+     * Resolutions posted by the translation preview: code, action, table, column, object
+     */
+    private function getWarningResolutions($posted): array
+    {
+        $resolutions = [];
+
+        foreach (is_array($posted) ? $posted : [] as $resolution) {
+            $resolution = (array) $resolution;
+            if (!in_array($resolution['action'] ?? '', ['enum-check', 'drop', 'comment'], true)) {
+                continue;
+            }
+
+            $resolutions[] = [
+                'code' => (string) ($resolution['code'] ?? ''),
+                'action' => $resolution['action'],
+                'table' => isset($resolution['table']) ? (string) $resolution['table'] : null,
+                'column' => isset($resolution['column']) ? (string) $resolution['column'] : null,
+                'object' => isset($resolution['object']) ? (string) $resolution['object'] : null
+            ];
+        }
+
+        return $resolutions;
+    }
+
+    /**
+     * Options passed to the SQL dump translator
+     *
+     * Settings chosen on the Translation Required page override the defaults.
+     * Unknown keys and values outside the accepted choices are ignored.
+     */
+    private function getTranslationOptions($requested = null): array
+    {
+        $options = [
+            'strict' => false,
+            'preserve_indexes' => true,
+            'preserve_constraints' => true,
+            'handle_unsupported' => 'warn',
+            'enum_conversion' => 'text_with_check',
+            'auto_increment_conversion' => 'native',
+            'dependency_sort' => true,        // Always enabled, handled by SchemaTranslator
+            'add_header_comments' => true,
+            'add_statistics' => true,
+
+            // INSERT/Data options
+            'include_data' => true,             // Whether to process INSERT statements
+            'conflict_handling' => 'skip',     // 'error', 'update', 'skip'
+            'batch_size' => 1000,               // INSERT batch size
+            'validate_data' => true,            // Validate INSERT data
+            'normalize_data' => true,           // Normalize data types
+            'separate_data_section' => false,    // Separate DDL and DML sections
+            'data_section_header' => false
+        ];
+
+        if (!is_object($requested) && !is_array($requested)) {
+            return $options;
+        }
+
+        $choices = [
+            'handle_unsupported' => ['warn', 'skip', 'error'],
+            'enum_conversion' => ['text', 'text_with_check'],
+            'conflict_handling' => ['error', 'update', 'skip']
+        ];
+
+        foreach ((array) $requested as $key => $value) {
+            if (!array_key_exists($key, $options) || $key === 'dependency_sort') {
+                continue;
+            }
+
+            if (isset($choices[$key])) {
+                if (in_array($value, $choices[$key], true)) {
+                    $options[$key] = $value;
+                }
+            } elseif ($key === 'batch_size') {
+                $size = filter_var($value, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1, 'max_range' => 50000]]);
+                if ($size !== false) {
+                    $options[$key] = $size;
+                }
+            } elseif (is_bool($value) && is_bool($options[$key])) {
+                $options[$key] = $value;
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Execute one statement-safe chunk of a large SQL file
+     *
+     * Chunks must arrive in order. Each chunk runs in its own transaction and
+     * the index of the last committed chunk is persisted so an interrupted
+     * import can resume from the following chunk. Chunk 0 always starts a
+     * fresh import. The file is removed once the final chunk is committed.
+     * A chunk with potentially dangerous SQL is refused unless the request
+     * carries allowDangerous, set once the user has confirmed it.
+     */
+    private function run_sql_chunk($data): void
+    {
+        header('Content-Type: application/json');
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+
+        try {
+            $safePath = DatabaseSecurity::validateRestorePath($data->targetFile ?? '');
+        } catch (Exception $e) {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            return;
+        }
+
+        $chunkIndex = (int) ($data->chunkIndex ?? -1);
+        $totalChunks = (int) ($data->totalChunks ?? 0);
+        $sql = $data->sqlCode ?? '';
+
+        if ($chunkIndex < 0 || $totalChunks < 1 || $chunkIndex >= $totalChunks) {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => 'Invalid chunk index']);
+            return;
+        }
+
+        $state = $this->readImportState($safePath);
+
+        if ($chunkIndex === 0) {
+            $state = [
+                'target_file' => $safePath,
+                'file_size' => filesize($safePath),
+                'file_mtime' => filemtime($safePath),
+                'chunk_size' => (int) ($data->chunkSize ?? 0),
+                'total_chunks' => $totalChunks,
+                'last_committed_chunk' => -1,
+                'statements_executed' => 0,
+                'placeholder' => make_rand_str(32), // Same replacement across every chunk
+                'started_at' => date('c'),
+                'updated_at' => date('c')
+            ];
+        } elseif ($state === null || $state['total_chunks'] !== $totalChunks) {
+            http_response_code(409);
+            echo json_encode([
+                'success' => false,
+                'error' => 'No matching import in progress - start again from the first chunk'
+            ]);
+            return;
+        } elseif ($chunkIndex !== $state['last_committed_chunk'] + 1) {
+            http_response_code(409);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Chunk ' . ($chunkIndex + 1) . ' is out of order',
+                'last_committed_chunk' => $state['last_committed_chunk']
+            ]);
+            return;
+        }
+
+        // Files over the size limit are not screened when listed, so each chunk is checked here
+        if (!$this->check_sql($sql) && empty($data->allowDangerous)) {
+            http_response_code(409);
+            echo json_encode([
+                'success' => false,
+                'dangerous' => true,
+                'error' => 'Chunk ' . ($chunkIndex + 1) . ' contains potentially dangerous SQL (DROP, UPDATE, TRUNCATE or DELETE)',
+                'chunk' => $chunkIndex,
+                'last_committed_chunk' => $state['last_committed_chunk']
+            ]);
+            return;
+        }
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
+        require_once dirname(__DIR__) . '/Model.php';
+        $model = new Model();
+        $executed = 0;
+
+        try {
+            $sourceType = $data->sourceType ?? '';
+            $targetType = $data->targetType ?? '';
+
+            // Chunks of a dump that needs translation are translated one at a time
+            if ($sourceType && $targetType && $sourceType !== $targetType && $this->sqlTranslator) {
+                $result = $this->sqlTranslator->translateSQL($sql, $sourceType, $targetType, array_merge(
+                    $this->getTranslationOptions($data->options ?? null),
+                    ['add_header_comments' => false, 'add_statistics' => false]
+                ));
+
+                if (!$result['success']) {
+                    throw new Exception($result['error'] ?? 'Translation failed');
+                }
+
+                $sql = $result['sql'];
+            }
+
+            $sql = str_replace('Tz8tehsWsTPUHEtzfbYjXzaKNqLmfAUz', $state['placeholder'], $sql);
+
+            $parser = new DatabaseSQLParser($model->getConfig()->getType());
+            $statements = array_filter($parser->parseStatements($sql), fn($statement) => trim($statement) !== '');
+
+            $model->beginTransaction();
+            foreach ($statements as $statement) {
+                $this->throwIfCancelled();
+                $model->exec($statement);
+                $executed++;
+            }
+
+            // MySQL commits implicitly on DDL, leaving nothing to commit
+            if ($model->getPDO()->inTransaction()) {
+                $model->commit();
+            }
+        } catch (Exception $e) {
+            // After an implicit commit the statements run so far cannot be rolled back
+            $rolledBack = $model->getPDO()->inTransaction();
+            if ($rolledBack) {
+                $model->rollback();
+            }
+
+            $this->recordHistory('run', $this->getHistoryOutcome($e), [
+                'file' => $safePath,
+                'source_type' => $sourceType ?: null,
+                'target_type' => $targetType ?: null,
+                'part' => 'chunk ' . ($chunkIndex + 1) . '/' . $totalChunks,
+                'statements' => $state['statements_executed'],
+                'error' => $e->getMessage()
+            ]);
+
+            http_response_code(500);
+            echo json_encode([
+                'success' => false,
+                'error' => 'SQL Error: ' . $e->getMessage(),
+                'chunk' => $chunkIndex,
+                'statements_kept' => $rolledBack ? 0 : $executed,
+                'last_committed_chunk' => $state['last_committed_chunk']
+            ]);
+            return;
+        }
+
+        $state['last_committed_chunk'] = $chunkIndex;
+        $state['statements_executed'] += count($statements);
+        $state['updated_at'] = date('c');
+
+        $completed = $chunkIndex === $totalChunks - 1;
+
+        if ($completed) {
+            $this->recordHistory('run', 'success', [
+                'file' => $safePath,
+                'source_type' => $sourceType ?: null,
+                'target_type' => $targetType ?: null,
+                'part' => $totalChunks . ' chunks',
+                'statements' => $state['statements_executed']
+            ]);
+
+            $this->clearImportState($safePath);
+            $this->cleanup();
+        } else {
+            $this->writeImportState($safePath, $state);
+        }
+
+        echo json_encode([
+            'success' => true,
+            'chunk' => $chunkIndex,
+            'total_chunks' => $totalChunks,
+            'statements' => count($statements),
+            'statements_executed' => $state['statements_executed'],
+            'completed' => $completed
+        ]);
+    }
+
+    /**
+     * Report the resumable chunked import for a file, if any
+     */
+    private function get_import_status($data): void
+    {
+        header('Content-Type: application/json');
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+
+        try {
+            $safePath = DatabaseSecurity::validateRestorePath($data->targetFile ?? '');
+        } catch (Exception $e) {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            return;
+        }
+
+        $state = $this->readImportState($safePath);
+
+        echo json_encode([
+            'success' => true,
+            'file_size' => filesize($safePath),
+            'in_progress' => $state !== null,
+            'chunk_size' => $state['chunk_size'] ?? null,
+            'total_chunks' => $state['total_chunks'] ?? null,
+            'last_committed_chunk' => $state['last_committed_chunk'] ?? null,
+            'statements_executed' => $state['statements_executed'] ?? 0,
+            'updated_at' => $state['updated_at'] ?? null
+        ]);
+    }
+
+    /**
+     * Location of the progress file for a chunked import
+     */
+    private function getImportStatePath(string $filepath): string
+    {
+        return sys_get_temp_dir() . DIRECTORY_SEPARATOR . 'transferer_import_' . md5($filepath) . '.json';
+    }
+
+    /**
+     * Load chunked import progress, discarding it if the file has changed since
+     */
+    private function readImportState(string $filepath): ?array
+    {
+        $statePath = $this->getImportStatePath($filepath);
+
+        if (!file_exists($statePath)) {
+            return null;
+        }
+
+        $state = json_decode(file_get_contents($statePath), true);
+
+        if (!is_array($state) || $state['file_size'] !== filesize($filepath) || $state['file_mtime'] !== filemtime($filepath)) {
+            $this->clearImportState($filepath);
+            return null;
+        }
+
+        return $state;
+    }
+
+    private function writeImportState(string $filepath, array $state): void
+    {
+        file_put_contents($this->getImportStatePath($filepath), json_encode($state), LOCK_EX);
+    }
+
+    private function clearImportState(string $filepath): void
+    {
+        $statePath = $this->getImportStatePath($filepath);
+
+        if (file_exists($statePath)) {
+            unlink($statePath);
+        }
+    }
+
+    /**
+     * Preview translation results
+     */
+    private function preview_translation($data): void
+    {
+        $filepath = $data->filepath ?? '';
+        $tempFile = $data->tempFile ?? '';
+
+        if (!file_exists($tempFile)) {
+            http_response_code(404);
+            echo json_encode([
+                'success' => false,
+                'error' => 'Translation preview not available'
+            ]);
+            return;
+        }
+
+        $translatedContent = file_get_contents($tempFile);
+
+        // Return preview data
+        header('Content-Type: application/json');
+        echo json_encode([
+            'success' => true,
+            'translated_sql' => $translatedContent,
+            'original_file' => $filepath,
+            'temp_file' => $tempFile
+        ]);
+    }
+
+    /**
+     * Create temporary file for translated SQL
+     */
+    private function createTempTranslatedFile(string $translatedSQL, string $originalPath): string
+    {
+        $tempDir = sys_get_temp_dir();
+        $originalFilename = DumpCompression::getSqlName($originalPath);
+        $tempFilename = 'translated_' . time() . '_' . $originalFilename;
+        $tempPath = $tempDir . DIRECTORY_SEPARATOR . $tempFilename;
+
+        file_put_contents($tempPath, $translatedSQL);
+
+        return $tempPath;
+    }
+
+    /**
+     * Enhanced run_sql with translation support and optional progress streaming
+     */
+    protected function run_sql(string $sql, bool $stream = false): void
+    {
+        $model = null;
+
+        try {
+            require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
+            $parser = new DatabaseSQLParser();
+            require_once dirname(__DIR__) . '/Model.php';
+            $model = new Model();
+
+            // Replace Trongate placeholder
+            $rand_str = make_rand_str(32);
+            $sql = str_replace('Tz8tehsWsTPUHEtzfbYjXzaKNqLmfAUz', $rand_str, $sql);
+
+            $statements = array_values(array_filter(
+                $parser->parseStatements($sql),
+                fn($statement) => !empty(trim($statement))
+            ));
+            $total = count($statements);
+
+            if ($stream) {
+                $this->sendProgress('parse', $total, $total, null, 'statements');
+            }
+
+            // Every statement starts out as not run and is updated as execution proceeds
+            $report = ['total' => $total, 'rows_affected' => 0, 'failed_index' => null, 'rolled_back' => false, 'statements' => []];
+            foreach ($this->locateStatements($sql, $statements) as $index => $lines) {
+                $report['statements'][] = $lines + ['index' => $index, 'status' => 'not_run', 'rows_affected' => 0, 'error' => null];
+            }
+
+            // One transaction so a cancelled or failed run can be rolled back
+            // (MySQL still commits DDL such as CREATE TABLE implicitly)
+            $model->beginTransaction();
+
+            foreach ($statements as $index => $statement) {
+                $this->throwIfCancelled();
+                if ($stream) {
+                    $this->sendProgress('execute', $index, $total, $this->getStatementTable($statement), 'statements');
+                }
+
+                try {
+                    $rowsAffected = $this->executeStatement($model, $statement);
+                } catch (RuntimeException $e) {
+                    $report['failed_index'] = $index;
+                    $report['statements'][$index]['status'] = 'error';
+                    $report['statements'][$index]['error'] = $model->getLastError() ?? $e->getMessage();
+                    throw $e;
+                }
+
+                $report['statements'][$index]['status'] = 'ok';
+                $report['statements'][$index]['rows_affected'] = $rowsAffected;
+                $report['rows_affected'] += $rowsAffected;
+            }
+
+            if ($model->getPDO()->inTransaction()) {
+                $model->commit();
+            }
+
+            $this->recordHistory('run', 'success', $this->historyContext + [
+                'statements' => $total,
+                'rows_affected' => $report['rows_affected']
+            ]);
+
+            if ($stream) {
+                $this->sendProgress('execute', $total, $total, null, 'statements');
+                $this->sendStreamEvent(['type' => 'result', 'status' => 'Finished.', 'report' => $report]);
+                return;
+            }
+
+            //http_response_code(200);
+            echo 'Finished.';
+        } catch (Exception $e) {
+            if ($model !== null && $model->getPDO()->inTransaction()) {
+                $model->rollback();
+                if (isset($report)) {
+                    $report['rolled_back'] = true;
+                }
+            }
+
+            $this->recordHistory('run', $this->getHistoryOutcome($e), $this->historyContext + [
+                'statements' => $total ?? null,
+                'failed_statement' => isset($report['failed_index']) ? $report['failed_index'] + 1 : null,
+                'error' => $e->getMessage()
+            ]);
+
+            if ($stream) {
+                $this->sendStreamEvent([
+                    'type' => 'error',
+                    'message' => 'SQL Error: ' . $e->getMessage(),
+                    'report' => $report ?? null
+                ]);
+                exit;
+            }
+
+            http_response_code(500);
+            echo 'SQL Error: ' . $e->getMessage();
+            exit;
+        }
+    }
+
+    /**
+     * Execute SQL without keeping any of its changes
+     *
+     * SQLite and PostgreSQL run the statements inside a transaction that is
+     * rolled back, with a savepoint around each statement so one failure does
+     * not hide the results of the rest. MySQL commits DDL implicitly, so there
+     * the statements run against a scratch database holding empty copies of
+     * the current tables, which is dropped afterwards.
+     *
+     * targetFile is always the file the user picked; translated or edited SQL
+     * arrives in sqlCode instead of a temporary file.
+     */
+    private function dry_run_sql($data): void
+    {
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+
+        try {
+            $safePath = DatabaseSecurity::validateRestorePath($data->targetFile ?? '');
+            $sql = isset($data->sqlCode) && is_string($data->sqlCode) && trim($data->sqlCode) !== ''
+                ? $data->sqlCode
+                : DumpCompression::read($safePath);
+        } catch (Exception $e) {
+            header('Content-Type: application/json');
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            return;
+        }
+
+        $stream = !empty($data->stream);
+        if ($stream) {
+            $this->startProgressStream();
+        }
+
+        try {
+            $response = $this->runDryRun($sql, $stream);
+            $failed = $response['summary']['failed'];
+
+            $this->recordHistory('dry_run', $failed === 0 ? 'success' : 'error', [
+                'file' => $safePath,
+                'source_type' => $data->sourceType ?? null,
+                'target_type' => $data->targetType ?? null,
+                'statements' => $response['summary']['total'],
+                'rows_affected' => $response['summary']['rows_affected'],
+                'error' => $failed === 0 ? null : $failed . ' statement(s) failed'
+            ]);
+        } catch (Exception $e) {
+            $response = ['success' => false, 'error' => $e->getMessage()];
+
+            $this->recordHistory('dry_run', $this->getHistoryOutcome($e), [
+                'file' => $safePath,
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        if ($stream) {
+            $this->sendStreamEvent(['type' => 'result', 'data' => $response]);
+            return;
+        }
+
+        header('Content-Type: application/json');
+        if (!$response['success']) {
+            http_response_code(500);
+        }
+        echo json_encode($response);
+    }
+
+    /**
+     * Compare the tables of the SQL about to run with the target database
+     */
+    private function compare_schema($data): void
+    {
+        header('Content-Type: application/json');
+
+        $sql = isset($data->sqlCode) && is_string($data->sqlCode) ? $data->sqlCode : '';
+        if (trim($sql) === '') {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => 'No SQL to compare']);
+            return;
+        }
+
+        try {
+            require_once dirname(__DIR__) . '/Model.php';
+            require_once __DIR__ . '/SchemaComparison.php';
+
+            echo json_encode(['success' => true] + SchemaComparison::compare($sql, new Model()));
+        } catch (Exception $e) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Generate the ALTER statements that bring the target database in line with the SQL
+     */
+    private function generate_migration($data): void
+    {
+        header('Content-Type: application/json');
+
+        $sql = isset($data->sqlCode) && is_string($data->sqlCode) ? $data->sqlCode : '';
+        if (trim($sql) === '') {
+            http_response_code(400);
+            echo json_encode(['success' => false, 'error' => 'No SQL to generate a migration from']);
+            return;
+        }
+
+        try {
             require_once dirname(__DIR__) . '/Model.php';
+
             $model = new Model();
+            echo json_encode(['success' => true] + $model->migration()->generateIncrementalMigration($model, $sql));
+        } catch (Exception $e) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
 
-            // Replace Trongate placeholder
-            $rand_str = make_rand_str(32);
-            $sql = str_replace('Tz8tehsWsTPUHEtzfbYjXzaKNqLmfAUz', $rand_str, $sql);
+    /**
+     * Run every statement, collecting per-statement results, and discard the changes
+     */
+    private function runDryRun(string $sql, bool $stream): array
+    {
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
+        require_once dirname(__DIR__) . '/Model.php';
 
-            $statements = $parser->parseStatements($sql);
+        $model = new Model();
+        $pdo = $model->getPDO();
+        $dbType = $model->getConfig()->getType();
+        $startTime = microtime(true);
 
-            foreach ($statements as $statement) {
-                if (!empty(trim($statement))) {
-                    $model->exec($statement);
+        $sql = str_replace('Tz8tehsWsTPUHEtzfbYjXzaKNqLmfAUz', make_rand_str(32), $sql);
+
+        $parser = new DatabaseSQLParser($dbType);
+        $statements = array_values(array_filter(
+            $parser->parseStatements($sql),
+            fn($statement) => trim($statement) !== ''
+        ));
+        $total = count($statements);
+
+        if ($stream) {
+            $this->sendProgress('parse', $total, $total, null, 'statements');
+        }
+
+        $useScratchDatabase = $dbType === 'mysql';
+        $scratchDatabase = null;
+        $otherDatabases = [];
+        $results = [];
+
+        try {
+            if ($useScratchDatabase) {
+                $scratchDatabase = $this->createScratchDatabase($pdo, $model->getConfig()->getDbname());
+                $otherDatabases = array_values(array_diff(
+                    $pdo->query('SHOW DATABASES')->fetchAll(PDO::FETCH_COLUMN),
+                    [$scratchDatabase]
+                ));
+            } else {
+                $pdo->beginTransaction();
+            }
+
+            $lines = $this->locateStatements($sql, $statements);
+
+            foreach ($statements as $index => $statement) {
+                $this->throwIfCancelled();
+                if ($stream) {
+                    $this->sendProgress('execute', $index, $total, $this->getStatementTable($statement), 'statements');
                 }
+
+                $results[] = $this->dryRunStatement($model, $statement, $index, $useScratchDatabase, $otherDatabases) + $lines[$index];
             }
+        } finally {
+            if ($useScratchDatabase) {
+                $this->dropScratchDatabase($pdo, $model->getConfig()->getDbname(), $scratchDatabase);
+            } elseif ($pdo->inTransaction()) {
+                $pdo->rollBack();
+            }
+        }
 
-            //http_response_code(200);
-            echo 'Finished.';
+        if ($stream) {
+            $this->sendProgress('execute', $total, $total, null, 'statements');
+        }
+
+        $count = fn($status) => count(array_filter($results, fn($result) => $result['status'] === $status));
+
+        return [
+            'success' => true,
+            'database_type' => $dbType,
+            'mode' => $useScratchDatabase ? 'scratch_database' : 'transaction',
+            'summary' => [
+                'total' => $total,
+                'succeeded' => $count('ok'),
+                'failed' => $count('error'),
+                'skipped' => $count('skipped'),
+                'rows_affected' => array_sum(array_column($results, 'rows_affected'))
+            ],
+            'statements' => $results,
+            'duration' => round(microtime(true) - $startTime, 3)
+        ];
+    }
+
+    /**
+     * Execute one statement of a dry run and describe the outcome
+     *
+     * In a scratch database, statements naming one of $otherDatabases
+     * (db.table) are not executed, since they would change that database.
+     */
+    private function dryRunStatement(Model $model, string $statement, int $index, bool $scratchDatabase, array $otherDatabases = []): array
+    {
+        $pdo = $model->getPDO();
+        $result = [
+            'index' => $index,
+            'table' => $this->getStatementTable($statement),
+            'sql' => preg_replace('/^(.{200}).+$/su', '$1…', preg_replace('/\s+/', ' ', trim($statement))),
+            'status' => 'ok',
+            'rows_affected' => 0,
+            'error' => null
+        ];
+
+        // Statements that would escape the rollback or the scratch database
+        $unsafe = '/^\s*(?:BEGIN|START\s+TRANSACTION|COMMIT|ROLLBACK|END(?:\s+TRANSACTION)?|SAVEPOINT|RELEASE|SET\s+autocommit'
+            . ($scratchDatabase ? '|USE|(?:CREATE|DROP|ALTER)\s+(?:DATABASE|SCHEMA)' : '') . ')\b/i';
+
+        if (preg_match($unsafe, $statement)) {
+            $result['status'] = 'skipped';
+            $result['error'] = 'Not executed during a dry run';
+            return $result;
+        }
+
+        $database = $scratchDatabase ? $this->findDatabaseReference($statement, $otherDatabases) : null;
+        if ($database !== null) {
+            $result['status'] = 'skipped';
+            $result['error'] = "Not executed during a dry run: refers to the database `$database` outside the scratch copy";
+            return $result;
+        }
+
+        if (!$scratchDatabase) {
+            $pdo->exec('SAVEPOINT transferer_dry_run');
+        }
+
+        try {
+            $result['rows_affected'] = $this->executeStatement($model, $statement);
+
+            if (!$scratchDatabase) {
+                $pdo->exec('RELEASE SAVEPOINT transferer_dry_run');
+            }
+        } catch (RuntimeException $e) {
+            $result['status'] = 'error';
+            $result['error'] = $model->getLastError() ?? $e->getMessage();
+
+            if (!$scratchDatabase) {
+                $pdo->exec('ROLLBACK TO SAVEPOINT transferer_dry_run');
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * First of the given databases a MySQL statement qualifies a name with (db.table), if any
+     *
+     * Strings and ordinary comments are ignored; the contents of conditional
+     * comments (/*!40101 ... *\/) count, as MySQL executes them. A table alias
+     * that happens to match a database name is reported too.
+     */
+    private function findDatabaseReference(string $statement, array $databases): ?string
+    {
+        if (!$databases) {
+            return null;
+        }
+
+        $code = preg_replace_callback(
+            '/\'(?:[^\'\\\\]|\\\\.|\'\')*\'|"(?:[^"\\\\]|\\\\.|"")*"|\/\*!\d*|\/\*.*?\*\/|(?:--\s|#)[^\n]*/s',
+            fn($match) => str_starts_with($match[0], '/*!') ? ' ' : "''",
+            $statement
+        );
+
+        preg_match_all('/(`(?:[^`]|``)+`|[A-Za-z0-9_$]+)\s*\.\s*[`A-Za-z_$]/', $code, $matches);
+
+        $known = array_change_key_case(array_combine($databases, $databases));
+        foreach ($matches[1] as $qualifier) {
+            $name = $qualifier[0] === '`' ? str_replace('``', '`', substr($qualifier, 1, -1)) : $qualifier;
+            if (isset($known[strtolower($name)])) {
+                return $known[strtolower($name)];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a single statement through the Model and return the number of rows it affected
+     *
+     * @throws RuntimeException If the statement fails
+     */
+    private function executeStatement(Model $model, string $statement): int
+    {
+        $model->exec($statement);
+
+        return $model->getAffectedRows();
+    }
+
+    /**
+     * Line range of each parsed statement within the SQL it was parsed from
+     *
+     * Statements are searched for in order, so repeated statements map to
+     * successive occurrences. Lines are null if the parser rewrote a statement
+     * beyond recognition.
+     */
+    private function locateStatements(string $sql, array $statements): array
+    {
+        $ranges = [];
+        $offset = 0;
+        $line = 1; // Line at $offset, counted incrementally to stay linear on large dumps
+
+        foreach ($statements as $statement) {
+            $text = trim($statement);
+            $position = $text === '' ? false : strpos($sql, $text, $offset);
+
+            if ($position === false) {
+                $ranges[] = ['start_line' => null, 'end_line' => null];
+                continue;
+            }
+
+            if ($position > $offset) {
+                $line += substr_count($sql, "\n", $offset, $position - $offset);
+            }
+
+            $endLine = $line + substr_count($text, "\n");
+            $ranges[] = ['start_line' => $line, 'end_line' => $endLine];
+
+            $offset = $position + strlen($text);
+            $line = $endLine;
+        }
+
+        return $ranges;
+    }
+
+    /**
+     * Create a MySQL database holding empty copies of the current tables and switch to it
+     *
+     * @throws RuntimeException If the scratch database cannot be created
+     */
+    private function createScratchDatabase(PDO $pdo, string $database): string
+    {
+        $scratch = 'transferer_dry_run_' . bin2hex(random_bytes(4));
+
+        try {
+            $pdo->exec("CREATE DATABASE `$scratch`");
+        } catch (PDOException $e) {
+            throw new RuntimeException(
+                'A MySQL dry run needs permission to create a scratch database: ' . $e->getMessage()
+            );
+        }
+
+        try {
+            $tables = $pdo->query("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'")->fetchAll(PDO::FETCH_COLUMN);
+            foreach ($tables as $table) {
+                $table = str_replace('`', '``', $table);
+                $pdo->exec("CREATE TABLE `$scratch`.`$table` LIKE `" . str_replace('`', '``', $database) . "`.`$table`");
+            }
+
+            $pdo->exec("USE `$scratch`");
+        } catch (PDOException $e) {
+            $pdo->exec("DROP DATABASE IF EXISTS `$scratch`");
+            throw $e;
+        }
+
+        return $scratch;
+    }
+
+    private function dropScratchDatabase(PDO $pdo, string $database, ?string $scratch): void
+    {
+        if ($scratch === null) {
+            return;
+        }
+
+        $pdo->exec('USE `' . str_replace('`', '``', $database) . '`');
+        $pdo->exec("DROP DATABASE IF EXISTS `$scratch`");
+    }
+
+    /**
+     * Back up the current database before an import
+     *
+     * Uses the Model's backup factory, which picks the best available strategy
+     * for the database type. Only the file name is returned to the client;
+     * restores look the file up in the backup directory again.
+     */
+    private function create_backup(): void
+    {
+        header('Content-Type: application/json');
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+        require_once dirname(__DIR__) . '/Model.php';
+
+        $fileName = null;
+
+        try {
+            $model = new Model();
+            $config = $model->getConfig();
+            $dbType = $config->getType();
+
+            // SQLite strategies copy the database file, the others write SQL dumps
+            $name = $dbType === 'sqlite' ? pathinfo((string) $config->getDbfile(), PATHINFO_FILENAME) : $config->getDbname();
+            $fileName = 'pre_import_' . preg_replace('/[^A-Za-z0-9_-]/', '_', (string) $name) . '_' . date('Ymd_His')
+                . ($dbType === 'sqlite' ? '.db' : '.sql');
+
+            $backupPath = DatabaseSecurity::validateBackupPath($this->getBackupDirectory() . DIRECTORY_SEPARATOR . $fileName);
+            $result = $model->backup()->createBackup($backupPath);
+
+            if (!$result['success']) {
+                throw new RuntimeException($result['error'] ?? 'Backup failed');
+            }
+
+            $this->recordHistory('backup', 'success', ['file' => $fileName]);
+
+            echo json_encode([
+                'success' => true,
+                'backup' => [
+                    'file' => $fileName,
+                    'size' => $result['backup_size_bytes'] ?? filesize($backupPath),
+                    'strategy' => $result['strategy_used'] ?? null,
+                    'database_type' => $dbType,
+                    'created_at' => date('c')
+                ]
+            ]);
         } catch (Exception $e) {
+            $this->recordHistory('backup', 'error', ['file' => $fileName, 'error' => $e->getMessage()]);
+
             http_response_code(500);
-            echo 'SQL Error: ' . $e->getMessage();
-            exit;
+            echo json_encode(['success' => false, 'error' => 'Backup failed: ' . $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Restore a backup made by create_backup()
+     */
+    private function restore_backup($data): void
+    {
+        header('Content-Type: application/json');
+
+        require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSecurity.php';
+        require_once dirname(__DIR__) . '/Model.php';
+
+        // Only backups from the transferer's own directory can be restored
+        $fileName = basename((string) ($data->backupFile ?? ''));
+
+        try {
+            $backupPath = $this->getBackupDirectory() . DIRECTORY_SEPARATOR . $fileName;
+
+            if (strpos($fileName, 'pre_import_') !== 0 || !is_file($backupPath)) {
+                http_response_code(404);
+                echo json_encode(['success' => false, 'error' => 'Backup not found: ' . $fileName]);
+                return;
+            }
+
+            $backupPath = DatabaseSecurity::validateRestorePath($backupPath);
+
+            $model = new Model();
+            $result = $model->backup()->restoreBackup($backupPath);
+
+            if (!$result['success']) {
+                throw new RuntimeException($result['error'] ?? 'Restore failed');
+            }
+
+            $this->recordHistory('restore', 'success', [
+                'file' => $fileName,
+                'statements' => $result['statements_executed'] ?? null
+            ]);
+
+            echo json_encode([
+                'success' => true,
+                'file' => $fileName,
+                'statements_executed' => $result['statements_executed'] ?? null,
+                'duration' => $result['metadata']['duration_seconds'] ?? null
+            ]);
+        } catch (Exception $e) {
+            $this->recordHistory('restore', 'error', ['file' => $fileName, 'error' => $e->getMessage()]);
+
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+        }
+    }
+
+    /**
+     * Directory holding pre-import backups, created on first use
+     *
+     * Backups live under database/storage: DatabaseSecurity refuses backup and
+     * restore paths in the system temp directory.
+     */
+    private function getBackupDirectory(): string
+    {
+        if (!defined('APPPATH')) {
+            throw new RuntimeException('APPPATH is not defined, so the backup directory cannot be located');
+        }
+
+        $directory = APPPATH . 'database/storage/backups';
+
+        if (!is_dir($directory) && (!is_writable(dirname($directory)) || (!mkdir($directory, 0700) && !is_dir($directory)))) {
+            throw new RuntimeException('Could not create the backup directory ' . $directory . ' - check that database/storage is writable');
+        }
+
+        return $directory;
+    }
+
+    /**
+     * Return the recorded history, newest first
+     */
+    private function get_history(): void
+    {
+        header('Content-Type: application/json');
+
+        try {
+            $path = $this->getHistoryPath();
+        } catch (RuntimeException $e) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            return;
+        }
+
+        if (is_file($path) && !is_readable($path)) {
+            http_response_code(500);
+            echo json_encode(['success' => false, 'error' => 'The history log is not readable: ' . $path]);
+            return;
+        }
+
+        // Rotation keeps the log small enough to read whole. Lines that do not
+        // decode (a write cut short, a hand-edited file) are passed over.
+        $lines = is_file($path) ? (file($path, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES) ?: []) : [];
+        $entries = [];
+        foreach (array_reverse($lines) as $line) {
+            $entry = json_decode($line, true);
+            if (is_array($entry) && isset($entry['action'], $entry['outcome'], $entry['created_at'])) {
+                $entries[] = $entry;
+            }
+        }
+
+        echo json_encode(['success' => true, 'entries' => $entries, 'total' => count($lines)]);
+    }
+
+    /**
+     * Append an entry to the history log
+     *
+     * History is best-effort: a log that cannot be written is skipped rather
+     * than failing the action being recorded.
+     */
+    private function recordHistory(string $action, string $outcome, array $details = []): void
+    {
+        $warnings = array_map(
+            fn($warning) => is_string($warning) ? $warning : json_encode($warning),
+            array_slice($details['warnings'] ?? [], 0, 100)
+        );
+
+        $entry = [
+            'id' => uniqid('h', true),
+            'created_at' => date('c'),
+            'action' => $action,
+            'outcome' => $outcome,
+            'file' => $details['file'] ?? null,
+            'part' => $details['part'] ?? null,
+            'selection' => $details['selection'] ?? null,
+            'edited' => !empty($details['edited']),
+            'source_type' => $details['source_type'] ?? null,
+            'target_type' => $details['target_type'] ?? null,
+            'statements' => $details['statements'] ?? null,
+            'rows_affected' => $details['rows_affected'] ?? null,
+            'failed_statement' => $details['failed_statement'] ?? null,
+            'warnings' => $warnings,
+            'error' => $details['error'] ?? null,
+            'duration' => isset($_SERVER['REQUEST_TIME_FLOAT']) ? round(microtime(true) - $_SERVER['REQUEST_TIME_FLOAT'], 3) : null,
+            'client' => $_SERVER['REMOTE_ADDR'] ?? 'cli'
+        ];
+
+        // Warnings here would end up in the JSON or NDJSON response of the action
+        $line = json_encode($entry, JSON_INVALID_UTF8_SUBSTITUTE | JSON_PARTIAL_OUTPUT_ON_ERROR);
+        if ($line === false) {
+            return;
+        }
+
+        try {
+            $path = $this->getHistoryPath();
+        } catch (RuntimeException $e) {
+            return;
+        }
+
+        if (is_file($path)) {
+            if (!is_writable($path)) {
+                return;
+            }
+
+            if (filesize($path) >= self::HISTORY_MAX_SIZE) {
+                rename($path, substr($path, 0, -strlen('.jsonl')) . '.1.jsonl');
+            }
+        }
+
+        file_put_contents($path, $line . "\n", FILE_APPEND | LOCK_EX);
+    }
+
+    private function getHistoryOutcome(Exception $e): string
+    {
+        return $e->getMessage() === 'Operation cancelled by user' ? 'cancelled' : 'error';
+    }
+
+    /**
+     * History log location in the application's database storage
+     *
+     * The log holds client addresses and file paths, so it is never written
+     * to the shared temp directory.
+     */
+    private function getHistoryPath(): string
+    {
+        if (!defined('APPPATH')) {
+            throw new RuntimeException('APPPATH is not defined, so the history log cannot be located');
         }
+
+        $directory = APPPATH . 'database/storage';
+        if (!is_dir($directory) || !is_writable($directory)) {
+            throw new RuntimeException('The history log is kept in ' . $directory . ', which is missing or not writable - create it and make it writable by the web server');
+        }
+
+        return $directory . DIRECTORY_SEPARATOR . 'transferer_history.jsonl';
     }
 
     /**
@@ -311,8 +1957,16 @@ class EnhancedTransferer extends Transferer
                 'cross_database_translation',
                 'automatic_type_detection',
                 'translation_preview',
-                'enhanced_error_handling'
-            ]
+                'enhanced_error_handling',
+                'chunked_import',
+                'dry_run',
+                'pre_import_backup',
+                'upload',
+                'schema_comparison',
+                'incremental_migration',
+                'analysis_report'
+            ],
+            'max_upload_size' => $this->getMaxUploadSize()
         ];
     }
 
@@ -348,6 +2002,18 @@ class EnhancedTransferer extends Transferer
                 unlink($tempFile);
             }
         }
+
+        // The flag of this operation, and flags left by operations that ended long ago;
+        // other tabs may still be polling for theirs
+        if ($this->operationId !== '' && is_file($this->getCancelFlagPath($this->operationId))) {
+            unlink($this->getCancelFlagPath($this->operationId));
+        }
+
+        foreach (glob($tempDir . DIRECTORY_SEPARATOR . 'transferer_cancel_*') as $flagFile) {
+            if (is_file($flagFile) && filemtime($flagFile) < time() - self::CANCEL_FLAG_LIFETIME) {
+                unlink($flagFile);
+            }
+        }
     }
 
 }
@@ -65,38 +65,63 @@ class EnhancedValidation
 
     /**
      * Validate SQL file comprehensively
+     *
+     * Checks the file itself, then validates its content with validateSQL().
      */
     public function validateSQLFile(string $filepath): array
     {
         $this->clearResults();
-        
-        $result = [
-            'valid' => true,
-            'errors' => [],
-            'warnings' => [],
-            'recommendations' => [],
-            'file_info' => [],
-            'sql_analysis' => [],
-            'security_assessment' => []
-        ];
 
         // File existence and basic checks
         if (!$this->validateFileExists($filepath)) {
-            $result['valid'] = false;
-            $result['errors'] = $this->errors;
-            return $result;
+            return [
+                'valid' => false,
+                'errors' => $this->errors,
+                'warnings' => [],
+                'recommendations' => [],
+                'file_info' => [],
+                'sql_analysis' => [],
+                'security_assessment' => []
+            ];
         }
 
         // File properties validation
         $fileInfo = $this->analyzeFileProperties($filepath);
+        $fileValid = $this->validateFileProperties($fileInfo);
+        $fileErrors = $this->errors;
+        $fileWarnings = $this->warnings;
+
+        // SQL content validation, security assessment and compatibility check
+        $result = $this->validateSQL(file_get_contents($filepath));
+
+        // validateSQL() starts from empty results; the file findings come first
+        $this->errors = array_merge($fileErrors, $this->errors);
+        $this->warnings = array_merge($fileWarnings, $this->warnings);
+
+        $result['valid'] = $result['valid'] && $fileValid;
+        $result['errors'] = $this->errors;
+        $result['warnings'] = $this->warnings;
         $result['file_info'] = $fileInfo;
+        $result['recommendations'] = $this->generateRecommendations($result);
 
-        if (!$this->validateFileProperties($fileInfo)) {
-            $result['valid'] = false;
-        }
+        return $result;
+    }
+
+    /**
+     * Validate SQL text that is not stored in a file, such as edited SQL
+     */
+    public function validateSQL(string $sqlContent): array
+    {
+        $this->clearResults();
+
+        $result = [
+            'valid' => true,
+            'errors' => [],
+            'warnings' => [],
+            'sql_analysis' => [],
+            'security_assessment' => []
+        ];
 
-        // SQL content validation
-        $sqlContent = file_get_contents($filepath);
         $sqlAnalysis = $this->analyzeSQLContent($sqlContent);
         $result['sql_analysis'] = $sqlAnalysis;
 
@@ -104,7 +129,6 @@ class EnhancedValidation
             $result['valid'] = false;
         }
 
-        // Security assessment
         $securityAssessment = $this->assessSQLSecurity($sqlContent);
         $result['security_assessment'] = $securityAssessment;
 
@@ -112,19 +136,15 @@ class EnhancedValidation
             $result['valid'] = false;
         }
 
-        // Database compatibility check
         if (isset($this->context['target_database'])) {
-            $compatibilityCheck = $this->checkDatabaseCompatibility(
-                $sqlAnalysis, 
+            $result['compatibility'] = $this->checkDatabaseCompatibility(
+                $sqlAnalysis,
                 $this->context['target_database']
             );
-            $result['compatibility'] = $compatibilityCheck;
         }
 
-        // Compile results
         $result['errors'] = $this->errors;
         $result['warnings'] = $this->warnings;
-        $result['recommendations'] = $this->generateRecommendations($result);
 
         return $result;
     }
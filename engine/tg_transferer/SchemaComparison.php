@@ -0,0 +1,205 @@
+<?php
+
+require_once __DIR__ . '/SchemaSummary.php';
+require_once dirname(__DIR__, 2) . '/database/engine/schema/core/SchemaExtractor.php';
+require_once dirname(__DIR__, 2) . '/database/engine/core/DatabaseSQLParser.php';
+require_once dirname(__DIR__, 2) . '/database/engine/migration/IncrementalMigrator.php';
+
+/**
+ * Schema Comparison
+ *
+ * Compares the tables SQL is about to create or drop with the tables that
+ * already exist in the target database, so a run can be checked for
+ * CREATE TABLE statements hitting existing tables, duplicated seed data and
+ * tables that would be dropped.
+ *
+ * @package Trongate\TgTransferer
+ * @version 1.0.0
+ */
+class SchemaComparison
+{
+    /**
+     * Compare SQL written for the database of $model with that database
+     *
+     * Each table of the SQL gets a status: new, identical, conflicting (with
+     * column-level differences) or dropped. Tables only found in the database
+     * are listed by name.
+     */
+    public static function compare(string $sql, $model): array
+    {
+        $targetType = $model->getConfig()->getType();
+        $incoming = SchemaSummary::fromSql($sql, $targetType);
+        $existing = SchemaSummary::describeExtracted((new SchemaExtractor())->extractFullSchema($model));
+        $dropped = self::findDroppedTables($sql, $targetType);
+
+        // Table names are matched case-insensitively
+        $existingByName = [];
+        foreach ($existing as $table) {
+            $existingByName[strtolower($table['name'])] = $table;
+        }
+
+        $tables = [];
+        $seen = [];
+        foreach ($incoming['tables'] as $table) {
+            $key = strtolower($table['name']);
+            $seen[$key] = true;
+            $tables[] = self::compareTable($table, $existingByName[$key] ?? null, isset($dropped[$key]));
+        }
+
+        // Tables the SQL drops without creating them again
+        foreach ($dropped as $key => $name) {
+            if (!isset($seen[$key]) && isset($existingByName[$key])) {
+                $seen[$key] = true;
+                $tables[] = [
+                    'name' => $existingByName[$key]['name'],
+                    'status' => 'dropped',
+                    'recreated' => false,
+                    'differences' => [],
+                    'existing_rows' => $existingByName[$key]['estimated_rows'],
+                    'incoming_rows' => 0
+                ];
+            }
+        }
+
+        $summary = array_fill_keys(['new', 'identical', 'conflicting', 'dropped'], 0);
+        foreach ($tables as $table) {
+            $summary[$table['status']]++;
+        }
+
+        return [
+            'target_type' => $targetType,
+            'tables' => $tables,
+            'summary' => $summary,
+            'other_tables' => array_values(array_map(
+                fn($table) => $table['name'],
+                array_filter($existing, fn($table) => !isset($seen[strtolower($table['name'])]))
+            )),
+            'parse_error' => $incoming['error']
+        ];
+    }
+
+    private static function compareTable(array $incoming, ?array $existing, bool $dropped): array
+    {
+        $result = [
+            'name' => $incoming['name'],
+            'status' => 'new',
+            'recreated' => false,
+            'differences' => [],
+            'existing_rows' => $existing ? $existing['estimated_rows'] : 0,
+            'incoming_rows' => $incoming['estimated_rows']
+        ];
+
+        if ($existing === null) {
+            return $result;
+        }
+
+        $result['differences'] = self::compareColumns($incoming, $existing);
+
+        if ($dropped) {
+            $result['status'] = 'dropped';
+            $result['recreated'] = true;
+        } else {
+            $result['status'] = $result['differences'] ? 'conflicting' : 'identical';
+        }
+
+        return $result;
+    }
+
+    /**
+     * Column-level differences between the incoming and existing definition of a table
+     */
+    private static function compareColumns(array $incoming, array $existing): array
+    {
+        $differences = [];
+        $existingColumns = [];
+        foreach ($existing['columns'] as $column) {
+            $existingColumns[strtolower($column['name'])] = $column;
+        }
+
+        $incomingNames = [];
+        foreach ($incoming['columns'] as $column) {
+            $key = strtolower($column['name']);
+            $incomingNames[$key] = true;
+            $current = $existingColumns[$key] ?? null;
+
+            if ($current === null) {
+                $differences[] = self::difference($column['name'], 'added', $column['type'], null, 'Column is not in the existing table');
+                continue;
+            }
+
+            if (IncrementalMigrator::normalizeType($column['type']) !== IncrementalMigrator::normalizeType($current['type'])) {
+                $differences[] = self::difference($column['name'], 'type', $column['type'], $current['type'], 'Column type differs');
+            }
+
+            if ($column['nullable'] !== $current['nullable']) {
+                $differences[] = self::difference(
+                    $column['name'],
+                    'nullable',
+                    $column['nullable'] ? 'NULL' : 'NOT NULL',
+                    $current['nullable'] ? 'NULL' : 'NOT NULL',
+                    'Nullability differs'
+                );
+            }
+        }
+
+        foreach ($existing['columns'] as $column) {
+            if (!isset($incomingNames[strtolower($column['name'])])) {
+                $differences[] = self::difference($column['name'], 'missing', null, $column['type'], 'Existing column is not in the incoming table');
+            }
+        }
+
+        $incomingKey = array_map('strtolower', $incoming['primary_key']);
+        $existingKey = array_map('strtolower', $existing['primary_key']);
+        if ($incomingKey !== $existingKey) {
+            $differences[] = self::difference(
+                null,
+                'primary_key',
+                implode(', ', $incoming['primary_key']) ?: null,
+                implode(', ', $existing['primary_key']) ?: null,
+                'Primary key differs'
+            );
+        }
+
+        return $differences;
+    }
+
+    private static function difference(?string $column, string $kind, ?string $incoming, ?string $existing, string $message): array
+    {
+        return [
+            'column' => $column,
+            'kind' => $kind,
+            'incoming' => $incoming,
+            'existing' => $existing,
+            'message' => $message
+        ];
+    }
+
+    /**
+     * Tables named in DROP TABLE statements, keyed by lower-case name
+     */
+    private static function findDroppedTables(string $sql, string $databaseType): array
+    {
+        $parser = new DatabaseSQLParser($databaseType, [
+            'skip_empty_statements' => true,
+            'skip_comments' => true
+        ]);
+
+        $dropped = [];
+        foreach ($parser->parseStatements($sql) as $statement) {
+            if (!preg_match('/^\s*DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?(.+?)(?:\s+(?:CASCADE|RESTRICT))?\s*;?\s*$/is', $statement, $matches)) {
+                continue;
+            }
+
+            foreach (explode(',', $matches[1]) as $name) {
+                // Drop quoting and any schema prefix
+                $parts = explode('.', trim($name));
+                $name = trim(end($parts), " \t\n\r`\"[]");
+                if ($name !== '') {
+                    $dropped[strtolower($name)] = $name;
+                }
+            }
+        }
+
+        return $dropped;
+    }
+}
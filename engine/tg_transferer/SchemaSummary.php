@@ -0,0 +1,196 @@
+<?php
+
+require_once dirname(__DIR__, 2) . '/database/engine/schema/core/SchemaDumpExtractor.php';
+require_once dirname(__DIR__, 2) . '/database/engine/schema/core/SchemaDependencySorter.php';
+
+/**
+ * Schema Summary
+ *
+ * Describes the tables of a SQL dump (columns, keys, indexes, foreign keys
+ * and the rows its INSERT statements add) as plain arrays for the schema
+ * explorer and ER diagram, using the schema parsers of the Enhanced Model.
+ * Tables read from a live database by SchemaExtractor get the same shape.
+ *
+ * @package Trongate\TgTransferer
+ * @version 1.0.0
+ */
+class SchemaSummary
+{
+    /**
+     * Summarize the schema of SQL written for the given database type
+     *
+     * Parsing problems never throw: the summary then carries an error and
+     * whatever tables could be read.
+     */
+    public static function fromSql(string $sql, string $sourceType): array
+    {
+        try {
+            $extractor = new SchemaDumpExtractor(['normalize_insert_data' => false]);
+            $tables = $extractor->convertStatementsToSchema($sql, $sourceType);
+        } catch (Throwable $e) {
+            return [
+                'tables' => [],
+                'dependency_cycles' => [],
+                'error' => $e->getMessage()
+            ];
+        }
+
+        return [
+            'tables' => self::describeTables($tables),
+            'dependency_cycles' => (new SchemaDependencySorter())->findCycles(array_values($tables)),
+            'error' => null
+        ];
+    }
+
+    /**
+     * Describe Table objects as arrays, in the order given
+     */
+    public static function describeTables(array $tables): array
+    {
+        $described = [];
+
+        foreach ($tables as $table) {
+            $primaryKey = $table->getPrimaryKey();
+            $primaryColumns = $primaryKey ? $primaryKey->getColumnNames() : [];
+
+            $columns = [];
+            foreach ($table->getOrderedColumns() as $column) {
+                $columns[] = [
+                    'name' => $column->getName(),
+                    'type' => self::getColumnType($column),
+                    'nullable' => $column->isNullable(),
+                    'default' => $column->getDefault(),
+                    'auto_increment' => $column->isAutoIncrement(),
+                    'primary_key' => in_array($column->getName(), $primaryColumns, true)
+                ];
+            }
+
+            $indexes = [];
+            foreach ($table->getIndexes() as $index) {
+                if ($index->isPrimary()) {
+                    continue;
+                }
+                $indexes[] = [
+                    'name' => $index->getName(),
+                    'type' => $index->getType(),
+                    'columns' => $index->getColumnNames()
+                ];
+            }
+
+            $foreignKeys = [];
+            foreach ($table->getForeignKeys() as $constraint) {
+                $foreignKeys[] = [
+                    'name' => $constraint->getName(),
+                    'columns' => array_values($constraint->getColumns()),
+                    'referenced_table' => $constraint->getReferencedTable(),
+                    'referenced_columns' => array_values($constraint->getReferencedColumns()),
+                    'on_delete' => $constraint->getOnDelete(),
+                    'on_update' => $constraint->getOnUpdate()
+                ];
+            }
+
+            $described[] = [
+                'name' => $table->getName(),
+                'columns' => $columns,
+                'primary_key' => array_values($primaryColumns),
+                'indexes' => $indexes,
+                'foreign_keys' => $foreignKeys,
+                'estimated_rows' => $table->getDataRowCount()
+            ];
+        }
+
+        return $described;
+    }
+
+    /**
+     * Describe the arrays of SchemaExtractor (a live database) in the same shape
+     *
+     * Tables the extractor could not read are left out; estimated_rows holds
+     * the actual row count.
+     */
+    public static function describeExtracted(array $schema): array
+    {
+        $described = [];
+
+        foreach ($schema as $table) {
+            if (!is_array($table)) {
+                continue;
+            }
+
+            $columns = [];
+            $primaryColumns = [];
+            foreach ($table['columns'] as $column) {
+                $type = $column['full_type'] ?? $column['type'];
+                if (!isset($column['full_type']) && !empty($column['max_length'])) {
+                    $type .= '(' . $column['max_length'] . ')';
+                }
+                if (!empty($column['primary_key'])) {
+                    $primaryColumns[] = $column['name'];
+                }
+
+                $columns[] = [
+                    'name' => $column['name'],
+                    'type' => strtoupper((string) $type),
+                    'nullable' => (bool) $column['null'],
+                    'default' => $column['default'],
+                    'auto_increment' => !empty($column['auto_increment']),
+                    'primary_key' => !empty($column['primary_key'])
+                ];
+            }
+
+            $indexes = array_map(fn($index) => [
+                'name' => $index['name'],
+                'type' => $index['unique'] ? 'unique' : 'index',
+                'columns' => array_column($index['columns'], 'name')
+            ], $table['indexes']);
+
+            // The extractor returns one row per foreign key column
+            $foreignKeys = [];
+            foreach ($table['constraints'] as $constraint) {
+                if (($constraint['type'] ?? '') !== 'foreign_key') {
+                    continue;
+                }
+                $name = $constraint['name'];
+                $foreignKeys[$name] = $foreignKeys[$name] ?? [
+                    'name' => $name,
+                    'columns' => [],
+                    'referenced_table' => $constraint['references_table'],
+                    'referenced_columns' => [],
+                    'on_delete' => $constraint['on_delete'],
+                    'on_update' => $constraint['on_update']
+                ];
+                $foreignKeys[$name]['columns'][] = $constraint['column'];
+                $foreignKeys[$name]['referenced_columns'][] = $constraint['references_column'];
+            }
+
+            $described[] = [
+                'name' => $table['name'],
+                'columns' => $columns,
+                'primary_key' => $primaryColumns,
+                'indexes' => $indexes,
+                'foreign_keys' => array_values($foreignKeys),
+                'estimated_rows' => (int) $table['row_count']
+            ];
+        }
+
+        return $described;
+    }
+
+    /**
+     * Column type with its length or precision, as written in a definition
+     */
+    private static function getColumnType(Column $column): string
+    {
+        $type = strtoupper($column->getType());
+
+        if ($column->getLength() !== null) {
+            $type .= '(' . $column->getLength() . ')';
+        } elseif ($column->getPrecision() !== null) {
+            $type .= '(' . $column->getPrecision() . ($column->getScale() !== null ? ',' . $column->getScale() : '') . ')';
+        } elseif ($column->getEnumValues()) {
+            $type .= "('" . implode("','", $column->getEnumValues()) . "')";
+        }
+
+        return $column->isUnsigned() ? $type . ' UNSIGNED' : $type;
+    }
+}
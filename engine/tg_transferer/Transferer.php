@@ -130,6 +130,15 @@ class Transferer {
         }
     }
 
+    /**
+     * Returns the glob patterns of the SQL dumps this transferer can import.
+     *
+     * @return array File name patterns, such as '*.sql'.
+     */
+    public function get_dump_patterns(): array {
+        return ['*.sql'];
+    }
+
     /**
      * Determines the finish location based on the given sample file.
      * If SQL files are found in the specified directory, it echoes 'current_url',
@@ -150,8 +159,10 @@ class Transferer {
 
         if (file_exists($dir_path)) {
             $files = array();
-            foreach (glob($dir_path . "*.sql") as $file) {
-                $files[] = $file;
+            foreach ($this->get_dump_patterns() as $pattern) {
+                foreach (glob($dir_path . $pattern) as $file) {
+                    $files[] = $file;
+                }
             }
         }
 
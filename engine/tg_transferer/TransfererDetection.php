@@ -1,5 +1,7 @@
 <?php
 
+require_once __DIR__ . '/DumpCompression.php';
+
 /**
  * Transferer Detection Helper
  * 
@@ -52,6 +54,34 @@ class TransfererDetection
      * Detect source database type from SQL content
      */
     public static function detectSourceDatabaseType(string $sqlContent): string
+    {
+        return self::getDetectedType(self::getDetectionScores($sqlContent)['scores']);
+    }
+
+    /**
+     * Database type with the highest score, MySQL when nothing matched
+     */
+    private static function getDetectedType(array $scores): string
+    {
+        // Find highest scoring database type
+        $maxScore = max($scores);
+        if ($maxScore === 0) {
+            // No clear indicators found, default to MySQL as per user requirement
+            return 'mysql';
+        }
+        
+        // Return the database type with highest score
+        $detectedType = array_search($maxScore, $scores);
+        return $detectedType ?: 'mysql';
+    }
+
+    /**
+     * Count the indicators of each database type found in SQL content
+     * 
+     * Returns the score per type (SQLite indicators get double weight) and
+     * the indicators that matched.
+     */
+    public static function getDetectionScores(string $sqlContent): array
     {
         $sqlLower = strtolower($sqlContent);
         
@@ -99,11 +129,17 @@ class TransfererDetection
             'postgresql' => 0,
             'mysql' => 0
         ];
+        $matched = [
+            'sqlite' => [],
+            'postgresql' => [],
+            'mysql' => []
+        ];
         
         // Check SQLite indicators
         foreach ($sqliteIndicators as $indicator) {
             if (strpos($sqlLower, $indicator) !== false) {
                 $scores['sqlite'] += 2; // SQLite indicators get double weight
+                $matched['sqlite'][] = $indicator;
             }
         }
         
@@ -111,6 +147,7 @@ class TransfererDetection
         foreach ($postgresIndicators as $indicator) {
             if (strpos($sqlLower, $indicator) !== false) {
                 $scores['postgresql']++;
+                $matched['postgresql'][] = $indicator;
             }
         }
         
@@ -118,19 +155,40 @@ class TransfererDetection
         foreach ($mysqlIndicators as $indicator) {
             if (strpos($sqlLower, $indicator) !== false) {
                 $scores['mysql']++;
+                $matched['mysql'][] = $indicator;
             }
         }
         
-        // Find highest scoring database type
-        $maxScore = max($scores);
-        if ($maxScore === 0) {
-            // No clear indicators found, default to MySQL as per user requirement
-            return 'mysql';
+        return [
+            'scores' => $scores,
+            'indicators' => $matched
+        ];
+    }
+
+    /**
+     * Rate how clearly the scores point to one database type
+     * 
+     * 'none' when no indicator matched, 'low' on a tie for first place
+     */
+    public static function getDetectionConfidence(array $scores): string
+    {
+        $ranked = array_values($scores);
+        rsort($ranked);
+        
+        if ($ranked[0] === 0) {
+            return 'none';
         }
         
-        // Return the database type with highest score
-        $detectedType = array_search($maxScore, $scores);
-        return $detectedType ?: 'mysql';
+        if (isset($ranked[1]) && $ranked[0] === $ranked[1]) {
+            return 'low';
+        }
+        
+        $share = $ranked[0] / array_sum($ranked);
+        if ($share >= 0.75 && $ranked[0] >= 3) {
+            return 'high';
+        }
+        
+        return $share >= 0.5 ? 'medium' : 'low';
     }
 
     /**
@@ -184,8 +242,17 @@ class TransfererDetection
         }
         
         $filesize = filesize($filepath);
-        $content = file_get_contents($filepath);
-        $sourceType = self::detectSourceDatabaseType($content);
+        try {
+            $content = DumpCompression::read($filepath);
+        } catch (RuntimeException $e) {
+            return [
+                'exists' => false,
+                'error' => $e->getMessage()
+            ];
+        }
+        $uncompressedSize = strlen($content);
+        $detection = self::getDetectionScores($content);
+        $sourceType = self::getDetectedType($detection['scores']);
         
         // Get current target database type
         $currentDb = self::getCurrentDatabaseConfig();
@@ -195,12 +262,26 @@ class TransfererDetection
             'exists' => true,
             'filesize' => $filesize,
             'filesize_kb' => round($filesize / 1024, 2),
+            'compression' => DumpCompression::getCompression($filepath),
+            'uncompressed_size' => $uncompressedSize,
+            'uncompressed_size_kb' => round($uncompressedSize / 1024, 2),
+            'sql_name' => DumpCompression::getSqlName($filepath),
             'source_type' => $sourceType,
             'target_type' => $targetType,
             'translation_required' => self::isTranslationRequired($sourceType, $targetType),
             'enhanced_model_available' => self::hasEnhancedModel(),
             'source_type_name' => self::getDatabaseTypeName($sourceType),
             'target_type_name' => self::getDatabaseTypeName($targetType),
+            'detection' => [
+                'scores' => $detection['scores'],
+                'indicators' => $detection['indicators'],
+                'confidence' => self::getDetectionConfidence($detection['scores']),
+                'target_detected' => $currentDb !== null
+            ],
+            'supported_types' => array_map([self::class, 'getDatabaseTypeName'], array_combine(
+                self::getSupportedDatabaseTypes(),
+                self::getSupportedDatabaseTypes()
+            )),
             'content_preview' => substr($content, 0, 500) // First 500 chars for preview
         ];
     }
@@ -0,0 +1,312 @@
+<?php
+
+/**
+ * Translation Warnings
+ *
+ * Turns the plain-text warnings of the SQL dump translator into structured
+ * warnings (code, severity, table, column, line) and applies the resolutions
+ * chosen in the translation preview when a dump is translated again.
+ *
+ * @package Trongate\TgTransferer
+ * @version 1.0.0
+ */
+class TranslationWarnings
+{
+    /**
+     * Warning codes in match order: message pattern, severity and resolutions offered
+     */
+    private static function getRules(): array
+    {
+        return [
+            'enum-text' => ['/ENUM converted to TEXT \(values/i', 'medium', ['enum-check' => 'Convert all ENUM columns to CHECK']],
+            'enum-check' => ['/ENUM converted to TEXT with CHECK/i', 'low', ['drop' => 'Drop unsupported clause']],
+            'set-converted' => ['/SET converted to TEXT/i', 'medium', ['comment' => 'Keep as comment']],
+            'unsigned-removed' => ['/UNSIGNED attribute removed/i', 'low', ['comment' => 'Keep as comment']],
+            'update-trigger' => ['/ON UPDATE CURRENT_TIMESTAMP requires a trigger/i', 'medium', ['drop' => 'Drop unsupported clause']],
+            'fulltext-converted' => ['/FULLTEXT converted/i', 'low', ['drop' => 'Drop unsupported clause', 'comment' => 'Keep as comment']],
+            'index-removed' => ['/index not supported .*removed/i', 'medium', ['comment' => 'Keep as comment']],
+            'partial-index' => ['/Partial index/i', 'medium', ['comment' => 'Keep as comment']],
+            'foreign-key-action' => ['/SET DEFAULT changed to SET NULL/i', 'medium', ['comment' => 'Keep as comment']],
+            'type-converted' => ['/(Array type converted|type changed to|converted to UUID)/i', 'low', []],
+            'dependency-cycle' => ['/Dependency sorting failed/i', 'medium', []],
+            'unsupported' => ['/(not supported|unsupported)/i', 'high', ['comment' => 'Keep as comment']],
+            'parse-error' => ['/(Failed to parse|Could not parse|Skipping|Unknown)/i', 'high', ['comment' => 'Keep as comment']]
+        ];
+    }
+
+    /**
+     * Structure translator warnings
+     *
+     * Lines are 1-based: line points into the translated SQL, source_line into
+     * the original dump. $applied maps warning keys to the resolutions that
+     * were applied to the translated SQL.
+     */
+    public static function describe(array $warnings, string $sourceSql, string $translatedSql, array $applied = []): array
+    {
+        $rules = self::getRules();
+        $described = [];
+
+        foreach ($warnings as $warning) {
+            $message = is_string($warning) ? $warning : json_encode($warning);
+            $code = 'general';
+            $severity = 'low';
+            $actions = [];
+
+            foreach ($rules as $ruleCode => [$pattern, $ruleSeverity, $ruleActions]) {
+                if (preg_match($pattern, $message)) {
+                    $code = $ruleCode;
+                    $severity = $ruleSeverity;
+                    $actions = $ruleActions;
+                    break;
+                }
+            }
+
+            $table = preg_match("/^Table '([^']+)'/", $message, $matches) ? $matches[1] : null;
+            $column = preg_match("/Column '([^']+)'/i", $message, $matches) ? $matches[1] : null;
+            $object = preg_match("/(?:Index|Constraint) '([^']+)'/i", $message, $matches) ? $matches[1] : null;
+            $key = self::getKey($code, $table, $column, $object);
+
+            $described[] = [
+                'code' => $code,
+                'severity' => $severity,
+                'message' => $message,
+                'table' => $table,
+                'column' => $column,
+                'object' => $object,
+                'line' => self::findLine($translatedSql, $table, $column ?? $object),
+                'source_line' => self::findLine($sourceSql, $table, $column ?? $object),
+                'actions' => array_map(
+                    fn($id, $label) => ['id' => $id, 'label' => $label],
+                    array_keys($actions),
+                    array_values($actions)
+                ),
+                'resolutions' => $applied[$key] ?? []
+            ];
+        }
+
+        return $described;
+    }
+
+    /**
+     * Translator options changed by the chosen resolutions
+     *
+     * The translator converts ENUM columns with one setting, so 'enum-check'
+     * on any ENUM warning applies to every ENUM column in the dump (its label
+     * says so).
+     */
+    public static function applyToOptions(array $options, array $resolutions): array
+    {
+        foreach ($resolutions as $resolution) {
+            if (($resolution['action'] ?? '') === 'enum-check') {
+                $options['enum_conversion'] = 'text_with_check';
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Apply the chosen resolutions to translated SQL
+     *
+     * Returns the SQL and the resolutions applied per warning key; resolutions
+     * whose target cannot be found in the SQL are left out.
+     */
+    public static function applyToSql(string $sql, string $sourceSql, array $resolutions): array
+    {
+        $applied = [];
+
+        foreach ($resolutions as $resolution) {
+            $code = $resolution['code'] ?? '';
+            $action = $resolution['action'] ?? '';
+            $table = $resolution['table'] ?? null;
+            $column = $resolution['column'] ?? null;
+            $object = $resolution['object'] ?? null;
+            $key = self::getKey($code, $table, $column, $object);
+
+            if ($action === 'enum-check') {
+                $applied[$key][] = $action;
+                continue;
+            }
+
+            $changed = null;
+            if ($action === 'drop') {
+                $changed = self::dropClause($sql, $code, $table, $column, $object);
+            } elseif ($action === 'comment') {
+                $changed = self::keepAsComment($sql, $sourceSql, $code, $table, $column ?? $object);
+            }
+
+            if ($changed !== null && $changed !== $sql) {
+                $sql = $changed;
+                $applied[$key][] = $action;
+            }
+        }
+
+        return [
+            'sql' => $sql,
+            'applied' => $applied
+        ];
+    }
+
+    /**
+     * Key identifying a warning across translations
+     */
+    public static function getKey(string $code, ?string $table, ?string $column, ?string $object): string
+    {
+        return implode('|', [$code, $table ?? '', $column ?? '', $object ?? '']);
+    }
+
+    /**
+     * Remove what the translator generated in place of an unsupported feature
+     */
+    private static function dropClause(string $sql, string $code, ?string $table, ?string $column, ?string $object): ?string
+    {
+        switch ($code) {
+            case 'enum-check':
+                if (!$table || !$column) {
+                    return null;
+                }
+                return self::removeCheckConstraint($sql, "{$table}_{$column}_check");
+
+            case 'update-trigger':
+                if (!$table) {
+                    return null;
+                }
+                $name = preg_quote($table, '/');
+                $sql = preg_replace('/CREATE\s+OR\s+REPLACE\s+FUNCTION\s+' . $name . '_update_timestamp\s*\(\).*?\$\$\s*LANGUAGE\s+plpgsql\s*;\s*/is', '', $sql);
+                return preg_replace('/CREATE\s+TRIGGER\s+' . $name . '_updated_at_trg\b(?:[^;]*?\bBEGIN\b.*?\bEND\s*;|[^;]*;)\s*/is', '', $sql);
+
+            case 'fulltext-converted':
+                if (!$object) {
+                    return null;
+                }
+                $name = preg_quote($object, '/');
+                return preg_replace('/CREATE\s+INDEX\s+[`"\[]?' . $name . '_(?:gin|text)[`"\]]?\s[^;]*;\s*/is', '', $sql);
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove a named CHECK constraint from a CREATE TABLE column list
+     */
+    private static function removeCheckConstraint(string $sql, string $name): ?string
+    {
+        $pattern = '/,?\s*CONSTRAINT\s+[`"\[]?' . preg_quote($name, '/') . '[`"\]]?\s+CHECK\s*\(/i';
+        if (!preg_match($pattern, $sql, $matches, PREG_OFFSET_CAPTURE)) {
+            return null;
+        }
+
+        $start = $matches[0][1];
+        $end = self::findClosingParen($sql, $start + strlen($matches[0][0]) - 1);
+
+        return $end === null ? null : substr($sql, 0, $start) . substr($sql, $end + 1);
+    }
+
+    /**
+     * Insert the source definition of a warning as a comment after its table
+     *
+     * Tables the translator left out entirely are kept as a commented copy of
+     * their source CREATE TABLE statement at the end of the SQL.
+     */
+    private static function keepAsComment(string $sql, string $sourceSql, string $code, ?string $table, ?string $needle): ?string
+    {
+        $source = $table ? self::findCreateTable($sourceSql, $table) : null;
+        $target = $table ? self::findCreateTable($sql, $table) : null;
+
+        if ($source && (!$target || $needle === null)) {
+            $kept = substr($sourceSql, $source[0], $source[1] - $source[0]);
+        } else {
+            $line = self::findLine($sourceSql, $table, $needle);
+            if ($line === null) {
+                return null;
+            }
+            $kept = trim(explode("\n", $sourceSql)[$line - 1]);
+        }
+
+        $comment = "-- Kept from source ({$code}):\n" . preg_replace('/^/m', '-- ', rtrim($kept)) . "\n";
+
+        if (!$target) {
+            return rtrim($sql) . "\n\n" . $comment;
+        }
+
+        return substr($sql, 0, $target[1]) . "\n" . $comment . substr($sql, $target[1]);
+    }
+
+    /**
+     * 1-based line of a column or object inside a table's CREATE TABLE, the
+     * statement itself when the name is not found there, or the first mention
+     * of the name anywhere in the SQL
+     */
+    private static function findLine(string $sql, ?string $table, ?string $needle): ?int
+    {
+        $statement = $table ? self::findCreateTable($sql, $table) : null;
+        $pattern = $needle !== null ? '/[`"\[\s(,]' . preg_quote($needle, '/') . '[`"\]\s(),]/i' : null;
+
+        if ($statement) {
+            $body = substr($sql, $statement[0], $statement[1] - $statement[0]);
+            $offset = $pattern && preg_match($pattern, $body, $matches, PREG_OFFSET_CAPTURE) ? $matches[0][1] + 1 : 0;
+            return substr_count($sql, "\n", 0, $statement[0] + $offset) + 1;
+        }
+
+        if ($pattern && preg_match($pattern, $sql, $matches, PREG_OFFSET_CAPTURE)) {
+            return substr_count($sql, "\n", 0, $matches[0][1] + 1) + 1;
+        }
+
+        return null;
+    }
+
+    /**
+     * Start and end offsets (after the semicolon) of a table's CREATE TABLE statement
+     */
+    private static function findCreateTable(string $sql, string $table): ?array
+    {
+        $pattern = '/CREATE\s+(?:TEMPORARY\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:[`"\[]?\w+[`"\]]?\.)?[`"\[]?'
+            . preg_quote($table, '/') . '[`"\]]?\s*\(/i';
+
+        if (!preg_match($pattern, $sql, $matches, PREG_OFFSET_CAPTURE)) {
+            return null;
+        }
+
+        $start = $matches[0][1];
+        $close = self::findClosingParen($sql, $start + strlen($matches[0][0]) - 1);
+        if ($close === null) {
+            return null;
+        }
+
+        $semicolon = strpos($sql, ';', $close);
+        return [$start, $semicolon === false ? strlen($sql) : $semicolon + 1];
+    }
+
+    /**
+     * Offset of the parenthesis closing the one at $open, skipping quoted text
+     */
+    private static function findClosingParen(string $sql, int $open): ?int
+    {
+        $depth = 0;
+        $quote = null;
+        $length = strlen($sql);
+
+        for ($i = $open; $i < $length; $i++) {
+            $char = $sql[$i];
+
+            if ($quote !== null) {
+                if ($char === '\\' && $quote !== '`') {
+                    $i++;
+                } elseif ($char === $quote) {
+                    $quote = null;
+                }
+                continue;
+            }
+
+            if ($char === "'" || $char === '"' || $char === '`') {
+                $quote = $char;
+            } elseif ($char === '(') {
+                $depth++;
+            } elseif ($char === ')' && --$depth === 0) {
+                return $i;
+            }
+        }
+
+        return null;
+    }
+}
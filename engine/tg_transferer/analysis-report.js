@@ -0,0 +1,357 @@
+/**
+ * Analysis Report
+ *
+ * Downloadable report of the Enhanced Transferer file analysis. Combines
+ * the analyzeSql response (file, dialects), the schemaSummary response
+ * (tables) and the findings of an analysisReport request (statistics,
+ * security assessment, compatibility checks, translation warnings) into one
+ * report object and writes it as JSON for tooling, Markdown for pull
+ * requests or a self-contained HTML page for sharing.
+ */
+
+class AnalysisReport {
+    constructor(analysis, findings = null, options = {}) {
+        this.options = {
+            file: '',
+            generatedAt: new Date(),
+            ...options
+        };
+        this.data = this.build(analysis, findings);
+    }
+
+    static getFormats() {
+        return {
+            html: { label: 'HTML (shareable page)', extension: 'html', mime: 'text/html' },
+            markdown: { label: 'Markdown (pull requests)', extension: 'md', mime: 'text/markdown' },
+            json: { label: 'JSON (tooling)', extension: 'json', mime: 'application/json' }
+        };
+    }
+
+    static escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Table cells must not break the Markdown table they are in
+    static escapeMarkdown(text) {
+        return String(text ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    // Content, MIME type and file extension for one of the formats
+    render(format) {
+        const formats = AnalysisReport.getFormats();
+        if (!formats[format]) {
+            throw new Error(`Unknown report format: ${format}`);
+        }
+
+        const content = format === 'json' ? this.toJson() : format === 'markdown' ? this.toMarkdown() : this.toHtml();
+        return { content, ...formats[format] };
+    }
+
+    build(analysis, findings) {
+        const fileName = this.options.file.split('/').pop() || analysis.sql_name || 'unknown.sql';
+        const schema = analysis.schema || null;
+        const tables = schema ? schema.tables : [];
+        const statistics = findings?.statistics || null;
+        const security = findings?.security || null;
+        const translation = findings?.translation || null;
+        const translationWarnings = translation ? translation.warnings : [];
+
+        return {
+            report: {
+                title: `SQL File Analysis: ${fileName}`,
+                generated_at: this.options.generatedAt.toISOString(),
+                generator: 'Enhanced Trongate Transferer',
+                findings_error: findings && !findings.success ? findings.error || 'unknown error' : null
+            },
+            file: {
+                name: fileName,
+                path: this.options.file,
+                size_kb: analysis.filesize_kb,
+                compression: analysis.compression || null,
+                sql_name: analysis.sql_name || null,
+                uncompressed_size_kb: analysis.compression ? analysis.uncompressed_size_kb : analysis.filesize_kb
+            },
+            databases: {
+                source: { type: analysis.source_type, name: analysis.source_type_name, chosen: Boolean(analysis.overridden?.source) },
+                target: { type: analysis.target_type, name: analysis.target_type_name, chosen: Boolean(analysis.overridden?.target) },
+                detection_confidence: analysis.detection?.confidence || null,
+                detection_scores: analysis.detection?.scores || {}
+            },
+            compatibility: {
+                translation_required: Boolean(analysis.translation_required),
+                assessment: analysis.translation_required
+                    ? `The SQL is written for ${analysis.source_type_name} and must be translated before it runs on ${analysis.target_type_name}.`
+                    : `The SQL can be imported into ${analysis.target_type_name} directly.`,
+                required_translations: findings?.compatibility?.required_translations || [],
+                issues: (findings?.compatibility?.issues || []).map(issue => typeof issue === 'string' ? { issue, solution: null } : issue),
+                translation_warnings_by_severity: ['high', 'medium', 'low'].reduce((counts, severity) => ({
+                    ...counts,
+                    [severity]: translationWarnings.filter(warning => warning.severity === severity).length
+                }), {})
+            },
+            statistics: {
+                characters: statistics?.length ?? null,
+                lines: statistics?.lines ?? null,
+                statements: statistics?.statements ?? null,
+                tables_referenced: statistics ? Object.values(statistics.tables || {}).length : null,
+                encoding: statistics?.encoding || null,
+                complexity_score: statistics?.complexity_score ?? null,
+                schema_tables: tables.length,
+                schema_columns: tables.reduce((total, table) => total + table.columns.length, 0),
+                schema_indexes: tables.reduce((total, table) => total + table.indexes.length, 0),
+                schema_foreign_keys: tables.reduce((total, table) => total + table.foreign_keys.length, 0),
+                estimated_rows: tables.reduce((total, table) => total + table.estimated_rows, 0)
+            },
+            security: security ? {
+                risk_level: security.risk_level,
+                dangerous_statements: Boolean(security.dangerous),
+                dangerous_patterns: (security.dangerous_patterns || []).map(pattern => ({ match: pattern.match, severity: pattern.severity })),
+                suspicious_content: (security.suspicious_content || []).map(item => item.description),
+                validation_errors: (findings.errors || []).map(error => error.message),
+                validation_warnings: (findings.warnings || []).map(warning => warning.message)
+            } : null,
+            translation: translation ? {
+                success: translation.success,
+                error: translation.error,
+                statistics: translation.statistics || {},
+                warnings: translationWarnings.map(warning => ({
+                    severity: warning.severity,
+                    code: warning.code,
+                    message: warning.message,
+                    location: [warning.table, warning.column || warning.object].filter(Boolean).join('.') || null,
+                    line: warning.line ?? null
+                }))
+            } : null,
+            schema: schema ? {
+                error: schema.error,
+                dependency_cycles: schema.dependency_cycles || [],
+                tables
+            } : null
+        };
+    }
+
+    toJson() {
+        return JSON.stringify(this.data, null, 2) + '\n';
+    }
+
+    // Rows of label/value pairs shared by the Markdown and HTML overviews
+    getOverview() {
+        const { file, databases, compatibility, statistics } = this.data;
+        const value = number => number === null ? 'n/a' : number.toLocaleString();
+
+        return [
+            ['File', file.path || file.name],
+            ['Size', file.compression
+                ? `${file.size_kb} KB ${file.compression === 'gzip' ? 'gzipped' : 'zipped'}, ${file.uncompressed_size_kb} KB SQL (${file.sql_name})`
+                : `${file.size_kb} KB`],
+            ['Source database', `${databases.source.name}${databases.source.chosen ? ' (chosen)' : ''}`
+                + (databases.detection_confidence ? `, detection confidence ${databases.detection_confidence}` : '')],
+            ['Target database', `${databases.target.name}${databases.target.chosen ? ' (chosen)' : ''}`],
+            ['Translation required', compatibility.translation_required ? 'Yes' : 'No'],
+            ['Lines / statements', `${value(statistics.lines)} / ${value(statistics.statements)}`],
+            ['Tables / columns', `${value(statistics.schema_tables)} / ${value(statistics.schema_columns)}`],
+            ['Indexes / foreign keys', `${value(statistics.schema_indexes)} / ${value(statistics.schema_foreign_keys)}`],
+            ['Rows inserted (estimated)', value(statistics.estimated_rows)],
+            ['Complexity score', statistics.complexity_score === null ? 'n/a' : `${statistics.complexity_score} / 10`],
+            ['Encoding', statistics.encoding || 'n/a']
+        ];
+    }
+
+    toMarkdown() {
+        const { report, compatibility, security, translation, schema } = this.data;
+        const cell = AnalysisReport.escapeMarkdown;
+        const code = text => `\`${String(text).replace(/`/g, "'")}\``;
+        const lines = [
+            `# ${report.title}`,
+            '',
+            `Generated ${report.generated_at} by ${report.generator}.`,
+            ''
+        ];
+
+        if (report.findings_error) {
+            lines.push(`> ⚠️ Statistics, security and translation findings are missing: ${report.findings_error}`, '');
+        }
+
+        lines.push('## Overview', '', '| | |', '|---|---|');
+        this.getOverview().forEach(([label, value]) => lines.push(`| ${cell(label)} | ${cell(value)} |`));
+
+        lines.push('', '## Compatibility', '', compatibility.assessment, '');
+        compatibility.required_translations.forEach(item => lines.push(`- ${item}`));
+        compatibility.issues.forEach(item => lines.push(`- ${code(item.issue)}${item.solution ? `: ${item.solution}` : ''}`));
+        if (translation) {
+            const counts = compatibility.translation_warnings_by_severity;
+            lines.push(`- Translation warnings: ${counts.high} high, ${counts.medium} medium, ${counts.low} low`);
+        }
+
+        lines.push('', '## Security', '');
+        if (!security) {
+            lines.push('The security assessment is not available.');
+        } else {
+            lines.push(`Risk level: **${security.risk_level}**${security.dangerous_statements ? ' - the file contains statements the transferer refuses to run' : ''}`, '');
+            security.dangerous_patterns.forEach(pattern => lines.push(`- ${pattern.severity}: ${code(pattern.match)}`));
+            security.suspicious_content.forEach(item => lines.push(`- Review: ${item}`));
+            security.validation_errors.forEach(item => lines.push(`- Error: ${item}`));
+            security.validation_warnings.forEach(item => lines.push(`- Warning: ${item}`));
+            if (!security.dangerous_patterns.length && !security.suspicious_content.length && !security.validation_errors.length && !security.validation_warnings.length) {
+                lines.push('No findings.');
+            }
+        }
+
+        if (translation) {
+            lines.push('', '## Translation', '');
+            if (!translation.success) {
+                lines.push(`The translation failed: ${translation.error}`);
+            } else {
+                lines.push(`Tables: ${translation.statistics.tables_processed || 0}, indexes: ${translation.statistics.indexes_processed || 0}, constraints: ${translation.statistics.constraints_processed || 0}`, '');
+                if (translation.warnings.length) {
+                    lines.push('| Severity | Location | Line | Warning |', '|---|---|---|---|');
+                    translation.warnings.forEach(warning => lines.push(
+                        `| ${warning.severity} | ${cell(warning.location || '')} | ${warning.line ?? ''} | ${cell(warning.message)} |`
+                    ));
+                } else {
+                    lines.push('No translation warnings.');
+                }
+            }
+        }
+
+        lines.push('', '## Schema', '');
+        if (!schema) {
+            lines.push('The schema inventory is not available.');
+        } else {
+            if (schema.error) {
+                lines.push(`> Some statements could not be parsed: ${schema.error}`, '');
+            }
+            schema.dependency_cycles.forEach(cycle => lines.push(`> Circular foreign keys: ${cycle.join(' → ')} → ${cycle[0]}`, ''));
+            if (!schema.tables.length) {
+                lines.push('No CREATE TABLE statements found.');
+            }
+            schema.tables.forEach(table => {
+                lines.push(`### ${table.name}`, '', `~${table.estimated_rows.toLocaleString()} rows inserted`, '');
+                lines.push('| Column | Type | Null | Default | Key |', '|---|---|---|---|---|');
+                table.columns.forEach(column => lines.push(
+                    `| ${cell(column.name)} | ${cell(column.type)} | ${column.nullable ? 'Yes' : 'No'} | ${column.default === null ? '' : cell(column.default)} | ${[column.primary_key ? 'PK' : '', column.auto_increment ? 'AUTO' : ''].filter(Boolean).join(' ')} |`
+                ));
+                lines.push('');
+                table.indexes.forEach(index => lines.push(`- ${index.type} index ${code(index.name)} (${index.columns.join(', ')})`));
+                table.foreign_keys.forEach(key => lines.push(
+                    `- foreign key ${code(key.name)} (${key.columns.join(', ')}) → ${key.referenced_table} (${key.referenced_columns.join(', ')})`
+                ));
+                if (table.indexes.length || table.foreign_keys.length) {
+                    lines.push('');
+                }
+            });
+        }
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+    }
+
+    toHtml() {
+        const { report, compatibility, security, translation, schema } = this.data;
+        const e = AnalysisReport.escapeHtml;
+        const list = items => items.length ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '';
+
+        const overview = this.getOverview().map(([label, value]) => `<tr><th>${e(label)}</th><td>${e(value)}</td></tr>`).join('');
+
+        const counts = compatibility.translation_warnings_by_severity;
+        const compatibilityItems = [
+            ...compatibility.required_translations.map(e),
+            ...compatibility.issues.map(item => `<code>${e(item.issue)}</code>${item.solution ? `: ${e(item.solution)}` : ''}`),
+            ...(translation ? [`Translation warnings: ${counts.high} high, ${counts.medium} medium, ${counts.low} low`] : [])
+        ];
+
+        const securityItems = security ? [
+            ...security.dangerous_patterns.map(pattern => `<span class="severity-${e(pattern.severity)}">${e(pattern.severity)}</span> <code>${e(pattern.match)}</code>`),
+            ...security.suspicious_content.map(item => `Review: ${e(item)}`),
+            ...security.validation_errors.map(item => `Error: ${e(item)}`),
+            ...security.validation_warnings.map(item => `Warning: ${e(item)}`)
+        ] : [];
+
+        let translationHtml = '';
+        if (translation) {
+            const stats = translation.statistics;
+            translationHtml = `
+                <h2>Translation</h2>
+                ${!translation.success ? `<p class="error">The translation failed: ${e(translation.error)}</p>` : `
+                    <p>Tables: ${stats.tables_processed || 0}, indexes: ${stats.indexes_processed || 0}, constraints: ${stats.constraints_processed || 0}</p>
+                    ${translation.warnings.length ? `
+                        <table>
+                            <thead><tr><th>Severity</th><th>Location</th><th>Line</th><th>Warning</th></tr></thead>
+                            <tbody>${translation.warnings.map(warning => `
+                                <tr><td class="severity-${e(warning.severity)}">${e(warning.severity)}</td><td>${e(warning.location || '')}</td><td>${e(warning.line ?? '')}</td><td>${e(warning.message)}</td></tr>
+                            `).join('')}</tbody>
+                        </table>
+                    ` : '<p>No translation warnings.</p>'}
+                `}
+            `;
+        }
+
+        const renderTable = table => `
+            <details>
+                <summary><strong>${e(table.name)}</strong> · ${table.columns.length} columns · ~${table.estimated_rows.toLocaleString()} rows</summary>
+                <table>
+                    <thead><tr><th>Column</th><th>Type</th><th>Null</th><th>Default</th><th>Key</th></tr></thead>
+                    <tbody>${table.columns.map(column => `
+                        <tr><td><code>${e(column.name)}</code></td><td>${e(column.type)}</td><td>${column.nullable ? 'Yes' : 'No'}</td><td>${column.default === null ? '' : `<code>${e(column.default)}</code>`}</td><td>${[column.primary_key ? 'PK' : '', column.auto_increment ? 'AUTO' : ''].filter(Boolean).join(' ')}</td></tr>
+                    `).join('')}</tbody>
+                </table>
+                ${list([
+                    ...table.indexes.map(index => `${e(index.type)} index <code>${e(index.name)}</code> (${e(index.columns.join(', '))})`),
+                    ...table.foreign_keys.map(key => `foreign key <code>${e(key.name)}</code> (${e(key.columns.join(', '))}) → ${e(key.referenced_table)} (${e(key.referenced_columns.join(', '))})`)
+                ])}
+            </details>
+        `;
+
+        const schemaHtml = !schema ? '<p>The schema inventory is not available.</p>' : `
+            ${schema.error ? `<p class="error">Some statements could not be parsed: ${e(schema.error)}</p>` : ''}
+            ${schema.dependency_cycles.map(cycle => `<p class="warning">Circular foreign keys: ${e([...cycle, cycle[0]].join(' → '))}</p>`).join('')}
+            ${schema.tables.length ? schema.tables.map(renderTable).join('') : '<p>No CREATE TABLE statements found.</p>'}
+        `;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${e(report.title)}</title>
+<style>
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2933; max-width: 1000px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 0.25rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #d9e2ec; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+thead th, tbody th { background: #f0f4f8; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85em; background: #f0f4f8; padding: 0 0.2em; border-radius: 3px; }
+details { border: 1px solid #d9e2ec; border-radius: 6px; padding: 0.5rem 0.75rem; margin: 0.5rem 0; }
+summary { cursor: pointer; }
+.meta { color: #627d98; font-size: 0.9rem; }
+.error, .severity-high { color: #b42318; }
+.warning, .severity-medium { color: #b54708; }
+.risk { font-weight: 700; text-transform: uppercase; }
+</style>
+</head>
+<body>
+<h1>${e(report.title)}</h1>
+<p class="meta">Generated ${e(report.generated_at)} by ${e(report.generator)}</p>
+${report.findings_error ? `<p class="warning">Statistics, security and translation findings are missing: ${e(report.findings_error)}</p>` : ''}
+<h2>Overview</h2>
+<table><tbody>${overview}</tbody></table>
+<h2>Compatibility</h2>
+<p>${e(compatibility.assessment)}</p>
+${list(compatibilityItems)}
+<h2>Security</h2>
+${security ? `
+    <p>Risk level: <span class="risk">${e(security.risk_level)}</span>${security.dangerous_statements ? ' - the file contains statements the transferer refuses to run' : ''}</p>
+    ${securityItems.length ? list(securityItems) : '<p>No findings.</p>'}
+` : '<p>The security assessment is not available.</p>'}
+${translationHtml}
+<h2>Schema</h2>
+${schemaHtml}
+</body>
+</html>
+`;
+    }
+}
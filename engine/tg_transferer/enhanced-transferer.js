@@ -10,12 +10,44 @@ class EnhancedTransferer {
         this.currentUrl = window.location.href;
         this.targetFile = '';
         this.sqlCode = '';
+        this.sqlCodeOriginal = '';
         this.enhancedMode = window.enhancedMode || false;
         this.translationSupported = window.translationSupported || false;
         this.currentAnalysis = null;
         this.translatedSQL = '';
+        this.translatedSQLOriginal = '';
+        this.translationValidation = null;
         this.tempTranslationFile = '';
+        this.translationResult = null;
+        this.dryRunReport = null;
+        this.schemaComparison = null;
+        this.incrementalMigration = null;
+        this.reportFindings = null;
+        this.analysisSchema = null;
+        this.executionReport = null;
+        this.lintFindings = [];
+        this.lintTarget = null;
+        this.outline = null;
+        this.outlineSql = '';
+        this.outlineFile = null;
+        this.outlineExcluded = new Set();
+        this.runSelection = null;
+        this.translationSelection = null;
+        this.translationOptions = null;
+        this.translationWarning = false;
+        this.translationWarnings = [];
+        this.translationResolutions = [];
+        this.backupBeforeRun = true;
+        this.lastBackup = null;
+        this.historyEntries = [];
+        this.historyFilters = { file: '', action: '', outcome: '' };
         this.progressCallback = null;
+        this.chunkSize = 512 * 1024; // Bytes per chunked import request
+        this.chunkedImport = null;
+        this.splitJob = null;
+        this.activeOperation = null;
+        this.uploadedFiles = new Map();
+        this.batch = null;
         
         this.init();
     }
@@ -23,6 +55,7 @@ class EnhancedTransferer {
     init() {
         this.setupEventListeners();
         this.setupAccessibility();
+        this.setupUploadZone();
         //this.showInitialStatus();
     }
 
@@ -61,6 +94,212 @@ class EnhancedTransferer {
         main.setAttribute('role', 'main');
     }
 
+    // Drag-and-drop and file picker uploads on the file list page
+    setupUploadZone() {
+        const zone = document.getElementById('upload-zone');
+        const input = document.getElementById('upload-input');
+        if (!zone) return;
+
+        // A file dropped next to the zone must not make the browser navigate away
+        ['dragover', 'drop'].forEach(type => {
+            window.addEventListener(type, (e) => e.preventDefault());
+        });
+
+        zone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('drag-over');
+        });
+
+        zone.addEventListener('dragleave', (e) => {
+            if (!zone.contains(e.relatedTarget)) {
+                zone.classList.remove('drag-over');
+            }
+        });
+
+        zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('drag-over');
+            this.uploadFiles(e.dataTransfer ? e.dataTransfer.files : []);
+        });
+
+        if (input) {
+            input.addEventListener('change', () => {
+                this.uploadFiles(input.files);
+                input.value = '';
+            });
+        }
+    }
+
+    // Upload dropped or picked files one after another; a single file goes straight into processing
+    async uploadFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0 || this.activeOperation) return;
+
+        const zone = document.getElementById('upload-zone');
+        const maxSize = zone ? parseInt(zone.dataset.maxSize, 10) : (window.capabilities?.max_upload_size || 0);
+        const uploaded = [];
+        const failed = [];
+
+        for (const file of files) {
+            const problem = this.checkUploadFile(file, maxSize);
+            if (problem) {
+                failed.push(`${file.name}: ${problem}`);
+                continue;
+            }
+
+            const operation = this.startOperation('upload');
+            try {
+                uploaded.push(await this.uploadSqlFile(file));
+            } catch (error) {
+                if (this.isAbortError(error)) return;
+                failed.push(`${file.name}: ${error.message}`);
+            } finally {
+                this.finishOperation(operation);
+            }
+        }
+
+        this.renderUploadProgress(null);
+        failed.forEach(message => this.showNotification(this.escapeHtml(message), 'error'));
+
+        if (uploaded.length === 1 && failed.length === 0) {
+            this.showNotification(`Uploaded ${this.escapeHtml(uploaded[0].name)}`, 'success');
+            await this.openUploadedFile(uploaded[0]);
+        } else if (uploaded.length > 0) {
+            // Several uploads are listed with the other files
+            location.reload();
+        }
+    }
+
+    // Reason a file cannot be uploaded, or null
+    checkUploadFile(file, maxSize) {
+        if (!this.getDumpCompression(file.name) && !/\.sql$/i.test(file.name)) {
+            return 'only .sql, .sql.gz and .zip files can be uploaded';
+        }
+        if (file.size === 0) {
+            return 'the file is empty';
+        }
+        if (maxSize > 0 && file.size > maxSize) {
+            return `the file is ${Math.round(file.size / 1048576 * 100) / 100} MB; uploads are limited to ${Math.round(maxSize / 1048576 * 100) / 100} MB`;
+        }
+        return null;
+    }
+
+    async uploadSqlFile(file) {
+        this.renderUploadProgress(file.name, 0, 'Reading file...');
+
+        // Compressed dumps are stored as uploaded; the server checks that they decompress
+        const params = { action: 'uploadSql', fileName: file.name };
+        if (this.getDumpCompression(file.name)) {
+            params.content = this.encodeBase64(await file.arrayBuffer());
+        } else {
+            params.sqlCode = await file.text();
+        }
+
+        const { status, result } = await this.makeUploadRequest(
+            params,
+            (loaded, total) => this.renderUploadProgress(file.name, total > 0 ? loaded / total * 100 : 0, 'Uploading...')
+        );
+
+        if (!result || !result.success) {
+            throw new Error(result?.error || `The server returned no upload result (HTTP ${status})`);
+        }
+
+        this.renderUploadProgress(file.name, 100, 'Checking file...');
+        return result;
+    }
+
+    // 'gzip' for .sql.gz, 'zip' for .zip, null for anything else
+    getDumpCompression(name) {
+        if (/\.sql\.gz$/i.test(name)) return 'gzip';
+        if (/\.zip$/i.test(name)) return 'zip';
+        return null;
+    }
+
+    // Name of the SQL a dump holds: dump.sql.gz and dump.zip both hold dump.sql
+    getSqlFileName(file) {
+        const name = file.split('/').pop();
+        return this.getDumpCompression(name) ? name.replace(/(\.sql)?\.(gz|zip)$/i, '.sql') : name;
+    }
+
+    encodeBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+
+        // String.fromCharCode takes a limited number of arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+
+        return btoa(binary);
+    }
+
+    // POST like makeRequest, through XMLHttpRequest so upload progress can be reported
+    makeUploadRequest(params, onProgress) {
+        const operation = this.activeOperation;
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', this.currentUrl);
+            xhr.setRequestHeader('Content-Type', 'application/json');
+            xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) onProgress(e.loaded, e.total);
+            });
+
+            xhr.addEventListener('load', () => {
+                let result = null;
+                try {
+                    result = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Reported below as a failed upload
+                }
+                resolve({ status: xhr.status, result });
+            });
+            xhr.addEventListener('error', () => reject(new Error('Network error during upload')));
+            xhr.addEventListener('abort', () => reject(new DOMException('Upload cancelled', 'AbortError')));
+
+            if (operation) {
+                operation.controller.signal.addEventListener('abort', () => xhr.abort());
+            }
+
+            xhr.send(JSON.stringify(operation ? { operationId: operation.id, ...params } : params));
+        });
+    }
+
+    // Progress line inside the upload zone; a null name clears it
+    renderUploadProgress(name, percent = 0, message = '') {
+        const container = document.getElementById('upload-progress');
+        if (!container) return;
+
+        if (name === null) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rounded = Math.round(percent);
+        container.innerHTML = `
+            <div class="upload-progress-label">${this.escapeHtml(message)} <strong>${this.escapeHtml(name)}</strong> ${rounded}%</div>
+            <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${rounded}">
+                <div class="progress-fill" style="width: ${rounded}%"></div>
+            </div>
+            <button class="danger cancel-operation" onclick="transferer.cancelOperation()" aria-label="Cancel the upload">✖ Cancel</button>
+        `;
+    }
+
+    // Continue with an uploaded file the way the file list buttons would
+    async openUploadedFile(upload) {
+        this.uploadedFiles.set(upload.file, { size: upload.size, compressedSize: upload.compressed_size });
+
+        if (upload.too_big) {
+            this.explainTooBig(upload.name, upload.file);
+        } else if (this.translationSupported) {
+            await this.viewSqlEnhanced(upload.file, upload.warning);
+        } else {
+            await this.viewSql(upload.file, upload.warning);
+        }
+    }
+
     showInitialStatus() {
         if (this.enhancedMode) {
             this.showNotification('Enhanced Model detected - Cross-database translation available', 'success');
@@ -69,6 +308,7 @@ class EnhancedTransferer {
 
     // Enhanced SQL viewing with sophisticated error handling
     async viewSqlEnhanced(file, warning) {
+        const operation = this.startOperation('analyze');
         try {
             this.setLoadingState('Analyzing SQL file...', 'Analyzing SQL');
             
@@ -87,6 +327,8 @@ class EnhancedTransferer {
                 await this.viewSql(file, warning);
             }
         } catch (error) {
+            if (this.isAbortError(error)) return;
+
             console.error('Analysis failed:', error);
             this.handleError('Analysis Failed', error.message);
             
@@ -95,6 +337,8 @@ class EnhancedTransferer {
             
             // Fallback to standard view
             await this.viewSql(file, warning);
+        } finally {
+            this.finishOperation(operation);
         }
     }
 
@@ -129,6 +373,7 @@ class EnhancedTransferer {
             
             if (missingProperties.length > 0) {
                 console.warn('Analysis missing properties:', missingProperties);
+                analysisResult.fallback_properties = missingProperties;
                 
                 // Provide fallback values for missing properties
                 if (!analysisResult.source_type) {
@@ -150,6 +395,8 @@ class EnhancedTransferer {
                 }
             }
             
+            this.applyDialectOverrides(file, analysisResult);
+
             // Log successful analysis for debugging
             console.log('Analysis completed:', {
                 source: analysisResult.source_type,
@@ -183,18 +430,168 @@ class EnhancedTransferer {
         }
     }
 
+    getSupportedDialects(analysis = this.currentAnalysis) {
+        return analysis?.supported_types || { mysql: 'MySQL', sqlite: 'SQLite', postgresql: 'PostgreSQL' };
+    }
+
+    // Source and target types chosen by hand for a file: { source, target }
+    loadDialectOverrides(file) {
+        try {
+            return JSON.parse(sessionStorage.getItem(`transferer_dialects:${file}`) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveDialectOverrides(file, overrides) {
+        const key = `transferer_dialects:${file}`;
+        try {
+            if (overrides.source || overrides.target) {
+                sessionStorage.setItem(key, JSON.stringify(overrides));
+            } else {
+                sessionStorage.removeItem(key);
+            }
+        } catch (error) {
+            // Storage may be disabled; the override then lasts until the next analysis
+        }
+    }
+
+    // Apply the chosen types on top of the detected ones, which are kept as detected_*_type
+    applyDialectOverrides(file, analysis) {
+        const dialects = this.getSupportedDialects(analysis);
+        const overrides = this.loadDialectOverrides(file);
+
+        analysis.overridden = {};
+        ['source', 'target'].forEach(side => {
+            const detected = analysis[`detected_${side}_type`] || analysis[`${side}_type`];
+            const type = dialects[overrides[side]] ? overrides[side] : detected;
+
+            analysis[`detected_${side}_type`] = detected;
+            analysis[`${side}_type`] = type;
+            analysis[`${side}_type_name`] = dialects[type] || analysis[`${side}_type_name`] || type;
+            analysis.overridden[side] = type !== detected;
+        });
+        analysis.translation_required = analysis.source_type !== analysis.target_type;
+
+        return analysis;
+    }
+
+    setDialectOverride(side, type) {
+        const analysis = this.currentAnalysis;
+        if (!analysis) return;
+
+        const overrides = this.loadDialectOverrides(this.targetFile);
+        if (type === analysis[`detected_${side}_type`]) {
+            delete overrides[side];
+        } else {
+            overrides[side] = type;
+        }
+        this.saveDialectOverrides(this.targetFile, overrides);
+        this.applyDialectOverrides(this.targetFile, analysis);
+        this.redrawDialectView();
+    }
+
+    resetDialectOverrides() {
+        if (!this.currentAnalysis) return;
+
+        this.saveDialectOverrides(this.targetFile, {});
+        this.applyDialectOverrides(this.targetFile, this.currentAnalysis);
+        this.redrawDialectView();
+    }
+
+    // Redraw the page showing the dialect panel after the types changed
+    redrawDialectView() {
+        const panel = document.getElementById('dialect-panel');
+        const analysis = this.currentAnalysis;
+        if (!panel) return;
+
+        if (panel.dataset.view === 'analysis') {
+            this.drawFileAnalysis(this.targetFile, analysis);
+        } else if (analysis.translation_required) {
+            this.drawTranslationRequiredPage(this.targetFile, this.translationWarning, analysis);
+        } else {
+            this.showNotification(`Source and target are both ${analysis.target_type_name} - no translation needed`, 'info');
+            this.viewSql(this.targetFile, this.translationWarning);
+        }
+    }
+
+    // Detection confidence and source/target dropdowns for the analysis and translation pages
+    renderDialectPanel(analysis, view) {
+        const dialects = this.getSupportedDialects(analysis);
+        const detection = analysis.detection;
+        const confidence = detection ? detection.confidence : 'unknown';
+        const detectedName = dialects[analysis.detected_source_type] || analysis.detected_source_type;
+        const messages = {
+            high: `The SQL clearly matches ${detectedName}.`,
+            medium: `The SQL most likely comes from ${detectedName}.`,
+            low: 'Indicators of several databases were found; check the source type.',
+            none: `No database-specific syntax was found, so ${detectedName} is assumed. Pick the source database if this is wrong.`,
+            unknown: analysis.fallback_properties
+                ? `The analysis was incomplete (missing ${analysis.fallback_properties.join(', ')}); the types fell back to defaults.`
+                : 'No detection details are available for this file.'
+        };
+
+        const scores = detection ? Object.entries(detection.scores) : [];
+        const highest = Math.max(1, ...scores.map(([, score]) => score));
+        const options = side => Object.entries(dialects).map(([type, name]) => `
+            <option value="${type}" ${analysis[`${side}_type`] === type ? 'selected' : ''}>${name}${analysis[`detected_${side}_type`] === type ? ' (detected)' : ''}</option>
+        `).join('');
+
+        return `
+            <div class="dialect-panel" id="dialect-panel" data-view="${view}">
+                <h3>Database Types</h3>
+                <p class="detection-confidence confidence-${confidence}">
+                    <strong>Detection confidence: ${confidence.charAt(0).toUpperCase() + confidence.slice(1)}</strong> - ${this.escapeHtml(messages[confidence])}
+                </p>
+                ${scores.length ? `
+                    <table class="detection-scores">
+                        <thead><tr><th>Database</th><th>Score</th><th>Indicators found</th></tr></thead>
+                        <tbody>
+                            ${scores.map(([type, score]) => `
+                                <tr class="${type === analysis.detected_source_type ? 'detected' : ''}">
+                                    <td>${dialects[type] || type}</td>
+                                    <td><span class="score-bar" style="width: ${score / highest * 100}%"></span> ${score}</td>
+                                    <td>${(detection.indicators[type] || []).map(indicator => `<code>${this.escapeHtml(indicator)}</code>`).join(' ') || '<em>none</em>'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+                ${detection && detection.target_detected === false ? `<p class="detection-confidence confidence-low">The database configuration could not be read, so the target is assumed to be ${dialects[analysis.detected_target_type] || analysis.detected_target_type}.</p>` : ''}
+                <div class="dialect-selectors">
+                    <label>Source
+                        <select id="source-dialect" onchange="transferer.setDialectOverride('source', this.value)" aria-label="Source database type">${options('source')}</select>
+                    </label>
+                    <span class="arrow">→</span>
+                    <label>Target
+                        <select id="target-dialect" onchange="transferer.setDialectOverride('target', this.value)" aria-label="Target database type">${options('target')}</select>
+                    </label>
+                    ${analysis.overridden?.source || analysis.overridden?.target ? `
+                        <button type="button" onclick="transferer.resetDialectOverrides()">Use Detected Types</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
     // Enhanced request handler with retry logic
+    // Pass allowErrorStatus to receive error responses (e.g. JSON error bodies) without retries
     async makeRequest(params, options = {}) {
+        const { allowErrorStatus = false, ...fetchOptions } = options;
+
+        // Requests made during a cancellable operation share its abort signal and id
+        const operation = this.activeOperation;
         const defaultOptions = {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'X-Requested-With': 'XMLHttpRequest'
             },
-            body: JSON.stringify(params)
+            body: JSON.stringify(operation ? { operationId: operation.id, ...params } : params),
+            signal: operation ? operation.controller.signal : undefined
         };
 
-        const requestOptions = { ...defaultOptions, ...options };
+        const requestOptions = { ...defaultOptions, ...fetchOptions };
         let lastError;
 
         // Retry logic for failed requests
@@ -202,7 +599,7 @@ class EnhancedTransferer {
             try {
                 const response = await fetch(this.currentUrl, requestOptions);
                 
-                if (response.ok) {
+                if (response.ok || allowErrorStatus) {
                     return response;
                 }
                 
@@ -232,28 +629,173 @@ class EnhancedTransferer {
         throw lastError;
     }
 
+    // POST with stream: true and read newline-delimited JSON progress events as they arrive.
+    // Resolves with the final event: {type: 'result'}, {type: 'error', message} or,
+    // for servers that answer without streaming, {type: 'plain', status, text}
+    async makeStreamingRequest(params) {
+        const response = await this.makeRequest({ ...params, stream: true }, { allowErrorStatus: true });
+        const contentType = response.headers.get('Content-Type') || '';
+
+        if (!contentType.includes('ndjson') || !response.body) {
+            return { type: 'plain', status: response.status, text: await response.text() };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let final = null;
+
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                final = { type: 'plain', status: response.status, text: line };
+                return;
+            }
+
+            if (event.type === 'progress') {
+                this.updateProgress(event);
+            } else {
+                final = event;
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+
+        handleLine(buffer + decoder.decode());
+
+        if (!final) {
+            throw new Error('The server closed the progress stream without a result');
+        }
+
+        return final;
+    }
+
+    // Begin a cancellable operation; nested calls join the one already running
+    startOperation(kind) {
+        if (this.activeOperation) {
+            this.activeOperation.depth++;
+            return this.activeOperation;
+        }
+
+        this.activeOperation = {
+            id: `op_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+            kind,
+            controller: new AbortController(),
+            depth: 1
+        };
+
+        return this.activeOperation;
+    }
+
+    finishOperation(operation) {
+        if (operation && this.activeOperation === operation && --operation.depth === 0) {
+            this.activeOperation = null;
+        }
+    }
+
+    isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    // Abort the running request and ask the server to stop and roll back
+    async cancelOperation() {
+        const operation = this.activeOperation;
+        if (!operation) return;
+
+        this.activeOperation = null;
+        operation.controller.abort();
+        this.showCancelled(operation);
+
+        try {
+            await this.makeRequest({ action: 'cancelOperation', operationId: operation.id });
+        } catch (error) {
+            console.warn('Could not notify the server about the cancellation:', error);
+        }
+    }
+
+    showCancelled(operation) {
+        const details = {
+            upload: 'The upload was stopped. No file was saved.',
+            batch: 'The batch was stopped. Files that finished before cancelling stay imported; ' +
+                'the statements of the file being run were rolled back.',
+            analyze: 'The file analysis was stopped. No changes were made.',
+            load: 'Loading the SQL file was stopped. No changes were made.',
+            translate: 'The translation was stopped. No translated SQL was kept.',
+            comparison: 'Loading the comparison was stopped.',
+            compare: 'The comparison with the database was stopped. No changes were made.',
+            migration: 'Generating the incremental migration was stopped. No changes were made.',
+            report: 'Generating the analysis report was stopped. No report was downloaded.',
+            schema: 'Parsing the schema of the dump was stopped. No changes were made.',
+            dryrun: 'The dry run was stopped and everything it executed was discarded.',
+            run: 'Execution was stopped and the statements run so far were rolled back. ' +
+                'MySQL commits DDL such as CREATE TABLE immediately, so tables created before cancelling may remain.',
+            chunks: 'The chunked import was stopped and the current chunk was rolled back, except for DDL such as ' +
+                'CREATE TABLE that MySQL had already committed. Chunks committed earlier remain - the import can be resumed from the File Too Large screen.'
+        };
+
+        if (operation.kind === 'translate') {
+            this.translatedSQL = '';
+            this.tempTranslationFile = '';
+            this.translationResult = null;
+        }
+
+        this.updatePageContent('Cancelled', `
+            <div class="warning-box cancelled-operation">
+                <h2>⏹️ Operation Cancelled</h2>
+                <p>${details[operation.kind] || 'The operation was stopped.'}</p>
+            </div>
+            <div class="action-buttons">
+                <button onclick="transferer.goBack()">← Back to Files</button>
+            </div>
+        `);
+    }
+
     // Standard SQL viewing with progress tracking
     async viewSql(file, warning) {
+        const operation = this.startOperation('load');
         try {
             this.setLoadingState('Reading SQL file...', 'Reading SQL');
             
-            const params = {
-                controllerPath: file,
-                action: 'viewSql'
-            };
-
-            const response = await this.makeRequest(params);
-            const sqlContent = await response.text();
+            const sqlContent = await this.fetchSqlText(file);
             
             this.sqlCode = sqlContent;
+            this.sqlCodeOriginal = sqlContent;
             this.drawShowSQLPage(sqlContent, file, warning);
         } catch (error) {
+            if (this.isAbortError(error)) return;
             this.handleError('Failed to load SQL file', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // SQL text of a dump; the server decompresses .sql.gz and .zip files
+    async fetchSqlText(file) {
+        const response = await this.makeRequest({ controllerPath: file, action: 'viewSql' }, { allowErrorStatus: true });
+        const text = await response.text();
+
+        if (!response.ok) {
+            throw new Error(text || `HTTP ${response.status}: ${response.statusText}`);
         }
+
+        return text;
     }
 
-    // Enhanced translation workflow
-    async translateAndPreview(file) {
+    // Enhanced translation workflow; resolutions are the warning fixes chosen in the preview
+    async translateAndPreview(file, resolutions = []) {
+        const operation = this.startOperation('translate');
         try {
             // Store the file for future reference
             this.targetFile = file;
@@ -271,31 +813,45 @@ class EnhancedTransferer {
                 throw new Error('Invalid analysis data - missing database types');
             }
             
+            // A statement selection made on the SQL page narrows the translation
+            const selection = await this.getStatementSelection(file);
+            const translationOptions = this.loadTranslationOptions(file);
+
             this.setLoadingState('Translating SQL dump...', 'Translating SQL', true);
             
             const params = {
                 filepath: file,
                 sourceType: this.currentAnalysis.source_type,
                 targetType: this.currentAnalysis.target_type,
+                options: translationOptions.options,
                 action: 'translateSql'
             };
-
-            const response = await this.makeRequest(params);
-            
-            if (!response.ok) {
-                throw new Error(`Translation request failed: ${response.status} ${response.statusText}`);
+            if (selection) {
+                params.sqlCode = selection.sql;
+                params.selection = selection.label;
             }
-            
-            const result = await response.json();
+            if (resolutions.length) {
+                params.resolutions = resolutions;
+            }
+
+            const result = this.getTranslationResult(await this.makeStreamingRequest(params));
             
             if (result.success) {
                 this.translatedSQL = result.translated_sql;
+                this.translatedSQLOriginal = result.translated_sql;
+                this.translationValidation = null;
                 this.tempTranslationFile = result.temp_file;
+                this.translationResult = result;
+                this.translationSelection = selection;
+                this.translationOptions = translationOptions;
+                this.translationResolutions = resolutions;
                 this.drawTranslationPreview(file, result);
             } else {
                 throw new Error(result.error || 'Translation failed without specific error');
             }
         } catch (error) {
+            if (this.isAbortError(error)) return;
+
             console.error('Translation error:', error);
             this.handleError('Translation Failed', error.message);
             this.showNotification('Falling back to original SQL view', 'warning');
@@ -303,12 +859,31 @@ class EnhancedTransferer {
             // Clear invalid analysis and fall back
             this.currentAnalysis = null;
             await this.viewSql(file, false);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // JSON result of a streamed translateSql request
+    getTranslationResult(outcome) {
+        if (outcome.type === 'result') {
+            return outcome.data;
+        }
+        if (outcome.type === 'error') {
+            throw new Error(outcome.message);
+        }
+
+        try {
+            return JSON.parse(outcome.text);
+        } catch (error) {
+            throw new Error(`Translation request failed: HTTP ${outcome.status}`);
         }
     }
 
     // Enhanced page drawing with sophisticated UI
     drawTranslationRequiredPage(file, warning, analysis) {
         this.targetFile = file;
+        this.translationWarning = warning;
 
         if (warning) {
             this.showWarningAlert('Potentially dangerous SQL code detected. Review carefully!');
@@ -341,8 +916,17 @@ class EnhancedTransferer {
                     <p><strong>File Size:</strong> ${analysis.filesize_kb || 'Unknown'} KB</p>
                     <p><strong>Translation:</strong> Automatic with validation</p>
                     ${warning ? '<p><strong>⚠️ Security Warning:</strong> This file contains potentially dangerous SQL operations</p>' : ''}
+                    ${this.loadOutlineSelection(this.targetFile).size ? `
+                        <p id="selection-note"><strong>🎯 Statement Selection:</strong> only the statements selected on the SQL page will be translated.
+                            <button type="button" onclick="transferer.clearStatementSelection()">Clear Selection</button></p>
+                    ` : ''}
                 </div>
+                ${this.renderDialectPanel(analysis, 'translation')}
             </div>
+
+            <details class="translation-options" id="translation-options">
+                ${this.renderTranslationOptions(this.targetFile)}
+            </details>
             
             <div class="action-buttons">
                 <button onclick="transferer.goBack()" aria-label="Go back to file list">
@@ -383,6 +967,164 @@ class EnhancedTransferer {
         });
     }
 
+    // Translator settings the form can change; mirrors EnhancedTransferer::getTranslationOptions()
+    getDefaultTranslationOptions() {
+        return {
+            strict: false,
+            handle_unsupported: 'warn',
+            enum_conversion: 'text_with_check',
+            preserve_indexes: true,
+            preserve_constraints: true,
+            include_data: true,
+            conflict_handling: 'skip',
+            batch_size: 1000,
+            validate_data: true,
+            normalize_data: true,
+            add_header_comments: true
+        };
+    }
+
+    getTranslationPresets() {
+        return [
+            { id: 'default', label: 'Default', description: 'Schema and data, skip conflicting rows', options: {} },
+            { id: 'schema', label: 'Schema Only', description: 'Tables, indexes and constraints without INSERT data', options: { include_data: false } },
+            { id: 'strict', label: 'Strict', description: 'Stop on unsupported syntax and conflicting rows', options: { strict: true, handle_unsupported: 'error', conflict_handling: 'error', validate_data: true } },
+            { id: 'upsert', label: 'Upsert Data', description: 'Update existing rows instead of skipping them', options: { include_data: true, conflict_handling: 'update' } }
+        ];
+    }
+
+    // Last-used translation options for a file: { preset, options }
+    loadTranslationOptions(file) {
+        const defaults = this.getDefaultTranslationOptions();
+        try {
+            const stored = JSON.parse(localStorage.getItem(`transferer_options:${file}`) || 'null');
+            if (stored && typeof stored.options === 'object') {
+                const options = { ...defaults };
+                Object.keys(defaults).forEach(key => {
+                    if (typeof stored.options[key] === typeof defaults[key]) options[key] = stored.options[key];
+                });
+                return { preset: this.matchTranslationPreset(options), options };
+            }
+        } catch (error) {
+            // Unreadable storage falls back to the defaults
+        }
+        return { preset: 'default', options: defaults };
+    }
+
+    saveTranslationOptions(file, options) {
+        const key = `transferer_options:${file}`;
+        try {
+            if (this.matchTranslationPreset(options) === 'default') {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify({ options }));
+            }
+        } catch (error) {
+            // Storage may be full or disabled; the choice then lasts for this page only
+        }
+    }
+
+    // Id of the preset the options equal, or 'custom'
+    matchTranslationPreset(options) {
+        const defaults = this.getDefaultTranslationOptions();
+        const preset = this.getTranslationPresets().find(candidate => {
+            const expected = { ...defaults, ...candidate.options };
+            return Object.keys(defaults).every(key => expected[key] === options[key]);
+        });
+        return preset ? preset.id : 'custom';
+    }
+
+    getTranslationPresetLabel(id) {
+        const preset = this.getTranslationPresets().find(candidate => candidate.id === id);
+        return preset ? preset.label : 'Custom';
+    }
+
+    renderTranslationOptions(file) {
+        const { preset, options } = this.loadTranslationOptions(file);
+        const checkbox = (name, label) => `
+            <label><input type="checkbox" name="${name}" ${options[name] ? 'checked' : ''} onchange="transferer.updateTranslationOptions()"> ${label}</label>
+        `;
+        const select = (name, label, choices) => `
+            <label>${label}
+                <select name="${name}" onchange="transferer.updateTranslationOptions()">
+                    ${choices.map(([value, text]) => `<option value="${value}" ${options[name] === value ? 'selected' : ''}>${text}</option>`).join('')}
+                </select>
+            </label>
+        `;
+
+        return `
+            <summary>⚙️ Translation Options: <span id="translation-options-summary">${this.getTranslationPresetLabel(preset)}</span></summary>
+            <div class="option-presets" role="group" aria-label="Translation presets">
+                ${this.getTranslationPresets().map(candidate => `
+                    <button type="button" class="option-preset" aria-pressed="${candidate.id === preset}" title="${candidate.description}"
+                        onclick="transferer.applyTranslationPreset('${candidate.id}')">${candidate.label}</button>
+                `).join('')}
+            </div>
+            <form id="translation-options-form" class="translation-options-form" onsubmit="return false">
+                <fieldset>
+                    <legend>Schema</legend>
+                    ${checkbox('strict', 'Strict parsing (fail on errors)')}
+                    ${checkbox('preserve_indexes', 'Keep indexes')}
+                    ${checkbox('preserve_constraints', 'Keep constraints')}
+                    ${select('handle_unsupported', 'Unsupported syntax', [['warn', 'Warn'], ['skip', 'Skip silently'], ['error', 'Stop with an error']])}
+                    ${select('enum_conversion', 'ENUM columns', [['text_with_check', 'Text with CHECK constraint'], ['text', 'Plain text']])}
+                    ${checkbox('add_header_comments', 'Add header comments')}
+                </fieldset>
+                <fieldset>
+                    <legend>Data</legend>
+                    ${checkbox('include_data', 'Include INSERT data')}
+                    ${select('conflict_handling', 'Conflicting rows', [['skip', 'Skip'], ['update', 'Update (upsert)'], ['error', 'Stop with an error']])}
+                    <label>Batch size
+                        <input type="number" name="batch_size" min="1" max="50000" value="${options.batch_size}" onchange="transferer.updateTranslationOptions()">
+                    </label>
+                    ${checkbox('validate_data', 'Validate data')}
+                    ${checkbox('normalize_data', 'Normalize data types')}
+                </fieldset>
+            </form>
+        `;
+    }
+
+    applyTranslationPreset(id) {
+        const preset = this.getTranslationPresets().find(candidate => candidate.id === id);
+        if (!preset) return;
+
+        this.saveTranslationOptions(this.targetFile, { ...this.getDefaultTranslationOptions(), ...preset.options });
+        const container = document.getElementById('translation-options');
+        if (container) {
+            container.innerHTML = this.renderTranslationOptions(this.targetFile);
+            container.open = true;
+        }
+    }
+
+    // Read the options form and remember it for the current file
+    updateTranslationOptions() {
+        const form = document.getElementById('translation-options-form');
+        if (!form) return;
+
+        const options = this.getDefaultTranslationOptions();
+        Object.keys(options).forEach(key => {
+            const field = form.elements[key];
+            if (!field) return;
+            if (typeof options[key] === 'boolean') {
+                options[key] = field.checked;
+            } else if (typeof options[key] === 'number') {
+                const value = parseInt(field.value, 10);
+                options[key] = Number.isFinite(value) ? Math.min(50000, Math.max(1, value)) : options[key];
+                field.value = options[key];
+            } else {
+                options[key] = field.value;
+            }
+        });
+
+        this.saveTranslationOptions(this.targetFile, options);
+
+        const preset = this.matchTranslationPreset(options);
+        document.getElementById('translation-options-summary').textContent = this.getTranslationPresetLabel(preset);
+        document.querySelectorAll('#translation-options .option-preset').forEach((button, index) => {
+            button.setAttribute('aria-pressed', String(this.getTranslationPresets()[index].id === preset));
+        });
+    }
+
     // Enhanced translation preview with statistics
     drawTranslationPreview(file, result) {
         const warningsHtml = this.createWarningsSection(result.warnings);
@@ -405,6 +1147,8 @@ class EnhancedTransferer {
                     </div>
                 </div>
                 
+                ${this.translationSelection ? `<p class="selection-note">🎯 Only the ${this.escapeHtml(this.translationSelection.label)} selected on the SQL page were translated.</p>` : ''}
+                ${this.translationOptions && this.translationOptions.preset !== 'default' ? `<p class="selection-note">⚙️ Translation options: ${this.getTranslationPresetLabel(this.translationOptions.preset)}</p>` : ''}
                 ${statisticsHtml}
                 ${warningsHtml}
             </div>
@@ -416,6 +1160,9 @@ class EnhancedTransferer {
                 <button class="success" onclick="transferer.runTranslatedSQL()" aria-label="Execute the translated SQL">
                     ✅ Run Translated SQL
                 </button>
+                <button class="info" onclick="transferer.dryRun('translated')" aria-label="Test the translated SQL without changing the database">
+                    🧪 Dry Run
+                </button>
                 <button onclick="transferer.showComparison()" aria-label="Compare original and translated SQL">
                     📊 Compare Original vs Translated
                 </button>
@@ -423,33 +1170,253 @@ class EnhancedTransferer {
                     💾 Download Translated SQL
                 </button>
             </div>
+            ${this.renderBackupOption()}
 
-            <div class="sql-preview-container">
-                <h3>Translated SQL Preview</h3>
-                <textarea id="sql-preview" readonly aria-label="Translated SQL content">${result.translated_sql}</textarea>
+            <div class="sql-preview-container sql-workspace">
+                <div class="sql-workspace-editor">
+                    <div class="translation-editor-header">
+                        <h3>Translated SQL Preview <span id="translation-modified" class="modified-marker" ${this.isTranslationModified() ? '' : 'hidden'}>✏️ Modified</span></h3>
+                        <div class="translation-editor-actions">
+                            <button type="button" onclick="transferer.revalidateTranslatedSQL()" aria-label="Check the edited SQL on the server">🔍 Re-validate</button>
+                            <button type="button" id="revert-translation" onclick="transferer.revertTranslatedSQL()" ${this.isTranslationModified() ? '' : 'disabled'} aria-label="Discard your edits">↩️ Revert Edits</button>
+                        </div>
+                    </div>
+                    <div id="translation-validation" class="translation-validation" aria-live="polite"></div>
+                    <textarea id="sql-preview" data-translated-sql data-sql-editor data-dialect="${this.escapeHtml(result.target_type)}" aria-label="Translated SQL content, editable">${this.escapeHtml(this.translatedSQL)}</textarea>
+                </div>
+                <div class="sql-sidebar">
+                    <aside id="lint-sidebar" class="lint-sidebar" aria-label="Risky statements"></aside>
+                </div>
             </div>
         `;
 
         this.updatePageContent('Translation Preview', content);
+        this.lintSql('sql-preview', result.target_type, this.translationWarnings
+            .filter(warning => warning.line)
+            .map(warning => ({ startLine: warning.line, endLine: warning.line, severity: warning.severity, message: warning.message })));
+        this.watchTranslatedSQL();
         this.setupPreviewPageHandlers();
     }
 
-    createWarningsSection(warnings) {
-        if (!warnings || warnings.length === 0) {
-            return '<div class="success-message">✅ No translation warnings</div>';
-        }
+    // Track edits of the translated SQL to show the modified marker
+    watchTranslatedSQL() {
+        const textarea = document.querySelector('textarea[data-translated-sql]');
+        const editor = textarea && SqlEditor.attach(textarea);
+        if (!editor) return;
 
-        return `
+        const previous = editor.options.onChange;
+        let timer = null;
+        editor.options.onChange = changed => {
+            if (previous) previous(changed);
+            clearTimeout(timer);
+            timer = setTimeout(() => this.updateTranslationModified(), 300);
+        };
+    }
+
+    // The translated SQL as edited in the preview; the last known text when the preview is not shown
+    syncTranslatedSQL() {
+        const textarea = document.querySelector('textarea[data-translated-sql]');
+        if (textarea) {
+            this.translatedSQL = SqlEditor.attach(textarea).getValue();
+        }
+        return this.translatedSQL;
+    }
+
+    isTranslationModified() {
+        return this.translatedSQL !== this.translatedSQLOriginal;
+    }
+
+    updateTranslationModified() {
+        this.syncTranslatedSQL();
+        const modified = this.isTranslationModified();
+
+        const marker = document.getElementById('translation-modified');
+        if (marker) marker.hidden = !modified;
+        const revert = document.getElementById('revert-translation');
+        if (revert) revert.disabled = !modified;
+
+        // A validation only holds for the text it checked
+        if (this.translationValidation && this.translationValidation.sql !== this.translatedSQL) {
+            this.translationValidation = null;
+        }
+        this.renderTranslationValidation();
+    }
+
+    revertTranslatedSQL() {
+        const textarea = document.querySelector('textarea[data-translated-sql]');
+        if (!textarea || !confirm('Discard your edits and restore the translated SQL?')) return;
+
+        SqlEditor.attach(textarea).setValue(this.translatedSQLOriginal);
+        this.updateTranslationModified();
+        this.showNotification('Edits discarded', 'info');
+    }
+
+    // Re-run the server-side parsing and security checks on the (edited) translated SQL
+    async revalidateTranslatedSQL() {
+        const sql = this.syncTranslatedSQL();
+        const panel = document.getElementById('translation-validation');
+        if (panel) panel.innerHTML = '<p class="blink">Validating SQL...</p>';
+
+        try {
+            const response = await this.makeRequest({
+                action: 'validateSql',
+                sqlCode: sql,
+                targetType: this.currentAnalysis?.target_type
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Validation failed');
+            }
+
+            this.translationValidation = { ...result, sql };
+            this.renderTranslationValidation();
+            return this.translationValidation;
+        } catch (error) {
+            if (this.isAbortError(error)) return null;
+            this.translationValidation = null;
+            if (panel) panel.innerHTML = `<p class="error-message">❌ Validation failed: ${this.escapeHtml(error.message)}</p>`;
+            return null;
+        }
+    }
+
+    renderTranslationValidation() {
+        const panel = document.getElementById('translation-validation');
+        if (!panel) return;
+
+        const validation = this.translationValidation;
+        if (!validation) {
+            panel.innerHTML = this.isTranslationModified()
+                ? '<p class="validation-stale">✏️ Edited since the last validation - re-validate before running.</p>'
+                : '';
+            return;
+        }
+
+        const problems = [
+            ...(validation.parse_error ? [`Parse error: ${validation.parse_error}`] : []),
+            ...validation.errors.map(error => error.message)
+        ];
+        const notes = [
+            ...(validation.dangerous ? ['Contains DROP, UPDATE, TRUNCATE or DELETE statements'] : []),
+            ...validation.warnings.map(warning => warning.message),
+            ...(validation.compatibility?.required_translations || []),
+            ...(validation.compatibility?.issues || []).map(issue => typeof issue === 'string' ? issue : issue.message || JSON.stringify(issue))
+        ];
+
+        panel.innerHTML = `
+            <div class="${validation.valid ? 'success-message' : 'error-message'}">
+                ${validation.valid ? '✅' : '❌'} ${validation.statements} statement(s) parsed;
+                ${validation.valid ? 'the SQL passed validation.' : 'the SQL did not pass validation.'}
+                ${problems.length ? `<ul>${problems.map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('')}</ul>` : ''}
+            </div>
+            ${notes.length ? `<div class="validation-notes">⚠️ Review: <ul>${notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}</ul></div>` : ''}
+        `;
+    }
+
+    // Edited SQL must pass validation, or be confirmed, before it is executed
+    async ensureTranslationValidated() {
+        if (!this.isTranslationModified()) return true;
+
+        let validation = this.translationValidation;
+        if (!validation || validation.sql !== this.translatedSQL) {
+            validation = await this.revalidateTranslatedSQL();
+        }
+
+        if (validation && validation.valid) return true;
+        return confirm('The edited SQL did not pass validation.\n\nRun it anyway?');
+    }
+
+    createWarningsSection(warnings) {
+        // Older responses carry plain strings
+        this.translationWarnings = (warnings || []).map(warning => typeof warning === 'string'
+            ? { code: 'general', severity: 'low', message: warning, actions: [], resolutions: [] }
+            : { actions: [], resolutions: [], ...warning });
+
+        const resetButton = this.translationResolutions.length ? `
+            <button type="button" class="warning-reset" onclick="transferer.resetWarningResolutions()">
+                ↩️ Undo All Resolutions (${this.translationResolutions.length})
+            </button>
+        ` : '';
+
+        if (this.translationWarnings.length === 0) {
+            return `<div class="success-message">✅ No translation warnings ${resetButton}</div>`;
+        }
+
+        const icons = { high: '⛔', medium: '⚠️', low: 'ℹ️' };
+        const items = this.translationWarnings.map((warning, index) => {
+            const location = [warning.table, warning.column || warning.object].filter(Boolean).join('.');
+            const resolved = warning.resolutions.map(id => warning.actions.find(action => action.id === id)?.label || id);
+
+            return `
+                <li class="translation-warning severity-${warning.severity}">
+                    <div class="translation-warning-header">
+                        ${icons[warning.severity] || ''} <code>${this.escapeHtml(warning.code)}</code>
+                        ${location ? `<strong>${this.escapeHtml(location)}</strong>` : ''}
+                        ${warning.source_line ? `<small>source line ${warning.source_line}</small>` : ''}
+                    </div>
+                    <div>${this.escapeHtml(warning.message)}</div>
+                    <div class="translation-warning-actions">
+                        ${warning.line ? `<button type="button" onclick="transferer.jumpToWarning(${index})" aria-label="Show line ${warning.line} of the translated SQL">Line ${warning.line}</button>` : ''}
+                        ${resolved.length ? `
+                            <span class="warning-resolved">✅ ${this.escapeHtml(resolved.join(', '))}</span>
+                            <button type="button" onclick="transferer.undoWarningResolution(${index})">Undo</button>
+                        ` : warning.actions.map(action => `
+                            <button type="button" onclick="transferer.resolveWarning(${index}, '${action.id}')">${this.escapeHtml(action.label)}</button>
+                        `).join('')}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        return `
             <div class="warning-list">
-                <h3>⚠️ Translation Warnings (${warnings.length})</h3>
-                <ul>
-                    ${warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}
-                </ul>
-                <p class="warning-note">These warnings indicate areas that may need manual review after import.</p>
+                <h3>⚠️ Translation Warnings (${this.translationWarnings.length})</h3>
+                <ul>${items}</ul>
+                <p class="warning-note">These warnings indicate areas that may need manual review after import. Resolving a warning translates the dump again with that decision applied.</p>
+                ${resetButton}
             </div>
         `;
     }
 
+    resetWarningResolutions() {
+        if (!this.confirmDiscardTranslationEdits()) return;
+        this.translateAndPreview(this.targetFile);
+    }
+
+    // Re-translating replaces the preview text
+    confirmDiscardTranslationEdits() {
+        this.syncTranslatedSQL();
+        return !this.isTranslationModified() || confirm('Translating again discards your edits to the translated SQL. Continue?');
+    }
+
+    jumpToWarning(index) {
+        const warning = this.translationWarnings[index];
+        const textarea = document.getElementById('sql-preview');
+        if (!warning || !warning.line || !textarea) return;
+
+        SqlEditor.attach(textarea).revealLines(warning.line, warning.line);
+        textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Translate again with one more warning resolution applied
+    resolveWarning(index, action) {
+        const warning = this.translationWarnings[index];
+        if (!warning || !warning.actions.some(candidate => candidate.id === action)) return;
+
+        if (!this.confirmDiscardTranslationEdits()) return;
+
+        const { code, table = null, column = null, object = null } = warning;
+        this.translateAndPreview(this.targetFile, [...this.translationResolutions, { code, action, table, column, object }]);
+    }
+
+    undoWarningResolution(index) {
+        const warning = this.translationWarnings[index];
+        if (!warning || !this.confirmDiscardTranslationEdits()) return;
+
+        const same = resolution => resolution.code === warning.code && (resolution.table ?? null) === (warning.table ?? null)
+            && (resolution.column ?? null) === (warning.column ?? null) && (resolution.object ?? null) === (warning.object ?? null);
+        this.translateAndPreview(this.targetFile, this.translationResolutions.filter(resolution => !same(resolution)));
+    }
+
     createStatisticsSection(statistics) {
         if (!statistics) return '';
 
@@ -485,6 +1452,8 @@ class EnhancedTransferer {
                         this.downloadTranslatedSQL();
                         break;
                     case 'c':
+                        // Inside the SQL editor Ctrl+C copies the selection
+                        if (e.target.closest && e.target.closest('.sql-editor')) break;
                         e.preventDefault();
                         this.showComparison();
                         break;
@@ -500,6 +1469,7 @@ class EnhancedTransferer {
 
     // Enhanced comparison view
     async showComparison() {
+        const operation = this.startOperation('comparison');
         try {
             // Validate that we have the necessary data
             if (!this.currentAnalysis) {
@@ -507,30 +1477,29 @@ class EnhancedTransferer {
                 return;
             }
             
+            this.syncTranslatedSQL();
             if (!this.translatedSQL) {
                 this.showNotification('No translated SQL available for comparison', 'warning');
                 return;
             }
             
             this.setLoadingState('Loading comparison...', 'Comparison View');
-            
-            const params = {
-                controllerPath: this.targetFile,
-                action: 'viewSql'
-            };
 
-            const response = await this.makeRequest(params);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load original SQL: ${response.status}`);
+            // A selective translation is compared with the statements it was made from
+            if (this.translationSelection) {
+                this.drawComparisonView(this.translationSelection.sql, this.translatedSQL);
+                return;
             }
             
-            const originalSQL = await response.text();
+            const originalSQL = await this.fetchSqlText(this.targetFile);
             
             this.drawComparisonView(originalSQL, this.translatedSQL);
         } catch (error) {
+            if (this.isAbortError(error)) return;
             console.error('Comparison failed:', error);
             this.handleError('Failed to load comparison', error.message);
+        } finally {
+            this.finishOperation(operation);
         }
     }
 
@@ -538,6 +1507,23 @@ class EnhancedTransferer {
         // Provide fallback names if analysis is not available
         const sourceTypeName = this.currentAnalysis?.source_type_name || 'Original';
         const targetTypeName = this.currentAnalysis?.target_type_name || 'Translated';
+
+        const differ = new SqlDiff();
+        this.comparison = {
+            differ,
+            originalSQL,
+            translatedSQL,
+            result: differ.compute(originalSQL, translatedSQL),
+            statements: null, // Aligned lazily the first time the statement view is opened
+            mode: 'split',
+            collapseUnchanged: true,
+            expanded: new Set(),
+            currentChange: -1,
+            sourceTypeName,
+            targetTypeName
+        };
+
+        const changeCount = this.comparison.result.changes.length;
         
         const content = `
             <div class="action-buttons">
@@ -552,17 +1538,24 @@ class EnhancedTransferer {
                 </button>
             </div>
 
-            <div class="comparison-view">
-                <div class="comparison-side">
-                    <h3>📄 Original (${sourceTypeName})</h3>
-                    <textarea readonly aria-label="Original SQL content">${this.escapeHtml(originalSQL)}</textarea>
-                </div>
-                <div class="comparison-side">
-                    <h3>🔄 Translated (${targetTypeName})</h3>
-                    <textarea readonly aria-label="Translated SQL content">${this.escapeHtml(translatedSQL)}</textarea>
+            <div class="diff-toolbar" role="toolbar" aria-label="Comparison controls">
+                <div id="diff-summary" class="diff-summary" aria-live="polite"></div>
+                <div class="diff-controls">
+                    <button class="diff-mode-button active" data-diff-mode="split" aria-pressed="true">Side by Side</button>
+                    <button class="diff-mode-button" data-diff-mode="unified" aria-pressed="false">Unified</button>
+                    <button class="diff-mode-button" data-diff-mode="statements" aria-pressed="false">Statements</button>
+                    <label class="diff-toggle">
+                        <input type="checkbox" id="diff-collapse" checked>
+                        Collapse unchanged
+                    </label>
+                    <button class="diff-nav" onclick="transferer.goToChange(-1)" aria-label="Go to previous change" ${changeCount ? '' : 'disabled'}>↑ Previous</button>
+                    <span id="diff-position" class="diff-position">0 / ${changeCount}</span>
+                    <button class="diff-nav" onclick="transferer.goToChange(1)" aria-label="Go to next change" ${changeCount ? '' : 'disabled'}>↓ Next Change</button>
                 </div>
             </div>
 
+            <div id="diff-view" class="diff-view" tabindex="0" aria-label="Differences between original and translated SQL"></div>
+
             <div class="comparison-help">
                 <h3>💡 What Changed?</h3>
                 <p>The translation adapted the SQL for compatibility with ${targetTypeName}. Key changes may include:</p>
@@ -576,187 +1569,881 @@ class EnhancedTransferer {
         `;
 
         this.updatePageContent('SQL Comparison', content);
+        this.renderDiff();
         this.setupComparisonHandlers();
     }
 
-    setupComparisonHandlers() {
-        // Sync scrolling between comparison textareas
-        const textareas = document.querySelectorAll('.comparison-side textarea');
-        if (textareas.length === 2) {
-            textareas[0].addEventListener('scroll', (e) => {
-                textareas[1].scrollTop = e.target.scrollTop;
-                textareas[1].scrollLeft = e.target.scrollLeft;
-            });
+    // Change block indexes for the active layout (line blocks or statement pairs)
+    getComparisonChanges() {
+        if (this.comparison.mode === 'statements') {
+            return this.getStatementAlignment().pairs
+                .map((pair, index) => pair.status === 'identical' ? -1 : index)
+                .filter(index => index >= 0);
+        }
 
-            textareas[1].addEventListener('scroll', (e) => {
-                textareas[0].scrollTop = e.target.scrollTop;
-                textareas[0].scrollLeft = e.target.scrollLeft;
-            });
+        return this.comparison.result.changes;
+    }
+
+    // Split both sides with their own dialect and pair statements by object
+    getStatementAlignment() {
+        if (!this.comparison.statements) {
+            const sourceTokenizer = new SqlTokenizer(this.currentAnalysis?.source_type);
+            const targetTokenizer = new SqlTokenizer(this.currentAnalysis?.target_type);
+
+            this.comparison.statements = this.comparison.differ.alignStatements(
+                sourceTokenizer.splitStatements(this.comparison.originalSQL),
+                targetTokenizer.splitStatements(this.comparison.translatedSQL)
+            );
         }
+
+        return this.comparison.statements;
     }
 
-    // Enhanced SQL execution with progress tracking
-    async runTranslatedSQL() {
-        try {
-            if (!await this.confirmExecution()) {
-                return;
-            }
+    renderDiffSummary() {
+        const summary = document.getElementById('diff-summary');
+        if (!summary) return;
 
-            this.setLoadingState('Executing translated SQL...', 'Executing SQL', true);
-            
-            const params = {
-                sqlCode: this.translatedSQL,
-                action: 'runSql',
-                targetFile: this.tempTranslationFile,
-                originalFile: this.targetFile
-            };
+        const changeCount = this.getComparisonChanges().length;
+        const changeLabel = `<span class="diff-stat">${changeCount} change${changeCount === 1 ? '' : 's'}</span>`;
 
-            const response = await this.makeRequest(params);
-            const result = await response.text();
-            
-            this.handleExecutionResult(response.status, result);
-        } catch (error) {
-            this.handleError('Execution Failed', error.message);
+        if (this.comparison.mode === 'statements') {
+            const stats = this.getStatementAlignment().stats;
+            summary.innerHTML = `
+                <span class="diff-stat diff-stat-added">+${stats.added} added</span>
+                <span class="diff-stat diff-stat-removed">−${stats.removed} removed</span>
+                <span class="diff-stat diff-stat-modified">~${stats.changed} changed</span>
+                <span class="diff-stat">${stats.identical} identical</span>
+                ${changeLabel}
+            `;
+            return;
         }
+
+        const stats = this.comparison.result.stats;
+        summary.innerHTML = `
+            <span class="diff-stat diff-stat-added">+${stats.added} added</span>
+            <span class="diff-stat diff-stat-removed">−${stats.removed} removed</span>
+            <span class="diff-stat diff-stat-modified">~${stats.modified} modified</span>
+            ${changeLabel}
+        `;
     }
 
-    async confirmExecution() {
-        return new Promise((resolve) => {
-            const confirmed = confirm(
-                'Are you sure you want to execute the translated SQL?\n\n' +
-                'This will modify your database. Make sure you have a backup if needed.'
-            );
-            resolve(confirmed);
+    // Render the current diff in side-by-side, unified or statement layout
+    renderDiff() {
+        const container = document.getElementById('diff-view');
+        if (!container || !this.comparison) return;
+
+        this.renderDiffSummary();
+        document.querySelectorAll('.diff-nav').forEach(button => {
+            button.disabled = this.getComparisonChanges().length === 0;
         });
+
+        if (this.comparison.mode === 'statements') {
+            this.renderStatementPairs(container);
+            return;
+        }
+
+        const { differ, result, mode, collapseUnchanged, expanded, sourceTypeName, targetTypeName } = this.comparison;
+
+        let rows = mode === 'unified' ? differ.toUnified(result.rows) : result.rows;
+        if (collapseUnchanged) {
+            rows = differ.collapse(rows, expanded);
+        }
+
+        const changeStarts = new Set(result.changes);
+
+        const body = rows.map(row => {
+            if (row.type === 'collapsed') {
+                return `
+                    <tr class="diff-collapsed" data-expand="${row.start}">
+                        <td colspan="4">
+                            <button class="diff-expand" data-expand="${row.start}">⋯ Show ${row.count} unchanged lines</button>
+                        </td>
+                    </tr>
+                `;
+            }
+
+            const changeIndex = row.sourceIndex !== null && row.type !== 'equal' && changeStarts.has(row.sourceIndex)
+                ? result.changes.indexOf(row.sourceIndex)
+                : -1;
+            const changeAttr = changeIndex >= 0 ? ` data-change="${changeIndex}"` : '';
+
+            if (mode === 'unified') {
+                const sign = row.type === 'removed' ? '−' : (row.type === 'added' ? '+' : ' ');
+                const text = row.type === 'added' ? row.rightText : row.leftText;
+                return `
+                    <tr class="diff-row diff-${row.type}"${changeAttr}>
+                        <td class="diff-num">${row.leftLine ?? ''}</td>
+                        <td class="diff-num">${row.rightLine ?? ''}</td>
+                        <td class="diff-sign">${sign}</td>
+                        <td class="diff-code">${this.renderDiffText(text, row.pairedText, row.type === 'removed')}</td>
+                    </tr>
+                `;
+            }
+
+            const leftText = row.type === 'modified' ? this.renderDiffText(row.leftText, row.rightText, true) : this.escapeHtml(row.leftText);
+            const rightText = row.type === 'modified' ? this.renderDiffText(row.rightText, row.leftText, false) : this.escapeHtml(row.rightText);
+
+            return `
+                <tr class="diff-row diff-${row.type}"${changeAttr}>
+                    <td class="diff-num">${row.leftLine ?? ''}</td>
+                    <td class="diff-code diff-left">${leftText}</td>
+                    <td class="diff-num">${row.rightLine ?? ''}</td>
+                    <td class="diff-code diff-right">${rightText}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const header = mode === 'unified'
+            ? `<tr><th class="diff-num"></th><th class="diff-num"></th><th class="diff-sign"></th><th>📄 ${this.escapeHtml(sourceTypeName)} → 🔄 ${this.escapeHtml(targetTypeName)}</th></tr>`
+            : `<tr><th class="diff-num"></th><th>📄 Original (${this.escapeHtml(sourceTypeName)})</th><th class="diff-num"></th><th>🔄 Translated (${this.escapeHtml(targetTypeName)})</th></tr>`;
+
+        container.innerHTML = result.changes.length === 0
+            ? '<div class="success-message">✅ No differences - the translated SQL is identical to the original</div>'
+            : `<table class="diff-table diff-${mode}"><thead>${header}</thead><tbody>${body}</tbody></table>`;
+
+        this.highlightCurrentChange(false);
     }
 
-    handleExecutionResult(status, result) {
-        // Provide fallback values if analysis is not available
-        const sourceTypeName = this.currentAnalysis?.source_type_name || 'Source Database';
-        const targetTypeName = this.currentAnalysis?.target_type_name || 'Target Database';
-        
-        if (status === 403) {
-            this.updatePageContent('Finished', `
-                <p>Please delete the file: ${result.replace('Finished.', '')}</p>
-                <p>After you have deleted the file, press 'Okay'</p>
-                <button class="success" onclick="transferer.clickOkay()">Okay</button>
+    // Render matched statement pairs, each with its own line diff
+    renderStatementPairs(container) {
+        const { collapseUnchanged, expanded, sourceTypeName, targetTypeName } = this.comparison;
+        const { pairs } = this.getStatementAlignment();
+        const changes = this.getComparisonChanges();
+
+        if (changes.length === 0) {
+            container.innerHTML = '<div class="success-message">✅ No differences - every statement is identical to the original</div>';
+            this.highlightCurrentChange(false);
+            return;
+        }
+
+        const blocks = [];
+        let hiddenStart = -1;
+
+        const flushHidden = (end) => {
+            if (hiddenStart < 0) return;
+            const count = end - hiddenStart;
+            blocks.push(`
+                <div class="diff-collapsed statement-collapsed">
+                    <button class="diff-expand" data-expand="${hiddenStart}">⋯ Show ${count} identical statement${count === 1 ? '' : 's'}</button>
+                </div>
             `);
-        } else if (result === 'Finished.') {
-            this.updatePageContent('✅ Success!', `
-                <div class="success-message">
-                    <h2>🎉 Translation and Import Complete!</h2>
-                    <p>The translated SQL was successfully processed and your database has been updated.</p>
-                    <div class="success-stats">
-                        <p><strong>Source:</strong> ${sourceTypeName}</p>
-                        <p><strong>Target:</strong> ${targetTypeName}</p>
-                        <p><strong>Status:</strong> Import Successful</p>
+            hiddenStart = -1;
+        };
+
+        pairs.forEach((pair, index) => {
+            if (pair.status === 'identical' && collapseUnchanged && !expanded.has(index)) {
+                if (hiddenStart < 0) hiddenStart = index;
+                return;
+            }
+
+            // Expanding a collapsed run reveals every pair in it
+            if (pair.status === 'identical' && hiddenStart < 0 && expanded.has(index)) {
+                let next = index + 1;
+                while (next < pairs.length && pairs[next].status === 'identical') {
+                    expanded.add(next++);
+                }
+            }
+
+            flushHidden(index);
+
+            const changeIndex = changes.indexOf(index);
+            const changeAttr = changeIndex >= 0 ? ` data-change="${changeIndex}"` : '';
+
+            blocks.push(`
+                <div class="statement-pair statement-${pair.status}"${changeAttr}>
+                    <div class="statement-pair-header">
+                        <span class="statement-badge statement-badge-${pair.status}">${pair.status}</span>
+                        <span class="statement-label">${this.escapeHtml(pair.label)}</span>
+                        <span class="statement-lines">${this.formatStatementLines(pair.original)} → ${this.formatStatementLines(pair.translated)}</span>
                     </div>
+                    ${this.renderStatementPairBody(pair)}
                 </div>
-                <button class="success" onclick="transferer.clickOkay()">Continue</button>
             `);
-        } else {
-            this.showExecutionError(result);
-        }
+        });
+
+        flushHidden(pairs.length);
+
+        container.innerHTML = `
+            <div class="statement-pairs-header">
+                <span>📄 Original (${this.escapeHtml(sourceTypeName)})</span>
+                <span>🔄 Translated (${this.escapeHtml(targetTypeName)})</span>
+            </div>
+            ${blocks.join('')}
+        `;
+
+        this.highlightCurrentChange(false);
     }
 
-    showExecutionError(errorMessage) {
-        const content = `
-            <div class="error-container">
-                <h2>❌ SQL Execution Error</h2>
-                <p>There was an error executing the translated SQL:</p>
-                <div class="error-message">${this.escapeHtml(errorMessage)}</div>
-                <div class="error-actions">
-                    <button onclick="transferer.goBack()">← Go Back</button>
-                    <button onclick="transferer.downloadTranslatedSQL()">💾 Download SQL for Manual Review</button>
-                    <button onclick="transferer.showComparison()">📊 View Comparison</button>
+    renderStatementPairBody(pair) {
+        if (pair.status === 'removed' || pair.status === 'added') {
+            const missing = '<pre class="statement-missing">Not present</pre>';
+            const present = `<pre class="statement-code diff-${pair.status}">${this.escapeHtml(pair.originalText || pair.translatedText)}</pre>`;
+
+            return `
+                <div class="statement-panes">
+                    ${pair.status === 'removed' ? present + missing : missing + present}
                 </div>
+            `;
+        }
+
+        const rows = this.comparison.differ.compute(pair.originalText, pair.translatedText).rows;
+        const left = [];
+        const right = [];
+
+        rows.forEach(row => {
+            const isModified = row.type === 'modified';
+            if (row.leftLine !== null) {
+                const text = isModified ? this.renderDiffText(row.leftText, row.rightText, true) : this.escapeHtml(row.leftText);
+                left.push(`<span class="statement-line diff-${row.type}">${text || ' '}</span>`);
+            }
+            if (row.rightLine !== null) {
+                const text = isModified ? this.renderDiffText(row.rightText, row.leftText, false) : this.escapeHtml(row.rightText);
+                right.push(`<span class="statement-line diff-${row.type}">${text || ' '}</span>`);
+            }
+        });
+
+        return `
+            <div class="statement-panes">
+                <pre class="statement-code">${left.join('')}</pre>
+                <pre class="statement-code">${right.join('')}</pre>
             </div>
         `;
+    }
 
-        this.updatePageContent('SQL Error', content);
+    formatStatementLines(statements) {
+        if (statements.length === 0) return '—';
+
+        const first = statements[0].startLine;
+        const last = statements[statements.length - 1].endLine;
+        const count = statements.length > 1 ? ` (${statements.length} statements)` : '';
+
+        return (first === last ? `line ${first}` : `lines ${first}–${last}`) + count;
     }
 
-    // Download functionality
-    downloadTranslatedSQL() {
-        if (!this.translatedSQL) {
-            this.showNotification('No translated SQL available for download', 'warning');
-            return;
+    // Escape a diff line and highlight the part that differs from its counterpart
+    renderDiffText(text, counterpart, isBefore) {
+        if (counterpart === null || counterpart === undefined) {
+            return this.escapeHtml(text);
         }
 
-        const blob = new Blob([this.translatedSQL], { type: 'text/sql' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        
-        a.href = url;
-        a.download = `translated_${this.currentAnalysis.target_type}_${Date.now()}.sql`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const segments = this.comparison.differ.inlineSegments(
+            isBefore ? text : counterpart,
+            isBefore ? counterpart : text
+        );
+        const parts = isBefore ? segments.before : segments.after;
 
-        this.showNotification('Translated SQL downloaded successfully', 'success');
+        return this.escapeHtml(parts.prefix) +
+            (parts.changed ? `<mark class="diff-inline">${this.escapeHtml(parts.changed)}</mark>` : '') +
+            this.escapeHtml(parts.suffix);
     }
 
-    // Utility methods
-    setLoadingState(message, headline = 'Processing', showProgress = false) {
-        const progressHtml = showProgress ? '<div class="progress-bar"><div class="progress-fill" style="width: 0%"></div></div>' : '';
-        
-        this.updatePageContent(headline, `
-            <div class="loading-container">
-                <p class="blink">${message}</p>
-                ${progressHtml}
-            </div>
-        `);
+    setDiffMode(mode) {
+        if (!this.comparison || this.comparison.mode === mode) return;
 
-        if (showProgress) {
-            this.animateProgress();
-        }
+        this.comparison.mode = mode;
+        this.comparison.expanded = new Set(); // Collapsed region indexes differ between layouts
+        this.comparison.currentChange = -1;
+
+        document.querySelectorAll('.diff-mode-button').forEach(button => {
+            const active = button.dataset.diffMode === mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+
+        this.renderDiff();
     }
 
-    animateProgress() {
-        const progressFill = document.querySelector('.progress-fill');
-        if (!progressFill) return;
+    // Move to the next (1) or previous (-1) change block
+    goToChange(direction) {
+        if (!this.comparison) return;
 
-        let width = 0;
-        const interval = setInterval(() => {
-            width += Math.random() * 15;
-            if (width >= 90) {
-                width = 90;
-                clearInterval(interval);
-            }
-            progressFill.style.width = width + '%';
-        }, 100);
+        const total = this.getComparisonChanges().length;
+        if (total === 0) return;
+
+        const current = this.comparison.currentChange;
+        this.comparison.currentChange = current < 0
+            ? (direction > 0 ? 0 : total - 1)
+            : (current + direction + total) % total;
 
-        // Store interval for cleanup
-        this.progressInterval = interval;
+        this.highlightCurrentChange(true);
     }
 
-    updatePageContent(headline, content) {
-        const headlineEl = document.getElementById('headline');
-        const infoEl = document.getElementById('info');
-        
-        if (headlineEl) {
-            headlineEl.innerHTML = headline;
-        }
-        
-        if (infoEl) {
-            infoEl.innerHTML = content;
+    highlightCurrentChange(scroll) {
+        if (!this.comparison) return;
+
+        const { currentChange, mode } = this.comparison;
+        const position = document.getElementById('diff-position');
+        if (position) {
+            position.textContent = `${currentChange + 1} / ${this.getComparisonChanges().length}`;
         }
 
-        // Cleanup progress interval
-        if (this.progressInterval) {
-            clearInterval(this.progressInterval);
-            this.progressInterval = null;
+        document.querySelectorAll('.diff-current').forEach(element => element.classList.remove('diff-current'));
+        if (currentChange < 0) return;
+
+        const target = document.querySelector(`#diff-view [data-change="${currentChange}"]`);
+        if (!target) return;
+
+        if (mode === 'statements') {
+            target.classList.add('diff-current');
+        } else {
+            // Mark every row of the block up to the next unchanged line
+            let row = target;
+            while (row && row.classList.contains('diff-row') && !row.classList.contains('diff-equal')) {
+                row.classList.add('diff-current');
+                row = row.nextElementSibling;
+            }
         }
 
-        // Re-setup accessibility
-        this.setupAccessibility();
+        if (scroll) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
     }
 
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.innerHTML = `
+    setupComparisonHandlers() {
+        const container = document.getElementById('diff-view');
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const expand = e.target.closest('[data-expand]');
+                if (expand) {
+                    this.comparison.expanded.add(parseInt(expand.dataset.expand, 10));
+                    this.renderDiff();
+                }
+            });
+        }
+
+        document.querySelectorAll('.diff-mode-button').forEach(button => {
+            button.addEventListener('click', () => this.setDiffMode(button.dataset.diffMode));
+        });
+
+        const collapseToggle = document.getElementById('diff-collapse');
+        if (collapseToggle) {
+            collapseToggle.addEventListener('change', (e) => {
+                this.comparison.collapseUnchanged = e.target.checked;
+                this.comparison.expanded = new Set();
+                this.renderDiff();
+            });
+        }
+
+        // N / P jump between changes when focus is not in a form field
+        const handleKeyPress = (e) => {
+            if (!document.getElementById('diff-view')) {
+                return;
+            }
+
+            if (e.ctrlKey || e.metaKey || e.altKey || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+                return;
+            }
+
+            if (e.key === 'n') {
+                e.preventDefault();
+                this.goToChange(1);
+            } else if (e.key === 'p') {
+                e.preventDefault();
+                this.goToChange(-1);
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyPress);
+        this.addCleanupHandler(() => {
+            document.removeEventListener('keydown', handleKeyPress);
+        });
+    }
+
+    // Enhanced SQL execution with progress tracking
+    async runTranslatedSQL() {
+        this.syncTranslatedSQL();
+        if (!await this.ensureTranslationValidated() || !await this.confirmExecution()) {
+            return;
+        }
+
+        const operation = this.startOperation('run');
+        try {
+            await this.createPreImportBackup();
+            this.setLoadingState('Executing translated SQL...', 'Executing SQL', true);
+            
+            const params = {
+                sqlCode: this.translatedSQL,
+                action: 'runSql',
+                targetFile: this.tempTranslationFile,
+                originalFile: this.targetFile,
+                sourceType: this.currentAnalysis?.source_type,
+                targetType: this.currentAnalysis?.target_type
+            };
+            if (this.translationSelection) {
+                params.selection = this.translationSelection.label;
+            }
+            if (this.isTranslationModified()) {
+                params.edited = true;
+            }
+
+            this.handleStreamedExecution(await this.makeStreamingRequest(params), this.translatedSQL, this.currentAnalysis?.target_type);
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.handleError('Execution Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // Map the final event of a streamed runSql onto the classic status/text result
+    handleStreamedExecution(outcome, sql = '', dialect = null) {
+        // Line ranges in the report refer to the SQL that was executed
+        this.executionReport = outcome.report ? { ...outcome.report, sql, dialect } : null;
+
+        if (outcome.type === 'result') {
+            this.handleExecutionResult(200, outcome.status);
+        } else if (outcome.type === 'error') {
+            this.handleExecutionResult(500, outcome.message);
+        } else {
+            this.handleExecutionResult(outcome.status, outcome.text);
+        }
+    }
+
+    renderBackupOption() {
+        return `
+            <label class="backup-option">
+                <input type="checkbox" id="backup-before-run" ${this.backupBeforeRun ? 'checked' : ''}
+                       onchange="transferer.backupBeforeRun = this.checked">
+                💾 Back up the current database before running (recommended)
+            </label>
+        `;
+    }
+
+    // Back up the database ahead of a run; throws if the backup fails and the user stops there
+    async createPreImportBackup() {
+        this.lastBackup = null;
+        if (!this.backupBeforeRun) return;
+
+        this.setLoadingState('Backing up the current database...', 'Creating Backup');
+
+        const response = await this.makeRequest({ action: 'createBackup' }, { allowErrorStatus: true });
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            result = { success: false, error: `Backup failed: HTTP ${response.status}` };
+        }
+
+        if (result.success) {
+            this.lastBackup = result.backup;
+            this.showNotification(`Backup created: ${result.backup.file}`, 'success');
+            return;
+        }
+
+        if (!confirm(`${result.error}\n\nRun the SQL without a backup?`)) {
+            throw new Error(result.error);
+        }
+    }
+
+    renderBackupSummary() {
+        const backup = this.lastBackup;
+        if (!backup) return '';
+
+        const note = backup.database_type === 'sqlite'
+            ? 'Restoring replaces the database file with the copy taken before the import.'
+            : 'Restoring re-creates the tables in the backup. Tables that only exist because of the import are left in place.';
+
+        return `
+            <div class="backup-summary">
+                <h3>💾 Pre-Import Backup</h3>
+                <p>
+                    <strong>${this.escapeHtml(backup.file)}</strong>
+                    (${Math.round(backup.size / 1024 * 100) / 100} KB${backup.strategy ? `, ${this.escapeHtml(backup.strategy)}` : ''})
+                    - created ${new Date(backup.created_at).toLocaleString()}
+                </p>
+                <p class="backup-note">${note}</p>
+                <button class="danger" onclick="transferer.restoreBackup()" aria-label="Restore the database from the pre-import backup">↩️ Restore</button>
+            </div>
+        `;
+    }
+
+    async restoreBackup() {
+        const backup = this.lastBackup;
+        if (!backup) return;
+
+        if (!confirm(
+            `Restore the database from ${backup.file}?\n\n` +
+            'Every change made since the backup was taken will be lost.'
+        )) {
+            return;
+        }
+
+        try {
+            this.setLoadingState('Restoring the database from the backup...', 'Restoring Backup');
+
+            const response = await this.makeRequest({
+                action: 'restoreBackup',
+                backupFile: backup.file
+            }, { allowErrorStatus: true });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Restore failed');
+            }
+
+            this.updatePageContent('✅ Backup Restored', `
+                <div class="success-message">
+                    <h2>↩️ Database Restored</h2>
+                    <p>The database was restored from <strong>${this.escapeHtml(backup.file)}</strong>.</p>
+                </div>
+                <button onclick="transferer.goBack()">← Back to Files</button>
+            `);
+        } catch (error) {
+            this.handleError('Restore Failed', error.message);
+        }
+    }
+
+    async confirmExecution() {
+        return new Promise((resolve) => {
+            const confirmed = confirm(
+                'Are you sure you want to execute the translated SQL?\n\n' +
+                (this.backupBeforeRun
+                    ? 'This will modify your database. A backup of the current database is created first.'
+                    : 'This will modify your database. Make sure you have a backup if needed.')
+            );
+            resolve(confirmed);
+        });
+    }
+
+    handleExecutionResult(status, result) {
+        // Provide fallback values if analysis is not available
+        const sourceTypeName = this.currentAnalysis?.source_type_name || 'Source Database';
+        const targetTypeName = this.currentAnalysis?.target_type_name || 'Target Database';
+        const report = this.executionReport;
+        
+        if (status === 403) {
+            this.updatePageContent('Finished', `
+                <p>Please delete the file: ${result.replace('Finished.', '')}</p>
+                <p>After you have deleted the file, press 'Okay'</p>
+                <button class="success" onclick="transferer.clickOkay()">Okay</button>
+            `);
+        } else if (result === 'Finished.') {
+            this.updatePageContent('✅ Success!', `
+                <div class="success-message">
+                    <h2>🎉 Translation and Import Complete!</h2>
+                    <p>The translated SQL was successfully processed and your database has been updated.</p>
+                    <div class="success-stats">
+                        <p><strong>Source:</strong> ${sourceTypeName}</p>
+                        <p><strong>Target:</strong> ${targetTypeName}</p>
+                        <p><strong>Status:</strong> Import Successful</p>
+                        ${report ? `<p><strong>Statements:</strong> ${report.total} executed, ${report.rows_affected} rows affected</p>` : ''}
+                    </div>
+                </div>
+                ${this.renderBackupSummary()}
+                ${report ? this.renderExecutionStatements(report) : ''}
+                <button class="success" onclick="transferer.clickOkay()">Continue</button>
+            `);
+        } else {
+            this.showExecutionError(result);
+        }
+    }
+
+    showExecutionError(errorMessage) {
+        const report = this.executionReport;
+        const content = `
+            <div class="error-container">
+                <h2>❌ SQL Execution Error</h2>
+                <p>There was an error executing the translated SQL:</p>
+                <div class="error-message">${this.escapeHtml(errorMessage)}</div>
+                <div class="error-actions">
+                    <button onclick="transferer.goBack()">← Go Back</button>
+                    <button onclick="transferer.downloadTranslatedSQL()">💾 Download SQL for Manual Review</button>
+                    <button onclick="transferer.showComparison()">📊 View Comparison</button>
+                </div>
+                ${this.renderBackupSummary()}
+                ${report ? this.renderExecutionReport(report) : ''}
+            </div>
+        `;
+
+        this.updatePageContent('SQL Error', content);
+    }
+
+    // Summary of a failed run: the failing statement in context plus the full SQL to jump around in
+    renderExecutionReport(report) {
+        const executed = report.statements.filter(statement => statement.status === 'ok').length;
+        const failing = report.failed_index !== null ? report.statements[report.failed_index] : null;
+        const outcome = report.rolled_back
+            ? 'The changes made before the failure were rolled back (MySQL keeps tables created or altered by DDL statements).'
+            : 'Statements executed before the failure were not rolled back.';
+
+        let failingHtml = '';
+        if (failing) {
+            const lines = failing.start_line !== null ? ` (${this.formatStatementRange(failing)})` : '';
+            failingHtml = `
+                <div class="failing-statement">
+                    <h3>Statement ${failing.index + 1} of ${report.total}${lines}</h3>
+                    ${this.renderStatementExcerpt(report.sql, failing)}
+                    <button class="info" onclick="transferer.jumpToStatement(${failing.index})"
+                            ${failing.start_line === null || !report.sql ? 'disabled' : ''}>🎯 Jump to Statement</button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="execution-report">
+                <h3>Execution Report</h3>
+                <p>${executed} of ${report.total} statements executed before the failure. ${outcome}</p>
+                ${failingHtml}
+                ${report.sql ? `
+                    <div class="sql-preview-container">
+                        <h3>Executed SQL</h3>
+                        <textarea id="execution-sql" readonly data-sql-editor data-dialect="${this.escapeHtml(report.dialect || '')}" aria-label="Executed SQL">${this.escapeHtml(report.sql)}</textarea>
+                    </div>
+                ` : ''}
+                ${this.renderExecutionStatements(report, Boolean(report.sql))}
+            </div>
+        `;
+    }
+
+    renderExecutionStatements(report, withJump = false) {
+        const statusLabels = {
+            ok: '✅ OK',
+            error: '❌ Failed',
+            not_run: '⏸️ Not Run'
+        };
+
+        const rows = report.statements.map(statement => `
+            <tr class="execution-${statement.status}">
+                <td>${statement.index + 1}</td>
+                <td>${statement.start_line !== null ? this.formatStatementRange(statement) : '—'}</td>
+                <td>${statusLabels[statement.status]}</td>
+                <td>${statement.status === 'ok' ? statement.rows_affected : '—'}</td>
+                <td>${statement.error ? this.escapeHtml(statement.error) : ''}</td>
+                <td>${withJump && statement.start_line !== null
+                    ? `<button onclick="transferer.jumpToStatement(${statement.index})" aria-label="Jump to statement ${statement.index + 1}">🎯</button>`
+                    : ''}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="execution-statements">
+                <summary>All statements (${report.total})</summary>
+                <table class="split-table">
+                    <thead>
+                        <tr><th>#</th><th>Lines</th><th>Status</th><th>Rows</th><th>Error</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    formatStatementRange(statement) {
+        return statement.start_line === statement.end_line
+            ? `line ${statement.start_line}`
+            : `lines ${statement.start_line}–${statement.end_line}`;
+    }
+
+    // A few lines around the statement, with the statement itself highlighted
+    renderStatementExcerpt(sql, statement, context = 3, maxLines = 30) {
+        if (!sql || statement.start_line === null) return '';
+
+        const lines = sql.split('\n');
+        const first = Math.max(1, statement.start_line - context);
+        const lastStatementLine = Math.min(statement.end_line, statement.start_line + maxLines - 1);
+        const last = Math.min(lines.length, lastStatementLine + context);
+        const width = String(last).length;
+
+        const excerpt = [];
+        for (let number = first; number <= last; number++) {
+            const inStatement = number >= statement.start_line && number <= statement.end_line;
+            excerpt.push(`<span class="excerpt-line${inStatement ? ' excerpt-failing' : ''}">` +
+                `<span class="excerpt-number">${String(number).padStart(width)}</span>${this.escapeHtml(lines[number - 1])}</span>`);
+
+            if (number === lastStatementLine && lastStatementLine < statement.end_line) {
+                excerpt.push(`<span class="excerpt-line excerpt-failing excerpt-gap">… ${statement.end_line - lastStatementLine} more lines</span>`);
+            }
+        }
+
+        return `<pre class="statement-excerpt">${excerpt.join('')}</pre>`;
+    }
+
+    // Select a reported statement in the executed SQL and scroll it into view
+    jumpToStatement(index) {
+        const report = this.executionReport;
+        const textarea = document.getElementById('execution-sql');
+        const statement = report && report.statements[index];
+
+        if (!textarea || !statement || statement.start_line === null) {
+            this.showNotification('The location of this statement is unknown', 'warning');
+            return;
+        }
+
+        SqlEditor.attach(textarea).revealLines(statement.start_line, statement.end_line);
+        textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Download functionality
+    downloadTranslatedSQL() {
+        this.syncTranslatedSQL();
+        if (!this.translatedSQL) {
+            this.showNotification('No translated SQL available for download', 'warning');
+            return;
+        }
+
+        const blob = new Blob([this.translatedSQL], { type: 'text/sql' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        
+        a.href = url;
+        a.download = `translated_${this.currentAnalysis.target_type}${this.isTranslationModified() ? '_edited' : ''}_${Date.now()}.sql`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showNotification('Translated SQL downloaded successfully', 'success');
+    }
+
+    // Utility methods
+    // With showProgress, renders a live panel that updateProgress() fills from server events
+    setLoadingState(message, headline = 'Processing', showProgress = false) {
+        const progressHtml = showProgress ? `
+            <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="progress-fill" style="width: 0%"></div>
+            </div>
+            <div class="progress-details">
+                <div class="progress-stat"><span class="progress-label">Parsed</span><span class="progress-value" data-progress="parse">—</span></div>
+                <div class="progress-stat"><span class="progress-label">Translated</span><span class="progress-value" data-progress="translate">—</span></div>
+                <div class="progress-stat"><span class="progress-label">Executed</span><span class="progress-value" data-progress="execute">—</span></div>
+                <div class="progress-stat"><span class="progress-label">Current Table</span><span class="progress-value" data-progress="table">—</span></div>
+                <div class="progress-stat"><span class="progress-label">Elapsed</span><span class="progress-value" data-progress="elapsed">0s</span></div>
+                <div class="progress-stat"><span class="progress-label">Remaining</span><span class="progress-value" data-progress="eta">—</span></div>
+            </div>
+        ` : '';
+        
+        const cancelHtml = this.activeOperation
+            ? '<button class="danger cancel-operation" onclick="transferer.cancelOperation()" aria-label="Cancel the running operation">✖ Cancel</button>'
+            : '';
+
+        this.updatePageContent(headline, `
+            <div class="loading-container">
+                <p class="blink" id="progress-message">${message}</p>
+                ${progressHtml}
+                ${cancelHtml}
+            </div>
+        `);
+
+        if (showProgress) {
+            const startedAt = Date.now();
+            this.progressState = { startedAt, phase: null, phaseStartedAt: startedAt, phaseStartDone: 0 };
+
+            // Elapsed time keeps ticking between server events
+            this.progressInterval = setInterval(() => {
+                this.setProgressValue('elapsed', this.formatDuration((Date.now() - startedAt) / 1000));
+            }, 1000);
+        }
+    }
+
+    // Apply a {type: 'progress'} event from the server to the loading panel
+    updateProgress(event) {
+        const state = this.progressState;
+        if (!state) return;
+
+        const now = Date.now();
+        if (event.phase !== state.phase) {
+            state.phase = event.phase;
+            state.phaseStartedAt = now;
+            state.phaseStartDone = event.done;
+        }
+
+        const counts = `${event.done.toLocaleString()} / ${event.total.toLocaleString()} ${event.unit || ''}`.trim();
+        const messages = {
+            parse: `Parsed ${event.total.toLocaleString()} ${event.unit || ''}`,
+            translate: `Translating table ${Math.min(event.done + 1, event.total)} of ${event.total}...`,
+            render: `Generating SQL for table ${Math.min(event.done + 1, event.total)} of ${event.total}...`,
+            execute: `Executing statement ${Math.min(event.done + 1, event.total).toLocaleString()} of ${event.total.toLocaleString()}...`
+        };
+
+        // Translation is split between transforming and rendering; execution fills the whole bar
+        let percent = event.total > 0 ? event.done / event.total * 100 : 100;
+        if (event.phase === 'translate') percent = percent / 2;
+        if (event.phase === 'render') percent = 50 + percent / 2;
+        if (event.phase === 'parse') percent = 0;
+
+        const fill = document.querySelector('.progress-fill');
+        const bar = document.querySelector('.progress-bar');
+        if (fill) fill.style.width = `${Math.round(percent)}%`;
+        if (bar) bar.setAttribute('aria-valuenow', Math.round(percent));
+
+        const message = document.getElementById('progress-message');
+        if (message && messages[event.phase]) message.textContent = messages[event.phase];
+
+        // Rendering starts once every table is translated
+        const values = {
+            parse: `${event.total.toLocaleString()} ${event.unit || ''}`.trim(),
+            translate: counts,
+            render: `${event.total.toLocaleString()} / ${event.total.toLocaleString()} ${event.unit || ''}`.trim(),
+            execute: counts
+        };
+        if (values[event.phase]) {
+            this.setProgressValue(event.phase === 'render' ? 'translate' : event.phase, values[event.phase]);
+        }
+
+        if (event.table) {
+            this.setProgressValue('table', event.table);
+        }
+
+        const phaseDone = event.done - state.phaseStartDone;
+        const phaseSeconds = (now - state.phaseStartedAt) / 1000;
+        if (phaseDone > 0 && phaseSeconds > 0 && event.done < event.total) {
+            this.setProgressValue('eta', this.formatDuration((event.total - event.done) * phaseSeconds / phaseDone));
+        } else if (event.done >= event.total) {
+            this.setProgressValue('eta', '—');
+        }
+    }
+
+    setProgressValue(name, value) {
+        const element = document.querySelector(`[data-progress="${name}"]`);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+
+    formatDuration(seconds) {
+        const rounded = Math.max(0, Math.round(seconds));
+        const minutes = Math.floor(rounded / 60);
+        return minutes > 0 ? `${minutes}m ${rounded % 60}s` : `${rounded}s`;
+    }
+
+    updatePageContent(headline, content) {
+        const headlineEl = document.getElementById('headline');
+        const infoEl = document.getElementById('info');
+        
+        if (headlineEl) {
+            headlineEl.innerHTML = headline;
+        }
+        
+        if (infoEl) {
+            infoEl.innerHTML = content;
+        }
+
+        // Cleanup progress interval
+        if (this.progressInterval) {
+            clearInterval(this.progressInterval);
+            this.progressInterval = null;
+        }
+        this.progressState = null;
+
+        this.attachSqlEditors();
+
+        // Re-setup accessibility
+        this.setupAccessibility();
+    }
+
+    // Turn every textarea marked with data-sql-editor into a highlighted SQL editor
+    attachSqlEditors() {
+        document.querySelectorAll('textarea[data-sql-editor]').forEach(textarea => {
+            SqlEditor.attach(textarea, {
+                dialect: textarea.dataset.dialect || this.currentAnalysis?.source_type
+            });
+        });
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.innerHTML = `
             <span>${message}</span>
             <button onclick="this.parentNode.remove()" aria-label="Close notification">×</button>
         `;
@@ -809,6 +2496,12 @@ class EnhancedTransferer {
     }
 
     handleKeyboardNavigation(e) {
+        if (e.key === 'Escape' && this.activeOperation && !document.querySelector('.help-overlay')) {
+            e.preventDefault();
+            this.cancelOperation();
+            return;
+        }
+
         // Global keyboard shortcuts
         if (e.altKey) {
             switch (e.key) {
@@ -838,16 +2531,20 @@ class EnhancedTransferer {
                         <li><kbd>Ctrl/Cmd + T</kbd> - Translate SQL</li>
                         <li><kbd>Ctrl/Cmd + O</kbd> - View Original SQL</li>
                         <li><kbd>Ctrl/Cmd + C</kbd> - Show Comparison</li>
+                        <li><kbd>N</kbd> / <kbd>P</kbd> - Next / Previous Change (Comparison)</li>
                         <li><kbd>Ctrl/Cmd + D</kbd> - Download Translated SQL</li>
                         <li><kbd>Ctrl/Cmd + Enter</kbd> - Execute SQL</li>
                         <li><kbd>Alt + B</kbd> - Go Back</li>
                         <li><kbd>Alt + H</kbd> - Show This Help</li>
-                        <li><kbd>Esc</kbd> - Close Help Modal</li>
+                        <li><kbd>Ctrl/Cmd + F</kbd> / <kbd>Ctrl/Cmd + H</kbd> - Find / Replace in SQL Editor</li>
+                        <li><kbd>F3</kbd> / <kbd>Shift + F3</kbd> - Next / Previous Match</li>
+                        <li><kbd>Esc</kbd> - Close Help Modal / Cancel Running Operation</li>
                     </ul>
                 </div>
                 <div class="help-section">
                     <h3>Translation Process</h3>
                     <ol>
+                        <li>SQL file is picked from the list or uploaded (drag it onto the upload zone)</li>
                         <li>SQL file is analyzed for database type</li>
                         <li>Translation requirements are determined</li>
                         <li>SQL is converted for target database</li>
@@ -971,6 +2668,10 @@ class EnhancedTransferer {
     }
 
     isProcessing() {
+        if (this.activeOperation) {
+            return true;
+        }
+
         const headline = document.getElementById('headline');
         return headline && (
             headline.textContent.includes('WAIT') ||
@@ -1005,147 +2706,461 @@ class EnhancedTransferer {
 
     // Enhanced file analysis display
     async showFileAnalysis(file) {
+        const operation = this.startOperation('analyze');
         try {
             this.setLoadingState('Analyzing file details...', 'File Analysis');
             
             const analysis = await this.analyzeSQLFile(file);
+            this.currentAnalysis = analysis;
             this.drawFileAnalysis(file, analysis);
         } catch (error) {
+            if (this.isAbortError(error)) return;
             this.handleError('Analysis Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    drawFileAnalysis(file, analysis) {
+        this.targetFile = file;
+        const fileName = file.split('/').pop();
+        
+        const content = `
+            <div class="analysis-container">
+                <h2>📊 File Analysis: ${this.escapeHtml(fileName)}</h2>
+
+                ${analysis.enhanced_model_available ? `
+                    <div class="analysis-tabs" role="tablist">
+                        <button type="button" role="tab" id="analysis-tab-overview" aria-selected="true" aria-controls="analysis-panel-overview" onclick="transferer.showAnalysisTab('overview')">Overview</button>
+                        <button type="button" role="tab" id="analysis-tab-schema" aria-selected="false" aria-controls="analysis-panel-schema" onclick="transferer.showAnalysisTab('schema')">Schema</button>
+                        <button type="button" role="tab" id="analysis-tab-diagram" aria-selected="false" aria-controls="analysis-panel-diagram" onclick="transferer.showAnalysisTab('diagram')">ER Diagram</button>
+                    </div>
+                ` : ''}
+
+                <div id="analysis-panel-overview" role="tabpanel">
+                    <div class="analysis-grid">
+                        <div class="analysis-section">
+                            <h3>File Information</h3>
+                            <div class="analysis-stats">
+                                <div class="stat-item">
+                                    <div class="stat-value">${analysis.compression ? analysis.uncompressed_size_kb : analysis.filesize_kb} KB</div>
+                                    <div class="stat-label">${analysis.compression ? 'SQL Size' : 'File Size'}</div>
+                                </div>
+                                ${analysis.compression ? `
+                                <div class="stat-item">
+                                    <div class="stat-value">${analysis.filesize_kb} KB</div>
+                                    <div class="stat-label">${analysis.compression === 'gzip' ? 'Gzipped' : 'Zipped'} Size</div>
+                                </div>` : ''}
+                                <div class="stat-item">
+                                    <div class="stat-value">${analysis.source_type_name}</div>
+                                    <div class="stat-label">${analysis.overridden?.source ? 'Source Database (chosen)' : 'Detected Database'}</div>
+                                </div>
+                                <div class="stat-item">
+                                    <div class="stat-value">${analysis.target_type_name}</div>
+                                    <div class="stat-label">${analysis.overridden?.target ? 'Target Database (chosen)' : 'Target Database'}</div>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div class="analysis-section">
+                            ${this.renderDialectPanel(analysis, 'analysis')}
+                        </div>
+                    
+                        <div class="analysis-section">
+                            <h3>Compatibility</h3>
+                            <div class="compatibility-status">
+                                ${analysis.translation_required ? 
+                                    '<div class="status-warning">⚠️ Translation Required</div>' :
+                                    '<div class="status-success">✅ Direct Import Compatible</div>'
+                                }
+                            </div>
+                            ${analysis.translation_required ? 
+                                '<p>This SQL dump contains database-specific syntax that needs translation.</p>' :
+                                '<p>This SQL dump can be imported directly without translation.</p>'
+                            }
+                        </div>
+                    
+                        <div class="analysis-section">
+                            <h3>SQL Preview</h3>
+                            <textarea readonly class="preview-content" data-sql-editor data-dialect="${this.escapeHtml(analysis.source_type || '')}" aria-label="SQL content preview">${this.escapeHtml(analysis.content_preview)}...</textarea>
+                        </div>
+                    </div>
+                </div>
+
+                ${analysis.enhanced_model_available ? ['schema', 'diagram'].map(tab => `
+                    <div id="analysis-panel-${tab}" role="tabpanel" hidden>
+                        <p class="schema-loading">⏳ Parsing the schema of the dump...</p>
+                    </div>
+                `).join('') : ''}
+                
+                <div class="action-buttons">
+                    <button onclick="transferer.goBack()">← Go Back</button>
+                    ${analysis.translation_required ? 
+                        `<button class="info" onclick="transferer.translateAndPreview('${file}')">🔄 Translate & Process</button>` :
+                        `<button class="success" onclick="transferer.viewSql('${file}', false)">📄 Process SQL</button>`
+                    }
+                    <span class="report-download">
+                        <select id="report-format" aria-label="Report format">
+                            ${Object.entries(AnalysisReport.getFormats()).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+                        </select>
+                        <button id="download-report" onclick="transferer.downloadAnalysisReport('${file}')" class="info">💾 Download Report</button>
+                    </span>
+                </div>
+            </div>
+        `;
+
+        this.updatePageContent('File Analysis', content);
+    }
+
+    // Searchable list of the tables parsed from the dump, one expandable entry per table
+    renderSchemaExplorer(schema) {
+        const tables = schema.tables || [];
+        const columnCount = tables.reduce((total, table) => total + table.columns.length, 0);
+        const rowCount = tables.reduce((total, table) => total + table.estimated_rows, 0);
+        const list = names => names.map(name => this.escapeHtml(name)).join(', ');
+
+        const renderTable = table => `
+            <details class="schema-table" data-table="${this.escapeHtml(table.name.toLowerCase())}">
+                <summary>
+                    <strong>${this.escapeHtml(table.name)}</strong>
+                    <span class="schema-table-meta">${table.columns.length} column${table.columns.length === 1 ? '' : 's'} · ~${table.estimated_rows.toLocaleString()} row${table.estimated_rows === 1 ? '' : 's'}</span>
+                </summary>
+                <table class="split-table schema-columns">
+                    <thead><tr><th>Column</th><th>Type</th><th>Null</th><th>Default</th><th>Key</th></tr></thead>
+                    <tbody>
+                        ${table.columns.map(column => `
+                            <tr data-column="${this.escapeHtml(column.name.toLowerCase())}">
+                                <td><code>${this.escapeHtml(column.name)}</code></td>
+                                <td>${this.escapeHtml(column.type)}</td>
+                                <td>${column.nullable ? 'Yes' : 'No'}</td>
+                                <td>${column.default === null ? '<em>none</em>' : `<code>${this.escapeHtml(String(column.default))}</code>`}</td>
+                                <td>${[
+                                    column.primary_key ? '<span class="schema-key">PK</span>' : '',
+                                    column.auto_increment ? '<span class="schema-key">AUTO</span>' : '',
+                                    table.foreign_keys.some(key => key.columns.includes(column.name)) ? '<span class="schema-key">FK</span>' : ''
+                                ].join(' ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p><strong>Primary key:</strong> ${table.primary_key.length ? list(table.primary_key) : '<em>none</em>'}</p>
+                <p><strong>Indexes:</strong> ${table.indexes.length ? '' : '<em>none</em>'}</p>
+                ${table.indexes.length ? `
+                    <ul>
+                        ${table.indexes.map(index => `<li><code>${this.escapeHtml(index.name)}</code> (${this.escapeHtml(index.type)}) on ${list(index.columns)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <p><strong>Foreign keys:</strong> ${table.foreign_keys.length ? '' : '<em>none</em>'}</p>
+                ${table.foreign_keys.length ? `
+                    <ul>
+                        ${table.foreign_keys.map(key => `
+                            <li>
+                                ${list(key.columns)} → <code>${this.escapeHtml(key.referenced_table || '?')}</code> (${list(key.referenced_columns)})
+                                ${key.on_delete ? ` ON DELETE ${this.escapeHtml(key.on_delete)}` : ''}${key.on_update ? ` ON UPDATE ${this.escapeHtml(key.on_update)}` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </details>
+        `;
+
+        return `
+            <div class="analysis-section schema-explorer" id="schema-explorer">
+                <h3>Schema Explorer</h3>
+                ${schema.error ? `<p class="file-error">The schema could not be fully parsed: ${this.escapeHtml(schema.error)}</p>` : ''}
+                ${tables.length ? `
+                    <p class="schema-summary">${tables.length} table${tables.length === 1 ? '' : 's'}, ${columnCount} column${columnCount === 1 ? '' : 's'}, ~${rowCount.toLocaleString()} row${rowCount === 1 ? '' : 's'} inserted</p>
+                    <div class="schema-toolbar">
+                        <input type="search" id="schema-search" placeholder="Search tables and columns" aria-label="Search tables and columns" oninput="transferer.filterSchemaExplorer(this.value)">
+                        <button type="button" onclick="transferer.toggleSchemaTables(true)">Expand All</button>
+                        <button type="button" onclick="transferer.toggleSchemaTables(false)">Collapse All</button>
+                    </div>
+                    <div class="schema-tables">${tables.map(renderTable).join('')}</div>
+                    <p class="schema-no-match" id="schema-no-match" hidden>No tables or columns match the search.</p>
+                ` : '<p>No CREATE TABLE statements were found in this dump.</p>'}
+            </div>
+        `;
+    }
+
+    // ER diagram tab: toolbar, drawing area and the circular dependencies found
+    renderSchemaDiagramPanel(schema) {
+        const tables = schema.tables || [];
+        const cycles = schema.dependency_cycles || [];
+
+        if (!tables.length) {
+            return '<p>No CREATE TABLE statements were found in this dump, so there is nothing to draw.</p>';
+        }
+
+        return `
+            <div class="schema-diagram-toolbar">
+                <button type="button" onclick="transferer.zoomSchemaDiagram(1.2)" aria-label="Zoom in">＋</button>
+                <button type="button" onclick="transferer.zoomSchemaDiagram(1 / 1.2)" aria-label="Zoom out">－</button>
+                <button type="button" onclick="transferer.zoomSchemaDiagram(0)">Fit</button>
+                <button type="button" class="info" onclick="transferer.exportSchemaDiagram('svg')">💾 Export SVG</button>
+                <button type="button" class="info" onclick="transferer.exportSchemaDiagram('png')">💾 Export PNG</button>
+                <span class="schema-diagram-hint">Drag to pan, scroll or use + / - to zoom, 0 to fit</span>
+            </div>
+            <div class="schema-diagram" id="schema-diagram"></div>
+            ${tables.some(table => table.foreign_keys.length) ? '' : '<p class="schema-diagram-hint">No foreign keys were found, so the tables are not connected.</p>'}
+            ${cycles.length ? `
+                <div class="schema-diagram-cycles">
+                    <strong>Circular dependencies</strong>
+                    <p>These tables reference each other, so no creation order satisfies every foreign key. The dependency sort gives up on them and the dump order is kept; their tables and foreign keys are drawn in red.</p>
+                    <ul>
+                        ${cycles.map(cycle => `<li>${cycle.map(name => `<code>${this.escapeHtml(name)}</code>`).join(' ⇄ ')}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    async showAnalysisTab(tab) {
+        ['overview', 'schema', 'diagram'].forEach(name => {
+            const button = document.getElementById(`analysis-tab-${name}`);
+            const panel = document.getElementById(`analysis-panel-${name}`);
+            if (button) button.setAttribute('aria-selected', String(name === tab));
+            if (panel) panel.hidden = name !== tab;
+        });
+
+        if (tab === 'overview') return;
+
+        const file = this.targetFile;
+        let schema;
+        try {
+            schema = await this.loadAnalysisSchema(file);
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            schema = { tables: [], dependency_cycles: [], error: error.message };
+        }
+
+        // The user may have left the tab or the analysis while the schema loaded
+        const panel = document.getElementById(`analysis-panel-${tab}`);
+        if (!panel || panel.hidden || file !== this.targetFile) return;
+
+        if (!panel.dataset.loaded) {
+            panel.innerHTML = tab === 'schema' ? this.renderSchemaExplorer(schema) : this.renderSchemaDiagramPanel(schema);
+            panel.dataset.loaded = 'true';
+        }
+
+        // Drawn on first view, when the container has a size to fit the diagram into
+        if (tab === 'diagram') {
+            SchemaDiagram.attach(document.getElementById('schema-diagram'), schema);
+        }
+    }
+
+    // Schema summary of the analysed file, parsed on first use and kept until the source dialect changes
+    async loadAnalysisSchema(file) {
+        const sourceType = this.currentAnalysis?.source_type;
+        const key = JSON.stringify([file, sourceType]);
+        if (this.analysisSchema && this.analysisSchema.key === key) {
+            return this.analysisSchema.data;
+        }
+
+        const operation = this.startOperation('schema');
+        try {
+            const response = await this.makeRequest({
+                action: 'schemaSummary',
+                targetFile: file,
+                sourceType
+            }, { allowErrorStatus: true });
+
+            let result;
+            try {
+                result = await response.json();
+            } catch (error) {
+                result = { success: false, error: `HTTP ${response.status}` };
+            }
+
+            if (!result.success) {
+                return { tables: [], dependency_cycles: [], error: result.error || 'unknown error' };
+            }
+
+            this.analysisSchema = { key, data: result.schema };
+            return result.schema;
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // Zoom the ER diagram by a factor; 0 fits the whole diagram
+    zoomSchemaDiagram(factor) {
+        const diagram = document.getElementById('schema-diagram')?.schemaDiagram;
+        if (!diagram) return;
+
+        if (factor) {
+            diagram.zoom(factor);
+        } else {
+            diagram.fit();
+        }
+    }
+
+    async exportSchemaDiagram(format) {
+        const diagram = document.getElementById('schema-diagram')?.schemaDiagram;
+        if (!diagram) {
+            this.showNotification('Open the ER diagram before exporting it', 'warning');
+            return;
+        }
+
+        let blob;
+        try {
+            blob = format === 'png'
+                ? await diagram.toPngBlob()
+                : new Blob([diagram.toSvgString()], { type: 'image/svg+xml' });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const baseName = (this.getSqlFileName(this.targetFile) || 'schema.sql').replace(/\.sql$/i, '');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = `${baseName}_er_diagram.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showNotification(`ER diagram exported as ${format.toUpperCase()}`, 'success');
+    }
+
+    // Show the tables whose name or columns match the search; tables matched by a column open with it highlighted
+    filterSchemaExplorer(query) {
+        const needle = query.trim().toLowerCase();
+        let visible = 0;
+
+        document.querySelectorAll('#schema-explorer .schema-table').forEach(table => {
+            const tableMatches = !needle || table.dataset.table.includes(needle);
+            let columnMatches = false;
+
+            table.querySelectorAll('tr[data-column]').forEach(row => {
+                const matches = needle !== '' && row.dataset.column.includes(needle);
+                row.classList.toggle('schema-match', matches);
+                columnMatches = columnMatches || matches;
+            });
+
+            table.hidden = !tableMatches && !columnMatches;
+            if (columnMatches && !tableMatches) {
+                table.open = true;
+            }
+            if (!table.hidden) {
+                visible++;
+            }
+        });
+
+        const noMatch = document.getElementById('schema-no-match');
+        if (noMatch) {
+            noMatch.hidden = visible > 0;
         }
     }
 
-    drawFileAnalysis(file, analysis) {
-        const fileName = file.split('/').pop();
-        
-        const content = `
-            <div class="analysis-container">
-                <h2>📊 File Analysis: ${this.escapeHtml(fileName)}</h2>
-                
-                <div class="analysis-grid">
-                    <div class="analysis-section">
-                        <h3>File Information</h3>
-                        <div class="analysis-stats">
-                            <div class="stat-item">
-                                <div class="stat-value">${analysis.filesize_kb} KB</div>
-                                <div class="stat-label">File Size</div>
-                            </div>
-                            <div class="stat-item">
-                                <div class="stat-value">${analysis.source_type_name}</div>
-                                <div class="stat-label">Detected Database</div>
-                            </div>
-                            <div class="stat-item">
-                                <div class="stat-value">${analysis.target_type_name}</div>
-                                <div class="stat-label">Target Database</div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="analysis-section">
-                        <h3>Compatibility</h3>
-                        <div class="compatibility-status">
-                            ${analysis.translation_required ? 
-                                '<div class="status-warning">⚠️ Translation Required</div>' :
-                                '<div class="status-success">✅ Direct Import Compatible</div>'
-                            }
-                        </div>
-                        ${analysis.translation_required ? 
-                            '<p>This SQL dump contains database-specific syntax that needs translation.</p>' :
-                            '<p>This SQL dump can be imported directly without translation.</p>'
-                        }
-                    </div>
-                    
-                    <div class="analysis-section">
-                        <h3>SQL Preview</h3>
-                        <textarea readonly class="preview-content" aria-label="SQL content preview">${this.escapeHtml(analysis.content_preview)}...</textarea>
-                    </div>
-                </div>
-                
-                <div class="action-buttons">
-                    <button onclick="transferer.goBack()">← Go Back</button>
-                    ${analysis.translation_required ? 
-                        `<button class="info" onclick="transferer.translateAndPreview('${file}')">🔄 Translate & Process</button>` :
-                        `<button class="success" onclick="transferer.viewSql('${file}', false)">📄 Process SQL</button>`
-                    }
-                    <button onclick="transferer.downloadAnalysisReport('${file}')" class="info">💾 Download Report</button>
-                </div>
-            </div>
-        `;
-
-        this.updatePageContent('File Analysis', content);
+    toggleSchemaTables(open) {
+        document.querySelectorAll('#schema-explorer .schema-table').forEach(table => {
+            if (!table.hidden) {
+                table.open = open;
+            }
+        });
     }
 
-    downloadAnalysisReport(file) {
-        // Create a detailed analysis report
+    // Report of the analysis in the format picked next to the download button
+    async downloadAnalysisReport(file) {
         if (!this.currentAnalysis) {
             this.showNotification('No analysis data available for download', 'warning');
             return;
         }
-        
-        const fileName = file.split('/').pop();
-        const analysis = this.currentAnalysis;
-        
-        const report = `
-File Analysis Report
-==================
-
-File: ${fileName}
-Analysis Date: ${new Date().toISOString()}
-Enhanced Transferer Version: 2.0
-
-File Information:
-- Size: ${analysis.filesize_kb || 'Unknown'} KB
-- Source Database: ${analysis.source_type_name || 'Unknown'}
-- Target Database: ${analysis.target_type_name || 'Unknown'}
-- Translation Required: ${analysis.translation_required ? 'Yes' : 'No'}
-
-Compatibility Assessment:
-${analysis.translation_required ? 
-    '⚠️ This SQL dump requires translation for compatibility with your target database.' :
-    '✅ This SQL dump is directly compatible with your target database.'
-}
-
-Next Steps:
-${analysis.translation_required ? 
-    '1. Use the "Translate & Preview" option to convert the SQL\n2. Review the translation warnings\n3. Execute the translated SQL' :
-    '1. Use "Process SQL" to import directly\n2. Review the SQL content\n3. Execute when ready'
-}
 
-SQL Preview:
-${analysis.content_preview || 'No preview available'}...
+        const format = document.getElementById('report-format')?.value || 'html';
+        const button = document.getElementById('download-report');
+        if (button) {
+            button.disabled = true;
+            button.textContent = '⏳ Generating Report...';
+        }
 
----
-Generated by Enhanced Trongate Transferer
-        `.trim();
+        let findings;
+        let schema = null;
+        try {
+            findings = await this.fetchReportFindings(file);
+            if (this.enhancedMode) {
+                schema = await this.loadAnalysisSchema(file);
+            }
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            findings = findings || { success: false, error: error.message };
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = '💾 Download Report';
+            }
+        }
 
-        const blob = new Blob([report], { type: 'text/plain' });
+        const { content, mime, extension, label } = new AnalysisReport({ ...this.currentAnalysis, schema }, findings, { file }).render(format);
+        const baseName = (this.getSqlFileName(file) || 'sql_dump.sql').replace(/\.sql$/i, '');
+        const blob = new Blob([content], { type: mime });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
-        
+
         a.href = url;
-        a.download = `analysis_${fileName}_${Date.now()}.txt`;
+        a.download = `${baseName}_analysis_${Date.now()}.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
 
-        this.showNotification('Analysis report downloaded', 'success');
+        this.showNotification(`Analysis report downloaded as ${label}`, 'success');
+    }
+
+    // Statistics, security and translation findings of the analysed file, kept until the dialects change
+    async fetchReportFindings(file) {
+        if (!this.enhancedMode) return null;
+
+        const analysis = this.currentAnalysis;
+        const key = JSON.stringify([file, analysis.source_type, analysis.target_type]);
+        if (this.reportFindings && this.reportFindings.key === key) {
+            return this.reportFindings.data;
+        }
+
+        const operation = this.startOperation('report');
+        try {
+            const response = await this.makeRequest({
+                action: 'analysisReport',
+                targetFile: file,
+                sourceType: analysis.source_type,
+                targetType: analysis.target_type,
+                options: this.loadTranslationOptions(file).options
+            }, { allowErrorStatus: true });
+
+            let result;
+            try {
+                result = await response.json();
+            } catch (error) {
+                result = { success: false, error: `HTTP ${response.status}` };
+            }
+
+            if (result.success) {
+                this.reportFindings = { key, data: result };
+            }
+            return result;
+        } finally {
+            this.finishOperation(operation);
+        }
     }
 
     // Enhanced "too big" file handler
     explainTooBig(target_file, filePath) {
         this.targetFile = filePath;
         
-        const fileSizeKB = Math.round((this.getFileSize(filePath) || 0) / 1024 * 100) / 100;
-        const fileSizeMB = Math.round(fileSizeKB / 1024 * 100) / 100;
+        const fileSize = this.getFileSize(filePath);
+        const fileSizeMB = fileSize === null ? 'Unknown' : `${Math.round(fileSize / 1048576 * 100) / 100} MB`;
+        const compressedSize = this.getCompressedFileSize(filePath);
         
         const content = `
             <div class="error-container">
                 <h2>📁 File Too Large</h2>
                 <div class="file-size-info">
                     <div class="size-display">
-                        <div class="size-value">${fileSizeMB} MB</div>
-                        <div class="size-label">File Size</div>
+                        <div class="size-value">${fileSizeMB}</div>
+                        <div class="size-label">${compressedSize === null ? 'File Size' : `SQL Size (${Math.round(compressedSize / 1048576 * 100) / 100} MB compressed)`}</div>
                     </div>
                     <div class="size-limit">
                         <div class="limit-value">1 MB</div>
@@ -1153,11 +3168,14 @@ Generated by Enhanced Trongate Transferer
                     </div>
                 </div>
                 
-                <p>The file <strong>${this.escapeHtml(target_file)}</strong> exceeds the automatic import limit of 1MB (1,000KB).</p>
+                <p>The ${compressedSize === null ? 'file' : 'SQL in'} <strong>${this.escapeHtml(target_file)}</strong> exceeds the automatic import limit of 1MB (1,000KB).</p>
+                
+                <div id="chunked-import-status"></div>
                 
                 <div class="recommendations">
                     <h3>💡 Recommendations:</h3>
                     <ul>
+                        <li><strong>Import in chunks:</strong> Execute the file in statement-safe chunks that can resume after a failure</li>
                         <li><strong>Split the file:</strong> Break large dumps into smaller files</li>
                         <li><strong>Manual import:</strong> Use database tools for large imports</li>
                         <li><strong>Remove the file:</strong> Clean up and try with smaller files</li>
@@ -1167,61 +3185,576 @@ Generated by Enhanced Trongate Transferer
                 
                 <div class="action-buttons">
                     <button onclick="transferer.goBack()">← Go Back</button>
+                    <button class="success" onclick="transferer.startChunkedImport()">📦 Import in Chunks</button>
+                    <button class="info" onclick="transferer.showSplitter()">✂️ Split File</button>
                     <button class="danger" onclick="transferer.deleteSqlFile()">🗑️ Delete File</button>
-                    <button onclick="transferer.showSplitHelp()" class="info">✂️ How to Split Files</button>
+                    <button onclick="transferer.showSplitHelp()" class="info">❓ How to Split Files</button>
+                </div>
+            </div>
+        `;
+
+        this.updatePageContent('File Too Large', content);
+        this.showChunkedImportStatus();
+    }
+
+    // Offer to resume a chunked import the server still has progress for
+    async showChunkedImportStatus() {
+        const container = document.getElementById('chunked-import-status');
+        if (!container) return;
+
+        try {
+            const status = await this.getChunkedImportStatus();
+            if (!status.in_progress) return;
+
+            const committed = status.last_committed_chunk + 1;
+            container.innerHTML = `
+                <div class="warning-box chunked-resume">
+                    <h3>⏸️ Unfinished Import</h3>
+                    <p>${committed} of ${status.total_chunks} chunks (${status.statements_executed} statements) were committed
+                    ${status.updated_at ? `on ${this.escapeHtml(new Date(status.updated_at).toLocaleString())}` : ''}.</p>
+                    <div class="action-buttons">
+                        <button class="success" onclick="transferer.startChunkedImport(true)">▶️ Resume From Chunk ${committed + 1}</button>
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.warn('Could not read chunked import status:', error);
+        }
+    }
+
+    async getChunkedImportStatus() {
+        const response = await this.makeRequest({
+            action: 'getImportStatus',
+            targetFile: this.targetFile
+        });
+
+        return response.json();
+    }
+
+    // Split the file into statement-safe chunks and execute them one by one
+    async startChunkedImport(resume = false) {
+        let operation = null;
+        try {
+            if (!resume && !confirm(
+                'Import this file in chunks?\n\n' +
+                'Each chunk is committed separately, so a failure leaves earlier chunks in the database. ' +
+                'Make sure you have a backup if needed.'
+            )) {
+                return;
+            }
+
+            operation = this.startOperation('chunks');
+            this.setLoadingState('Preparing chunked import...', 'Chunked Import');
+
+            let analysis;
+            try {
+                analysis = await this.analyzeSQLFile(this.targetFile);
+            } catch (error) {
+                analysis = null; // Import the file as-is
+            }
+            this.currentAnalysis = analysis;
+
+            let startChunk = 0;
+            let chunkSize = this.chunkSize;
+            let statementsExecuted = 0;
+            let expectedChunks = null;
+
+            if (resume) {
+                const status = await this.getChunkedImportStatus();
+                if (status.in_progress) {
+                    // Split with the original chunk size so indexes line up with the server
+                    chunkSize = status.chunk_size || chunkSize;
+                    startChunk = status.last_committed_chunk + 1;
+                    statementsExecuted = status.statements_executed;
+                    expectedChunks = status.total_chunks;
+                } else {
+                    this.showNotification('No unfinished import found - starting from the first chunk', 'warning');
+                }
+            }
+
+            const sql = await this.fetchSqlText(this.targetFile);
+
+            const splitter = new SqlSplitter(analysis?.source_type);
+            const parts = splitter.split(sql, { maxBytes: chunkSize });
+
+            if (parts.length === 0) {
+                throw new Error('No SQL statements found in file');
+            }
+
+            if (expectedChunks !== null && expectedChunks !== parts.length) {
+                throw new Error('The file no longer matches the unfinished import - start a new import instead');
+            }
+
+            this.chunkedImport = {
+                parts,
+                chunkSize,
+                nextChunk: startChunk,
+                resumedFrom: startChunk,
+                statementsExecuted,
+                translate: analysis && analysis.translation_required,
+                startedAt: Date.now()
+            };
+
+            await this.runChunks();
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.handleError('Chunked Import Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    async resumeChunkedImport() {
+        if (!this.chunkedImport) {
+            return this.startChunkedImport(true);
+        }
+
+        this.chunkedImport.startedAt = Date.now();
+        this.chunkedImport.resumedFrom = this.chunkedImport.nextChunk;
+
+        const operation = this.startOperation('chunks');
+        try {
+            await this.runChunks();
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    async runChunks() {
+        const job = this.chunkedImport;
+        const total = job.parts.length;
+
+        this.updatePageContent('Executing SQL in Chunks', `
+            <div class="loading-container">
+                <p class="blink" id="chunk-message">Executing chunk ${job.nextChunk + 1} of ${total}...</p>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${job.nextChunk / total * 100}%"></div></div>
+                <p class="chunk-progress" id="chunk-progress" aria-live="polite"></p>
+                <button class="danger" onclick="transferer.cancelOperation()" aria-label="Cancel the chunked import">✖ Cancel</button>
+            </div>
+        `);
+        this.updateChunkProgress();
+
+        while (job.nextChunk < total) {
+            const part = job.parts[job.nextChunk];
+            const message = document.getElementById('chunk-message');
+            if (message) {
+                message.textContent = `Executing chunk ${job.nextChunk + 1} of ${total} (lines ${part.startLine}–${part.endLine})...`;
+            }
+
+            const params = {
+                action: 'runSqlChunk',
+                targetFile: this.targetFile,
+                chunkIndex: job.nextChunk,
+                totalChunks: total,
+                chunkSize: job.chunkSize,
+                sqlCode: part.sql
+            };
+
+            if (job.translate) {
+                params.sourceType = this.currentAnalysis.source_type;
+                params.targetType = this.currentAnalysis.target_type;
+                params.options = this.loadTranslationOptions(this.targetFile).options;
+            }
+
+            if (job.allowDangerous) {
+                params.allowDangerous = true;
+            }
+
+            let result;
+            try {
+                const response = await this.makeRequest(params, { allowErrorStatus: true });
+                result = await response.json().catch(() => ({
+                    success: false,
+                    error: `HTTP ${response.status}: ${response.statusText}`
+                }));
+            } catch (error) {
+                if (this.isAbortError(error)) return;
+                result = { success: false, error: error.message };
+            }
+
+            // The server committed further than we know (e.g. the response was lost) - skip ahead
+            if (!result.success && Number.isInteger(result.last_committed_chunk) && result.last_committed_chunk >= job.nextChunk) {
+                job.nextChunk = result.last_committed_chunk + 1;
+                this.updateChunkProgress();
+                continue;
+            }
+
+            // The server refuses chunks with dangerous SQL until the user has seen them
+            if (!result.success && result.dangerous && !job.allowDangerous) {
+                if (confirm(
+                    `${result.error}.\n\n` +
+                    'Run it anyway? Later chunks with dangerous SQL will run without asking again.'
+                )) {
+                    job.allowDangerous = true;
+                    continue;
+                }
+                this.showChunkedImportError(part, result.error, { skipped: true });
+                return;
+            }
+
+            if (!result.success) {
+                this.showChunkedImportError(part, result.error, { kept: result.statements_kept || 0 });
+                return;
+            }
+
+            job.statementsExecuted = result.statements_executed;
+            job.nextChunk++;
+            this.updateChunkProgress();
+        }
+
+        this.chunkedImport = null;
+        this.updatePageContent('✅ Success!', `
+            <div class="success-message">
+                <h2>🎉 Chunked Import Complete!</h2>
+                <p>All ${total} chunks were executed and your database has been updated.</p>
+                <div class="success-stats">
+                    <p><strong>Statements:</strong> ${job.statementsExecuted}</p>
+                    <p><strong>Status:</strong> Import Successful</p>
+                </div>
+            </div>
+            <button class="success" onclick="transferer.clickOkay()">Continue</button>
+        `);
+    }
+
+    updateChunkProgress() {
+        const job = this.chunkedImport;
+        const total = job.parts.length;
+        const fill = document.querySelector('.progress-fill');
+        const progress = document.getElementById('chunk-progress');
+
+        if (fill) {
+            fill.style.width = `${Math.round(job.nextChunk / total * 100)}%`;
+        }
+
+        if (progress) {
+            const done = job.nextChunk - job.resumedFrom;
+            const elapsed = (Date.now() - job.startedAt) / 1000;
+            const remaining = done > 0 ? Math.round(elapsed / done * (total - job.nextChunk)) : null;
+
+            progress.textContent = `${job.nextChunk} of ${total} chunks committed • ${job.statementsExecuted} statements` +
+                (remaining !== null ? ` • about ${remaining}s remaining` : '');
+        }
+    }
+
+    // outcome.kept: statements of the chunk MySQL committed implicitly before the failure;
+    // outcome.skipped: the chunk was refused and never ran
+    showChunkedImportError(part, errorMessage, outcome = {}) {
+        const job = this.chunkedImport;
+        const lines = `lines ${part.startLine}–${part.endLine}`;
+        let chunkOutcome = `Chunk ${part.index + 1} (${lines}) was rolled back.`;
+
+        if (outcome.skipped) {
+            chunkOutcome = `Chunk ${part.index + 1} (${lines}) was not run.`;
+        } else if (outcome.kept) {
+            chunkOutcome = `Chunk ${part.index + 1} (${lines}) could not be fully rolled back: MySQL commits DDL such as ` +
+                `CREATE TABLE immediately, so the ${outcome.kept} statement${outcome.kept === 1 ? '' : 's'} run before the failure ` +
+                `remain${outcome.kept === 1 ? 's' : ''} in the database. Retrying runs the whole chunk again.`;
+        }
+
+        this.updatePageContent('SQL Error', `
+            <div class="error-container">
+                <h2>❌ Chunk ${part.index + 1} of ${job.parts.length} Failed</h2>
+                <p>${chunkOutcome}
+                ${job.nextChunk} earlier chunk${job.nextChunk === 1 ? ' is' : 's are'} committed and will not run again.</p>
+                <div class="error-message">${this.escapeHtml(errorMessage || 'Unknown error')}</div>
+                <div class="error-actions">
+                    <button onclick="transferer.goBack()">← Go Back</button>
+                    <button class="success" onclick="transferer.resumeChunkedImport()">🔄 Retry From Chunk ${part.index + 1}</button>
+                </div>
+            </div>
+        `);
+    }
+
+    showSplitHelp() {
+        const helpContent = `
+            <div class="help-container">
+                <h2>✂️ How to Split Large SQL Files</h2>
+                
+                <div class="help-methods">
+                    <div class="method">
+                        <h3>Method 1: Built-in Splitter (Recommended)</h3>
+                        <p>Use <strong>✂️ Split File</strong> to cut the dump into parts under 1MB at statement or table
+                        boundaries. Each part can be downloaded or run in order from this page.</p>
+                    </div>
+                    
+                    <div class="method">
+                        <h3>Method 2: Command Line (Unix/Linux/Mac)</h3>
+                        <code>split -l 1000 large_file.sql smaller_file_</code>
+                        <p>Splits file into 1000-line chunks. Line-based splitting can cut multi-line statements
+                        (such as extended INSERTs) in half, so check where each file starts and ends.</p>
+                    </div>
+                    
+                    <div class="method">
+                        <h3>Method 3: Text Editor</h3>
+                        <p>1. Open file in text editor<br>
+                        2. Split at logical boundaries (between tables)<br>
+                        3. Save each section as separate .sql file</p>
+                    </div>
+                    
+                    <div class="method">
+                        <h3>Method 4: Database Tools</h3>
+                        <p>Use phpMyAdmin, MySQL Workbench, or similar tools with chunked import options</p>
+                    </div>
+                    
+                    <div class="method">
+                        <h3>Method 5: MySQL Dump Options</h3>
+                        <code>mysqldump --single-transaction --quick --lock-tables=false</code>
+                        <p>Generate more efficient dumps</p>
+                    </div>
+                </div>
+                
+                <button onclick="transferer.closeSplitHelp()" class="success">Got It</button>
+            </div>
+        `;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'help-overlay';
+        overlay.innerHTML = helpContent;
+        document.body.appendChild(overlay);
+    }
+
+    closeSplitHelp() {
+        const overlay = document.querySelector('.help-overlay');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+
+    // Statement-aware splitter for files over the import limit
+    showSplitter() {
+        this.closeSplitHelp();
+        const fileName = this.targetFile.split('/').pop();
+
+        const content = `
+            <div class="splitter-container">
+                <h2>✂️ Split ${this.escapeHtml(fileName)}</h2>
+                <p>The file is split in your browser. Statements are never cut apart: strings, comments,
+                dollar-quoted bodies and DELIMITER blocks are kept intact.</p>
+
+                <div class="splitter-options">
+                    <label for="split-size">Maximum part size</label>
+                    <select id="split-size">
+                        <option value="262144">256 KB</option>
+                        <option value="524288">512 KB</option>
+                        <option value="921600" selected>900 KB (fits the 1MB limit)</option>
+                    </select>
+
+                    <fieldset>
+                        <legend>Cut at</legend>
+                        <label><input type="radio" name="split-boundary" value="table" checked> Table boundaries where possible</label>
+                        <label><input type="radio" name="split-boundary" value="statement"> Any statement boundary</label>
+                    </fieldset>
+                </div>
+
+                <div class="action-buttons">
+                    <button onclick="transferer.explainTooBig('${this.escapeHtml(fileName)}', '${this.escapeHtml(this.targetFile)}')">← Go Back</button>
+                    <button class="success" onclick="transferer.splitLargeFile()">✂️ Split File</button>
                 </div>
+
+                <div id="split-results"></div>
+            </div>
+        `;
+
+        this.updatePageContent('Split SQL File', content);
+    }
+
+    async splitLargeFile() {
+        const results = document.getElementById('split-results');
+        const maxBytes = parseInt(document.getElementById('split-size').value, 10);
+        const boundary = document.querySelector('input[name="split-boundary"]:checked').value;
+
+        try {
+            results.innerHTML = '<p class="blink">Reading and splitting SQL file...</p>';
+
+            let analysis;
+            try {
+                analysis = await this.analyzeSQLFile(this.targetFile);
+            } catch (error) {
+                analysis = null; // Split with generic rules
+            }
+
+            const sql = await this.fetchSqlText(this.targetFile);
+
+            const splitter = new SqlSplitter(analysis?.source_type);
+            const parts = splitter.split(sql, { maxBytes, boundary });
+
+            if (parts.length === 0) {
+                throw new Error('No SQL statements found in file');
+            }
+
+            this.splitJob = {
+                parts,
+                baseName: this.getSqlFileName(this.targetFile).replace(/\.sql$/i, ''),
+                status: parts.map(() => 'pending'),
+                nextPart: 0,
+                running: false
+            };
+
+            this.renderSplitParts();
+        } catch (error) {
+            results.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderSplitParts(errorMessage = '') {
+        const results = document.getElementById('split-results');
+        if (!results || !this.splitJob) return;
+
+        const { parts, status, nextPart, running } = this.splitJob;
+        const total = parts.length;
+        const statusLabels = {
+            pending: '⏳ Pending',
+            running: '⚙️ Running',
+            done: '✅ Executed',
+            failed: '❌ Failed'
+        };
+
+        const rows = parts.map(part => {
+            const tables = part.tables.slice(0, 3).map(table => this.escapeHtml(table)).join(', ') +
+                (part.tables.length > 3 ? ` +${part.tables.length - 3}` : '');
+
+            return `
+                <tr class="split-${status[part.index]}">
+                    <td>${part.index + 1} / ${total}</td>
+                    <td>${Math.round(part.bytes / 1024 * 100) / 100} KB</td>
+                    <td>${part.statementCount}</td>
+                    <td>${part.startLine}–${part.endLine}</td>
+                    <td>${tables || '—'}</td>
+                    <td>${statusLabels[status[part.index]]}</td>
+                    <td><button onclick="transferer.downloadSplitPart(${part.index})" aria-label="Download part ${part.index + 1}">💾</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        const runLabel = nextPart === 0 ? `▶️ Run All ${total} Parts` : `▶️ Continue From Part ${nextPart + 1}`;
+
+        results.innerHTML = `
+            <h3>${total} part${total === 1 ? '' : 's'}</h3>
+            ${errorMessage ? `<div class="error-message">${this.escapeHtml(errorMessage)}</div>` : ''}
+            <div class="action-buttons">
+                <button class="info" onclick="transferer.downloadAllSplitParts()" ${running ? 'disabled' : ''}>💾 Download All</button>
+                ${nextPart < total ? `<button class="success" onclick="transferer.runSplitParts()" ${running ? 'disabled' : ''}>${runLabel}</button>` : ''}
             </div>
+            <table class="split-table">
+                <thead>
+                    <tr><th>Part</th><th>Size</th><th>Statements</th><th>Lines</th><th>Tables</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
         `;
+    }
 
-        this.updatePageContent('File Too Large', content);
+    getSplitPartName(index) {
+        const width = String(this.splitJob.parts.length).length;
+        const number = String(index + 1).padStart(width, '0');
+        return `${this.splitJob.baseName}_part${number}_of_${this.splitJob.parts.length}.sql`;
     }
 
-    showSplitHelp() {
-        const helpContent = `
-            <div class="help-container">
-                <h2>✂️ How to Split Large SQL Files</h2>
-                
-                <div class="help-methods">
-                    <div class="method">
-                        <h3>Method 1: Command Line (Unix/Linux/Mac)</h3>
-                        <code>split -l 1000 large_file.sql smaller_file_</code>
-                        <p>Splits file into 1000-line chunks</p>
-                    </div>
-                    
-                    <div class="method">
-                        <h3>Method 2: Text Editor</h3>
-                        <p>1. Open file in text editor<br>
-                        2. Split at logical boundaries (between tables)<br>
-                        3. Save each section as separate .sql file</p>
-                    </div>
-                    
-                    <div class="method">
-                        <h3>Method 3: Database Tools</h3>
-                        <p>Use phpMyAdmin, MySQL Workbench, or similar tools with chunked import options</p>
-                    </div>
-                    
-                    <div class="method">
-                        <h3>Method 4: MySQL Dump Options</h3>
-                        <code>mysqldump --single-transaction --quick --lock-tables=false</code>
-                        <p>Generate more efficient dumps</p>
-                    </div>
-                </div>
-                
-                <button onclick="transferer.closeSplitHelp()" class="success">Got It</button>
-            </div>
-        `;
+    downloadSplitPart(index) {
+        const part = this.splitJob && this.splitJob.parts[index];
+        if (!part) return;
 
-        const overlay = document.createElement('div');
-        overlay.className = 'help-overlay';
-        overlay.innerHTML = helpContent;
-        document.body.appendChild(overlay);
+        const blob = new Blob([part.sql], { type: 'text/sql' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = this.getSplitPartName(index);
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
 
-    closeSplitHelp() {
-        const overlay = document.querySelector('.help-overlay');
-        if (overlay) {
-            overlay.remove();
+    async downloadAllSplitParts() {
+        if (!this.splitJob) return;
+
+        for (const part of this.splitJob.parts) {
+            this.downloadSplitPart(part.index);
+            // Browsers drop rapid consecutive downloads
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+
+        this.showNotification(`${this.splitJob.parts.length} parts downloaded`, 'success');
+    }
+
+    // Run the parts in order through runSql, stopping at the first failure
+    async runSplitParts() {
+        const job = this.splitJob;
+        if (!job || job.running) return;
+
+        if (!confirm(
+            `Execute parts ${job.nextPart + 1} to ${job.parts.length} in order?\n\n` +
+            'This will modify your database. Make sure you have a backup if needed.'
+        )) {
+            return;
+        }
+
+        job.running = true;
+
+        while (job.nextPart < job.parts.length) {
+            const part = job.parts[job.nextPart];
+            job.status[part.index] = 'running';
+            this.renderSplitParts();
+
+            const params = {
+                sqlCode: part.sql,
+                action: 'runSql',
+                targetFile: this.targetFile,
+                partIndex: part.index,
+                totalParts: job.parts.length
+            };
+
+            if (job.allowDangerous) {
+                params.allowDangerous = true;
+            }
+
+            let result;
+            let refusal = null;
+            try {
+                const response = await this.makeRequest(params, { allowErrorStatus: true });
+                result = await response.text();
+                if (response.status === 409) {
+                    try {
+                        refusal = JSON.parse(result);
+                        result = refusal.error;
+                    } catch (error) {
+                        refusal = null;
+                    }
+                }
+            } catch (error) {
+                result = error.message;
+            }
+
+            // The server refuses parts with dangerous SQL until the user has seen them
+            if (refusal && refusal.dangerous && !job.allowDangerous) {
+                if (confirm(
+                    `${refusal.error}.\n\n` +
+                    'Run it anyway? Later parts with dangerous SQL will run without asking again.'
+                )) {
+                    job.allowDangerous = true;
+                    continue;
+                }
+                job.status[part.index] = 'pending';
+                job.running = false;
+                this.renderSplitParts(`Part ${part.index + 1} was not run: ${refusal.error}`);
+                return;
+            }
+
+            if (result !== 'Finished.') {
+                job.status[part.index] = 'failed';
+                job.running = false;
+                this.renderSplitParts(`Part ${part.index + 1} failed: ${result}`);
+                return;
+            }
+
+            job.status[part.index] = 'done';
+            job.nextPart++;
         }
+
+        job.running = false;
+        this.renderSplitParts();
+        this.showNotification(`All ${job.parts.length} parts executed successfully`, 'success');
     }
 
     // Legacy method implementations for compatibility
@@ -1257,6 +3790,12 @@ Generated by Enhanced Trongate Transferer
         }
     }
 
+    // Files that cannot be decompressed only offer deletion in the file list
+    async deleteUnreadableFile(file) {
+        this.targetFile = file;
+        await this.deleteSqlFile();
+    }
+
     async confirmDeletion() {
         return new Promise((resolve) => {
             const confirmed = confirm(
@@ -1271,10 +3810,6 @@ Generated by Enhanced Trongate Transferer
         this.targetFile = file;
         this.sqlCode = sql;
 
-        if (warning) {
-            this.showWarningAlert('Potentially dangerous SQL code detected. Review the code carefully before execution!');
-        }
-
         const content = `
             <div class="sql-display-container">
                 <p>The contents of the SQL file are displayed below. Review the code before execution.</p>
@@ -1282,18 +3817,334 @@ Generated by Enhanced Trongate Transferer
                 <div class="action-buttons">
                     <button onclick="transferer.goBack()">← Go Back</button>
                     <button class="success" onclick="transferer.drawConfRun()">✅ Run SQL</button>
+                    <button class="success" id="run-selected-button" onclick="transferer.drawConfRun(true)" aria-label="Execute only the statements selected in the outline">▶️ Run Selected</button>
+                    ${this.currentAnalysis?.translation_required ? `<button class="info" onclick="transferer.translateAndPreview('${this.targetFile}')" aria-label="Translate only the statements selected in the outline">🔄 Translate Selected</button>` : ''}
+                    <button class="info" onclick="transferer.dryRun('original')" aria-label="Test the SQL without changing the database">🧪 Dry Run</button>
                     <button class="danger" onclick="transferer.drawConfDelete()">🗑️ Delete File</button>
                     <button onclick="transferer.downloadOriginalSQL()" class="info">💾 Download</button>
                 </div>
                 
-                <div class="sql-preview-container">
-                    <h3>SQL Content</h3>
-                    <textarea id="sql-preview" aria-label="SQL file content">${this.escapeHtml(sql)}</textarea>
+                <div class="sql-preview-container sql-workspace">
+                    <div class="sql-workspace-editor">
+                        <h3>SQL Content</h3>
+                        <textarea id="sql-preview" data-sql-editor data-dialect="${this.escapeHtml(this.currentAnalysis?.source_type || '')}" aria-label="SQL file content">${this.escapeHtml(sql)}</textarea>
+                    </div>
+                    <div class="sql-sidebar">
+                        <section id="statement-outline" class="statement-outline" aria-label="Statement outline"></section>
+                        <aside id="lint-sidebar" class="lint-sidebar" aria-label="Risky statements"></aside>
+                    </div>
                 </div>
             </div>
         `;
 
         this.updatePageContent('SQL File Content', content);
+
+        const summary = this.lintSql('sql-preview', this.currentAnalysis?.source_type);
+        this.watchOutline(file, 'sql-preview');
+        if (summary.high || summary.medium) {
+            const counts = ['high', 'medium', 'low'].filter(severity => summary[severity]).map(severity => `${summary[severity]} ${severity}`);
+            this.showWarningAlert(`${summary.total} risky statement${summary.total === 1 ? '' : 's'} found (${counts.join(', ')}). They are marked in the SQL below.`);
+        } else if (warning) {
+            this.showWarningAlert('Potentially dangerous SQL code detected. Review the code carefully before execution!');
+        }
+    }
+
+    // Lint the SQL of an editor, mark the findings inline and list them in #lint-sidebar.
+    // Edits are linted again after a short pause; annotations are shown alongside the
+    // findings. Returns the severity summary.
+    lintSql(textareaId, dialect, annotations = []) {
+        const textarea = document.getElementById(textareaId);
+        const linter = new SqlLinter(dialect);
+        const editor = textarea && SqlEditor.attach(textarea, { dialect });
+        this.lintTarget = textareaId;
+
+        if (!editor) {
+            this.lintFindings = [];
+            return linter.summarize([]);
+        }
+
+        const update = () => {
+            this.lintFindings = linter.lint(editor.getValue());
+            editor.setAnnotations([...this.lintFindings, ...annotations]);
+            this.renderLintSidebar(linter.summarize(this.lintFindings));
+        };
+
+        let timer = null;
+        editor.options.onChange = () => {
+            clearTimeout(timer);
+            timer = setTimeout(update, 500);
+        };
+
+        update();
+        return linter.summarize(this.lintFindings);
+    }
+
+    renderLintSidebar(summary) {
+        const sidebar = document.getElementById('lint-sidebar');
+        if (!sidebar) return;
+
+        const icons = { high: '⛔', medium: '⚠️', low: 'ℹ️' };
+        const items = this.lintFindings.map((finding, index) => `
+            <li>
+                <button type="button" class="lint-item severity-${finding.severity}" onclick="transferer.jumpToLintFinding(${index})"
+                        aria-label="${finding.severity} risk on line ${finding.startLine}: ${this.escapeHtml(finding.message)}">
+                    <span class="lint-item-header">${icons[finding.severity]} ${finding.severity.toUpperCase()} · ${this.formatStatementRange({ start_line: finding.startLine, end_line: finding.endLine })}</span>
+                    <span class="lint-item-message">${this.escapeHtml(finding.message)}</span>
+                    <code class="lint-item-excerpt">${this.escapeHtml(finding.excerpt)}</code>
+                </button>
+            </li>
+        `).join('');
+
+        sidebar.innerHTML = `
+            <h3>Risky Statements</h3>
+            ${summary.total ? `
+                <p class="lint-summary">
+                    ${['high', 'medium', 'low'].map(severity => `<span class="lint-count severity-${severity}">${icons[severity]} ${summary[severity]} ${severity}</span>`).join(' ')}
+                </p>
+                <ol class="lint-list">${items}</ol>
+            ` : '<p class="lint-summary">✅ No risky statements found.</p>'}
+        `;
+    }
+
+    // Select the statement of a lint finding in its editor
+    jumpToLintFinding(index) {
+        const finding = this.lintFindings && this.lintFindings[index];
+        const textarea = document.getElementById(this.lintTarget);
+        if (!finding || !textarea) return;
+
+        SqlEditor.attach(textarea).revealLines(finding.startLine, finding.endLine);
+        textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Build the statement outline for the SQL page and rebuild it after edits
+    watchOutline(file, textareaId) {
+        const textarea = document.getElementById(textareaId);
+        const editor = textarea && SqlEditor.attach(textarea);
+        if (!editor) return;
+
+        this.outline = null;
+        this.outlineFile = file;
+        this.outlineExcluded = this.loadOutlineSelection(file);
+        this.syncOutline();
+
+        const previous = editor.options.onChange;
+        let timer = null;
+        editor.options.onChange = changed => {
+            if (previous) previous(changed);
+            clearTimeout(timer);
+            timer = setTimeout(() => this.syncOutline(), 500);
+        };
+    }
+
+    // Re-outline the SQL page editor when its text changed since the last outline
+    syncOutline() {
+        const textarea = document.getElementById('sql-preview');
+        if (!textarea || !document.getElementById('statement-outline')) return;
+
+        const sql = textarea.value;
+        if (!this.outline || sql !== this.outlineSql) {
+            this.setOutlineSql(sql);
+        }
+        this.renderOutline();
+    }
+
+    setOutlineSql(sql) {
+        this.outline = new SqlOutline(this.currentAnalysis?.source_type).build(sql);
+        this.outlineSql = sql;
+    }
+
+    renderOutline() {
+        const container = document.getElementById('statement-outline');
+        if (!container || !this.outline) return;
+
+        const selection = this.getOutlineSelection(false);
+        const positions = new Map(this.getOutlineItems().map((item, index) => [item, index]));
+        const groupsHtml = this.outline.groups.map(group => {
+            const selected = group.items.filter(item => !this.outlineExcluded.has(item.key)).length;
+            const items = group.items.map(item => {
+                const index = positions.get(item);
+                const count = item.statements.length;
+                return `
+                    <li>
+                        <label>
+                            <input type="checkbox" ${this.outlineExcluded.has(item.key) ? '' : 'checked'}
+                                   onchange="transferer.toggleOutlineItem(${index}, this.checked)">
+                            <span class="outline-item-name">${this.escapeHtml(item.label)}</span>
+                            <small>${this.escapeHtml(item.detail)} · ${count} statement${count === 1 ? '' : 's'}</small>
+                        </label>
+                        <button type="button" class="outline-jump" onclick="transferer.jumpToOutlineItem(${index})"
+                                aria-label="Show ${this.escapeHtml(item.label)} in the SQL" title="Show in SQL (line ${item.startLine})">↗</button>
+                    </li>
+                `;
+            }).join('');
+
+            return `
+                <details class="outline-group" open>
+                    <summary>
+                        <input type="checkbox" data-outline-group="${group.id}" ${selected === group.items.length ? 'checked' : ''}
+                               onclick="event.stopPropagation()" onchange="transferer.toggleOutlineGroup('${group.id}', this.checked)"
+                               aria-label="Select all ${this.escapeHtml(group.label)}">
+                        ${this.escapeHtml(group.label)} <small>(${selected}/${group.items.length})</small>
+                    </summary>
+                    <ul class="outline-items">${items}</ul>
+                </details>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <h3>Statements</h3>
+            <p class="outline-summary" id="outline-summary">${selection.count} of ${selection.total} statements selected</p>
+            <div class="outline-actions">
+                <button type="button" onclick="transferer.selectOutline('all')">All</button>
+                <button type="button" onclick="transferer.selectOutline('none')">None</button>
+                <button type="button" onclick="transferer.selectOutline('schema')" title="Everything except data">Schema Only</button>
+            </div>
+            ${groupsHtml || '<p class="outline-summary">No statements found.</p>'}
+        `;
+
+        // Partly selected groups show an indeterminate checkbox
+        this.outline.groups.forEach(group => {
+            const checkbox = container.querySelector(`[data-outline-group="${group.id}"]`);
+            const selected = group.items.filter(item => !this.outlineExcluded.has(item.key)).length;
+            if (checkbox) checkbox.indeterminate = selected > 0 && selected < group.items.length;
+        });
+
+        const runButton = document.getElementById('run-selected-button');
+        if (runButton) {
+            runButton.disabled = selection.count === 0;
+            runButton.textContent = `▶️ Run Selected (${selection.count})`;
+        }
+    }
+
+    getOutlineItems() {
+        return this.outline ? this.outline.groups.flatMap(group => group.items) : [];
+    }
+
+    toggleOutlineItem(index, checked) {
+        const item = this.getOutlineItems()[index];
+        if (!item) return;
+
+        if (checked) this.outlineExcluded.delete(item.key);
+        else this.outlineExcluded.add(item.key);
+        this.saveOutlineSelection();
+        this.renderOutline();
+    }
+
+    toggleOutlineGroup(groupId, checked) {
+        const group = this.outline && this.outline.groups.find(candidate => candidate.id === groupId);
+        if (!group) return;
+
+        group.items.forEach(item => {
+            if (checked) this.outlineExcluded.delete(item.key);
+            else this.outlineExcluded.add(item.key);
+        });
+        this.saveOutlineSelection();
+        this.renderOutline();
+    }
+
+    // Presets: all, none, or schema only (everything except data)
+    selectOutline(mode) {
+        this.outlineExcluded = new Set();
+        this.getOutlineItems().forEach(item => {
+            if (mode === 'none' || (mode === 'schema' && item.group === 'data')) {
+                this.outlineExcluded.add(item.key);
+            }
+        });
+        this.saveOutlineSelection();
+        this.renderOutline();
+    }
+
+    jumpToOutlineItem(index) {
+        const item = this.getOutlineItems()[index];
+        const textarea = document.getElementById('sql-preview');
+        if (!item || !textarea || !this.outline) return;
+
+        const first = this.outline.statements[item.statements[0]];
+        const last = this.outline.statements[item.statements[item.statements.length - 1]];
+        SqlEditor.attach(textarea).revealLines(first.startLine, last.endLine);
+        textarea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * The outline selection as executable SQL
+     *
+     * Returns { sql, label, count, total, all }; pass buildSql = false when only
+     * the counts are needed.
+     */
+    getOutlineSelection(buildSql = true) {
+        if (!this.outline) return null;
+
+        const selected = new Set();
+        this.getOutlineItems().forEach(item => {
+            if (!this.outlineExcluded.has(item.key)) {
+                item.statements.forEach(index => selected.add(index));
+            }
+        });
+
+        const total = this.outline.statements.length;
+        return {
+            sql: buildSql ? new SqlOutline(this.currentAnalysis?.source_type).buildSql(this.outlineSql, this.outline.statements, selected) : '',
+            label: `${selected.size} of ${total} statements`,
+            count: selected.size,
+            total,
+            all: selected.size === total
+        };
+    }
+
+    // Selection to apply to a file's translation; null when everything is selected
+    async getStatementSelection(file) {
+        const excluded = this.loadOutlineSelection(file);
+        if (excluded.size === 0) return null;
+
+        this.syncOutline();
+        if (this.outlineFile !== file || !this.outline) {
+            const sql = await this.fetchSqlText(file);
+            this.outlineFile = file;
+            this.setOutlineSql(sql);
+        }
+
+        this.outlineExcluded = excluded;
+        const selection = this.getOutlineSelection();
+        return selection && !selection.all ? selection : null;
+    }
+
+    clearStatementSelection() {
+        try {
+            sessionStorage.removeItem(`transferer_selection:${this.targetFile}`);
+        } catch (error) {
+            // Nothing was stored
+        }
+        if (this.outlineFile === this.targetFile) {
+            this.outlineExcluded = new Set();
+        }
+
+        const note = document.getElementById('selection-note');
+        if (note) note.remove();
+        this.showNotification('Statement selection cleared - the whole file will be used', 'info');
+    }
+
+    // The selection is kept per file for the browser session
+    loadOutlineSelection(file) {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(`transferer_selection:${file}`) || '[]');
+            return new Set(Array.isArray(stored) ? stored : []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    saveOutlineSelection() {
+        if (!this.outlineFile) return;
+        try {
+            const key = `transferer_selection:${this.outlineFile}`;
+            if (this.outlineExcluded.size) {
+                sessionStorage.setItem(key, JSON.stringify([...this.outlineExcluded]));
+            } else {
+                sessionStorage.removeItem(key);
+            }
+        } catch (error) {
+            // Storage may be unavailable (private mode); the selection then lasts for this page only
+        }
     }
 
     downloadOriginalSQL() {
@@ -1302,7 +4153,7 @@ Generated by Enhanced Trongate Transferer
             return;
         }
 
-        const fileName = this.targetFile.split('/').pop() || 'sql_dump.sql';
+        const fileName = this.getSqlFileName(this.targetFile) || 'sql_dump.sql';
         const blob = new Blob([this.sqlCode], { type: 'text/sql' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1317,16 +4168,46 @@ Generated by Enhanced Trongate Transferer
         this.showNotification('Original SQL downloaded', 'success');
     }
 
-    drawConfRun() {
-        this.sqlCode = document.getElementById("sql-preview").value;
+    // The comparison with the database is loaded first so it shows on the confirmation page
+    async drawConfRun(selectedOnly = false) {
+        const preview = document.getElementById("sql-preview");
+        if (preview) {
+            this.sqlCode = preview.value;
+        }
+
+        this.runSelection = null;
+        if (selectedOnly) {
+            this.syncOutline();
+            const selection = this.getOutlineSelection();
+            if (!selection || selection.count === 0) {
+                this.showNotification('Select at least one statement in the outline to run', 'warning');
+                return;
+            }
+            this.runSelection = selection;
+        }
+
+        this.schemaComparison = null;
+        if (this.enhancedMode) {
+            const operation = this.startOperation('compare');
+            try {
+                this.setLoadingState('Comparing the SQL with your database...', 'Compare with Database');
+                this.schemaComparison = await this.fetchSchemaComparison(this.runSelection ? this.runSelection.sql : this.sqlCode);
+            } catch (error) {
+                if (this.isAbortError(error)) return;
+                this.schemaComparison = { success: false, error: error.message };
+            } finally {
+                this.finishOperation(operation);
+            }
+        }
 
         const content = `
             <div class="confirmation-container">
                 <h2>⚠️ Confirm SQL Execution</h2>
-                <p>You are about to execute the SQL file:</p>
+                <p>You are about to execute ${this.runSelection ? `<strong>${this.escapeHtml(this.runSelection.label)}</strong> from` : ''} the SQL file:</p>
                 <div class="file-info">
                     <strong>Location:</strong> ${this.escapeHtml(this.targetFile)}
                 </div>
+                ${this.schemaComparison ? this.renderSchemaComparison(this.schemaComparison) : ''}
                 
                 <div class="warning-box">
                     <h3>⚠️ Important Warning:</h3>
@@ -1337,6 +4218,7 @@ Generated by Enhanced Trongate Transferer
                         <li>Understand the risks involved</li>
                     </ul>
                 </div>
+                ${this.renderBackupOption()}
                 
                 <div class="action-buttons">
                     <button onclick="transferer.goBack()">← Cancel</button>
@@ -1346,12 +4228,297 @@ Generated by Enhanced Trongate Transferer
                 
                 <div id="sql-preview-section" style="display: none;">
                     <h3>SQL Preview</h3>
-                    <textarea id="sql-preview" disabled aria-label="SQL preview for execution"></textarea>
+                    <textarea id="sql-preview" readonly data-sql-editor data-dialect="${this.escapeHtml(this.currentAnalysis?.source_type || '')}" aria-label="SQL preview for execution"></textarea>
+                </div>
+            </div>
+        `;
+
+        this.updatePageContent('Confirm Execution', content);
+    }
+
+    async fetchSchemaComparison(sql) {
+        const response = await this.makeRequest({ action: 'compareSchema', sqlCode: sql }, { allowErrorStatus: true });
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            result = { success: false, error: `Comparison failed: HTTP ${response.status}` };
+        }
+        return result;
+    }
+
+    // Compare again after the database changed, keeping the rest of the confirmation page
+    async compareWithDatabase() {
+        const panel = document.getElementById('schema-comparison');
+        if (!panel) return;
+
+        const operation = this.startOperation('compare');
+        panel.setAttribute('aria-busy', 'true');
+        try {
+            this.schemaComparison = await this.fetchSchemaComparison(this.runSelection ? this.runSelection.sql : this.sqlCode);
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.schemaComparison = { success: false, error: error.message };
+        } finally {
+            this.finishOperation(operation);
+        }
+
+        panel.outerHTML = this.renderSchemaComparison(this.schemaComparison);
+    }
+
+    // Per-table status of the SQL against the existing database: new, identical, conflicting or dropped
+    renderSchemaComparison(comparison) {
+        const refresh = '<button type="button" onclick="transferer.compareWithDatabase()">🔄 Compare Again</button>';
+
+        if (!comparison.success) {
+            return `
+                <div class="schema-comparison" id="schema-comparison">
+                    <h3>Compare with Database</h3>
+                    <p class="file-error">The database could not be compared: ${this.escapeHtml(comparison.error || 'unknown error')}</p>
+                    ${refresh}
+                </div>
+            `;
+        }
+
+        const statusLabels = {
+            new: 'New',
+            identical: 'Identical',
+            conflicting: 'Conflicting',
+            dropped: 'Would be dropped'
+        };
+        const summary = comparison.summary;
+        const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+
+        const describeDifference = difference => {
+            const subject = difference.column ? `<code>${this.escapeHtml(difference.column)}</code>: ` : '';
+            const values = [
+                difference.incoming !== null ? `incoming ${this.escapeHtml(difference.incoming)}` : '',
+                difference.existing !== null ? `existing ${this.escapeHtml(difference.existing)}` : ''
+            ].filter(Boolean).join(', ');
+            return `<li>${subject}${this.escapeHtml(difference.message)}${values ? ` (${values})` : ''}</li>`;
+        };
+
+        const describeTable = table => {
+            const notes = [];
+            if (table.status === 'dropped') {
+                notes.push(table.recreated
+                    ? `The table is dropped and created again; its ${plural(table.existing_rows, 'existing row')} will be lost.`
+                    : `The table is dropped; its ${plural(table.existing_rows, 'existing row')} will be lost.`);
+            } else if (table.status === 'conflicting') {
+                notes.push('CREATE TABLE fails because the table exists, or keeps the existing definition with IF NOT EXISTS.');
+            }
+            if (table.status !== 'dropped' && table.status !== 'new' && table.existing_rows > 0 && table.incoming_rows > 0) {
+                notes.push(`The SQL inserts ${plural(table.incoming_rows, 'row')} into a table that already holds ${plural(table.existing_rows, 'row')}; seed data may be duplicated.`);
+            }
+
+            return `
+                <tr class="schema-compare-${table.status}">
+                    <td><code>${this.escapeHtml(table.name)}</code></td>
+                    <td>${statusLabels[table.status]}</td>
+                    <td>${table.existing_rows.toLocaleString()} → +${table.incoming_rows.toLocaleString()}</td>
+                    <td>
+                        ${notes.map(note => `<p>${note}</p>`).join('')}
+                        ${table.differences.length ? `<ul>${table.differences.map(describeDifference).join('')}</ul>` : ''}
+                    </td>
+                </tr>
+            `;
+        };
+
+        const risky = summary.conflicting + summary.dropped;
+        const canMigrate = window.capabilities?.features?.includes('incremental_migration')
+            && comparison.tables.some(table => table.status !== 'new');
+
+        return `
+            <div class="schema-comparison" id="schema-comparison">
+                <h3>Compare with Database</h3>
+                <p class="schema-comparison-summary">
+                    <span class="schema-compare-new">${summary.new} new</span>
+                    <span class="schema-compare-identical">${summary.identical} identical</span>
+                    <span class="schema-compare-conflicting">${summary.conflicting} conflicting</span>
+                    <span class="schema-compare-dropped">${summary.dropped} would be dropped</span>
+                </p>
+                ${risky ? `<p class="detection-confidence confidence-low">⚠️ ${plural(risky, 'existing table')} would be changed or fail to be created. Review the differences below before running.</p>` : ''}
+                ${comparison.parse_error ? `<p class="file-error">Some statements could not be parsed, so the comparison may be incomplete: ${this.escapeHtml(comparison.parse_error)}</p>` : ''}
+                ${comparison.tables.length ? `
+                    <table class="split-table schema-comparison-table">
+                        <thead><tr><th>Table</th><th>Status</th><th>Rows (existing → inserted)</th><th>Details</th></tr></thead>
+                        <tbody>${comparison.tables.map(describeTable).join('')}</tbody>
+                    </table>
+                ` : '<p>The SQL does not create or drop any tables.</p>'}
+                ${comparison.other_tables.length ? `
+                    <details>
+                        <summary>${plural(comparison.other_tables.length, 'other table')} in the database ${comparison.other_tables.length === 1 ? 'is' : 'are'} not touched</summary>
+                        <p>${comparison.other_tables.map(name => `<code>${this.escapeHtml(name)}</code>`).join(' ')}</p>
+                    </details>
+                ` : ''}
+                ${canMigrate ? `
+                    <p class="schema-comparison-migrate">Tables that already exist can be updated in place instead: an incremental migration only adds or alters what differs and keeps the existing rows.</p>
+                ` : ''}
+                <div class="action-buttons">
+                    ${refresh}
+                    ${canMigrate ? '<button type="button" class="info" onclick="transferer.generateIncrementalMigration()">🧬 Generate ALTER Migration</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // ALTER statements that bring the existing tables in line with the SQL, instead of replaying all of it
+    async generateIncrementalMigration() {
+        const operation = this.startOperation('migration');
+        try {
+            this.setLoadingState('Comparing the SQL with your database and generating ALTER statements...', 'Incremental Migration');
+
+            const response = await this.makeRequest({
+                action: 'generateMigration',
+                sqlCode: this.runSelection ? this.runSelection.sql : this.sqlCode
+            }, { allowErrorStatus: true });
+
+            let result;
+            try {
+                result = await response.json();
+            } catch (error) {
+                result = { success: false, error: `HTTP ${response.status}` };
+            }
+            if (!result.success) {
+                throw new Error(result.error || 'unknown error');
+            }
+
+            this.incrementalMigration = result;
+            this.drawIncrementalMigration();
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.handleError('Migration Generation Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    drawIncrementalMigration() {
+        const migration = this.incrementalMigration;
+        const kindLabels = {
+            create_table: 'Create table',
+            add_column: 'Add column',
+            modify_column: 'Change column',
+            add_index: 'Add index',
+            drop_index: 'Drop index',
+            add_foreign_key: 'Add foreign key',
+            manual: 'Manual step'
+        };
+        const counts = Object.entries(migration.summary)
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `<span>${count} × ${kindLabels[kind] || kind}</span>`)
+            .join('');
+
+        const describeChange = change => `
+            <tr class="${change.manual ? 'migration-manual' : ''}">
+                <td><code>${this.escapeHtml(change.table)}</code></td>
+                <td>${kindLabels[change.kind] || this.escapeHtml(change.kind)}</td>
+                <td>${this.escapeHtml(change.description)}${change.manual ? ' <em>(commented out)</em>' : ''}</td>
+            </tr>
+        `;
+
+        const content = `
+            <div class="incremental-migration">
+                <h2>🧬 Incremental Migration</h2>
+                <p>These statements bring the existing tables of your database in line with the SQL file without recreating them. Rows inserted by the file are not included.</p>
+                <div class="file-info">
+                    <strong>Location:</strong> ${this.escapeHtml(this.targetFile)}
+                    ${this.runSelection ? `<br><strong>Statements:</strong> ${this.escapeHtml(this.runSelection.label)}` : ''}
+                </div>
+                ${migration.changes.length
+                    ? `<p class="schema-comparison-summary">${counts}</p>`
+                    : '<p>✅ The database already matches the SQL file; there is nothing to migrate.</p>'}
+                ${migration.warnings.length ? `
+                    <div class="warning-box">
+                        <h3>⚠️ Review before running:</h3>
+                        <ul>${migration.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+                ${migration.changes.length ? `
+                    <table class="split-table migration-changes">
+                        <thead><tr><th>Table</th><th>Change</th><th>Details</th></tr></thead>
+                        <tbody>${migration.changes.map(describeChange).join('')}</tbody>
+                    </table>
+                ` : ''}
+                <h3>Migration SQL</h3>
+                <p class="dry-run-note">Edit the statements before running them. Commented-out statements need a decision of your own and are not run.</p>
+                <textarea id="migration-sql" data-sql-editor data-dialect="${this.escapeHtml(migration.target_type)}" aria-label="Incremental migration SQL, editable">${this.escapeHtml(migration.sql)}</textarea>
+                ${this.renderBackupOption()}
+                <div class="action-buttons">
+                    <button onclick="transferer.drawConfRun(${Boolean(this.runSelection)})">← Back</button>
+                    <button class="info" onclick="transferer.downloadIncrementalMigration()">💾 Download Migration</button>
+                    <button class="success" onclick="transferer.runIncrementalMigration()">⚡ Run Migration</button>
                 </div>
             </div>
         `;
 
-        this.updatePageContent('Confirm Execution', content);
+        this.updatePageContent('Incremental Migration', content);
+    }
+
+    // The migration as edited in the preview
+    getIncrementalMigrationSQL() {
+        const textarea = document.getElementById('migration-sql');
+        return textarea ? SqlEditor.attach(textarea).getValue() : (this.incrementalMigration?.sql || '');
+    }
+
+    downloadIncrementalMigration() {
+        const sql = this.getIncrementalMigrationSQL();
+        const baseName = (this.getSqlFileName(this.targetFile) || 'schema.sql').replace(/\.sql$/i, '');
+        const blob = new Blob([sql], { type: 'text/sql' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = `${baseName}_migration_${this.incrementalMigration.target_type}_${Date.now()}.sql`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showNotification('Migration SQL downloaded', 'success');
+    }
+
+    // Run the (edited) migration like a statement selection, leaving the SQL file in place
+    async runIncrementalMigration() {
+        const migration = this.incrementalMigration;
+        const sql = this.getIncrementalMigrationSQL();
+
+        if (!sql.replace(/--[^\n]*/g, '').trim()) {
+            this.showNotification('The migration has no statements to run', 'warning');
+            return;
+        }
+        const confirmed = confirm(
+            'Are you sure you want to run the incremental migration?\n\n' +
+            (this.backupBeforeRun
+                ? 'This will alter your existing tables. A backup of the current database is created first.'
+                : 'This will alter your existing tables. Make sure you have a backup if needed.')
+        );
+        if (!confirmed) return;
+
+        const operation = this.startOperation('run');
+        try {
+            await this.createPreImportBackup();
+            this.setLoadingState('Running the incremental migration...', 'Please Wait', true);
+
+            const params = {
+                sqlCode: sql,
+                action: 'runSql',
+                targetFile: this.targetFile,
+                selection: 'Incremental migration',
+                sourceType: migration.target_type,
+                targetType: migration.target_type
+            };
+            if (sql !== migration.sql) {
+                params.edited = true;
+            }
+
+            this.handleStreamedExecution(await this.makeStreamingRequest(params), sql, migration.target_type);
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.handleError('Migration Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
     }
 
     drawConfDelete() {
@@ -1386,35 +4553,715 @@ Generated by Enhanced Trongate Transferer
         const previewTextarea = document.getElementById("sql-preview");
         
         if (previewSection && previewTextarea) {
-            previewTextarea.value = this.sqlCode;
             previewSection.style.display = 'block';
-            previewTextarea.scrollIntoView({ behavior: 'smooth' });
+            previewTextarea.value = this.runSelection ? this.runSelection.sql : this.sqlCode;
+            previewSection.scrollIntoView({ behavior: 'smooth' });
         }
     }
 
     async runSql() {
+        const operation = this.startOperation('run');
         try {
+            await this.createPreImportBackup();
             this.setLoadingState('Executing SQL...', 'Please Wait', true);
             
+            const selection = this.runSelection;
+            const sql = selection ? selection.sql : this.sqlCode;
             const params = {
-                sqlCode: this.sqlCode,
+                sqlCode: sql,
                 action: 'runSql',
-                targetFile: this.targetFile
+                targetFile: this.targetFile,
+                sourceType: this.currentAnalysis?.source_type,
+                targetType: this.currentAnalysis?.target_type
             };
+            if (selection) {
+                params.selection = selection.label;
+            } else if (sql !== this.sqlCodeOriginal) {
+                // The server runs the file unless told otherwise; run what the preview showed
+                params.edited = true;
+            }
 
-            const response = await this.makeRequest(params);
-            const result = await response.text();
-            
-            this.handleExecutionResult(response.status, result);
+            this.handleStreamedExecution(await this.makeStreamingRequest(params), sql, this.currentAnalysis?.source_type);
         } catch (error) {
+            if (this.isAbortError(error)) return;
             this.handleError('SQL Execution Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // Execute the SQL on the server and discard every change, reporting each statement
+    async dryRun(source) {
+        const translated = source === 'translated';
+        const preview = document.getElementById('sql-preview');
+
+        if (!translated && preview) {
+            this.sqlCode = preview.value;
+        }
+        if (translated) {
+            this.syncTranslatedSQL();
+        }
+
+        const operation = this.startOperation('dryrun');
+        try {
+            this.setLoadingState('Executing SQL without keeping the changes...', 'Dry Run', true);
+
+            const outcome = await this.makeStreamingRequest({
+                action: 'dryRunSql',
+                sqlCode: translated ? this.translatedSQL : this.sqlCode,
+                targetFile: this.targetFile,
+                sourceType: this.currentAnalysis?.source_type,
+                targetType: this.currentAnalysis?.target_type
+            });
+
+            let report;
+            if (outcome.type === 'result') {
+                report = outcome.data;
+            } else if (outcome.type === 'error') {
+                throw new Error(outcome.message);
+            } else {
+                try {
+                    report = JSON.parse(outcome.text);
+                } catch (error) {
+                    throw new Error(`Dry run request failed: HTTP ${outcome.status}`);
+                }
+            }
+
+            if (!report.success) {
+                throw new Error(report.error || 'Dry run failed');
+            }
+
+            this.drawDryRunResults(report, source);
+        } catch (error) {
+            if (this.isAbortError(error)) return;
+            this.handleError('Dry Run Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    drawDryRunResults(report, source) {
+        this.dryRunReport = { report, source };
+
+        const { summary } = report;
+        const statusLabels = {
+            ok: '✅ OK',
+            error: '❌ Failed',
+            skipped: '⏭️ Skipped'
+        };
+        const modeNote = report.mode === 'scratch_database'
+            ? 'The statements ran against a temporary copy of your table structure (without data), which has been dropped. ' +
+              'Row counts for UPDATE and DELETE statements may therefore be lower than on the real database.'
+            : 'The statements ran inside a transaction that has been rolled back.';
+
+        const rows = report.statements.map(statement => `
+            <tr class="dry-run-${statement.status}">
+                <td>${statement.index + 1}</td>
+                <td>${statement.start_line ? this.formatStatementRange(statement) : '—'}</td>
+                <td><code>${this.escapeHtml(statement.sql)}</code></td>
+                <td>${statement.table ? this.escapeHtml(statement.table) : '—'}</td>
+                <td>${statusLabels[statement.status]}</td>
+                <td>${statement.status === 'ok' ? statement.rows_affected : '—'}</td>
+                <td>${statement.error ? this.escapeHtml(statement.error) : ''}</td>
+            </tr>
+        `).join('');
+
+        const verdict = summary.failed === 0
+            ? `<div class="success-message">✅ All ${summary.succeeded} executed statements succeeded. Nothing was changed in your database.</div>`
+            : `<div class="error-message">❌ ${summary.failed} of ${summary.total} statements failed. Nothing was changed in your database.</div>`;
+
+        const runButton = source === 'translated'
+            ? '<button class="success" onclick="transferer.runTranslatedSQL()">✅ Run Translated SQL</button>'
+            : '<button class="success" onclick="transferer.drawConfRun()">✅ Run SQL</button>';
+
+        this.updatePageContent('Dry Run Results', `
+            <div class="dry-run-container">
+                ${verdict}
+                <div class="translation-stats">
+                    <div class="stat-item">
+                        <div class="stat-value">${summary.succeeded}</div>
+                        <div class="stat-label">Succeeded</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${summary.failed}</div>
+                        <div class="stat-label">Failed</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${summary.skipped}</div>
+                        <div class="stat-label">Skipped</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${summary.rows_affected}</div>
+                        <div class="stat-label">Rows Affected</div>
+                    </div>
+                </div>
+                <p class="dry-run-note">${modeNote} Took ${this.formatDuration(report.duration)}.</p>
+
+                <div class="action-buttons">
+                    <button onclick="transferer.returnFromDryRun()">← Back</button>
+                    ${summary.failed === 0 ? runButton : ''}
+                    <label class="dry-run-filter">
+                        <input type="checkbox" onchange="transferer.toggleDryRunFailures(this.checked)" ${summary.failed > 0 ? '' : 'disabled'}>
+                        Only show failed statements
+                    </label>
+                </div>
+
+                <table class="split-table dry-run-table" id="dry-run-table">
+                    <thead>
+                        <tr><th>#</th><th>Lines</th><th>Statement</th><th>Table</th><th>Status</th><th>Rows</th><th>Error</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    toggleDryRunFailures(onlyFailures) {
+        document.querySelectorAll('#dry-run-table tbody tr').forEach(row => {
+            row.hidden = onlyFailures && !row.classList.contains('dry-run-error');
+        });
+    }
+
+    returnFromDryRun() {
+        const source = this.dryRunReport ? this.dryRunReport.source : 'original';
+
+        if (source === 'translated' && this.translationResult) {
+            this.drawTranslationPreview(this.targetFile, this.translationResult);
+        } else {
+            this.drawShowSQLPage(this.sqlCode, this.targetFile, false);
+        }
+    }
+
+    // Server-side log of every analyze, translate, run and delete
+    async showHistory() {
+        try {
+            this.setLoadingState('Loading history...', 'Import History');
+
+            const response = await this.makeRequest({ action: 'getHistory' }, { allowErrorStatus: true });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Could not load the history');
+            }
+
+            this.historyEntries = result.entries;
+            this.historyFilters = { file: '', action: '', outcome: '' };
+            this.drawHistory();
+        } catch (error) {
+            this.handleError('Failed to load history', error.message);
+        }
+    }
+
+    drawHistory() {
+        const labels = this.getHistoryLabels();
+        const files = [...new Set(this.historyEntries.map(entry => entry.file).filter(Boolean))].sort();
+
+        const options = (values, describe) => values
+            .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(describe(value))}</option>`)
+            .join('');
+
+        this.updatePageContent('Import History', `
+            <div class="history-container">
+                <div class="history-filters" role="group" aria-label="Filter the history">
+                    <label>File
+                        <select onchange="transferer.setHistoryFilter('file', this.value)">
+                            <option value="">All files</option>
+                            ${options(files, file => file.split('/').pop())}
+                        </select>
+                    </label>
+                    <label>Action
+                        <select onchange="transferer.setHistoryFilter('action', this.value)">
+                            <option value="">All actions</option>
+                            ${options(Object.keys(labels.actions), action => labels.actions[action])}
+                        </select>
+                    </label>
+                    <label>Outcome
+                        <select onchange="transferer.setHistoryFilter('outcome', this.value)">
+                            <option value="">All outcomes</option>
+                            ${options(Object.keys(labels.outcomes), outcome => labels.outcomes[outcome])}
+                        </select>
+                    </label>
+                </div>
+
+                <div class="action-buttons">
+                    <button onclick="transferer.goBack()">← Back to Files</button>
+                    <button class="info" onclick="transferer.exportHistory('json')">💾 Export JSON</button>
+                    <button class="info" onclick="transferer.exportHistory('csv')">💾 Export CSV</button>
+                </div>
+
+                <p class="history-count" id="history-count" aria-live="polite"></p>
+                <table class="split-table history-table">
+                    <thead>
+                        <tr><th>When</th><th>Action</th><th>File</th><th>Databases</th><th>Outcome</th><th>Statements</th><th>Warnings</th><th>Details</th></tr>
+                    </thead>
+                    <tbody id="history-rows"></tbody>
+                </table>
+            </div>
+        `);
+
+        this.renderHistoryRows();
+    }
+
+    getHistoryLabels() {
+        return {
+            actions: {
+                upload: '📤 Upload',
+                analyze: '🔍 Analyze',
+                translate: '🔄 Translate',
+                run: '⚡ Run',
+                dry_run: '🧪 Dry Run',
+                delete: '🗑️ Delete',
+                backup: '💾 Backup',
+                restore: '↩️ Restore'
+            },
+            outcomes: {
+                success: '✅ Success',
+                error: '❌ Error',
+                cancelled: '⏹️ Cancelled'
+            }
+        };
+    }
+
+    setHistoryFilter(name, value) {
+        this.historyFilters[name] = value;
+        this.renderHistoryRows();
+    }
+
+    getFilteredHistory() {
+        const { file, action, outcome } = this.historyFilters;
+
+        return this.historyEntries.filter(entry =>
+            (!file || entry.file === file) &&
+            (!action || entry.action === action) &&
+            (!outcome || entry.outcome === outcome)
+        );
+    }
+
+    renderHistoryRows() {
+        const tbody = document.getElementById('history-rows');
+        if (!tbody) return;
+
+        const labels = this.getHistoryLabels();
+        const entries = this.getFilteredHistory();
+
+        tbody.innerHTML = entries.map(entry => {
+            const fileName = entry.file ? entry.file.split('/').pop() : '—';
+            const databases = entry.source_type
+                ? this.escapeHtml(entry.source_type) +
+                  (entry.target_type && entry.target_type !== entry.source_type ? ` → ${this.escapeHtml(entry.target_type)}` : '')
+                : '—';
+            const warnings = entry.warnings && entry.warnings.length > 0
+                ? `<details><summary>${entry.warnings.length}</summary><ul>${entry.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul></details>`
+                : '0';
+            const statements = entry.statements !== null && entry.statements !== undefined
+                ? `${entry.statements}${entry.failed_statement ? ` (failed at #${entry.failed_statement})` : ''}`
+                : '—';
+
+            return `
+                <tr class="history-${this.escapeHtml(entry.outcome)}">
+                    <td>${new Date(entry.created_at).toLocaleString()}</td>
+                    <td>${labels.actions[entry.action] || this.escapeHtml(entry.action)}</td>
+                    <td title="${this.escapeHtml(entry.file || '')}">${this.escapeHtml(fileName)}${entry.part ? ` <small>(${this.escapeHtml(entry.part)})</small>` : ''}${entry.selection ? ` <small>(${this.escapeHtml(entry.selection)})</small>` : ''}${entry.edited ? ' <small>(edited)</small>' : ''}</td>
+                    <td>${databases}</td>
+                    <td>${labels.outcomes[entry.outcome] || this.escapeHtml(entry.outcome)}</td>
+                    <td>${statements}</td>
+                    <td>${warnings}</td>
+                    <td>${entry.error ? this.escapeHtml(entry.error) : ''}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="8">No history entries match the filters.</td></tr>';
+
+        const count = document.getElementById('history-count');
+        if (count) {
+            count.textContent = `Showing ${entries.length} of ${this.historyEntries.length} entries`;
+        }
+    }
+
+    exportHistory(format) {
+        const entries = this.getFilteredHistory();
+        if (entries.length === 0) {
+            this.showNotification('No history entries to export', 'warning');
+            return;
+        }
+
+        let content;
+        if (format === 'csv') {
+            const columns = ['created_at', 'action', 'outcome', 'file', 'part', 'selection', 'edited', 'source_type', 'target_type',
+                'statements', 'rows_affected', 'failed_statement', 'warnings', 'error', 'duration', 'client'];
+            const cell = value => {
+                const text = Array.isArray(value) ? value.join(' | ') : (value ?? '').toString();
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            content = [columns.join(','), ...entries.map(entry => columns.map(column => cell(entry[column])).join(','))].join('\n');
+        } else {
+            content = JSON.stringify(entries, null, 2);
+        }
+
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+
+        a.href = url;
+        a.download = `transferer_history_${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showNotification(`${entries.length} history entries exported`, 'success');
+    }
+
+    // Files in the rendered list, in list order
+    getListedFiles() {
+        return Array.from(document.querySelectorAll('.file-list-item')).map(item => ({
+            file: item.dataset.file,
+            name: item.dataset.file.split('/').pop(),
+            size: item.dataset.size ? parseInt(item.dataset.size, 10) : null,
+            warning: item.dataset.warning === 'true'
+        }));
+    }
+
+    loadBatchSettings() {
+        const defaults = { onError: 'stop', translate: true };
+        try {
+            const stored = JSON.parse(localStorage.getItem('transferer_batch_settings') || '{}');
+            return {
+                onError: stored.onError === 'continue' ? 'continue' : defaults.onError,
+                translate: typeof stored.translate === 'boolean' ? stored.translate : defaults.translate
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    saveBatchSettings(settings) {
+        try {
+            localStorage.setItem('transferer_batch_settings', JSON.stringify(settings));
+        } catch (error) {
+            // Storage may be full or disabled; the settings then last for this page only
+        }
+    }
+
+    // "Process All": order the listed files and run them one after another
+    showBatchQueue() {
+        const files = this.getListedFiles();
+        if (files.length === 0) {
+            this.showNotification('No SQL files to process', 'warning');
+            return;
+        }
+
+        this.batch = {
+            items: files.map(file => {
+                const tooBig = file.size !== null && file.size > 1000000;
+                return {
+                    ...file,
+                    tooBig,
+                    include: !tooBig,
+                    status: tooBig ? 'excluded' : 'pending',
+                    message: tooBig ? 'Too big for a batch run - import it in chunks from the file list' : ''
+                };
+            }),
+            settings: this.loadBatchSettings(),
+            running: false,
+            finished: false
+        };
+
+        this.drawBatchQueue();
+    }
+
+    drawBatchQueue() {
+        const { settings } = this.batch;
+
+        this.updatePageContent('Process All Files', `
+            <div class="batch-container">
+                <p>Files run from top to bottom. Put schema files before the files that fill their tables.</p>
+
+                <div class="batch-settings" role="group" aria-label="Batch settings">
+                    <label>
+                        <input type="checkbox" ${settings.translate ? 'checked' : ''}
+                               onchange="transferer.setBatchSetting('translate', this.checked)">
+                        🔄 Translate files written for another database
+                    </label>
+                    <label>When a file fails
+                        <select onchange="transferer.setBatchSetting('onError', this.value)">
+                            <option value="stop" ${settings.onError === 'stop' ? 'selected' : ''}>stop the queue</option>
+                            <option value="continue" ${settings.onError === 'continue' ? 'selected' : ''}>continue with the next file</option>
+                        </select>
+                    </label>
+                    ${this.renderBackupOption()}
+                </div>
+
+                <table class="split-table batch-table">
+                    <thead>
+                        <tr><th>Order</th><th>Run</th><th>File</th><th>Size</th><th>Status</th><th>Details</th></tr>
+                    </thead>
+                    <tbody id="batch-rows"></tbody>
+                </table>
+
+                <p class="batch-summary" id="batch-summary" aria-live="polite"></p>
+                <div id="batch-backup"></div>
+
+                <div class="action-buttons" id="batch-actions"></div>
+            </div>
+        `);
+
+        this.renderBatchRows();
+    }
+
+    getBatchStatusLabels() {
+        return {
+            pending: '⏳ Pending',
+            analyzing: '🔍 Analyzing',
+            translating: '🔄 Translating',
+            running: '⚙️ Running',
+            done: '✅ Imported',
+            failed: '❌ Failed',
+            skipped: '⏭️ Skipped',
+            excluded: '— Not included'
+        };
+    }
+
+    renderBatchRows() {
+        const tbody = document.getElementById('batch-rows');
+        if (!tbody || !this.batch) return;
+
+        const { items, running, finished } = this.batch;
+        const labels = this.getBatchStatusLabels();
+        const locked = running || finished;
+
+        tbody.innerHTML = items.map((item, index) => `
+            <tr class="batch-${item.status}">
+                <td class="batch-order">
+                    <button onclick="transferer.moveBatchItem(${index}, -1)"
+                            ${locked || index === 0 ? 'disabled' : ''} aria-label="Move ${this.escapeHtml(item.name)} up">▲</button>
+                    <button onclick="transferer.moveBatchItem(${index}, 1)"
+                            ${locked || index === items.length - 1 ? 'disabled' : ''} aria-label="Move ${this.escapeHtml(item.name)} down">▼</button>
+                </td>
+                <td>
+                    <input type="checkbox" ${item.include ? 'checked' : ''} ${locked || item.tooBig ? 'disabled' : ''}
+                           onchange="transferer.toggleBatchItem(${index}, this.checked)" aria-label="Run ${this.escapeHtml(item.name)}">
+                </td>
+                <td>${item.warning ? '⚠️ ' : ''}${this.escapeHtml(item.name)}</td>
+                <td>${item.size === null ? '—' : `${Math.round(item.size / 1024 * 100) / 100} KB`}</td>
+                <td>${labels[item.status]}</td>
+                <td>${this.escapeHtml(item.message)}</td>
+            </tr>
+        `).join('');
+
+        const included = items.filter(item => item.include).length;
+        const actions = document.getElementById('batch-actions');
+        if (!actions) return;
+
+        if (finished) {
+            actions.innerHTML = `
+                <button onclick="transferer.goBack()">← Back to Files</button>
+                <button class="success" onclick="transferer.clickOkay()">Continue</button>
+            `;
+        } else if (running) {
+            actions.innerHTML = '<button class="danger cancel-operation" onclick="transferer.cancelOperation()" aria-label="Cancel the batch">✖ Cancel</button>';
+        } else {
+            actions.innerHTML = `
+                <button onclick="transferer.goBack()">← Back to Files</button>
+                <button class="success" onclick="transferer.runBatch()" ${included === 0 ? 'disabled' : ''}>⚡ Run ${included} File${included === 1 ? '' : 's'}</button>
+            `;
+        }
+    }
+
+    moveBatchItem(index, delta) {
+        const items = this.batch.items;
+        const target = index + delta;
+        if (target < 0 || target >= items.length) return;
+
+        [items[index], items[target]] = [items[target], items[index]];
+        this.renderBatchRows();
+    }
+
+    toggleBatchItem(index, checked) {
+        const item = this.batch.items[index];
+        item.include = checked;
+        item.status = checked ? 'pending' : 'excluded';
+        this.renderBatchRows();
+    }
+
+    setBatchSetting(name, value) {
+        this.batch.settings[name] = value;
+        this.saveBatchSettings(this.batch.settings);
+    }
+
+    async runBatch() {
+        const batch = this.batch;
+        const queue = batch.items.filter(item => item.include);
+        if (queue.length === 0 || batch.running || batch.finished) return;
+
+        const suspicious = queue.filter(item => item.warning).map(item => `  • ${item.name}`);
+        if (!confirm(
+            `Run ${queue.length} file${queue.length === 1 ? '' : 's'} in the order shown?\n\n` +
+            (suspicious.length ? `These files contain potentially dangerous SQL (DROP, UPDATE, TRUNCATE, DELETE):\n${suspicious.join('\n')}\n\n` : '') +
+            'Each file is committed on its own, so files imported before a failure stay in the database.'
+        )) {
+            return;
+        }
+
+        const operation = this.startOperation('batch');
+        try {
+            await this.createPreImportBackup();
+
+            batch.running = true;
+            this.drawBatchQueue();
+
+            let stopped = false;
+            for (const item of queue) {
+                if (stopped) {
+                    item.status = 'skipped';
+                    item.message = 'Not run - the queue stopped after a failure';
+                    continue;
+                }
+
+                try {
+                    await this.processBatchItem(item);
+                } catch (error) {
+                    if (this.isAbortError(error)) throw error;
+                    item.status = 'failed';
+                    item.message = error.message;
+                }
+
+                if (item.status === 'failed' && batch.settings.onError === 'stop') {
+                    stopped = true;
+                }
+                this.renderBatchRows();
+            }
+
+            batch.running = false;
+            batch.finished = true;
+            this.renderBatchRows();
+            this.renderBatchSummary();
+        } catch (error) {
+            batch.running = false;
+            if (this.isAbortError(error)) return;
+            this.handleError('Batch Failed', error.message);
+        } finally {
+            this.finishOperation(operation);
+        }
+    }
+
+    // Analyze, translate when needed, and run one queued file
+    async processBatchItem(item) {
+        const setStatus = (status, message = '') => {
+            item.status = status;
+            item.message = message;
+            this.renderBatchRows();
+        };
+
+        setStatus('analyzing');
+        const analysis = await this.analyzeSQLFile(item.file);
+        this.currentAnalysis = analysis;
+
+        // Statement selections made on a file's SQL page apply here too
+        const selection = await this.getStatementSelection(item.file);
+        const params = {
+            action: 'runSql',
+            sourceType: analysis.source_type,
+            targetType: analysis.target_type
+        };
+        let dialect = analysis.source_type;
+
+        if (analysis.translation_required) {
+            if (!this.batch.settings.translate) {
+                setStatus('skipped', `Written for ${analysis.source_type_name}; translation is turned off`);
+                return;
+            }
+
+            setStatus('translating', `${analysis.source_type_name} → ${analysis.target_type_name}`);
+            const translateParams = {
+                action: 'translateSql',
+                filepath: item.file,
+                sourceType: analysis.source_type,
+                targetType: analysis.target_type,
+                options: this.loadTranslationOptions(item.file).options
+            };
+            if (selection) {
+                translateParams.sqlCode = selection.sql;
+                translateParams.selection = selection.label;
+            }
+
+            const result = this.getTranslationResult(await this.makeStreamingRequest(translateParams));
+            if (!result.success) {
+                throw new Error(result.error || 'Translation failed');
+            }
+
+            item.warnings = (result.warnings || []).length;
+            Object.assign(params, {
+                sqlCode: result.translated_sql,
+                targetFile: result.temp_file,
+                originalFile: item.file
+            });
+            dialect = analysis.target_type;
+        } else {
+            Object.assign(params, {
+                sqlCode: selection ? selection.sql : await this.fetchSqlText(item.file),
+                targetFile: item.file
+            });
+        }
+
+        if (selection) {
+            params.selection = selection.label;
+        }
+
+        setStatus('running', dialect ? `Executing as ${analysis.target_type_name}` : '');
+        const outcome = await this.makeStreamingRequest(params);
+        const report = outcome.report;
+
+        if (outcome.type === 'result' && outcome.status === 'Finished.') {
+            const details = [];
+            if (report) details.push(`${report.total} statements, ${report.rows_affected} rows affected`);
+            if (item.warnings) details.push(`${item.warnings} translation warning${item.warnings === 1 ? '' : 's'}`);
+            if (selection) details.push(`selection: ${selection.label}`);
+            setStatus('done', details.join(' • '));
+        } else {
+            const message = outcome.type === 'error' ? outcome.message : outcome.text;
+            setStatus('failed', message || 'Execution failed');
+        }
+    }
+
+    renderBatchSummary() {
+        const items = this.batch.items;
+        const count = status => items.filter(item => item.status === status).length;
+
+        const summary = document.getElementById('batch-summary');
+        if (summary) {
+            summary.textContent = `${count('done')} imported, ${count('failed')} failed, ${count('skipped')} skipped`;
+        }
+
+        const backup = document.getElementById('batch-backup');
+        if (backup) {
+            backup.innerHTML = this.renderBackupSummary();
         }
     }
 
     getFileSize(filePath) {
-        // This would need to be implemented server-side
-        // For now, return null to indicate unknown size
-        return null;
+        // Sizes are rendered into the file list by index.php
+        const item = Array.from(document.querySelectorAll('.file-list-item'))
+            .find(element => element.dataset.file === filePath);
+
+        if (item && item.dataset.size) {
+            return parseInt(item.dataset.size, 10);
+        }
+
+        // Files uploaded on this page are not in the rendered list
+        return this.uploadedFiles.has(filePath) ? this.uploadedFiles.get(filePath).size : null;
+    }
+
+    // Size on disk of a .sql.gz or .zip dump; null for plain SQL files
+    getCompressedFileSize(filePath) {
+        const item = Array.from(document.querySelectorAll('.file-list-item'))
+            .find(element => element.dataset.file === filePath);
+
+        if (item) {
+            return item.dataset.compressedSize ? parseInt(item.dataset.compressedSize, 10) : null;
+        }
+
+        return this.uploadedFiles.get(filePath)?.compressedSize ?? null;
     }
 
     // Legacy method compatibility
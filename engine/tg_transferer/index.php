@@ -25,6 +25,22 @@ $capabilities = $useEnhanced ? $transferer->getCapabilities() : ['enhanced_model
 foreach ($files as &$file) {
     $file = str_replace('../modules/', APPPATH . 'modules/', $file);
 }
+unset($file);
+
+// Trongate only finds the *.sql files; add the compressed dumps next to them
+foreach (array_unique(array_map('dirname', $files)) as $moduleDirectory) {
+    foreach ($transferer->get_dump_patterns() as $pattern) {
+        foreach (glob($moduleDirectory . '/' . $pattern) ?: [] as $dump) {
+            if (!in_array($dump, $files, true)) {
+                $files[] = $dump;
+            }
+        }
+    }
+}
+
+// Dumps uploaded through the browser are listed after the module files
+$uploadedFiles = $useEnhanced ? $transferer->getUploadedFiles() : [];
+$files = array_merge($files, $uploadedFiles);
 
 ?>
 <!DOCTYPE html>
@@ -45,26 +61,55 @@ foreach ($files as &$file) {
         $info = '<p>The following SQL files were found within the module directory:</p>';
     }
 
+    $format_size = function ($bytes) {
+        return $bytes >= 1048576 ? round($bytes / 1048576, 2) . ' MB' : round($bytes / 1024, 2) . ' KB';
+    };
+
     $info .= '<div class="file-list" role="list">';
     foreach ($files as $index => $file) {
         // Display last segment only
         $bits = explode('/', $file);
         $target_file = $bits[count($bits) - 1];
 
-        $filesize = filesize($file); // bytes
-        $filesize_kb = round($filesize / 1024, 2); // kilobytes with two digits
-        $filesize_mb = round($filesize / 1048576, 2); // megabytes
+        // Compressed dumps are limited and checked by the size of the SQL inside
+        $compression = $useEnhanced ? DumpCompression::getCompression($file) : null;
+        $compressed_size = filesize($file); // bytes on disk
+        try {
+            $filesize = $compression ? DumpCompression::getUncompressedSize($file) : $compressed_size;
+        } catch (RuntimeException $e) {
+            $filesize = $compressed_size;
+        }
+        
+        // Check for dangerous SQL in files small enough to import directly
+        $file_contents = null;
+        $read_error = null;
+        $all_clear = true;
+        if ($filesize <= 1000000) {
+            try {
+                $file_contents = $compression ? DumpCompression::read($file) : file_get_contents($file);
+                $all_clear = $transferer->check_sql($file_contents);
+            } catch (RuntimeException $e) {
+                $read_error = $e->getMessage();
+            }
+        }
         
-        $info .= '<div class="file-list-item" role="listitem" data-file="' . htmlspecialchars($file) . '">';
+        $info .= '<div class="file-list-item" role="listitem" data-file="' . htmlspecialchars($file) . '" data-size="' . $filesize . '"'
+                . ($compression ? ' data-compressed-size="' . $compressed_size . '"' : '')
+                . ' data-warning="' . ($all_clear ? 'false' : 'true') . '">';
         
         // File header with name and size
         $info .= '<div class="file-header">';
         $info .= '<div class="file-name">' . htmlspecialchars($target_file) . '</div>';
         
-        if ($filesize_mb >= 1) {
-            $info .= '<div class="file-size">' . $filesize_mb . ' MB</div>';
+        if (in_array($file, $uploadedFiles, true)) {
+            $info .= '<span class="upload-badge">Uploaded</span>';
+        }
+        
+        if ($compression) {
+            $info .= '<div class="file-size">' . $format_size($filesize) . ' SQL &middot; '
+                    . $format_size($compressed_size) . ' ' . ($compression === 'gzip' ? 'gzipped' : 'zipped') . '</div>';
         } else {
-            $info .= '<div class="file-size">' . $filesize_kb . ' KB</div>';
+            $info .= '<div class="file-size">' . $format_size($filesize) . '</div>';
         }
         $info .= '</div>';
         
@@ -99,11 +144,13 @@ foreach ($files as &$file) {
                     'aria-label="File too big: ' . htmlspecialchars($target_file) . '">' .
                     '⚠️ TOO BIG!</button>';
         } else {
-            // Check for dangerous SQL
-            $file_contents = file_get_contents($file);
-            $all_clear = $transferer->check_sql($file_contents);
-            
-            if ($all_clear === true) {
+            if ($read_error !== null) {
+                $info .= '<p class="file-error">' . htmlspecialchars($read_error) . '</p>';
+                $info .= '<button class="danger" onclick="transferer.deleteUnreadableFile(\'' .
+                        htmlspecialchars($file) . '\')" ' .
+                        'aria-label="Delete unreadable file: ' . htmlspecialchars($target_file) . '">' .
+                        '🗑️ Delete Unreadable File</button>';
+            } elseif ($all_clear === true) {
                 if ($useEnhanced && $capabilities['translation_supported']) {
                     $info .= '<button class="info" onclick="transferer.viewSqlEnhanced(\'' . 
                             htmlspecialchars($file) . '\', false)" ' .
@@ -131,7 +178,7 @@ foreach ($files as &$file) {
             }
             
             // Add analysis button for enhanced mode
-            if ($useEnhanced && $capabilities['translation_supported'] && $analysis && $analysis['exists']) {
+            if ($useEnhanced && $capabilities['translation_supported'] && $analysis && $analysis['exists'] && $read_error === null) {
                 $info .= '<button class="success" onclick="transferer.showFileAnalysis(\'' . 
                         htmlspecialchars($file) . '\')" ' .
                         'aria-label="Show detailed analysis for: ' . htmlspecialchars($target_file) . '">' .
@@ -144,10 +191,26 @@ foreach ($files as &$file) {
     }
     $info .= '</div>'; // Close file-list
     
+    // Upload zone for dumps that are not in a module directory
+    if ($useEnhanced) {
+        $maxUploadMB = round($capabilities['max_upload_size'] / 1048576, 2);
+        $info .= '<div class="upload-zone" id="upload-zone" data-max-size="' . $capabilities['max_upload_size'] . '">';
+        $info .= '<p class="upload-zone-title">📤 Drop a .sql, .sql.gz or .zip dump here to upload it</p>';
+        $info .= '<p class="upload-zone-hint">or <label class="upload-picker">choose a file'
+                . '<input type="file" id="upload-input" accept=".sql,.gz,.zip" multiple></label>'
+                . ' &middot; up to ' . $maxUploadMB . ' MB</p>';
+        $info .= '<div class="upload-progress" id="upload-progress" aria-live="polite"></div>';
+        $info .= '</div>';
+    }
+    
     // Add Enhanced Model status
     if ($useEnhanced) {
         $info .= '<div class="enhanced-status">';
         $info .= '<p style="color: #4CAF50; font-size: 0.8em;">✅ Enhanced Model Available - Cross-database translation supported</p>';
+        if (count($files) > 1) {
+            $info .= '<button class="success" onclick="transferer.showBatchQueue()" aria-label="Process all SQL files in order">⚡ Process All</button>';
+        }
+        $info .= '<button onclick="transferer.showHistory()" aria-label="Show the import history">📜 Import History</button>';
         $info .= '</div>';
     }
     ?>
@@ -384,6 +447,14 @@ foreach ($files as &$file) {
     </style>
     <style><?= file_get_contents(__DIR__ . '/enhanced-transferer.css');?></style>  
 
+    <script><?= file_get_contents(__DIR__ . '/sql-tokenizer.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/sql-editor.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/sql-lint.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/sql-outline.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/sql-splitter.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/sql-diff.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/schema-diagram.js');?></script>
+    <script><?= file_get_contents(__DIR__ . '/analysis-report.js');?></script>
     <script><?= file_get_contents(__DIR__ . '/enhanced-transferer.js');?></script>
     <script type="text/javascript">
         // Global configuration for enhanced transferer
@@ -0,0 +1,389 @@
+/**
+ * Schema Diagram
+ *
+ * Entity-relationship diagram for the Enhanced Transferer file analysis.
+ * Draws the tables of a parsed schema (the schema summary of an analyzeSql
+ * response) as SVG boxes and their foreign keys as edges. Tables are laid out
+ * in columns by dependency depth, referenced tables to the left, so edges
+ * mostly run one way; foreign keys inside a circular dependency are left out
+ * of the depth calculation and drawn highlighted. The SVG uses presentation
+ * attributes only, so an exported file looks the same outside the page.
+ */
+
+class SchemaDiagram {
+    // Draw a schema into a container; returns the existing diagram when already attached
+    static attach(container, schema, options = {}) {
+        if (!container) return null;
+        if (container.schemaDiagram) return container.schemaDiagram;
+        return new SchemaDiagram(container, schema, options);
+    }
+
+    constructor(container, schema, options = {}) {
+        this.container = container;
+        this.options = {
+            charWidth: 7,       // Estimated width of a 12px character, so layout needs no DOM measuring
+            rowHeight: 18,
+            headerHeight: 26,
+            minWidth: 140,
+            maxWidth: 320,
+            columnGap: 90,
+            rowGap: 30,
+            margin: 20,
+            minScale: 0.2,
+            maxScale: 3,
+            ...options
+        };
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.drag = null;
+        this.layout = SchemaDiagram.computeLayout(schema, this.options);
+
+        this.render();
+        this.bindEvents();
+        container.schemaDiagram = this;
+        this.fit();
+    }
+
+    static getColors() {
+        return {
+            box: '#ffffff',
+            border: '#4a5568',
+            header: '#2d3748',
+            headerText: '#ffffff',
+            text: '#1a202c',
+            muted: '#718096',
+            edge: '#718096',
+            cycle: '#c53030'
+        };
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Place tables and route foreign keys
+     *
+     * Returns boxes (table, x, y, width, height, level, cycle), edges (from,
+     * to, columns, cycle, path) and the overall width and height.
+     */
+    static computeLayout(schema, options) {
+        const tables = (schema && schema.tables) || [];
+        const byName = new Map(tables.map(table => [table.name, table]));
+
+        // Tables in the same circular dependency share a group number
+        const cycleOf = new Map();
+        ((schema && schema.dependency_cycles) || []).forEach((cycle, group) => {
+            cycle.forEach(name => cycleOf.set(name, group));
+        });
+        const inCycle = (from, to) => cycleOf.has(from) && cycleOf.get(from) === cycleOf.get(to);
+
+        // Depth: referenced tables come first, ignoring self-references and cycle edges
+        const levels = new Map();
+        const visiting = new Set();
+        const levelOf = name => {
+            if (levels.has(name)) return levels.get(name);
+            if (visiting.has(name)) return 0;
+            visiting.add(name);
+            const parents = byName.get(name).foreign_keys
+                .map(key => key.referenced_table)
+                .filter(parent => parent !== name && byName.has(parent) && !inCycle(name, parent));
+            const level = parents.length ? 1 + Math.max(...parents.map(levelOf)) : 0;
+            visiting.delete(name);
+            levels.set(name, level);
+            return level;
+        };
+        tables.forEach(table => levelOf(table.name));
+
+        const columns = [];
+        tables.forEach(table => {
+            const level = levels.get(table.name);
+            (columns[level] = columns[level] || []).push(table);
+        });
+
+        // Order each column by the average position of the tables it references
+        const positions = new Map();
+        const boxes = new Map();
+        let x = options.margin;
+        let height = 0;
+
+        columns.forEach(column => {
+            if (!column) return;
+            const weight = table => {
+                const refs = table.foreign_keys.map(key => positions.get(key.referenced_table)).filter(value => value !== undefined);
+                return refs.length ? refs.reduce((sum, value) => sum + value, 0) / refs.length : Infinity;
+            };
+            const ordered = column
+                .map((table, index) => ({ table, index, weight: weight(table) }))
+                .sort((a, b) => (a.weight === b.weight ? a.index - b.index : a.weight - b.weight))
+                .map(entry => entry.table);
+
+            const width = Math.max(...ordered.map(table => SchemaDiagram.getBoxWidth(table, options)));
+            let y = options.margin;
+
+            ordered.forEach((table, index) => {
+                const boxHeight = options.headerHeight + Math.max(1, table.columns.length) * options.rowHeight + 6;
+                positions.set(table.name, index);
+                boxes.set(table.name, {
+                    table,
+                    x,
+                    y,
+                    width,
+                    height: boxHeight,
+                    level: levels.get(table.name),
+                    cycle: cycleOf.has(table.name)
+                });
+                y += boxHeight + options.rowGap;
+            });
+
+            x += width + options.columnGap;
+            height = Math.max(height, y - options.rowGap + options.margin);
+        });
+
+        const edges = [];
+        tables.forEach(table => {
+            table.foreign_keys.forEach(key => {
+                const from = boxes.get(table.name);
+                const to = boxes.get(key.referenced_table);
+                if (!to) return;
+                edges.push({
+                    from: table.name,
+                    to: key.referenced_table,
+                    columns: key.columns,
+                    referencedColumns: key.referenced_columns,
+                    cycle: inCycle(table.name, key.referenced_table),
+                    path: SchemaDiagram.routeEdge(from, to, key, options)
+                });
+            });
+        });
+
+        return {
+            boxes,
+            edges,
+            width: Math.max(x - options.columnGap + options.margin, options.margin * 2),
+            height: Math.max(height, options.margin * 2)
+        };
+    }
+
+    static getBoxWidth(table, options) {
+        const longest = Math.max(
+            table.name.length + 2,
+            ...table.columns.map(column => column.name.length + column.type.length + 6)
+        );
+        return Math.min(options.maxWidth, Math.max(options.minWidth, longest * options.charWidth + 16));
+    }
+
+    // Vertical centre of a column's row, or of the header when the column is not listed
+    static getRowY(box, columnName, options) {
+        const index = box.table.columns.findIndex(column => column.name === columnName);
+        return index === -1
+            ? box.y + options.headerHeight / 2
+            : box.y + options.headerHeight + index * options.rowHeight + options.rowHeight / 2 + 3;
+    }
+
+    // Bezier path from the foreign key column to the referenced column
+    static routeEdge(from, to, key, options) {
+        const y1 = SchemaDiagram.getRowY(from, key.columns[0], options);
+        const y2 = SchemaDiagram.getRowY(to, (key.referenced_columns || [])[0], options);
+
+        if (from.x > to.x + to.width) {
+            const x1 = from.x;
+            const x2 = to.x + to.width;
+            const bend = (x1 - x2) / 2;
+            return `M ${x1} ${y1} C ${x1 - bend} ${y1}, ${x2 + bend} ${y2}, ${x2} ${y2}`;
+        }
+
+        if (from.x + from.width < to.x) {
+            const x1 = from.x + from.width;
+            const x2 = to.x;
+            const bend = (x2 - x1) / 2;
+            return `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+        }
+
+        // Same column (or a self-reference): loop out to the right
+        const x1 = from.x + from.width;
+        const x2 = to.x + to.width;
+        const bend = Math.max(x1, x2) + 40 + Math.abs(y2 - y1) / 8;
+        return `M ${x1} ${y1} C ${bend} ${y1}, ${bend} ${y2}, ${x2} ${y2}`;
+    }
+
+    // SVG markup of the diagram content, without the pan/zoom transform
+    renderContent() {
+        const colors = SchemaDiagram.getColors();
+        const options = this.options;
+        const escape = SchemaDiagram.escape;
+
+        const edges = this.layout.edges.map(edge => `
+            <path d="${edge.path}" fill="none" stroke="${edge.cycle ? colors.cycle : colors.edge}" stroke-width="${edge.cycle ? 2 : 1.5}"
+                ${edge.cycle ? 'stroke-dasharray="6 4"' : ''} marker-end="url(#schema-arrow${edge.cycle ? '-cycle' : ''})"
+                data-from="${escape(edge.from)}" data-to="${escape(edge.to)}"${edge.cycle ? ' data-cycle="true"' : ''}>
+                <title>${escape(`${edge.from}(${edge.columns.join(', ')}) → ${edge.to}(${(edge.referencedColumns || []).join(', ')})`)}</title>
+            </path>
+        `).join('');
+
+        const boxes = [...this.layout.boxes.values()].map(box => {
+            const border = box.cycle ? colors.cycle : colors.border;
+            const foreignColumns = new Set(box.table.foreign_keys.flatMap(key => key.columns));
+            const rows = box.table.columns.map((column, index) => {
+                const y = box.y + options.headerHeight + index * options.rowHeight + options.rowHeight - 2;
+                const marker = column.primary_key ? 'PK ' : foreignColumns.has(column.name) ? 'FK ' : '';
+                return `
+                    <text x="${box.x + 8}" y="${y}" fill="${colors.text}" font-weight="${column.primary_key ? 'bold' : 'normal'}">${escape(marker + column.name)}</text>
+                    <text x="${box.x + box.width - 8}" y="${y}" fill="${colors.muted}" text-anchor="end">${escape(column.type)}</text>
+                `;
+            }).join('');
+
+            return `
+                <g data-table="${escape(box.table.name)}"${box.cycle ? ' data-cycle="true"' : ''}>
+                    <title>${escape(`${box.table.name}: ${box.table.columns.length} columns, ~${box.table.estimated_rows} rows`)}</title>
+                    <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="4" fill="${colors.box}" stroke="${border}" stroke-width="${box.cycle ? 2.5 : 1}"/>
+                    <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${options.headerHeight}" rx="4" fill="${box.cycle ? colors.cycle : colors.header}"/>
+                    <text x="${box.x + 8}" y="${box.y + options.headerHeight - 8}" fill="${colors.headerText}" font-weight="bold">${escape(box.table.name)}</text>
+                    ${rows}
+                </g>
+            `;
+        }).join('');
+
+        const marker = (id, color) => `
+            <marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/>
+            </marker>
+        `;
+
+        return `
+            <defs>${marker('schema-arrow', colors.edge)}${marker('schema-arrow-cycle', colors.cycle)}</defs>
+            <g font-family="system-ui, -apple-system, 'Segoe UI', sans-serif" font-size="12">${edges}${boxes}</g>
+        `;
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <svg class="schema-diagram-canvas" xmlns="http://www.w3.org/2000/svg" width="100%" height="100%" role="img" aria-label="Entity-relationship diagram">
+                <g class="schema-diagram-viewport">${this.renderContent()}</g>
+            </svg>
+        `;
+        this.svg = this.container.querySelector('svg');
+        this.viewport = this.container.querySelector('.schema-diagram-viewport');
+        this.applyView();
+    }
+
+    bindEvents() {
+        this.container.tabIndex = 0;
+
+        this.container.addEventListener('wheel', event => {
+            event.preventDefault();
+            const rect = this.container.getBoundingClientRect();
+            this.zoom(event.deltaY < 0 ? 1.1 : 1 / 1.1, event.clientX - rect.left, event.clientY - rect.top);
+        }, { passive: false });
+
+        this.container.addEventListener('mousedown', event => {
+            if (event.button !== 0) return;
+            event.preventDefault();
+            this.container.focus();
+            this.drag = { x: event.clientX, y: event.clientY, viewX: this.view.x, viewY: this.view.y };
+            this.container.classList.add('dragging');
+
+            const move = moveEvent => {
+                this.view.x = this.drag.viewX + moveEvent.clientX - this.drag.x;
+                this.view.y = this.drag.viewY + moveEvent.clientY - this.drag.y;
+                this.applyView();
+            };
+            const stop = () => {
+                this.drag = null;
+                this.container.classList.remove('dragging');
+                document.removeEventListener('mousemove', move);
+                document.removeEventListener('mouseup', stop);
+            };
+            document.addEventListener('mousemove', move);
+            document.addEventListener('mouseup', stop);
+        });
+
+        this.container.addEventListener('keydown', event => {
+            const step = 40;
+            const actions = {
+                '+': () => this.zoom(1.2),
+                '=': () => this.zoom(1.2),
+                '-': () => this.zoom(1 / 1.2),
+                '0': () => this.fit(),
+                ArrowLeft: () => this.pan(step, 0),
+                ArrowRight: () => this.pan(-step, 0),
+                ArrowUp: () => this.pan(0, step),
+                ArrowDown: () => this.pan(0, -step)
+            };
+            if (actions[event.key]) {
+                event.preventDefault();
+                actions[event.key]();
+            }
+        });
+    }
+
+    applyView() {
+        this.viewport.setAttribute('transform', `translate(${this.view.x} ${this.view.y}) scale(${this.view.scale})`);
+    }
+
+    pan(dx, dy) {
+        this.view.x += dx;
+        this.view.y += dy;
+        this.applyView();
+    }
+
+    // Zoom by a factor, keeping the point (px, py) of the container in place; defaults to the centre
+    zoom(factor, px = this.container.clientWidth / 2, py = this.container.clientHeight / 2) {
+        const scale = Math.min(this.options.maxScale, Math.max(this.options.minScale, this.view.scale * factor));
+        const ratio = scale / this.view.scale;
+        this.view.x = px - (px - this.view.x) * ratio;
+        this.view.y = py - (py - this.view.y) * ratio;
+        this.view.scale = scale;
+        this.applyView();
+    }
+
+    // Show the whole diagram, never enlarged past its natural size
+    fit() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height) {
+            this.view = { x: 0, y: 0, scale: 1 };
+        } else {
+            const scale = Math.max(this.options.minScale, Math.min(1, width / this.layout.width, height / this.layout.height));
+            this.view = {
+                x: (width - this.layout.width * scale) / 2,
+                y: (height - this.layout.height * scale) / 2,
+                scale
+            };
+        }
+        this.applyView();
+    }
+
+    // Standalone SVG document of the whole diagram at its natural size
+    toSvgString() {
+        const { width, height } = this.layout;
+        return `<?xml version="1.0" encoding="UTF-8"?>\n`
+            + `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+            + `<rect width="100%" height="100%" fill="#ffffff"/>${this.renderContent()}</svg>`;
+    }
+
+    // PNG of the whole diagram; scale 2 keeps text sharp on high-density screens
+    toPngBlob(scale = 2) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(this.layout.width * scale);
+                canvas.height = Math.ceil(this.layout.height * scale);
+                const context = canvas.getContext('2d');
+                if (!context) {
+                    reject(new Error('This browser cannot draw the diagram to an image'));
+                    return;
+                }
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The diagram could not be converted to PNG'))), 'image/png');
+            };
+            image.onerror = () => reject(new Error('The diagram could not be converted to PNG'));
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.toSvgString());
+        });
+    }
+}
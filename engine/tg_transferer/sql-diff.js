@@ -0,0 +1,531 @@
+/**
+ * SQL Diff
+ *
+ * Diff engine for the Enhanced Transferer comparison view. Runs entirely
+ * in the browser: line-level diffs use Myers' O(ND) algorithm and produce
+ * rows for side-by-side and unified rendering, change blocks for
+ * navigation and collapsible unchanged regions. Statement alignment pairs
+ * the statements of two dumps by object name so reordering by the
+ * translator's dependency sort does not show up as noise.
+ */
+
+class SqlDiff {
+    constructor(options = {}) {
+        this.options = {
+            ignoreWhitespace: false,
+            contextLines: 3,
+            maxEditDistance: 4000, // Above this the middle section is shown as a full replacement
+            ...options
+        };
+    }
+
+    // Compare two texts and return rows, change blocks and statistics
+    compute(originalText, translatedText) {
+        const left = this.splitLines(originalText);
+        const right = this.splitLines(translatedText);
+        const ops = this.diffLines(left, right);
+        const rows = this.buildRows(ops, left, right);
+
+        return {
+            rows,
+            changes: this.collectChanges(rows),
+            stats: this.collectStats(rows)
+        };
+    }
+
+    splitLines(text) {
+        if (!text) {
+            return [];
+        }
+
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+        // A trailing newline should not produce an extra empty line
+        if (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        return lines;
+    }
+
+    // Produce a list of equal/delete/insert operations between two line arrays
+    diffLines(left, right) {
+        const ids = new Map();
+        const toId = (line) => {
+            const key = this.options.ignoreWhitespace ? line.replace(/\s+/g, ' ').trim() : line;
+            if (!ids.has(key)) {
+                ids.set(key, ids.size);
+            }
+            return ids.get(key);
+        };
+
+        const a = left.map(toId);
+        const b = right.map(toId);
+
+        // Trim common prefix and suffix before running the O(ND) search
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) {
+            ops.push({ type: 'equal', left: i, right: i });
+        }
+
+        const middle = this.myers(a.slice(start, endA), b.slice(start, endB));
+
+        if (middle) {
+            middle.forEach(op => {
+                ops.push({
+                    type: op.type,
+                    left: op.left === null ? null : op.left + start,
+                    right: op.right === null ? null : op.right + start
+                });
+            });
+        } else {
+            // Too many differences to align precisely - treat the middle as replaced
+            for (let i = start; i < endA; i++) {
+                ops.push({ type: 'delete', left: i, right: null });
+            }
+            for (let j = start; j < endB; j++) {
+                ops.push({ type: 'insert', left: null, right: j });
+            }
+        }
+
+        for (let i = endA, j = endB; i < a.length; i++, j++) {
+            ops.push({ type: 'equal', left: i, right: j });
+        }
+
+        return ops;
+    }
+
+    // Myers' shortest edit script; returns null when the edit distance is too large
+    myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            if (d > this.options.maxEditDistance) {
+                return null;
+            }
+
+            // Snapshot of the furthest reaching paths before step d, indexed by k + d
+            trace.push(v.slice(offset - d, offset + d + 1));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return this.backtrack(trace, n, m);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    backtrack(trace, n, m) {
+        const ops = [];
+        let x = n;
+        let y = m;
+
+        for (let d = trace.length - 1; d > 0; d--) {
+            const previous = trace[d];
+            const k = x - y;
+
+            let prevK;
+            if (k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d])) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+
+            const prevX = previous[prevK + d];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push({ type: 'equal', left: x, right: y });
+            }
+
+            if (x === prevX) {
+                ops.push({ type: 'insert', left: null, right: prevY });
+            } else {
+                ops.push({ type: 'delete', left: prevX, right: null });
+            }
+
+            x = prevX;
+            y = prevY;
+        }
+
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', left: x, right: y });
+        }
+
+        return ops.reverse();
+    }
+
+    // Turn operations into display rows, pairing deletions with insertions as modifications
+    buildRows(ops, left, right) {
+        const rows = [];
+        let deleted = [];
+        let inserted = [];
+
+        const flush = () => {
+            const paired = Math.min(deleted.length, inserted.length);
+
+            for (let i = 0; i < paired; i++) {
+                rows.push(this.createRow('modified', deleted[i], inserted[i], left, right));
+            }
+            for (let i = paired; i < deleted.length; i++) {
+                rows.push(this.createRow('removed', deleted[i], null, left, right));
+            }
+            for (let i = paired; i < inserted.length; i++) {
+                rows.push(this.createRow('added', null, inserted[i], left, right));
+            }
+
+            deleted = [];
+            inserted = [];
+        };
+
+        ops.forEach(op => {
+            if (op.type === 'delete') {
+                deleted.push(op.left);
+            } else if (op.type === 'insert') {
+                inserted.push(op.right);
+            } else {
+                flush();
+                rows.push(this.createRow('equal', op.left, op.right, left, right));
+            }
+        });
+
+        flush();
+
+        rows.forEach((row, index) => {
+            row.sourceIndex = index;
+        });
+
+        return rows;
+    }
+
+    createRow(type, leftIndex, rightIndex, left, right) {
+        return {
+            type,
+            leftLine: leftIndex === null ? null : leftIndex + 1,
+            rightLine: rightIndex === null ? null : rightIndex + 1,
+            leftText: leftIndex === null ? '' : left[leftIndex],
+            rightText: rightIndex === null ? '' : right[rightIndex]
+        };
+    }
+
+    // Row indexes where each contiguous block of changes starts
+    collectChanges(rows) {
+        const changes = [];
+
+        rows.forEach((row, index) => {
+            if (row.type !== 'equal' && (index === 0 || rows[index - 1].type === 'equal')) {
+                changes.push(index);
+            }
+        });
+
+        return changes;
+    }
+
+    collectStats(rows) {
+        const stats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+
+        rows.forEach(row => {
+            if (row.type === 'added') stats.added++;
+            else if (row.type === 'removed') stats.removed++;
+            else if (row.type === 'modified') stats.modified++;
+            else stats.unchanged++;
+        });
+
+        return stats;
+    }
+
+    // Unified layout: each change block lists its removed lines before its added lines
+    toUnified(rows) {
+        const unified = [];
+        let removed = [];
+        let added = [];
+
+        const flush = (blockStart) => {
+            removed.forEach((row, i) => unified.push({ ...row, sourceIndex: i === 0 ? blockStart : null }));
+            added.forEach((row, i) => unified.push({ ...row, sourceIndex: i === 0 && removed.length === 0 ? blockStart : null }));
+            removed = [];
+            added = [];
+        };
+
+        let blockStart = null;
+
+        rows.forEach((row, index) => {
+            if (row.type === 'equal') {
+                if (blockStart !== null) {
+                    flush(blockStart);
+                    blockStart = null;
+                }
+                unified.push({ ...row, sourceIndex: index });
+                return;
+            }
+
+            if (blockStart === null) {
+                blockStart = index;
+            }
+
+            if (row.leftLine !== null) {
+                removed.push({ type: 'removed', leftLine: row.leftLine, rightLine: null, leftText: row.leftText, rightText: '', pairedText: row.type === 'modified' ? row.rightText : null });
+            }
+            if (row.rightLine !== null) {
+                added.push({ type: 'added', leftLine: null, rightLine: row.rightLine, leftText: '', rightText: row.rightText, pairedText: row.type === 'modified' ? row.leftText : null });
+            }
+        });
+
+        if (blockStart !== null) {
+            flush(blockStart);
+        }
+
+        return unified;
+    }
+
+    // Replace long runs of unchanged rows with collapsed placeholders
+    collapse(rows, expanded = new Set()) {
+        const context = this.options.contextLines;
+        const result = [];
+        let index = 0;
+
+        while (index < rows.length) {
+            if (rows[index].type !== 'equal') {
+                result.push(rows[index]);
+                index++;
+                continue;
+            }
+
+            let end = index;
+            while (end < rows.length && rows[end].type === 'equal') {
+                end++;
+            }
+
+            const keepBefore = index === 0 ? 0 : context;
+            const keepAfter = end === rows.length ? 0 : context;
+            const hidden = (end - index) - keepBefore - keepAfter;
+
+            if (hidden > 1 && !expanded.has(index)) {
+                rows.slice(index, index + keepBefore).forEach(row => result.push(row));
+                result.push({ type: 'collapsed', start: index, count: hidden });
+                rows.slice(end - keepAfter, end).forEach(row => result.push(row));
+            } else {
+                rows.slice(index, end).forEach(row => result.push(row));
+            }
+
+            index = end;
+        }
+
+        return result;
+    }
+
+    // Split a modified line pair into common prefix, changed middle and common suffix
+    inlineSegments(before, after) {
+        let prefix = 0;
+        while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < before.length - prefix &&
+            suffix < after.length - prefix &&
+            before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const split = (text) => ({
+            prefix: text.slice(0, prefix),
+            changed: text.slice(prefix, text.length - suffix),
+            suffix: text.slice(text.length - suffix)
+        });
+
+        return { before: split(before), after: split(after) };
+    }
+
+    /**
+     * Pair statements of the original and translated SQL by object name
+     *
+     * Statements come from SqlTokenizer.splitStatements(). INSERT/COPY batches
+     * and ALTER TABLE statements are grouped per table because batch sizes and
+     * constraint placement differ between dialects. Returns pairs in original
+     * order with newly added statements placed after their nearest matched
+     * neighbour. Pair status: identical, changed, removed or added.
+     */
+    alignStatements(originalStatements, translatedStatements) {
+        const original = this.groupStatements(originalStatements);
+        const translated = this.groupStatements(translatedStatements);
+        const translatedByKey = new Map(translated.map((group, position) => [group.key, { group, position }]));
+        const matchedPositions = new Set();
+        const pairs = [];
+
+        original.forEach(group => {
+            const match = translatedByKey.get(group.key);
+
+            if (match) {
+                matchedPositions.add(match.position);
+                pairs.push(this.createPair(group, match.group, match.position));
+            } else {
+                pairs.push(this.createPair(group, null, null));
+            }
+        });
+
+        translated.forEach((group, position) => {
+            if (matchedPositions.has(position)) return;
+
+            // Insert after the pair whose translated counterpart directly precedes this group
+            let insertAt = 0;
+            let nearest = -1;
+            pairs.forEach((pair, index) => {
+                if (pair.translatedPosition !== null && pair.translatedPosition < position && pair.translatedPosition > nearest) {
+                    nearest = pair.translatedPosition;
+                    insertAt = index + 1;
+                }
+            });
+
+            pairs.splice(insertAt, 0, this.createPair(null, group, position));
+        });
+
+        const stats = { identical: 0, changed: 0, removed: 0, added: 0 };
+        pairs.forEach(pair => stats[pair.status]++);
+
+        return { pairs, stats };
+    }
+
+    groupStatements(statements) {
+        const groups = [];
+        const byKey = new Map();
+        const occurrences = new Map();
+
+        statements.forEach(statement => {
+            const baseKey = this.statementKey(statement);
+            const mergeable = baseKey.startsWith('data:') || baseKey.startsWith('alter:');
+            let key = baseKey;
+
+            if (!mergeable) {
+                const seen = occurrences.get(baseKey) || 0;
+                occurrences.set(baseKey, seen + 1);
+                key = seen ? `${baseKey}#${seen + 1}` : baseKey;
+            }
+
+            if (mergeable && byKey.has(key)) {
+                byKey.get(key).statements.push(statement);
+                return;
+            }
+
+            const group = {
+                key,
+                kind: key.split(':')[0],
+                label: this.statementLabel(statement),
+                statements: [statement]
+            };
+
+            byKey.set(key, group);
+            groups.push(group);
+        });
+
+        return groups;
+    }
+
+    statementKey(statement) {
+        const name = (statement.objectName || '').toLowerCase();
+        const table = (statement.tableName || '').toLowerCase();
+
+        switch (statement.type) {
+            case 'CREATE_TABLE': return `table:${name}`;
+            case 'CREATE_INDEX': return `index:${name}`;
+            case 'CREATE_VIEW': return `view:${name}`;
+            case 'CREATE_TRIGGER': return `trigger:${name}`;
+            case 'CREATE_SEQUENCE': return `sequence:${name}`;
+            case 'CREATE_TYPE': return `type:${name}`;
+            case 'CREATE_FUNCTION':
+            case 'CREATE_PROCEDURE': return `routine:${name}`;
+            case 'INSERT':
+            case 'COPY': return `data:${table}`;
+            case 'ALTER_TABLE': return `alter:${table}`;
+            case 'DROP_TABLE': return `drop:${name}`;
+            default:
+                // Unnamed statements (SET, PRAGMA, ...) only match an identical statement
+                return `${statement.type.toLowerCase()}:${name || statement.text.replace(/\s+/g, ' ').toLowerCase()}`;
+        }
+    }
+
+    statementLabel(statement) {
+        const kinds = {
+            CREATE_TABLE: 'Table',
+            CREATE_INDEX: 'Index',
+            CREATE_VIEW: 'View',
+            CREATE_TRIGGER: 'Trigger',
+            CREATE_SEQUENCE: 'Sequence',
+            CREATE_TYPE: 'Type',
+            CREATE_FUNCTION: 'Function',
+            CREATE_PROCEDURE: 'Procedure',
+            INSERT: 'Data',
+            COPY: 'Data',
+            ALTER_TABLE: 'Alter Table',
+            DROP_TABLE: 'Drop Table'
+        };
+
+        const kind = kinds[statement.type] || statement.keyword || statement.type;
+        const name = statement.type === 'INSERT' || statement.type === 'COPY' ? statement.tableName : statement.objectName;
+
+        return name ? `${kind}: ${name}` : kind;
+    }
+
+    createPair(originalGroup, translatedGroup, translatedPosition) {
+        const originalText = originalGroup ? originalGroup.statements.map(s => s.text).join(';\n') : '';
+        const translatedText = translatedGroup ? translatedGroup.statements.map(s => s.text).join(';\n') : '';
+        const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+        let status = 'changed';
+        if (!translatedGroup) status = 'removed';
+        else if (!originalGroup) status = 'added';
+        else if (normalize(originalText) === normalize(translatedText)) status = 'identical';
+
+        return {
+            key: (originalGroup || translatedGroup).key,
+            kind: (originalGroup || translatedGroup).kind,
+            label: (originalGroup || translatedGroup).label,
+            status,
+            original: originalGroup ? originalGroup.statements : [],
+            translated: translatedGroup ? translatedGroup.statements : [],
+            originalText,
+            translatedText,
+            translatedPosition
+        };
+    }
+}
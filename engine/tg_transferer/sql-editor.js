@@ -0,0 +1,1068 @@
+/**
+ * SQL Editor
+ *
+ * Lightweight code editor for the Enhanced Transferer SQL views. Wraps an
+ * existing textarea: the textarea stays the input surface (transparent text,
+ * native caret, selection and undo) while a highlighted copy is drawn
+ * underneath from SqlTokenizer tokens. Only the visible lines are rendered so
+ * multi-megabyte dumps stay responsive. Adds a line-number gutter, bracket and
+ * quote matching, search/replace and folding of CREATE TABLE statements.
+ *
+ * The textarea's value property keeps returning the full SQL (folded lines
+ * included), so code reading textarea.value does not need to know about the
+ * editor.
+ */
+
+class SqlEditor {
+    // Enhance a textarea; returns the existing editor when already attached
+    static attach(textarea, options = {}) {
+        if (!textarea) return null;
+        if (textarea.sqlEditor) return textarea.sqlEditor;
+        return new SqlEditor(textarea, options);
+    }
+
+    constructor(textarea, options = {}) {
+        this.textarea = textarea;
+        this.options = {
+            dialect: 'generic',
+            readOnly: textarea.readOnly || textarea.disabled,
+            maxHighlightLength: 2 * 1024 * 1024, // Larger documents are shown without colours
+            onChange: null,
+            ...options
+        };
+        this.dialect = SqlEditor.normalizeDialect(this.options.dialect);
+        this.tokenizer = new SqlTokenizer(this.dialect);
+        this.keywords = SqlEditor.getKeywords(this.dialect);
+
+        this.folds = [];          // { line (display index), hidden, lineCount }
+        this.foldIndex = null;
+        this.foldCandidates = []; // { line (display index), lineCount, name }
+        this.tokens = [];
+        this.tokenStarts = [];
+        this.lines = [''];
+        this.lineStarts = [0];
+        this.lineHtmlCache = new Map();
+        this.source = '';
+        this.bracketMarks = [];
+        this.annotations = new Map(); // real line -> { severity, messages }
+        this.search = { query: '', caseSensitive: false, regex: false, matches: [], current: -1, error: null };
+        this.refreshTimer = null;
+        this.renderFrame = null;
+
+        // Full value through the textarea, displayed (folded) text internally
+        const native = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value');
+        this.readDisplay = () => native.get.call(textarea);
+        this.writeDisplay = value => native.set.call(textarea, value);
+        Object.defineProperty(textarea, 'value', {
+            configurable: true,
+            get: () => this.getValue(),
+            set: value => this.setValue(value)
+        });
+
+        this.buildDom();
+        this.bindEvents();
+        this.display = this.readDisplay();
+        textarea.sqlEditor = this;
+        this.refresh();
+    }
+
+    static normalizeDialect(dialect) {
+        const value = (dialect || '').toLowerCase();
+        if (value === 'mysql' || value === 'mariadb') return 'mysql';
+        if (value === 'postgresql' || value === 'postgres' || value === 'pgsql') return 'postgresql';
+        if (value === 'sqlite' || value === 'sqlite3') return 'sqlite';
+        return 'generic';
+    }
+
+    // Keyword, type and function-like word sets per dialect
+    static getKeywords(dialect) {
+        const common = `ADD ALL ALTER AND AS ASC BEGIN BETWEEN BY CASCADE CASE CHECK COLLATE COLUMN COMMIT
+            CONSTRAINT CREATE CROSS DEFAULT DELETE DESC DISTINCT DROP EACH ELSE END EXISTS FOREIGN FROM FULL
+            FUNCTION GROUP HAVING IF IN INDEX INNER INSERT INTO IS JOIN KEY LEFT LIKE LIMIT NOT NULL OFFSET ON
+            OR ORDER OUTER PRIMARY PROCEDURE REFERENCES RENAME REPLACE RESTRICT RETURN RETURNS RIGHT ROLLBACK
+            ROW SELECT SET TABLE TEMPORARY THEN TO TRANSACTION TRIGGER TRUNCATE UNION UNIQUE UPDATE USING
+            VALUES VIEW WHEN WHERE WITH AFTER BEFORE FOR ACTION NO CURRENT_TIMESTAMP CURRENT_DATE TRUE FALSE
+            DECLARE RECURSIVE INSTEAD OF START`;
+        const dialects = {
+            mysql: `AUTO_INCREMENT ENGINE CHARSET CHARACTER UNSIGNED ZEROFILL LOCK UNLOCK TABLES DELIMITER SHOW
+                USE DATABASE SCHEMA IGNORE DUPLICATE COMMENT ROW_FORMAT FULLTEXT SPATIAL BTREE HASH DEFINER SQL
+                SECURITY INVOKER ALGORITHM NAMES WRITE READ STORED VIRTUAL GENERATED ALWAYS`,
+            postgresql: `SERIAL BIGSERIAL SMALLSERIAL RETURNING ILIKE SEQUENCE OWNED OWNER NONE EXTENSION SCHEMA
+                COPY STDIN INHERITS TABLESPACE LANGUAGE PLPGSQL ONLY GENERATED ALWAYS IDENTITY DEFERRABLE
+                INITIALLY DEFERRED IMMEDIATE GRANT REVOKE COMMENT TYPE DOMAIN CONCURRENTLY SEARCH_PATH EXECUTE
+                PERFORM RAISE NOTICE EXCEPTION LOOP`,
+            sqlite: `AUTOINCREMENT PRAGMA WITHOUT ROWID CONFLICT ABORT FAIL IGNORE VACUUM ATTACH DETACH STRICT
+                VIRTUAL GLOB DEFERRED IMMEDIATE EXCLUSIVE`,
+            generic: `AUTO_INCREMENT AUTOINCREMENT SERIAL ENGINE UNSIGNED RETURNING PRAGMA DATABASE SCHEMA
+                SEQUENCE LOCK UNLOCK TABLES DELIMITER COMMENT`
+        };
+        const types = `INT INTEGER BIGINT SMALLINT TINYINT MEDIUMINT DECIMAL NUMERIC FLOAT DOUBLE PRECISION REAL
+            CHAR VARCHAR CHARACTER VARYING TEXT TINYTEXT MEDIUMTEXT LONGTEXT BLOB TINYBLOB MEDIUMBLOB LONGBLOB
+            DATE DATETIME TIMESTAMP TIMESTAMPTZ TIME YEAR INTERVAL BOOLEAN BOOL ENUM JSON JSONB UUID BYTEA BIT
+            BINARY VARBINARY MONEY INET CIDR`;
+
+        const toSet = text => new Set(text.trim().split(/\s+/));
+        return {
+            keywords: toSet(common + ' ' + (dialects[dialect] || dialects.generic)),
+            types: toSet(types)
+        };
+    }
+
+    static escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // ---------------------------------------------------------------------
+    // DOM
+    // ---------------------------------------------------------------------
+
+    buildDom() {
+        const textarea = this.textarea;
+        const dialectLabels = { mysql: 'MySQL', postgresql: 'PostgreSQL', sqlite: 'SQLite', generic: 'SQL' };
+
+        this.root = document.createElement('div');
+        this.root.className = 'sql-editor' + (this.options.readOnly ? ' sql-editor-readonly' : '');
+        this.root.dataset.dialect = this.dialect;
+        this.root.innerHTML = `
+            <div class="sql-editor-toolbar">
+                <button type="button" class="sql-editor-button" data-editor-action="search" title="Find (Ctrl+F)">🔍 Find</button>
+                ${this.options.readOnly ? '' : '<button type="button" class="sql-editor-button" data-editor-action="replace" title="Replace (Ctrl+H)">Replace</button>'}
+                <button type="button" class="sql-editor-button" data-editor-action="fold-all" title="Fold every CREATE TABLE statement">⊟ Fold Tables</button>
+                <button type="button" class="sql-editor-button" data-editor-action="unfold-all" title="Unfold everything">⊞ Unfold All</button>
+                <span class="sql-editor-info"></span>
+                <span class="sql-editor-dialect">${dialectLabels[this.dialect]}</span>
+            </div>
+            <div class="sql-editor-search" hidden>
+                <input type="text" class="sql-editor-find" placeholder="Find" aria-label="Find">
+                <button type="button" class="sql-editor-button" data-editor-action="previous" title="Previous match (Shift+Enter)">↑</button>
+                <button type="button" class="sql-editor-button" data-editor-action="next" title="Next match (Enter)">↓</button>
+                <label class="sql-editor-toggle" title="Match case"><input type="checkbox" class="sql-editor-case"> Aa</label>
+                <label class="sql-editor-toggle" title="Regular expression"><input type="checkbox" class="sql-editor-regex"> .*</label>
+                <span class="sql-editor-count" aria-live="polite"></span>
+                <span class="sql-editor-replace-row" hidden>
+                    <input type="text" class="sql-editor-replace" placeholder="Replace with" aria-label="Replace with">
+                    <button type="button" class="sql-editor-button" data-editor-action="replace-one">Replace</button>
+                    <button type="button" class="sql-editor-button" data-editor-action="replace-all">Replace All</button>
+                </span>
+                <button type="button" class="sql-editor-button" data-editor-action="close-search" title="Close (Esc)">×</button>
+            </div>
+            <div class="sql-editor-body">
+                <div class="sql-editor-gutter" aria-hidden="true"><div class="sql-editor-gutter-lines"></div></div>
+                <div class="sql-editor-main">
+                    <pre class="sql-editor-highlight" aria-hidden="true"><code></code></pre>
+                    <div class="sql-editor-marks" aria-hidden="true"></div>
+                </div>
+            </div>
+        `;
+
+        textarea.parentNode.insertBefore(this.root, textarea);
+        this.root.querySelector('.sql-editor-main').appendChild(textarea);
+        textarea.classList.add('sql-editor-input');
+        textarea.setAttribute('wrap', 'off');
+        textarea.setAttribute('spellcheck', 'false');
+        textarea.setAttribute('autocapitalize', 'off');
+        textarea.setAttribute('autocomplete', 'off');
+
+        this.gutter = this.root.querySelector('.sql-editor-gutter');
+        this.gutterLines = this.root.querySelector('.sql-editor-gutter-lines');
+        this.highlight = this.root.querySelector('.sql-editor-highlight code');
+        this.highlightPre = this.root.querySelector('.sql-editor-highlight');
+        this.marks = this.root.querySelector('.sql-editor-marks');
+        this.info = this.root.querySelector('.sql-editor-info');
+        this.searchBar = this.root.querySelector('.sql-editor-search');
+        this.findInput = this.root.querySelector('.sql-editor-find');
+        this.replaceInput = this.root.querySelector('.sql-editor-replace');
+        this.caseInput = this.root.querySelector('.sql-editor-case');
+        this.regexInput = this.root.querySelector('.sql-editor-regex');
+        this.countLabel = this.root.querySelector('.sql-editor-count');
+    }
+
+    bindEvents() {
+        const textarea = this.textarea;
+
+        textarea.addEventListener('input', () => this.handleInput());
+        textarea.addEventListener('beforeinput', event => this.guardFolds(event));
+        textarea.addEventListener('scroll', () => this.scheduleRender());
+        textarea.addEventListener('keydown', event => this.handleKeydown(event));
+        ['keyup', 'click', 'select', 'focus'].forEach(type => {
+            textarea.addEventListener(type, () => this.updateBracketMatch());
+        });
+        textarea.addEventListener('mouseup', () => this.scheduleRender()); // Picks up resize-handle drags
+
+        this.root.addEventListener('click', event => {
+            const button = event.target.closest('[data-editor-action]');
+            if (button) {
+                this.runAction(button.dataset.editorAction);
+                return;
+            }
+            const toggle = event.target.closest('[data-fold-line]');
+            if (toggle) {
+                this.toggleFold(parseInt(toggle.dataset.foldLine, 10));
+            }
+        });
+
+        this.findInput.addEventListener('input', () => this.runSearch(true));
+        this.caseInput.addEventListener('change', () => this.runSearch(true));
+        this.regexInput.addEventListener('change', () => this.runSearch(true));
+        this.searchBar.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeSearch();
+            } else if (event.key === 'Enter' && event.target === this.findInput) {
+                event.preventDefault();
+                this.findNext(event.shiftKey ? -1 : 1);
+            } else if (event.key === 'Enter' && event.target === this.replaceInput) {
+                event.preventDefault();
+                this.replaceCurrent();
+            }
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+            this.resizeObserver.observe(textarea);
+        }
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'search': this.openSearch(false); break;
+            case 'replace': this.openSearch(true); break;
+            case 'fold-all': this.foldAll(); break;
+            case 'unfold-all': this.unfoldAll(); break;
+            case 'next': this.findNext(1); break;
+            case 'previous': this.findNext(-1); break;
+            case 'replace-one': this.replaceCurrent(); break;
+            case 'replace-all': this.replaceAll(); break;
+            case 'close-search': this.closeSearch(); break;
+        }
+    }
+
+    handleKeydown(event) {
+        const modifier = event.ctrlKey || event.metaKey;
+        const key = (event.key || '').toLowerCase();
+
+        if (modifier && key === 'f') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.openSearch(false);
+        } else if (modifier && key === 'h' && !this.options.readOnly) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.openSearch(true);
+        } else if (event.key === 'F3') {
+            event.preventDefault();
+            this.findNext(event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape' && !this.searchBar.hidden) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.closeSearch();
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Value access
+    // ---------------------------------------------------------------------
+
+    // Full SQL including folded lines
+    getValue() {
+        const display = this.readDisplay();
+        if (!this.folds.length) return display;
+
+        const lines = display.split('\n');
+        this.folds.forEach(fold => {
+            if (fold.line < lines.length) lines[fold.line] += fold.hidden;
+        });
+        return lines.join('\n');
+    }
+
+    setValue(value) {
+        this.folds = [];
+        this.foldsChanged();
+        this.writeDisplay(value == null ? '' : String(value));
+        this.display = this.readDisplay();
+        this.textarea.scrollTop = 0;
+        this.refresh();
+    }
+
+    handleInput() {
+        const previous = this.display;
+        const current = this.readDisplay();
+
+        // Keep fold anchors on their lines when lines are added or removed above them
+        if (this.folds.length && previous !== current) {
+            const limit = Math.min(previous.length, current.length);
+            let prefix = 0;
+            while (prefix < limit && previous.charCodeAt(prefix) === current.charCodeAt(prefix)) prefix++;
+            const editLine = this.countLines(previous, prefix) - 1;
+            const delta = this.countLines(current) - this.countLines(previous);
+            if (delta) {
+                this.folds.forEach(fold => {
+                    if (fold.line > editLine) fold.line += delta;
+                });
+                this.foldsChanged();
+            }
+        }
+
+        this.display = current;
+        this.tokensStale = true;
+        this.scheduleRefresh();
+
+        if (typeof this.options.onChange === 'function') {
+            this.options.onChange(this);
+        }
+    }
+
+    countLines(text, end = text.length) {
+        let count = 1;
+        let index = text.indexOf('\n');
+        while (index !== -1 && index < end) {
+            count++;
+            index = text.indexOf('\n', index + 1);
+        }
+        return count;
+    }
+
+    // ---------------------------------------------------------------------
+    // Highlighting and rendering
+    // ---------------------------------------------------------------------
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        const delay = this.display.length > 200000 ? 250 : 30;
+        this.refreshTimer = setTimeout(() => this.refresh(), delay);
+    }
+
+    // Re-tokenize the displayed text, rebuild fold candidates and redraw
+    refresh() {
+        clearTimeout(this.refreshTimer);
+        this.display = this.source = this.readDisplay();
+        this.lines = this.display.split('\n');
+        this.lineStarts = new Array(this.lines.length);
+        let offset = 0;
+        this.lines.forEach((line, index) => {
+            this.lineStarts[index] = offset;
+            offset += line.length + 1;
+        });
+
+        if (this.display.length <= this.options.maxHighlightLength) {
+            this.tokens = this.tokenizer.tokenize(this.display);
+            this.tokenStarts = this.tokens.map(token => token.start);
+        } else {
+            this.tokens = [];
+            this.tokenStarts = [];
+        }
+        this.lineHtmlCache = new Map();
+        this.tokensStale = false;
+
+        this.updateFoldCandidates();
+        if (!this.searchBar.hidden && this.search.query) {
+            this.runSearch(false);
+        }
+        this.updateBracketMatch(false);
+        this.updateInfo();
+        this.render();
+    }
+
+    tokenClass(token, sql, index) {
+        switch (token.type) {
+            case 'comment':
+                return token.conditional ? 'sql-comment sql-conditional' : 'sql-comment';
+            case 'string':
+            case 'dollar-string':
+                return 'sql-string';
+            case 'identifier':
+                return 'sql-identifier';
+            case 'number':
+                return 'sql-number';
+            case 'operator':
+                return 'sql-operator';
+            case 'delimiter':
+            case 'delimiter-command':
+                return 'sql-delimiter';
+            case 'copy-data':
+                return 'sql-data';
+            case 'word': {
+                const word = sql.slice(token.start, token.end).toUpperCase();
+                if (this.keywords.types.has(word)) return 'sql-type';
+                let next = index + 1;
+                while (this.tokens[next] && this.tokens[next].type === 'whitespace') next++;
+                const following = this.tokens[next];
+                if (following && following.type === 'punctuation' && sql[following.start] === '(' && !this.keywords.keywords.has(word)) {
+                    return 'sql-function';
+                }
+                return this.keywords.keywords.has(word) ? 'sql-keyword' : '';
+            }
+            default:
+                return '';
+        }
+    }
+
+    // Highlighted HTML of one line, built from the tokens that overlap it
+    getLineHtml(line) {
+        if (this.lineHtmlCache.has(line)) return this.lineHtmlCache.get(line);
+
+        const text = this.lines[line] || '';
+        let html = '';
+        if (!this.tokens.length) {
+            html = SqlEditor.escapeHtml(text);
+        } else {
+            const start = this.lineStarts[line];
+            const end = start + text.length;
+            for (let i = Math.max(0, this.countBelow(this.tokenStarts, start + 1) - 1); i < this.tokens.length && this.tokens[i].start < end; i++) {
+                const token = this.tokens[i];
+                const piece = this.source.slice(Math.max(token.start, start), Math.min(token.end, end));
+                if (!piece) continue;
+                const className = token.type === 'whitespace' || token.type === 'punctuation' ? '' : this.tokenClass(token, this.source, i);
+                const escaped = SqlEditor.escapeHtml(piece);
+                html += className ? `<span class="${className}">${escaped}</span>` : escaped;
+            }
+        }
+
+        this.lineHtmlCache.set(line, html);
+        return html;
+    }
+
+    getLineHeight() {
+        if (!this.lineHeight) {
+            const computed = parseFloat(window.getComputedStyle(this.textarea).lineHeight);
+            this.lineHeight = computed > 0 ? computed : 20;
+        }
+        return this.lineHeight;
+    }
+
+    scheduleRender() {
+        if (this.renderFrame) return;
+        const schedule = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        this.renderFrame = schedule(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    // Draw the visible window of lines, gutter numbers and marks
+    render() {
+        const lineHeight = this.getLineHeight();
+        const scrollTop = this.textarea.scrollTop;
+        const scrollLeft = this.textarea.scrollLeft;
+        const viewport = Math.max(this.textarea.clientHeight, 600);
+        const first = Math.max(0, Math.floor(scrollTop / lineHeight) - 5);
+        const last = Math.min(this.lines.length - 1, first + Math.ceil(viewport / lineHeight) + 10);
+        const foldsByLine = new Map(this.folds.map(fold => [fold.line, fold]));
+        const candidatesByLine = new Map(this.foldCandidates.map(candidate => [candidate.line, candidate]));
+
+        const html = [];
+        const gutter = [];
+        let realLine = this.getRealLine(first);
+
+        for (let line = first; line <= last; line++) {
+            const fold = foldsByLine.get(line);
+            const placeholder = fold
+                ? `<span class="sql-fold-placeholder">⋯ ${fold.lineCount} line${fold.lineCount === 1 ? '' : 's'}</span>`
+                : '';
+            const annotation = this.annotations.get(realLine);
+            const note = annotation && annotation.messages.length
+                ? `<span class="sql-annotation severity-${annotation.severity}">${SqlEditor.escapeHtml(annotation.messages.join(' · '))}</span>`
+                : '';
+            html.push(this.getLineHtml(line) + placeholder + note);
+
+            let toggle = '';
+            if (fold) {
+                toggle = `<span class="sql-fold-toggle folded" data-fold-line="${line}" title="Unfold">▸</span>`;
+            } else if (candidatesByLine.has(line)) {
+                toggle = `<span class="sql-fold-toggle" data-fold-line="${line}" title="Fold ${SqlEditor.escapeHtml(candidatesByLine.get(line).name || 'statement')}">▾</span>`;
+            }
+            const gutterClass = (fold ? ' folded' : '') + (annotation ? ` annotated severity-${annotation.severity}` : '');
+            const gutterTitle = annotation && annotation.messages.length ? ` title="${SqlEditor.escapeHtml(annotation.messages.join('\n'))}"` : '';
+            gutter.push(`<div class="sql-editor-line-number${gutterClass}"${gutterTitle}>${toggle}${realLine}</div>`);
+            realLine += 1 + (fold ? fold.lineCount : 0);
+        }
+
+        const offsetY = first * lineHeight - scrollTop;
+        this.highlight.innerHTML = html.join('\n') + '\n';
+        this.highlightPre.style.transform = `translate(${-scrollLeft}px, ${offsetY}px)`;
+        this.marks.style.transform = `translate(${-scrollLeft}px, ${offsetY}px)`;
+        this.gutterLines.style.transform = `translateY(${offsetY}px)`;
+        this.gutterLines.innerHTML = gutter.join('');
+
+        this.gutter.style.width = `${String(this.getTotalLines()).length + 3}ch`;
+
+        this.renderMarks(first, last);
+    }
+
+    renderMarks(first, last) {
+        const marks = [...this.bracketMarks];
+        this.search.matches.forEach((match, index) => {
+            marks.push({ start: match.start, end: match.end, className: index === this.search.current ? 'sql-mark-search current' : 'sql-mark-search' });
+        });
+
+        const lineHeight = this.getLineHeight();
+        const html = [];
+        for (const mark of marks) {
+            const line = this.lineAt(mark.start);
+            if (line < first || line > last) continue;
+
+            const text = this.lines[line];
+            const column = mark.start - this.lineStarts[line];
+            const endColumn = Math.min(mark.end - this.lineStarts[line], text.length);
+            const left = this.visualColumn(text, column);
+            const width = Math.max(1, this.visualColumn(text, endColumn) - left);
+            html.push(`<span class="${mark.className}" style="top:${(line - first) * lineHeight}px;left:${left}ch;width:${width}ch;height:${lineHeight}px"></span>`);
+        }
+        this.marks.innerHTML = html.join('');
+    }
+
+    // Column on screen, expanding tabs to the editor's tab size
+    visualColumn(text, column) {
+        let visual = 0;
+        for (let i = 0; i < column && i < text.length; i++) {
+            visual = text[i] === '\t' ? visual + 4 - (visual % 4) : visual + 1;
+        }
+        return visual + Math.max(0, column - text.length);
+    }
+
+    lineAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    updateInfo() {
+        const total = this.getTotalLines();
+        const parts = [`${total.toLocaleString()} line${total === 1 ? '' : 's'}`];
+        if (this.folds.length) parts.push(`${this.folds.length} folded`);
+        if (this.display.length > this.options.maxHighlightLength) parts.push('highlighting off (large file)');
+        this.info.textContent = parts.join(' · ');
+    }
+
+    // Mark real line ranges ({ startLine, endLine, severity, message }); the
+    // message is shown after the first line and the gutter carries the severity
+    setAnnotations(annotations) {
+        const ranks = { high: 3, medium: 2, low: 1 };
+        this.annotations = new Map();
+
+        annotations.forEach(annotation => {
+            for (let line = annotation.startLine; line <= annotation.endLine; line++) {
+                const entry = this.annotations.get(line) || { severity: annotation.severity, messages: [] };
+                if ((ranks[annotation.severity] || 0) > (ranks[entry.severity] || 0)) entry.severity = annotation.severity;
+                if (line === annotation.startLine && annotation.message) entry.messages.push(annotation.message);
+                this.annotations.set(line, entry);
+            }
+        });
+
+        this.render();
+    }
+
+    // ---------------------------------------------------------------------
+    // Bracket and quote matching
+    // ---------------------------------------------------------------------
+
+    updateBracketMatch(redraw = true) {
+        const previous = this.bracketMarks;
+        this.bracketMarks = [];
+
+        const { selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart === selectionEnd && this.tokens.length && !this.tokensStale) {
+            const caret = selectionStart;
+            const before = this.tokenAt(caret - 1);
+            const after = this.tokenAt(caret);
+            this.bracketMarks = this.matchBracket(before, caret - 1) || this.matchBracket(after, caret)
+                || this.matchQuote(before, caret) || this.matchQuote(after, caret) || [];
+        }
+
+        if (redraw && (previous.length || this.bracketMarks.length)) {
+            const first = Math.max(0, Math.floor(this.textarea.scrollTop / this.getLineHeight()) - 5);
+            const viewport = Math.max(this.textarea.clientHeight, 600);
+            this.renderMarks(first, Math.min(this.lines.length - 1, first + Math.ceil(viewport / this.getLineHeight()) + 10));
+        }
+    }
+
+    tokenAt(offset) {
+        if (offset < 0) return null;
+        let low = 0;
+        let high = this.tokenStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.tokenStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        const token = this.tokens[low];
+        return token && token.start <= offset && offset < token.end ? { token, index: low } : null;
+    }
+
+    matchBracket(found, offset) {
+        if (!found || found.token.type !== 'punctuation') return null;
+        const pairs = { '(': ')', '[': ']', '{': '}' };
+        const closing = { ')': '(', ']': '[', '}': '{' };
+        const char = this.display[offset];
+        const forward = pairs[char] !== undefined;
+        if (!forward && closing[char] === undefined) return null;
+
+        const open = forward ? char : closing[char];
+        const close = forward ? pairs[char] : char;
+        let depth = 0;
+        for (let i = found.index; i >= 0 && i < this.tokens.length; i += forward ? 1 : -1) {
+            const token = this.tokens[i];
+            if (token.type !== 'punctuation') continue;
+            const value = this.display[token.start];
+            if (value === open) depth += forward ? 1 : -1;
+            else if (value === close) depth += forward ? -1 : 1;
+            if (depth === 0) {
+                return [
+                    { start: offset, end: offset + 1, className: 'sql-mark-bracket' },
+                    { start: token.start, end: token.start + 1, className: 'sql-mark-bracket' }
+                ];
+            }
+        }
+        return [{ start: offset, end: offset + 1, className: 'sql-mark-bracket unmatched' }];
+    }
+
+    matchQuote(found, caret) {
+        if (!found || !['string', 'identifier', 'dollar-string'].includes(found.token.type)) return null;
+        const { start, end } = found.token;
+        if (caret !== start && caret !== end && caret !== start + 1 && caret !== end - 1) return null;
+
+        const dollar = found.token.type === 'dollar-string';
+        const opening = dollar ? (found.token.tag || '$$') : this.display[start];
+        const closing = opening === '[' ? ']' : opening;
+        const width = opening.length;
+        if (end - start < width * 2 || this.display.slice(end - width, end) !== closing) {
+            return [{ start, end: start + width, className: 'sql-mark-bracket unmatched' }];
+        }
+        return [
+            { start, end: start + width, className: 'sql-mark-bracket' },
+            { start: end - width, end, className: 'sql-mark-bracket' }
+        ];
+    }
+
+    // ---------------------------------------------------------------------
+    // Folding
+    // ---------------------------------------------------------------------
+
+    // Folds are kept sorted by line; the index caches their real lines for lookups
+    foldsChanged() {
+        this.folds.sort((a, b) => a.line - b.line);
+        this.foldIndex = null;
+    }
+
+    getFoldIndex() {
+        if (!this.foldIndex) {
+            const index = { lines: [], realLines: [], hiddenBefore: [], hidden: 0 };
+            this.folds.forEach(fold => {
+                index.lines.push(fold.line);
+                index.realLines.push(fold.line + 1 + index.hidden);
+                index.hiddenBefore.push(index.hidden);
+                index.hidden += fold.lineCount;
+            });
+            this.foldIndex = index;
+        }
+        return this.foldIndex;
+    }
+
+    // Number of entries in a sorted array that are below value
+    countBelow(values, value) {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (values[middle] < value) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // Real (1-based) line number of a displayed line
+    getRealLine(displayLine) {
+        const index = this.getFoldIndex();
+        const before = this.countBelow(index.lines, displayLine);
+        const hidden = before ? index.hiddenBefore[before - 1] + this.folds[before - 1].lineCount : 0;
+        return displayLine + 1 + hidden;
+    }
+
+    // Displayed line of a real line; -1 when it is hidden inside a fold
+    getDisplayLine(realLine) {
+        const index = this.getFoldIndex();
+        const last = this.countBelow(index.realLines, realLine) - 1;
+        if (last < 0) return realLine - 1;
+
+        const fold = this.folds[last];
+        if (realLine <= index.realLines[last] + fold.lineCount) return -1;
+        return realLine - 1 - index.hiddenBefore[last] - fold.lineCount;
+    }
+
+    getTotalLines() {
+        return this.lines.length + this.getFoldIndex().hidden;
+    }
+
+    // Multi-line CREATE TABLE statements that can be folded
+    updateFoldCandidates() {
+        this.foldCandidates = [];
+        if (this.display.length > this.options.maxHighlightLength) return;
+
+        const full = this.folds.length ? this.getValue() : this.display;
+        const statements = this.tokenizer.splitStatements(full);
+        const folded = new Set(this.folds.map(fold => this.getRealLine(fold.line)));
+
+        statements.forEach(statement => {
+            if (statement.type !== 'CREATE_TABLE' || statement.endLine <= statement.startLine) return;
+            if (folded.has(statement.startLine)) return;
+            const line = this.getDisplayLine(statement.startLine);
+            if (line < 0) return;
+            this.foldCandidates.push({
+                line,
+                lineCount: statement.endLine - statement.startLine,
+                name: statement.objectName
+            });
+        });
+    }
+
+    toggleFold(line) {
+        const fold = this.folds.find(item => item.line === line);
+        if (fold) {
+            this.unfold(fold);
+            return;
+        }
+        const candidate = this.foldCandidates.find(item => item.line === line);
+        if (candidate) {
+            this.fold(candidate);
+        }
+    }
+
+    fold(candidate) {
+        const display = this.readDisplay();
+        const lines = display.split('\n');
+        const anchor = candidate.line;
+        const lineCount = Math.min(candidate.lineCount, lines.length - 1 - anchor);
+        if (lineCount <= 0) return;
+
+        const hidden = '\n' + lines.slice(anchor + 1, anchor + 1 + lineCount).join('\n');
+        const cutStart = this.lineStarts[anchor] + lines[anchor].length;
+        const cutEnd = cutStart + hidden.length;
+
+        this.folds.forEach(fold => {
+            if (fold.line > anchor) fold.line -= lineCount;
+        });
+        this.folds.push({ line: anchor, hidden, lineCount });
+        this.foldsChanged();
+
+        const mapOffset = offset => (offset <= cutStart ? offset : (offset < cutEnd ? cutStart : offset - hidden.length));
+        this.replaceDisplay(display.slice(0, cutStart) + display.slice(cutEnd), mapOffset);
+    }
+
+    unfold(fold) {
+        const display = this.readDisplay();
+        const lines = display.split('\n');
+        const insertAt = this.lineStarts[fold.line] + (lines[fold.line] || '').length;
+
+        this.folds = this.folds.filter(item => item !== fold);
+        this.folds.forEach(item => {
+            if (item.line > fold.line) item.line += fold.lineCount;
+        });
+        this.foldsChanged();
+
+        const mapOffset = offset => (offset <= insertAt ? offset : offset + fold.hidden.length);
+        this.replaceDisplay(display.slice(0, insertAt) + fold.hidden + display.slice(insertAt), mapOffset);
+    }
+
+    // Fold every candidate in one pass over the lines
+    foldAll() {
+        if (!this.foldCandidates.length) return;
+
+        const lines = this.readDisplay().split('\n');
+        const candidates = new Map(this.foldCandidates.map(candidate => [candidate.line, candidate]));
+        const folds = new Map(this.folds.map(fold => [fold.line, fold]));
+        const caretLine = this.lineAt(this.textarea.selectionStart);
+        const kept = [];
+        let caretTarget = 0;
+
+        for (let line = 0; line < lines.length; line++) {
+            if (folds.has(line)) folds.get(line).line = kept.length;
+            if (line === caretLine) caretTarget = kept.length;
+            kept.push(lines[line]);
+
+            const candidate = candidates.get(line);
+            const lineCount = candidate ? Math.min(candidate.lineCount, lines.length - 1 - line) : 0;
+            if (lineCount > 0) {
+                this.folds.push({ line: kept.length - 1, hidden: '\n' + lines.slice(line + 1, line + 1 + lineCount).join('\n'), lineCount });
+                if (caretLine > line && caretLine <= line + lineCount) caretTarget = kept.length - 1;
+                line += lineCount;
+            }
+        }
+        this.foldsChanged();
+
+        const text = kept.join('\n');
+        this.writeDisplay(text);
+        this.display = text;
+        this.refresh();
+
+        const offset = this.lineStarts[caretTarget] || 0;
+        this.textarea.setSelectionRange(offset, offset);
+        this.scrollToLine(caretTarget);
+    }
+
+    unfoldAll() {
+        if (!this.folds.length) return;
+        const full = this.getValue();
+        const caret = this.textarea.selectionStart;
+        const caretLine = this.getRealLine(this.lineAt(caret));
+        const caretColumn = caret - this.lineStarts[this.lineAt(caret)];
+
+        this.folds = [];
+        this.foldsChanged();
+        this.writeDisplay(full);
+        this.display = full;
+        this.refresh();
+
+        const offset = Math.min(full.length, (this.lineStarts[caretLine - 1] || 0) + caretColumn);
+        this.textarea.setSelectionRange(offset, offset);
+    }
+
+    // Swap the displayed text, keeping the caret and scroll position
+    replaceDisplay(text, mapOffset) {
+        const { selectionStart, selectionEnd, scrollTop, scrollLeft } = this.textarea;
+        this.writeDisplay(text);
+        this.display = text;
+        this.textarea.setSelectionRange(mapOffset(selectionStart), mapOffset(selectionEnd));
+        this.textarea.scrollTop = scrollTop;
+        this.textarea.scrollLeft = scrollLeft;
+        this.refresh();
+    }
+
+    // Edits that would cut through a folded region unfold it first
+    guardFolds(event) {
+        if (!this.folds.length) return;
+        const type = event.inputType || '';
+
+        if (type === 'historyUndo' || type === 'historyRedo') {
+            event.preventDefault();
+            this.unfoldAll();
+            return;
+        }
+
+        let start = this.textarea.selectionStart;
+        let end = this.textarea.selectionEnd;
+        if (start === end) {
+            if (/^delete.*Backward$/.test(type)) start = Math.max(0, start - 1);
+            else if (/^delete.*Forward$/.test(type)) end += 1;
+        }
+        const breaksLine = /^insert(LineBreak|Paragraph|FromPaste|FromDrop)$/.test(type) || (event.data || '').includes('\n');
+
+        for (const fold of this.folds) {
+            const lineEnd = this.lineStarts[fold.line] + (this.lines[fold.line] || '').length;
+            if ((start <= lineEnd && lineEnd < end) || (breaksLine && start === lineEnd)) {
+                event.preventDefault();
+                this.unfold(fold);
+                return;
+            }
+        }
+    }
+
+    // Select real lines startLine..endLine (1-based), unfolding them when hidden
+    revealLines(startLine, endLine = startLine) {
+        [...this.folds].forEach(fold => {
+            const anchor = this.getRealLine(fold.line);
+            if (anchor + 1 <= endLine && anchor + fold.lineCount >= startLine) {
+                this.unfold(fold);
+            }
+        });
+
+        const first = Math.max(0, this.getDisplayLine(startLine));
+        const last = Math.max(first, this.getDisplayLine(Math.min(endLine, this.getTotalLines())));
+        const start = this.lineStarts[first] || 0;
+        const end = (this.lineStarts[last] || 0) + (this.lines[last] || '').length;
+
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, end);
+        this.scrollToLine(first);
+    }
+
+    scrollToLine(line) {
+        const lineHeight = this.getLineHeight();
+        const target = line * lineHeight - this.textarea.clientHeight / 3;
+        this.textarea.scrollTop = Math.max(0, target);
+        this.render();
+    }
+
+    // ---------------------------------------------------------------------
+    // Search and replace
+    // ---------------------------------------------------------------------
+
+    openSearch(withReplace) {
+        this.unfoldAll();
+        this.searchBar.hidden = false;
+        this.root.querySelector('.sql-editor-replace-row').hidden = !withReplace || this.options.readOnly;
+
+        const { selectionStart, selectionEnd } = this.textarea;
+        const selected = this.display.slice(selectionStart, selectionEnd);
+        if (selected && !selected.includes('\n')) {
+            this.findInput.value = selected;
+        }
+
+        this.findInput.focus();
+        this.findInput.select();
+        this.runSearch(true);
+    }
+
+    closeSearch() {
+        this.searchBar.hidden = true;
+        this.search.matches = [];
+        this.search.current = -1;
+        this.render();
+        this.textarea.focus();
+    }
+
+    // Collect every match of the search box in the displayed text
+    runSearch(moveToMatch) {
+        const query = this.findInput.value;
+        this.search.query = query;
+        this.search.caseSensitive = this.caseInput.checked;
+        this.search.regex = this.regexInput.checked;
+        this.search.matches = [];
+        this.search.error = null;
+
+        if (query) {
+            const pattern = this.buildSearchPattern();
+            if (pattern) {
+                let match;
+                while ((match = pattern.exec(this.display)) !== null && this.search.matches.length < 10000) {
+                    if (match[0].length === 0) {
+                        pattern.lastIndex++;
+                        continue;
+                    }
+                    this.search.matches.push({ start: match.index, end: match.index + match[0].length });
+                }
+            }
+        }
+
+        if (moveToMatch) {
+            const caret = this.textarea.selectionStart;
+            const index = this.search.matches.findIndex(match => match.start >= caret);
+            this.search.current = this.search.matches.length ? (index === -1 ? 0 : index) : -1;
+            if (this.search.current >= 0) this.showMatch(this.search.current, false);
+        } else if (this.search.current >= this.search.matches.length) {
+            this.search.current = this.search.matches.length - 1;
+        }
+
+        this.updateSearchCount();
+        this.render();
+    }
+
+    buildSearchPattern() {
+        const flags = this.search.caseSensitive ? 'g' : 'gi';
+        const source = this.search.regex ? this.search.query : this.search.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            return new RegExp(source, flags);
+        } catch (error) {
+            this.search.error = error.message;
+            return null;
+        }
+    }
+
+    updateSearchCount() {
+        const { matches, current, error, query } = this.search;
+        if (error) {
+            this.countLabel.textContent = 'Invalid pattern';
+        } else if (!query) {
+            this.countLabel.textContent = '';
+        } else if (!matches.length) {
+            this.countLabel.textContent = 'No matches';
+        } else {
+            this.countLabel.textContent = `${current + 1} of ${matches.length}${matches.length >= 10000 ? '+' : ''}`;
+        }
+        this.countLabel.classList.toggle('no-match', Boolean(query) && !matches.length);
+    }
+
+    findNext(direction = 1) {
+        if (this.searchBar.hidden) {
+            this.openSearch(false);
+            return;
+        }
+        const count = this.search.matches.length;
+        if (!count) return;
+        this.search.current = ((this.search.current + direction) % count + count) % count;
+        this.showMatch(this.search.current, false);
+        this.updateSearchCount();
+        this.render();
+    }
+
+    showMatch(index, focus) {
+        const match = this.search.matches[index];
+        if (!match) return;
+        this.textarea.setSelectionRange(match.start, match.end);
+        if (focus) this.textarea.focus();
+
+        const line = this.lineAt(match.start);
+        const lineHeight = this.getLineHeight();
+        const top = line * lineHeight;
+        const { scrollTop, clientHeight } = this.textarea;
+        if (top < scrollTop || top + lineHeight > scrollTop + clientHeight) {
+            this.textarea.scrollTop = Math.max(0, top - clientHeight / 3);
+        }
+        const left = this.visualColumn(this.lines[line], match.start - this.lineStarts[line]);
+        const charWidth = this.getCharWidth();
+        if (left * charWidth < this.textarea.scrollLeft || left * charWidth > this.textarea.scrollLeft + this.textarea.clientWidth - 40) {
+            this.textarea.scrollLeft = Math.max(0, left * charWidth - 40);
+        }
+    }
+
+    getCharWidth() {
+        if (!this.charWidth) {
+            const probe = document.createElement('span');
+            probe.textContent = 'x'.repeat(10);
+            this.highlightPre.appendChild(probe);
+            this.charWidth = probe.getBoundingClientRect().width / 10 || 8;
+            probe.remove();
+        }
+        return this.charWidth;
+    }
+
+    replaceCurrent() {
+        if (this.options.readOnly) return;
+        const match = this.search.matches[this.search.current];
+        if (!match) return;
+
+        const replacement = this.getReplacement(this.display.slice(match.start, match.end));
+        this.textarea.setRangeText(replacement, match.start, match.end, 'end');
+        this.handleInput();
+        this.refresh();
+
+        const next = this.search.matches.findIndex(item => item.start >= match.start + replacement.length);
+        this.search.current = this.search.matches.length ? (next === -1 ? 0 : next) : -1;
+        if (this.search.current >= 0) this.showMatch(this.search.current, false);
+        this.updateSearchCount();
+        this.render();
+    }
+
+    replaceAll() {
+        if (this.options.readOnly || !this.search.matches.length) return;
+        const count = this.search.matches.length;
+        let text = this.display;
+
+        for (let i = this.search.matches.length - 1; i >= 0; i--) {
+            const { start, end } = this.search.matches[i];
+            text = text.slice(0, start) + this.getReplacement(text.slice(start, end)) + text.slice(end);
+        }
+
+        // Route through the native editing path so the change can be undone
+        this.textarea.focus();
+        this.textarea.setSelectionRange(0, this.display.length);
+        if (!(document.execCommand && document.execCommand('insertText', false, text))) {
+            this.writeDisplay(text);
+        }
+        this.handleInput();
+        this.refresh();
+        this.countLabel.textContent = `Replaced ${count}`;
+    }
+
+    getReplacement(matched) {
+        const replacement = this.replaceInput.value;
+        if (!this.search.regex) return replacement;
+        const pattern = this.buildSearchPattern();
+        return pattern ? matched.replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement) : replacement;
+    }
+}
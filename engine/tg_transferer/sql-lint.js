@@ -0,0 +1,144 @@
+/**
+ * SQL Linter
+ *
+ * Flags risky statements in a SQL dump before it is executed: statements that
+ * remove databases or whole tables, DELETE/UPDATE without a WHERE clause,
+ * privilege and account changes, and file system access. Works on
+ * SqlTokenizer tokens, so keywords inside strings and comments are never
+ * reported. The rules follow the dangerous and suspicious patterns of the
+ * server-side EnhancedValidation.
+ */
+
+class SqlLinter {
+    constructor(dialect = 'generic') {
+        this.tokenizer = new SqlTokenizer(dialect);
+    }
+
+    /**
+     * Lint SQL and return one finding per risky statement and rule
+     *
+     * Findings: statementIndex, rule, severity (high, medium, low), message,
+     * startLine, endLine, tableName, excerpt
+     */
+    lint(sql) {
+        const statements = this.tokenizer.splitStatements(sql);
+        const words = statements.map(() => []);
+        let current = 0;
+
+        // Collect the words and parentheses of every statement in one pass
+        this.tokenizer.scan(sql, token => {
+            while (current < statements.length && statements[current].end <= token.start) current++;
+            if (current >= statements.length) return false;
+            if (token.start < statements[current].start) return;
+
+            if (token.type === 'word') {
+                words[current].push(sql.slice(token.start, token.end).toUpperCase());
+            } else if (token.type === 'punctuation' && (sql[token.start] === '(' || sql[token.start] === ')')) {
+                words[current].push(sql[token.start]);
+            }
+        });
+
+        const findings = [];
+        statements.forEach((statement, index) => {
+            this.checkStatement(statement, words[index]).forEach(issue => {
+                findings.push({
+                    statementIndex: statement.index,
+                    ...issue,
+                    startLine: statement.startLine,
+                    endLine: statement.endLine,
+                    tableName: statement.tableName,
+                    excerpt: statement.text.length > 120 ? statement.text.slice(0, 120) + '…' : statement.text
+                });
+            });
+        });
+
+        return findings;
+    }
+
+    // Rules for a single statement; words are upper-cased words plus ( and )
+    checkStatement(statement, words) {
+        const issues = [];
+        const name = statement.objectName ? ` \`${statement.objectName}\`` : '';
+        const first = words[0] || '';
+        const second = words[1] || '';
+        const add = (rule, severity, message) => issues.push({ rule, severity, message });
+
+        switch (statement.type) {
+            case 'DROP_OTHER':
+                if (second === 'DATABASE' || second === 'SCHEMA') {
+                    add('drop-database', 'high', `DROP ${second} removes the ${second.toLowerCase()}${name} and everything in it`);
+                }
+                break;
+            case 'DROP_TABLE':
+                add('drop-table', 'low', `Drops table${name}; rows it already holds are lost`);
+                break;
+            case 'DELETE':
+                if (!this.hasTopLevel(words, 'WHERE')) {
+                    add('unqualified-delete', 'high', `DELETE without WHERE removes every row from${name}`);
+                }
+                break;
+            case 'UPDATE':
+                if (!this.hasTopLevel(words, 'WHERE')) {
+                    add('unqualified-update', 'high', `UPDATE without WHERE changes every row in${name}`);
+                }
+                break;
+            case 'TRUNCATE':
+                add('truncate', 'high', `TRUNCATE removes every row from${name}`);
+                break;
+            case 'GRANT':
+                add('privileges', 'medium', `${first} changes database privileges`);
+                break;
+        }
+
+        if ((first === 'CREATE' || first === 'ALTER' || first === 'DROP') && second === 'USER') {
+            add('user-management', 'medium', `${first} USER changes database accounts`);
+        }
+        if (first === 'LOAD' && second === 'DATA') {
+            add('load-data', 'high', 'LOAD DATA reads a file from the server or client file system');
+        }
+
+        const outfile = this.findSequence(words, ['INTO', 'OUTFILE']) !== -1 ? 'OUTFILE'
+            : (this.findSequence(words, ['INTO', 'DUMPFILE']) !== -1 ? 'DUMPFILE' : null);
+        if (outfile) {
+            add('into-outfile', 'high', `INTO ${outfile} writes query results to a file on the database server`);
+        }
+        if (this.findSequence(words, ['LOAD_FILE', '(']) !== -1) {
+            add('load-file', 'high', 'LOAD_FILE() reads files from the database server');
+        }
+        if (this.findSequence(words, ['EXEC', '(']) !== -1 || this.findSequence(words, ['EVAL', '(']) !== -1) {
+            add('dynamic-sql', 'medium', 'Executes dynamically built SQL');
+        }
+        if (this.findSequence(words, ['UNION', 'SELECT']) !== -1 || this.findSequence(words, ['UNION', 'ALL', 'SELECT']) !== -1) {
+            add('union-select', 'low', 'UNION SELECT is a common SQL injection pattern; check it belongs here');
+        }
+
+        return issues;
+    }
+
+    // True when the word appears outside any parentheses
+    hasTopLevel(words, word) {
+        let depth = 0;
+        for (const value of words) {
+            if (value === '(') depth++;
+            else if (value === ')') depth = Math.max(0, depth - 1);
+            else if (depth === 0 && value === word) return true;
+        }
+        return false;
+    }
+
+    findSequence(words, sequence) {
+        for (let i = 0; i + sequence.length <= words.length; i++) {
+            if (sequence.every((word, offset) => words[i + offset] === word)) return i;
+        }
+        return -1;
+    }
+
+    // Count findings per severity
+    summarize(findings) {
+        const summary = { high: 0, medium: 0, low: 0, total: findings.length };
+        findings.forEach(finding => {
+            summary[finding.severity]++;
+        });
+        return summary;
+    }
+}
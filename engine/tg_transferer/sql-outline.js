@@ -0,0 +1,118 @@
+/**
+ * SQL Outline
+ *
+ * Groups the statements of a SQL dump into an outline for selective
+ * execution: tables, indexes, data, views, triggers, routines and other
+ * statements. Each outline item carries a stable key (kind and object name)
+ * so a selection survives edits that shift statement positions, and
+ * buildSql() turns a selection back into executable SQL, keeping custom
+ * DELIMITER blocks and COPY data intact.
+ */
+
+class SqlOutline {
+    constructor(dialect = 'generic') {
+        this.tokenizer = new SqlTokenizer(dialect);
+    }
+
+    static getGroups() {
+        return [
+            { id: 'tables', label: 'Tables', schema: true },
+            { id: 'indexes', label: 'Indexes', schema: true },
+            { id: 'data', label: 'Data', schema: false },
+            { id: 'views', label: 'Views', schema: true },
+            { id: 'triggers', label: 'Triggers', schema: true },
+            { id: 'routines', label: 'Functions & Procedures', schema: true },
+            { id: 'other', label: 'Other Statements', schema: true }
+        ];
+    }
+
+    /**
+     * Build the outline of a SQL dump
+     *
+     * Returns statements (from SqlTokenizer.splitStatements) and groups, each
+     * with items: key, group, label, detail, statements (indexes), startLine
+     */
+    build(sql) {
+        const statements = this.tokenizer.splitStatements(sql);
+        const groups = SqlOutline.getGroups().map(group => ({ ...group, items: [] }));
+        const byId = new Map(groups.map(group => [group.id, group]));
+        const items = new Map();
+        let lockedTable = null;
+
+        statements.forEach(statement => {
+            // UNLOCK TABLES names no table; it closes the block of the last LOCK
+            if (statement.type === 'LOCK' && statement.tableName) lockedTable = statement.tableName;
+            const { group, name, detail } = this.describe(statement, lockedTable);
+            const key = `${group}:${name}`;
+
+            if (!items.has(key)) {
+                const item = { key, group, label: name, detail, statements: [], startLine: statement.startLine };
+                items.set(key, item);
+                byId.get(group).items.push(item);
+            }
+            items.get(key).statements.push(statement.index);
+        });
+
+        return { statements, groups: groups.filter(group => group.items.length > 0) };
+    }
+
+    // Outline group and item name of a statement
+    describe(statement, lockedTable = null) {
+        const name = statement.objectName || statement.tableName || (statement.type === 'LOCK' ? lockedTable : null);
+        const leading = statement.text.slice(0, 80).toUpperCase().replace(/\s+/g, ' ');
+
+        switch (statement.type) {
+            case 'CREATE_TABLE':
+            case 'ALTER_TABLE':
+            case 'DROP_TABLE':
+                return { group: 'tables', name: name || '(unnamed)', detail: 'table' };
+            case 'CREATE_INDEX':
+                return { group: 'indexes', name: name || '(unnamed)', detail: statement.tableName ? `on ${statement.tableName}` : 'index' };
+            case 'INSERT':
+            case 'COPY':
+            case 'UPDATE':
+            case 'DELETE':
+            case 'TRUNCATE':
+            case 'LOCK':
+                return { group: 'data', name: name || '(unknown table)', detail: 'rows' };
+            case 'CREATE_VIEW':
+                return { group: 'views', name: name || '(unnamed)', detail: 'view' };
+            case 'CREATE_TRIGGER':
+                return { group: 'triggers', name: name || '(unnamed)', detail: statement.tableName ? `on ${statement.tableName}` : 'trigger' };
+            case 'CREATE_FUNCTION':
+            case 'CREATE_PROCEDURE':
+                return { group: 'routines', name: name || '(unnamed)', detail: statement.type === 'CREATE_FUNCTION' ? 'function' : 'procedure' };
+        }
+
+        // DROP VIEW / DROP TRIGGER / DROP FUNCTION belong with the object they remove
+        const dropped = /^DROP (VIEW|TRIGGER|FUNCTION|PROCEDURE)\b/.exec(leading);
+        if (dropped && name) {
+            const groups = { VIEW: 'views', TRIGGER: 'triggers', FUNCTION: 'routines', PROCEDURE: 'routines' };
+            return { group: groups[dropped[1]], name, detail: dropped[1].toLowerCase() };
+        }
+
+        const keyword = (statement.keyword || 'OTHER').toUpperCase();
+        return { group: 'other', name: `${keyword} statements`, detail: statement.type.toLowerCase().replace(/_/g, ' ') };
+    }
+
+    /**
+     * Executable SQL for the selected statement indexes, in file order
+     */
+    buildSql(sql, statements, selected) {
+        const parts = [];
+
+        statements.forEach(statement => {
+            if (!selected.has(statement.index)) return;
+
+            let body = sql.slice(statement.start, statement.end).trim();
+            const delimiter = statement.delimiter || ';';
+            if (statement.type !== 'COPY' && !body.endsWith(delimiter)) {
+                body += delimiter;
+            }
+
+            parts.push(delimiter === ';' ? body : `DELIMITER ${delimiter}\n${body}\nDELIMITER ;`);
+        });
+
+        return parts.length ? parts.join('\n') + '\n' : '';
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * SQL Splitter
+ *
+ * Cuts a SQL dump into parts that stay under a size limit without breaking
+ * statements apart. Built on SqlTokenizer, so semicolons inside strings,
+ * comments, dollar-quoted bodies and DELIMITER blocks never end a part.
+ * Each part is a verbatim slice of the original file, prefixed with a
+ * DELIMITER line when it starts inside a custom delimiter block. Parts after
+ * the first also repeat the session settings of the file header (SET NAMES,
+ * FOREIGN_KEY_CHECKS, PRAGMA ...) so each one can be run on its own.
+ */
+
+class SqlSplitter {
+    constructor(dialect = 'generic') {
+        this.tokenizer = new SqlTokenizer(dialect);
+    }
+
+    /**
+     * Split SQL into parts of at most maxBytes (UTF-8)
+     *
+     * Options:
+     * - maxBytes: size limit per part
+     * - boundary: 'statement' cuts between any two statements, 'table' only
+     *   where the statements move on to another table (a table whose own
+     *   statements exceed the limit is still cut between statements)
+     *
+     * The limit includes the lines added to a part (repeated header, DELIMITER
+     * lines). A single statement larger than the limit becomes a part of its own.
+     * Returns parts with: index, sql, bytes, statementCount, startLine,
+     * endLine, tables
+     */
+    split(sql, options = {}) {
+        const maxBytes = options.maxBytes || 512 * 1024;
+        const byTable = options.boundary === 'table';
+        const statements = this.tokenizer.splitStatements(sql);
+        const parts = [];
+
+        if (statements.length === 0) {
+            return parts;
+        }
+
+        const sizes = statements.map((statement, index) => {
+            const next = statements[index + 1];
+            return this.byteLength(sql, statement.rawStart, next ? next.rawStart : sql.length);
+        });
+
+        const header = this.getSessionHeader(sql, statements);
+        const headerBytes = header.reduce((sum, setting) => sum + this.byteLength(setting.text, 0, setting.text.length), 0);
+
+        // Bytes createPart() adds to a part running from statement firstIndex to lastIndex
+        const addedBytes = (firstIndex, lastIndex) => {
+            const opening = statements[firstIndex].delimiter;
+            return (firstIndex > 0 ? headerBytes : 0) +
+                (opening !== ';' ? this.byteLength(opening, 0, opening.length) + 11 : 0) +
+                (statements[lastIndex].delimiter !== ';' ? 13 : 0);
+        };
+        const exceeds = (firstIndex, index, bytes) => index > firstIndex &&
+            bytes + sizes[index] + addedBytes(firstIndex, index) > maxBytes;
+
+        let first = 0;
+        let bytes = 0;
+        let lastBoundary = -1; // Latest statement in the current part that starts a new table
+        let lastTable = '';
+
+        statements.forEach((statement, index) => {
+            if (exceeds(first, index, bytes)) {
+                const cut = byTable && lastBoundary > first ? lastBoundary : index;
+
+                parts.push(this.createPart(sql, statements, first, cut - 1, parts.length, header));
+                first = cut;
+                bytes = sizes.slice(cut, index).reduce((sum, size) => sum + size, 0);
+                lastBoundary = -1;
+
+                // The statements kept with their table may leave no room for this one
+                if (exceeds(first, index, bytes)) {
+                    parts.push(this.createPart(sql, statements, first, index - 1, parts.length, header));
+                    first = index;
+                    bytes = 0;
+                }
+            }
+
+            // Statements without a table (SET, UNLOCK TABLES, ...) stay with the table before them
+            const table = this.tableOf(statement);
+            if (byTable && table && table !== lastTable) {
+                if (index > first) lastBoundary = index;
+                lastTable = table;
+            }
+
+            bytes += sizes[index];
+        });
+
+        parts.push(this.createPart(sql, statements, first, statements.length - 1, parts.length, header));
+
+        return parts;
+    }
+
+    /**
+     * Session settings at the top of the file, in file order
+     *
+     * Covers the SET and PRAGMA statements before the first other statement
+     * (START TRANSACTION is passed over) and mysqldump's conditional comments
+     * such as /*!40101 SET NAMES utf8mb4 *\/. Returns [{end, text}], where end
+     * is the offset the setting ends at in the file.
+     */
+    getSessionHeader(sql, statements) {
+        const settings = [];
+        let headerEnd = sql.length;
+
+        for (const statement of statements) {
+            if (statement.type === 'SET' || statement.type === 'PRAGMA') {
+                settings.push({ end: statement.end, text: `${statement.text}${statement.delimiter}\n` });
+            } else if (statement.type !== 'TRANSACTION') {
+                headerEnd = statement.start;
+                break;
+            }
+        }
+
+        let pending = null;
+        this.tokenizer.scan(sql.slice(0, headerEnd), (token, text) => {
+            if (token.type === 'comment' && token.conditional && /\bSET\s/i.test(text.slice(token.start, token.end))) {
+                pending = token;
+            } else if (pending && token.type === 'delimiter') {
+                settings.push({ end: token.end, text: `${text.slice(pending.start, pending.end)}${text.slice(token.start, token.end)}\n` });
+                pending = null;
+            } else if (token.type !== 'whitespace') {
+                pending = null;
+            }
+        });
+
+        return settings.sort((a, b) => a.end - b.end);
+    }
+
+    createPart(sql, statements, firstIndex, lastIndex, partIndex, header = []) {
+        const first = statements[firstIndex];
+        const last = statements[lastIndex];
+        const next = statements[lastIndex + 1];
+
+        // The first part keeps any file header; the last one keeps trailing comments
+        const start = firstIndex === 0 ? 0 : first.rawStart;
+        const end = next ? next.rawStart : sql.length;
+
+        let text = sql.slice(start, end);
+
+        // Restore the delimiter in effect unless the part already sets it
+        if (first.delimiter !== ';' && !/^\s*DELIMITER\s/im.test(sql.slice(start, first.start))) {
+            text = `DELIMITER ${first.delimiter}\n` + text;
+        }
+
+        // Repeat the session settings that ran before this part in the original file
+        if (firstIndex > 0) {
+            text = header.filter(setting => setting.end <= start).map(setting => setting.text).join('') + text;
+        }
+
+        // The reset line of a block that continues is in the next part
+        if (next && last.delimiter !== ';') {
+            text = text.replace(/\s*$/, '\n') + 'DELIMITER ;\n';
+        }
+
+        const tables = new Set();
+        for (let i = firstIndex; i <= lastIndex; i++) {
+            const table = this.tableOf(statements[i]);
+            if (table) tables.add(table);
+        }
+
+        return {
+            index: partIndex,
+            sql: text,
+            bytes: this.byteLength(text, 0, text.length),
+            statementCount: lastIndex - firstIndex + 1,
+            startLine: first.startLine,
+            endLine: last.endLine,
+            tables: Array.from(tables)
+        };
+    }
+
+    // Table a statement belongs to, or '' for statements outside any table
+    tableOf(statement) {
+        return (statement.tableName || '').toLowerCase();
+    }
+
+    // UTF-8 length of a slice without allocating an encoded copy
+    byteLength(text, start, end) {
+        let bytes = 0;
+
+        for (let i = start; i < end; i++) {
+            const code = text.charCodeAt(i);
+
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF) {
+                bytes += 4; // Surrogate pair
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+
+        return bytes;
+    }
+}
@@ -0,0 +1,470 @@
+/**
+ * SQL Tokenizer
+ *
+ * Dialect-aware lexer and statement splitter for the Enhanced Transferer.
+ * Mirrors the rules of the server-side DatabaseSQLParser (quotes, comments,
+ * PostgreSQL dollar quoting, MySQL DELIMITER blocks and trigger bodies) so
+ * that statements can be located, classified and matched in the browser.
+ */
+
+class SqlTokenizer {
+    constructor(dialect = 'generic') {
+        this.dialect = (dialect || 'generic').toLowerCase();
+    }
+
+    // Walk the SQL and report every token to the callback without storing them
+    scan(sql, onToken) {
+        const length = sql.length;
+        const mysqlLike = this.dialect === 'mysql' || this.dialect === 'generic';
+        let delimiter = ';';
+        let position = 0;
+        let line = 1;
+        let lineStart = true;
+        let statementStart = true;
+        let copyState = 0; // 1: inside COPY statement, 2: COPY ... FROM STDIN
+
+        const emit = (type, start, end, extra = {}) => {
+            const token = { type, start, end, line, ...extra };
+            for (let i = start; i < end; i++) {
+                if (sql.charCodeAt(i) === 10) line++;
+            }
+            lineStart = type === 'whitespace' ? (lineStart || sql.lastIndexOf('\n', end - 1) >= start) : false;
+            return onToken(token, sql) === false;
+        };
+
+        while (position < length) {
+            const char = sql[position];
+            const next = sql[position + 1];
+            let end = position + 1;
+            let type = 'punctuation';
+            let extra = {};
+
+            if (/\s/.test(char)) {
+                while (end < length && /\s/.test(sql[end])) end++;
+                type = 'whitespace';
+            } else if (lineStart && /^delimiter\s/i.test(sql.substr(position, 10)) && mysqlLike) {
+                // MySQL client command: DELIMITER $$
+                end = sql.indexOf('\n', position);
+                if (end === -1) end = length;
+                const value = sql.slice(position + 9, end).trim();
+                if (value) delimiter = value;
+                type = 'delimiter-command';
+                extra = { delimiter };
+            } else if (sql.startsWith(delimiter, position)) {
+                end = position + delimiter.length;
+                type = 'delimiter';
+            } else if (char === '-' && next === '-') {
+                end = sql.indexOf('\n', position);
+                if (end === -1) end = length;
+                type = 'comment';
+            } else if (char === '#' && mysqlLike) {
+                end = sql.indexOf('\n', position);
+                if (end === -1) end = length;
+                type = 'comment';
+            } else if (char === '/' && next === '*') {
+                end = sql.indexOf('*/', position + 2);
+                end = end === -1 ? length : end + 2;
+                type = 'comment';
+                extra = { conditional: sql[position + 2] === '!' };
+            } else if (char === "'") {
+                end = this.readQuoted(sql, position, "'", this.dialect !== 'postgresql' && this.dialect !== 'sqlite');
+                type = 'string';
+            } else if (char === '"') {
+                end = this.readQuoted(sql, position, '"', this.dialect === 'mysql');
+                type = this.dialect === 'mysql' ? 'string' : 'identifier';
+            } else if (char === '`') {
+                end = this.readQuoted(sql, position, '`', false);
+                type = 'identifier';
+            } else if (char === '[' && this.dialect === 'sqlite') {
+                end = sql.indexOf(']', position + 1);
+                end = end === -1 ? length : end + 1;
+                type = 'identifier';
+            } else if (char === '$' && this.dialect !== 'mysql' && this.dialect !== 'sqlite') {
+                const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.substr(position, 64));
+                const previous = position > 0 ? sql[position - 1] : '';
+                if (tag && !/[A-Za-z0-9_]/.test(previous)) {
+                    const close = sql.indexOf(tag[0], position + tag[0].length);
+                    end = close === -1 ? length : close + tag[0].length;
+                    type = 'dollar-string';
+                    extra = { tag: tag[0] };
+                }
+            } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+                const match = /^(?:0x[0-9a-f]+|\d*\.?\d+(?:e[+-]?\d+)?)/i.exec(sql.substr(position, 64));
+                end = position + match[0].length;
+                type = 'number';
+            } else if (/[A-Za-z_\u0080-\uFFFF]/.test(char)) {
+                // A custom delimiter such as $$ may follow a word directly (END$$)
+                while (end < length && /[A-Za-z0-9_$\u0080-\uFFFF]/.test(sql[end]) && !sql.startsWith(delimiter, end)) end++;
+                type = 'word';
+            } else if (char === ':' && next === ':') {
+                end = position + 2;
+                type = 'operator';
+            } else if (/[=<>!+\-*\/%|&^~]/.test(char)) {
+                while (end < length && /[=<>!|&]/.test(sql[end]) && end - position < 3) end++;
+                type = 'operator';
+            }
+
+            if (emit(type, position, end, extra)) {
+                return;
+            }
+
+            if (type === 'word') {
+                const word = sql.slice(position, end).toUpperCase();
+                if (statementStart && word === 'COPY') copyState = 1;
+                else if (copyState === 1 && word === 'STDIN') copyState = 2;
+            }
+
+            if (type !== 'whitespace' && type !== 'comment') {
+                statementStart = type === 'delimiter' || type === 'delimiter-command';
+            }
+
+            // pg_dump data blocks follow COPY ... FROM stdin; and end with a \. line
+            if (type === 'delimiter' && copyState === 2) {
+                const terminator = sql.indexOf('\n\\.', end);
+                const dataEnd = terminator === -1 ? length : terminator + 3;
+                if (emit('copy-data', end, dataEnd)) {
+                    return;
+                }
+                end = dataEnd;
+            }
+
+            if (type === 'delimiter') {
+                copyState = 0;
+            }
+
+            position = end;
+        }
+    }
+
+    // Find the end of a quoted token, honouring doubled quotes and optional backslash escapes
+    readQuoted(sql, start, quote, backslashEscapes) {
+        let position = start + 1;
+
+        while (position < sql.length) {
+            const char = sql[position];
+
+            if (backslashEscapes && char === '\\') {
+                position += 2;
+                continue;
+            }
+
+            if (char === quote) {
+                if (sql[position + 1] === quote) {
+                    position += 2;
+                    continue;
+                }
+                return position + 1;
+            }
+
+            position++;
+        }
+
+        return sql.length;
+    }
+
+    // Collect all tokens (convenience for small inputs)
+    tokenize(sql) {
+        const tokens = [];
+        this.scan(sql, token => {
+            tokens.push(token);
+        });
+        return tokens;
+    }
+
+    /**
+     * Split SQL into statements with source positions and classification
+     *
+     * Each statement carries:
+     * - text: the statement without its terminator
+     * - rawStart/end: offsets covering leading comments and the terminator,
+     *   so consecutive statements reproduce the original file byte for byte
+     * - start/startLine/endLine: location of the first significant token
+     * - delimiter: the terminator in effect (changed by MySQL DELIMITER lines)
+     * - type/objectName/tableName: see classify()
+     */
+    splitStatements(sql) {
+        const statements = [];
+        let rawStart = 0;
+        let delimiter = ';';
+        let current = null;
+        let blockDepth = 0;
+        let pendingEnd = false;
+
+        const finish = (end, terminatorEnd) => {
+            if (current) {
+                const info = this.classify(current.words);
+                statements.push({
+                    index: statements.length,
+                    text: sql.slice(current.start, end).trim(),
+                    rawStart,
+                    start: current.start,
+                    end: terminatorEnd,
+                    startLine: current.startLine,
+                    endLine: current.endLine,
+                    delimiter: current.delimiter,
+                    ...info
+                });
+                rawStart = terminatorEnd;
+            }
+            current = null;
+            blockDepth = 0;
+            pendingEnd = false;
+        };
+
+        this.scan(sql, token => {
+            if (token.type === 'whitespace' || token.type === 'comment') {
+                return;
+            }
+
+            // Keep COPY data with the statement that introduced it
+            if (token.type === 'copy-data' && statements.length) {
+                statements[statements.length - 1].end = token.end;
+                statements[statements.length - 1].endLine = token.line + this.countNewlines(sql, token.start, token.end);
+                rawStart = token.end;
+                return;
+            }
+
+            // END IF / END LOOP / END WHILE / END REPEAT close blocks that were never counted
+            if (pendingEnd) {
+                const word = token.type === 'word' ? sql.slice(token.start, token.end).toUpperCase() : '';
+                if (!['IF', 'LOOP', 'WHILE', 'REPEAT'].includes(word)) {
+                    blockDepth--;
+                }
+                pendingEnd = false;
+                if (word === 'CASE') {
+                    current.endLine = token.line;
+                    return;
+                }
+            }
+
+            if (token.type === 'delimiter-command') {
+                finish(token.start, token.start);
+                delimiter = token.delimiter;
+                return;
+            }
+
+            if (token.type === 'delimiter' && blockDepth === 0) {
+                finish(token.start, token.end);
+                return;
+            }
+
+            if (!current) {
+                current = { start: token.start, startLine: token.line, endLine: token.line, delimiter, words: [] };
+            }
+
+            current.endLine = token.line + this.countNewlines(sql, token.start, token.end);
+
+            if (current.words.length < 40) {
+                current.words.push(this.describeToken(sql, token));
+            }
+
+            // Trigger bodies contain semicolons between BEGIN and END
+            if (token.type === 'word' && this.isTriggerStatement(current.words)) {
+                const word = sql.slice(token.start, token.end).toUpperCase();
+                if (word === 'BEGIN' || word === 'CASE') {
+                    blockDepth++;
+                } else if (word === 'END' && blockDepth > 0) {
+                    pendingEnd = true;
+                }
+            }
+        });
+
+        finish(sql.length, sql.length);
+
+        return statements;
+    }
+
+    countNewlines(sql, start, end) {
+        let count = 0;
+        for (let i = start; i < end; i++) {
+            if (sql.charCodeAt(i) === 10) count++;
+        }
+        return count;
+    }
+
+    describeToken(sql, token) {
+        const raw = sql.slice(token.start, token.end);
+
+        if (token.type === 'identifier') {
+            return { type: 'identifier', value: this.unquote(raw) };
+        }
+
+        if (token.type === 'word') {
+            return { type: 'word', value: raw, upper: raw.toUpperCase() };
+        }
+
+        return { type: token.type, value: raw };
+    }
+
+    unquote(identifier) {
+        const first = identifier[0];
+        if (first === '`' || first === '"') {
+            return identifier.slice(1, -1).split(first + first).join(first);
+        }
+        if (first === '[') {
+            return identifier.slice(1, -1);
+        }
+        return identifier;
+    }
+
+    isTriggerStatement(words) {
+        if (!words.length || words[0].upper !== 'CREATE') return false;
+        return words.slice(1, 8).some(word => word.upper === 'TRIGGER');
+    }
+
+    /**
+     * Classify a statement from its leading tokens
+     *
+     * type: CREATE_TABLE, CREATE_INDEX, CREATE_VIEW, CREATE_TRIGGER, CREATE_SEQUENCE,
+     *       CREATE_TYPE, CREATE_FUNCTION, CREATE_PROCEDURE, CREATE_OTHER, ALTER_TABLE,
+     *       DROP_TABLE, DROP_OTHER, INSERT, COPY, UPDATE, DELETE, TRUNCATE, SELECT,
+     *       SET, PRAGMA, TRANSACTION, GRANT, LOCK, OTHER
+     * objectName: the object created/altered/dropped (or the target table for DML)
+     * tableName: the table the statement belongs to
+     */
+    classify(words) {
+        const upper = index => (words[index] && words[index].upper) || '';
+        const first = upper(0);
+        const result = { type: 'OTHER', keyword: first || (words[0] && words[0].value) || '', objectName: null, tableName: null };
+
+        // Read a possibly schema-qualified name starting at index; returns [name, nextIndex]
+        const readName = (index) => {
+            let name = null;
+            let i = index;
+            while (words[i] && (words[i].type === 'identifier' || words[i].type === 'word' || words[i].type === 'string')) {
+                name = words[i].type === 'string' ? words[i].value.slice(1, -1) : words[i].value;
+                if (words[i + 1] && words[i + 1].value === '.') {
+                    i += 2;
+                    continue;
+                }
+                return [name, i + 1];
+            }
+            return [name, i];
+        };
+
+        const skipIfExists = (index) => {
+            let i = index;
+            if (upper(i) === 'IF' && upper(i + 1) === 'NOT' && upper(i + 2) === 'EXISTS') i += 3;
+            else if (upper(i) === 'IF' && upper(i + 1) === 'EXISTS') i += 2;
+            return i;
+        };
+
+        if (first === 'CREATE') {
+            const objectKinds = ['TABLE', 'INDEX', 'VIEW', 'TRIGGER', 'SEQUENCE', 'TYPE', 'FUNCTION', 'PROCEDURE', 'SCHEMA', 'DATABASE', 'EXTENSION', 'DOMAIN'];
+            let i = 1;
+            while (i < words.length && i < 20 && !objectKinds.includes(upper(i))) i++;
+            const kind = upper(i);
+
+            if (!kind) {
+                result.type = 'CREATE_OTHER';
+                return result;
+            }
+
+            result.type = ['TABLE', 'INDEX', 'VIEW', 'TRIGGER', 'SEQUENCE', 'TYPE', 'FUNCTION', 'PROCEDURE'].includes(kind)
+                ? 'CREATE_' + kind
+                : 'CREATE_OTHER';
+
+            i = skipIfExists(i + 1);
+            if (kind === 'INDEX' && upper(i) === 'CONCURRENTLY') {
+                i = skipIfExists(i + 1);
+            }
+
+            if (kind === 'INDEX' && upper(i) === 'ON') {
+                // Unnamed PostgreSQL index
+                result.tableName = readName(i + 1)[0];
+                result.objectName = result.tableName ? `${result.tableName}_idx` : null;
+                return result;
+            }
+
+            const [name, next] = readName(i);
+            result.objectName = name;
+
+            if (kind === 'TABLE' || kind === 'VIEW' || kind === 'SEQUENCE' || kind === 'TYPE') {
+                result.tableName = kind === 'TABLE' ? name : null;
+            } else if (kind === 'INDEX' || kind === 'TRIGGER') {
+                let j = next;
+                while (j < words.length && upper(j) !== 'ON') j++;
+                if (upper(j) === 'ON') {
+                    result.tableName = readName(upper(j + 1) === 'ONLY' ? j + 2 : j + 1)[0];
+                }
+            }
+
+            return result;
+        }
+
+        if (first === 'ALTER' || first === 'DROP') {
+            const kind = upper(1) === 'TEMPORARY' ? upper(2) : upper(1);
+            let i = skipIfExists(upper(1) === 'TEMPORARY' ? 3 : 2);
+            if (upper(i) === 'ONLY') i++;
+            const [name] = readName(i);
+
+            result.type = kind === 'TABLE' ? `${first}_TABLE` : (first === 'DROP' ? 'DROP_OTHER' : 'OTHER');
+            result.objectName = name;
+            result.tableName = kind === 'TABLE' ? name : null;
+            return result;
+        }
+
+        if (first === 'INSERT' || first === 'REPLACE') {
+            let i = 1;
+            while (i < words.length && i < 6 && upper(i) !== 'INTO') i++;
+            const [name] = readName(upper(i) === 'INTO' ? i + 1 : 1);
+            result.type = 'INSERT';
+            result.objectName = name;
+            result.tableName = name;
+            return result;
+        }
+
+        if (first === 'UPDATE') {
+            const [name] = readName(upper(1) === 'ONLY' ? 2 : 1);
+            result.type = 'UPDATE';
+            result.objectName = result.tableName = name;
+            return result;
+        }
+
+        if (first === 'DELETE') {
+            const [name] = readName(upper(1) === 'FROM' ? 2 : 1);
+            result.type = 'DELETE';
+            result.objectName = result.tableName = name;
+            return result;
+        }
+
+        if (first === 'COPY') {
+            const [name] = readName(1);
+            result.type = 'COPY';
+            result.objectName = result.tableName = name;
+            return result;
+        }
+
+        if (first === 'TRUNCATE') {
+            const [name] = readName(upper(1) === 'TABLE' ? 2 : 1);
+            result.type = 'TRUNCATE';
+            result.objectName = result.tableName = name;
+            return result;
+        }
+
+        const simpleTypes = {
+            SELECT: 'SELECT',
+            WITH: 'SELECT',
+            SET: 'SET',
+            PRAGMA: 'PRAGMA',
+            BEGIN: 'TRANSACTION',
+            START: 'TRANSACTION',
+            COMMIT: 'TRANSACTION',
+            ROLLBACK: 'TRANSACTION',
+            END: 'TRANSACTION',
+            GRANT: 'GRANT',
+            REVOKE: 'GRANT',
+            LOCK: 'LOCK',
+            UNLOCK: 'LOCK'
+        };
+
+        if (simpleTypes[first]) {
+            result.type = simpleTypes[first];
+            if (first === 'LOCK' || first === 'UNLOCK') {
+                result.objectName = result.tableName = readName(upper(1) === 'TABLES' || upper(1) === 'TABLE' ? 2 : 1)[0];
+            }
+        }
+
+        return result;
+    }
+}